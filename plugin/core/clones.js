@@ -6,11 +6,13 @@
  * the container), so we use full clones with --reference for efficiency.
  */
 
-import { join, basename, dirname } from 'path'
-import { mkdir, rm, readdir, stat, copyFile, readFile, writeFile } from 'fs/promises'
-import { existsSync } from 'fs'
-import { PATHS, exists } from './paths.js'
-import { clone, checkout, getRemoteUrl, getCurrentBranch, listIgnoredFiles } from './git.js'
+import { join, basename, dirname, isAbsolute } from 'path'
+import { mkdir, rm, readdir, stat, lstat, copyFile, readFile, writeFile, link, symlink, readlink } from 'fs/promises'
+import { existsSync, constants } from 'fs'
+import { PATHS, exists, resolveBranchDir, listBranchDirs } from './paths.js'
+import { clone, checkout, getRemoteUrl, getCurrentBranch, listIgnoredFiles, resolveBase, createBranchFrom } from './git.js'
+import { loadCopyRules } from './config.js'
+import { createManifest, deleteManifest } from './manifest.js'
 
 // Lock files to skip (generated, cause merge conflicts)
 const SKIP_FILES = new Set([
@@ -29,31 +31,310 @@ const MAX_FILE_SIZE = 102400
 // Max gitignored files per top-level directory - secrets have few, dependencies have many
 const MAX_FILES_PER_DIR = 10
 
+/**
+ * How a linked path is shared with the new workspace
+ */
+export const LINK_MODE = {
+  AUTO: 'auto',         // reflink, else hardlink, else copy
+  SYMLINK: 'symlink',   // one directory shared by both workspaces
+  REFLINK: 'reflink',   // copy-on-write clone, else copy
+  HARDLINK: 'hardlink', // files shared by both workspaces, else copy
+}
+
+// File link methods tried in order for each mode
+const LINK_METHODS = {
+  [LINK_MODE.AUTO]: ['reflink', 'hardlink', 'copy'],
+  [LINK_MODE.REFLINK]: ['reflink', 'copy'],
+  [LINK_MODE.HARDLINK]: ['hardlink', 'copy'],
+}
+
+// Errors meaning a link method isn't supported here (filesystem, device, OS)
+const UNSUPPORTED_LINK_ERRORS = new Set(['ENOTSUP', 'EOPNOTSUPP', 'ENOSYS', 'EINVAL', 'EXDEV', 'EPERM', 'EMLINK'])
+
+// Compiled copy rule patterns (pattern -> RegExp)
+const compiledCopyPatterns = new Map()
+
 /**
  * Get the path where a clone would be created
  * 
+ * The branch is encoded as a single directory name (see encodeBranchDir).
+ * 
  * @param {string} repo - Repository name
  * @param {string} branch - Branch name
  * @returns {string} Absolute path to clone directory
  */
 export function getClonePath(repo, branch) {
-  return join(PATHS.clones, repo, branch)
+  return resolveBranchDir(join(PATHS.clones, repo), branch)
 }
 
 /**
- * Copy gitignored files from source repo to clone
+ * Compile a copy rule glob into a RegExp over repo-relative paths
  * 
- * These files (secrets, local config, etc.) are needed for the app to run but
- * aren't in git. Skips directories with many gitignored files (dependencies)
- * and large files.
+ * Follows .gitignore conventions: `*` and `?` stay within a path segment,
+ * `**` spans directories, a pattern without a slash matches at any depth,
+ * a leading slash anchors it to the repo root and a trailing slash matches
+ * everything inside a directory.
+ * 
+ * @param {string} pattern - Glob, e.g. `config/master.key`, `.env.*`, `vendor/`
+ * @returns {RegExp}
+ */
+export function compileCopyPattern(pattern) {
+  let source = pattern.trim()
+  const anchored = source.startsWith('/')
+  source = source.replace(/^\/+/, '')
+  if (source.endsWith('/')) source += '**'
+  if (!anchored && !source.replace(/\/\*\*$/, '').includes('/')) source = `**/${source}`
+
+  let regex = ''
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i]
+    if (char === '*' && source[i + 1] === '*') {
+      // `**/` matches zero or more directories, any other `**` anything
+      if (source[i + 2] === '/') {
+        regex += '(?:.*/)?'
+        i += 2
+      } else {
+        regex += '.*'
+        i += 1
+      }
+    } else if (char === '*') {
+      regex += '[^/]*'
+    } else if (char === '?') {
+      regex += '[^/]'
+    } else {
+      regex += char.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    }
+  }
+  return new RegExp(`^${regex}$`)
+}
+
+/**
+ * Find the copy rule that applies to a path
+ * 
+ * A pattern matching a directory covers everything inside it. Exclude
+ * rules win over include rules.
+ * 
+ * @param {string} relPath - Repo-relative path
+ * @param {{include: string[], exclude: string[]}} rules - Rules from loadCopyRules
+ * @returns {{action: 'include'|'exclude', pattern: string}|null}
+ */
+export function matchCopyRule(relPath, rules) {
+  const parts = relPath.split('/')
+  const matches = pattern => {
+    if (!compiledCopyPatterns.has(pattern)) compiledCopyPatterns.set(pattern, compileCopyPattern(pattern))
+    const regex = compiledCopyPatterns.get(pattern)
+    for (let i = parts.length; i > 0; i--) {
+      if (regex.test(parts.slice(0, i).join('/'))) return true
+    }
+    return false
+  }
+
+  const excluded = (rules?.exclude || []).find(matches)
+  if (excluded) return { action: 'exclude', pattern: excluded }
+  const included = (rules?.include || []).find(matches)
+  if (included) return { action: 'include', pattern: included }
+  return null
+}
+
+/**
+ * Place one file using the first supported link method
+ * 
+ * Unsupported methods are dropped from `state.methods`, so later files
+ * don't retry them.
+ * 
+ * @param {string} src - Source file
+ * @param {string} dest - Destination file
+ * @param {{methods: string[], used: Set<string>, files: number}} state
+ * @returns {Promise<void>}
+ */
+async function linkFile(src, dest, state) {
+  for (;;) {
+    const method = state.methods[0]
+    try {
+      if (method === 'reflink') await copyFile(src, dest, constants.COPYFILE_FICLONE_FORCE)
+      else if (method === 'hardlink') await link(src, dest)
+      else await copyFile(src, dest)
+      state.used.add(method)
+      state.files++
+      return
+    } catch (err) {
+      if (state.methods.length === 1 || !UNSUPPORTED_LINK_ERRORS.has(err.code)) throw err
+      await rm(dest, { force: true })
+      state.methods.shift()
+    }
+  }
+}
+
+/**
+ * Recreate a directory tree, linking its files
+ * 
+ * Symlinks inside the tree (e.g. node_modules/.bin) are recreated as-is.
+ * 
+ * @param {string} src - Source path
+ * @param {string} dest - Destination path (must not exist)
+ * @param {{methods: string[], used: Set<string>, files: number}} state
+ * @returns {Promise<void>}
+ */
+async function linkTree(src, dest, state) {
+  const info = await lstat(src)
+  if (info.isSymbolicLink()) {
+    await symlink(await readlink(src), dest)
+  } else if (info.isDirectory()) {
+    await mkdir(dest)
+    for (const name of await readdir(src)) {
+      await linkTree(join(src, name), join(dest, name), state)
+    }
+  } else if (info.isFile()) {
+    await linkFile(src, dest, state)
+  }
+}
+
+/**
+ * Find the lock file governing a path and whether the workspaces disagree on it
+ * 
+ * Looks in the path's directory and each parent up to the repo root. When
+ * the lock files differ, installing dependencies in the new workspace
+ * rewrites what the main repo uses too.
  * 
  * @param {string} source - Source repository path
- * @param {string} dest - Destination clone path
- * @returns {Promise<number>} Number of files copied
+ * @param {string} dest - New workspace path
+ * @param {string} relPath - Linked path
+ * @returns {Promise<{path: string, differs: boolean}|null>} null when no lock file was found
+ */
+async function findLockFile(source, dest, relPath) {
+  let dir = dirname(relPath)
+  for (;;) {
+    for (const name of SKIP_FILES) {
+      const lockPath = dir === '.' ? name : `${dir}/${name}`
+      const [ours, theirs] = await Promise.all([
+        readFile(join(source, lockPath), 'utf-8').catch(() => null),
+        readFile(join(dest, lockPath), 'utf-8').catch(() => null),
+      ])
+      if (ours !== null || theirs !== null) {
+        return { path: lockPath, differs: ours !== theirs }
+      }
+    }
+    if (dir === '.') return null
+    dir = dirname(dir)
+  }
+}
+
+/**
+ * Link gitignored paths (dependencies, model caches) into a new workspace
+ * 
+ * Avoids reinstalling large directories that copyGitignored would skip.
+ * `symlink` shares the directory itself; `hardlink` shares file contents,
+ * so in-place edits show up in both workspaces; `reflink` gives independent
+ * copy-on-write copies on filesystems that support it (btrfs, XFS, APFS).
+ * Modes fall back to a plain copy when the filesystem can't link.
+ * 
+ * Symlinks point outside the workspace, which a devcontainer doesn't mount,
+ * so for containers they are replaced by `auto`.
+ * 
+ * @param {string} source - Source repository path
+ * @param {string} dest - New workspace path
+ * @param {Array<{path: string, mode: string}>} links - From loadCopyRules
+ * @param {object} [options]
+ * @param {boolean} [options.container] - The workspace is mounted into a devcontainer
+ * @returns {Promise<{linked: Array<{path: string, mode: string, reason: string}>, skipped: Array<{path: string, reason: string}>, warnings: string[]}>}
+ *   mode is how the path was actually linked (`symlink`, `reflink`, `hardlink` or `copy`)
+ */
+export async function linkGitignored(source, dest, links, options = {}) {
+  const { container = false } = options
+  const result = { linked: [], skipped: [], warnings: [] }
+
+  for (const entry of links || []) {
+    const relPath = entry.path
+    let mode = entry.mode || LINK_MODE.AUTO
+
+    if (!relPath || isAbsolute(relPath) || relPath.split('/').includes('..')) {
+      result.skipped.push({ path: relPath, reason: 'invalid link path' })
+      continue
+    }
+    if (!Object.values(LINK_MODE).includes(mode)) {
+      result.skipped.push({ path: relPath, reason: `unknown link mode \`${mode}\`` })
+      continue
+    }
+
+    const srcPath = join(source, relPath)
+    const destPath = join(dest, relPath)
+    if (!existsSync(srcPath)) {
+      result.skipped.push({ path: relPath, reason: 'not found in main repo' })
+      continue
+    }
+    if (existsSync(destPath)) {
+      result.skipped.push({ path: relPath, reason: 'already exists' })
+      continue
+    }
+
+    const isDir = (await stat(srcPath)).isDirectory()
+    const display = isDir ? `${relPath}/` : relPath
+
+    if (mode === LINK_MODE.SYMLINK && container) {
+      result.warnings.push(`\`${relPath}\` can't be a symlink in a devcontainer (the main repo isn't mounted); linked with \`auto\` instead.`)
+      mode = LINK_MODE.AUTO
+    }
+
+    try {
+      await mkdir(dirname(destPath), { recursive: true })
+
+      if (mode === LINK_MODE.SYMLINK) {
+        await symlink(srcPath, destPath, isDir ? 'dir' : 'file')
+        result.linked.push({ path: display, mode, reason: `symlink to ${srcPath}` })
+        result.warnings.push(`\`${relPath}\` is shared with the main repo: installing or updating it in either workspace changes both.`)
+      } else {
+        const state = { methods: [...LINK_METHODS[mode]], used: new Set(), files: 0 }
+        await linkTree(srcPath, destPath, state)
+        const used = [...state.used]
+        const actual = used.length === 1 ? used[0] : used.filter(m => m !== 'copy')[0] || 'copy'
+        const how = { reflink: 'reflinked', hardlink: 'hardlinked', copy: 'copied' }[actual]
+        result.linked.push({ path: display, mode: actual, reason: `${state.files} file(s) ${how}` })
+
+        if (mode !== LINK_MODE.AUTO && !state.used.has(mode)) {
+          result.warnings.push(`\`${relPath}\` was copied: the filesystem doesn't support ${mode}s here.`)
+        }
+        if (state.used.has('hardlink')) {
+          result.warnings.push(`\`${relPath}\` is hardlinked to the main repo: tools that edit its files in place change them in both workspaces.`)
+        }
+      }
+    } catch (err) {
+      await rm(destPath, { recursive: true, force: true }).catch(() => {})
+      result.skipped.push({ path: relPath, reason: `link failed: ${err.message}` })
+      continue
+    }
+
+    const shared = mode === LINK_MODE.SYMLINK || result.linked.at(-1).mode === 'hardlink'
+    const lockFile = shared ? await findLockFile(source, dest, relPath) : null
+    if (lockFile?.differs) {
+      result.warnings.push(`\`${lockFile.path}\` differs from the main repo: installing dependencies here will modify the shared \`${relPath}\`.`)
+    }
+  }
+
+  return result
+}
+
+/**
+ * Decide which gitignored files of a repo belong in its workspaces
+ * 
+ * Without a matching rule, lock files, large files and directories with
+ * many gitignored files (dependencies) are left out. Include rules select a
+ * file regardless of these heuristics; exclude rules always leave it out.
+ * 
+ * @param {string} source - Source repository path
+ * @param {object} [options]
+ * @param {{include: string[], exclude: string[]}} [options.rules] - Copy rules (loaded from the source repo by default)
+ * @param {string[]} [options.linked] - Linked files or directories to leave out
+ * @returns {Promise<{files: Array<{path: string, reason: string}>, skipped: Array<{path: string, reason: string, count?: number}>}>}
+ *   Files skipped as dependencies are reported once per directory, with their count
  */
-export async function copyGitignored(source, dest) {
-  const ignoredFiles = await listIgnoredFiles(source)
-  if (ignoredFiles.length === 0) return 0
+export async function planGitignoredCopy(source, options = {}) {
+  const rules = options.rules || await loadCopyRules(source)
+  const linked = options.linked || []
+  const plan = { files: [], skipped: [] }
+
+  const ignoredFiles = (await listIgnoredFiles(source))
+    .filter(file => !linked.some(path => file === path || file.startsWith(path.endsWith('/') ? path : `${path}/`)))
+  if (ignoredFiles.length === 0) return plan
 
   // Count files per top-level directory
   const dirFileCounts = new Map()
@@ -63,44 +344,151 @@ export async function copyGitignored(source, dest) {
     dirFileCounts.set(key, (dirFileCounts.get(key) || 0) + 1)
   }
 
-  let copied = 0
+  // Dependency directories are reported once, not per file
+  const skippedDirs = new Map()
 
   for (const relPath of ignoredFiles) {
     // Skip paths with parent directory references (defense in depth)
     if (relPath.includes('..')) continue
 
-    // Skip lock files
-    const filename = basename(relPath)
-    if (SKIP_FILES.has(filename)) continue
-
-    // Skip if directory has too many gitignored files (likely dependencies)
-    const topDir = relPath.includes('/') ? relPath.split('/')[0] : '.'
-    if (dirFileCounts.get(topDir) > MAX_FILES_PER_DIR) continue
-
-    const srcPath = join(source, relPath)
-    const destPath = join(dest, relPath)
+    const rule = matchCopyRule(relPath, rules)
+    if (rule?.action === 'exclude') {
+      plan.skipped.push({ path: relPath, reason: `excluded by rule \`${rule.pattern}\`` })
+      continue
+    }
 
-    // Only copy files, not directories
     try {
-      const srcStat = await stat(srcPath)
+      // Only copy files, not directories
+      const srcStat = await stat(join(source, relPath))
       if (!srcStat.isFile()) continue
 
-      // Skip large files
-      if (srcStat.size > MAX_FILE_SIZE) continue
+      if (!rule) {
+        // Skip lock files
+        if (SKIP_FILES.has(basename(relPath))) {
+          plan.skipped.push({ path: relPath, reason: 'lock file' })
+          continue
+        }
+
+        // Skip if directory has too many gitignored files (likely dependencies)
+        const topDir = relPath.includes('/') ? relPath.split('/')[0] : '.'
+        if (dirFileCounts.get(topDir) > MAX_FILES_PER_DIR) {
+          skippedDirs.set(topDir, (skippedDirs.get(topDir) || 0) + 1)
+          continue
+        }
+
+        // Skip large files
+        if (srcStat.size > MAX_FILE_SIZE) {
+          plan.skipped.push({ path: relPath, reason: `larger than ${MAX_FILE_SIZE / 1024}KB` })
+          continue
+        }
+      }
+
+      plan.files.push({ path: relPath, reason: rule ? `included by rule \`${rule.pattern}\`` : 'small gitignored file' })
+    } catch {
+      plan.skipped.push({ path: relPath, reason: 'unreadable' })
+    }
+  }
+
+  for (const [dir, count] of skippedDirs) {
+    plan.skipped.push({
+      path: dir === '.' ? '.' : `${dir}/`,
+      reason: `${dirFileCounts.get(dir)} gitignored files, likely dependencies`,
+      count,
+    })
+  }
+
+  return plan
+}
+
+/**
+ * Copy gitignored files from source repo to clone
+ * 
+ * These files (secrets, local config, etc.) are needed for the app to run but
+ * aren't in git. planGitignoredCopy decides which files are copied; files
+ * that already exist in the destination are left alone. Paths listed in the
+ * rules' `link` are linked first (see linkGitignored) and their files aren't
+ * copied.
+ * 
+ * @param {string} source - Source repository path
+ * @param {string} dest - Destination clone path
+ * @param {object} [options]
+ * @param {{include: string[], exclude: string[], link?: Array<{path: string, mode: string}>}} [options.rules] - Copy rules (loaded from the source repo by default)
+ * @param {boolean} [options.container] - The workspace is mounted into a devcontainer
+ * @returns {Promise<{copied: Array<{path: string, reason: string}>, skipped: Array<{path: string, reason: string, count?: number}>, linked: Array<{path: string, mode: string, reason: string}>, warnings: string[]}>}
+ *   Files skipped as dependencies are reported once per directory, with their count
+ */
+export async function copyGitignored(source, dest, options = {}) {
+  const rules = options.rules || await loadCopyRules(source)
+  const report = { copied: [], skipped: [], linked: [], warnings: [] }
+
+  if (rules.link?.length > 0) {
+    const linkResult = await linkGitignored(source, dest, rules.link, { container: options.container })
+    report.linked.push(...linkResult.linked)
+    report.skipped.push(...linkResult.skipped)
+    report.warnings.push(...linkResult.warnings)
+  }
+
+  const plan = await planGitignoredCopy(source, { rules, linked: report.linked.map(e => e.path) })
 
-      // Skip if already exists
-      if (existsSync(destPath)) continue
+  for (const file of plan.files) {
+    const destPath = join(dest, file.path)
+
+    // Skip if already exists
+    if (existsSync(destPath)) {
+      report.skipped.push({ path: file.path, reason: 'already exists' })
+      continue
+    }
 
+    try {
       // Create parent directory and copy
       await mkdir(dirname(destPath), { recursive: true })
-      await copyFile(srcPath, destPath)
-      copied++
+      await copyFile(join(source, file.path), destPath)
+      report.copied.push(file)
     } catch {
-      // Skip files we can't read
+      report.skipped.push({ path: file.path, reason: 'unreadable' })
     }
   }
+  report.skipped.push(...plan.skipped)
+
+  return report
+}
+
+/**
+ * Format a copy report for display
+ * 
+ * @param {{copied: Array<{path: string, reason: string}>, skipped: Array<{path: string, reason: string}>, linked?: Array<{path: string, reason: string}>, warnings?: string[]}} report - From copyGitignored
+ * @param {object} [options]
+ * @param {number} [options.limit=20] - Maximum entries listed per section
+ * @returns {string}
+ */
+export function formatCopyReport(report, options = {}) {
+  const { limit = 20 } = options
+  const list = entries => {
+    const lines = entries.slice(0, limit).map(e => `  - ${e.path} (${e.reason})`)
+    if (entries.length > limit) lines.push(`  ... and ${entries.length - limit} more`)
+    return lines.join('\n')
+  }
 
-  return copied
+  const linked = report?.linked || []
+  const warnings = report?.warnings || []
+  if (!report || (report.copied.length === 0 && report.skipped.length === 0 && linked.length === 0)) {
+    return 'No gitignored files to copy.'
+  }
+
+  const sections = []
+  if (linked.length > 0) {
+    sections.push(`Linked:\n${list(linked)}`)
+  }
+  sections.push(report.copied.length > 0
+    ? `Copied ${report.copied.length} gitignored file(s):\n${list(report.copied)}`
+    : 'Copied no gitignored files.')
+  if (report.skipped.length > 0) {
+    sections.push(`Skipped:\n${list(report.skipped)}`)
+  }
+  if (warnings.length > 0) {
+    sections.push(`Warnings:\n${warnings.map(w => `  - ${w}`).join('\n')}`)
+  }
+  return sections.join('\n')
 }
 
 /**
@@ -109,11 +497,15 @@ export async function copyGitignored(source, dest) {
  * @param {object} options
  * @param {string} options.repoRoot - Path to source repository
  * @param {string} options.branch - Branch name to create/checkout
+ * @param {string|object} [options.base] - Start a new branch from this ref, remote branch or pull request,
+ *   resolved in repoRoot (see resolveBase); may be a resolveBase result for repoRoot already
  * @param {boolean} [options.force] - Force recreate if exists
- * @returns {Promise<{workspace: string, created: boolean, repoName: string, branch: string}>}
+ * @param {string} [options.sessionID] - Session creating the clone (recorded in its manifest)
+ * @returns {Promise<{workspace: string, created: boolean, repoName: string, branch: string, base?: string, copyReport?: object}>}
+ *   copyReport (from copyGitignored) is set when the clone was created; base describes where the branch started
  */
 export async function createClone(options) {
-  const { repoRoot, branch, force = false } = options
+  const { repoRoot, branch, base, force = false, sessionID = null } = options
   const repoName = basename(repoRoot)
   const workspace = getClonePath(repoName, branch)
 
@@ -126,13 +518,28 @@ export async function createClone(options) {
     await rm(workspace, { recursive: true, force: true })
   }
 
+  // The base may be a branch only the main repo has, so resolve it there
+  // and let createBranchFrom fetch the commit into the clone
+  const resolvedBase = typeof base === 'string' ? await resolveBase(repoRoot, base, branch) : base
+
   // Create clone directory
   await mkdir(dirname(workspace), { recursive: true })
 
   // Get remote URL if available
   const remoteUrl = await getRemoteUrl(repoRoot)
 
-  if (remoteUrl) {
+  let baseLabel
+  if (resolvedBase) {
+    // Clone the default branch, then start the new branch from the base
+    await clone(remoteUrl ? { url: remoteUrl, dest: workspace, reference: repoRoot } : { url: repoRoot, dest: workspace })
+    try {
+      baseLabel = (await createBranchFrom(workspace, branch, resolvedBase, { from: repoRoot })).label
+      await checkout(workspace, branch)
+    } catch (e) {
+      await rm(workspace, { recursive: true, force: true })
+      throw e
+    }
+  } else if (remoteUrl) {
     // Clone from remote with reference for efficiency
     try {
       await clone({
@@ -167,10 +574,20 @@ export async function createClone(options) {
     }
   }
 
+  await createManifest({
+    type: 'clone',
+    workspace,
+    repo: repoName,
+    branch,
+    mainRepo: repoRoot,
+    base: baseLabel || null,
+    createdBy: sessionID,
+  })
+
   // Copy gitignored files (secrets, local config)
-  await copyGitignored(repoRoot, workspace)
+  const copyReport = await copyGitignored(repoRoot, workspace, { container: true })
 
-  return { workspace, created: true, repoName, branch }
+  return { workspace, created: true, repoName, branch, ...(baseLabel ? { base: baseLabel } : {}), copyReport }
 }
 
 /**
@@ -197,16 +614,9 @@ export async function listClones(options = {}) {
     const repoStat = await stat(repoPath).catch(() => null)
     if (!repoStat?.isDirectory()) continue
 
-    const branches = await readdir(repoPath)
-
-    for (const branch of branches) {
-      const workspace = join(repoPath, branch)
-      const gitDir = join(workspace, '.git')
-
-      // Only include if it's a git repo
-      if (existsSync(gitDir)) {
-        clones.push({ workspace, repo, branch })
-      }
+    // Only directories that are git repos are included
+    for (const { workspace, branch } of await listBranchDirs(repoPath)) {
+      clones.push({ workspace, repo, branch })
     }
   }
 
@@ -228,12 +638,19 @@ export async function removeClone(repo, branch) {
   }
 
   await rm(workspace, { recursive: true, force: true })
+  await deleteManifest(workspace)
   return true
 }
 
 export default {
   getClonePath,
+  compileCopyPattern,
+  matchCopyRule,
+  LINK_MODE,
+  linkGitignored,
+  planGitignoredCopy,
   copyGitignored,
+  formatCopyReport,
   createClone,
   listClones,
   removeClone,
@@ -0,0 +1,346 @@
+/**
+ * Docker Compose support for opencode-devcontainers
+ *
+ * devcontainer.json files using `dockerComposeFile`/`service` ignore runArgs,
+ * so port isolation has to happen in a compose override file instead:
+ * - Unique compose project name per workspace (derived from pathId)
+ * - Remapped `ports:` for every service that publishes ports
+ * - Optionally namespaced volumes that set an explicit `name:` (the others
+ *   already get `<project>_<volume>` from the project name)
+ */
+
+import { join, basename, dirname, resolve } from 'path'
+import { writeFile, mkdir } from 'fs/promises'
+import childProcess from 'child_process'
+import { PATHS, pathId } from './paths.js'
+
+/**
+ * Run a command and return a promise with the result
+ *
+ * @param {string} cmd - Command to run
+ * @param {string[]} args - Arguments
+ * @param {object} [options] - spawn options
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number, success: boolean}>}
+ */
+async function runCommand(cmd, args, options = {}) {
+  return new Promise((resolve, reject) => {
+    const child = childProcess.spawn(cmd, args, {
+      stdio: ['ignore', 'pipe', 'pipe'],
+      ...options,
+    })
+
+    let stdout = ''
+    let stderr = ''
+
+    child.stdout.on('data', data => {
+      stdout += data.toString()
+    })
+
+    child.stderr.on('data', data => {
+      stderr += data.toString()
+    })
+
+    child.on('close', exitCode => {
+      resolve({
+        stdout: stdout.trim(),
+        stderr: stderr.trim(),
+        exitCode,
+        success: exitCode === 0,
+      })
+    })
+
+    child.on('error', reject)
+  })
+}
+
+/**
+ * Check if a devcontainer config uses Docker Compose
+ *
+ * @param {object|null} config - Devcontainer config
+ * @returns {boolean}
+ */
+export function isComposeConfig(config) {
+  return Boolean(config?.dockerComposeFile)
+}
+
+/**
+ * Get the compose command for the configured runtime
+ *
+ * @param {object} config - User config (from loadUserConfig)
+ * @returns {string[]} Command and leading arguments, e.g. ['docker', 'compose']
+ */
+export function getComposeCommand(config = {}) {
+  if (config.dockerComposePath) return [config.dockerComposePath]
+  return [config.dockerPath || 'docker', 'compose']
+}
+
+// Oldest Docker Compose that understands the `!override` tag
+export const MIN_COMPOSE_VERSION = '2.24.4'
+
+/**
+ * Get the version of Docker Compose
+ *
+ * Only Docker Compose (the plugin or standalone `docker-compose`) is
+ * recognized; other implementations such as podman-compose report null.
+ *
+ * @param {string[]} [composeCommand] - Compose command (from getComposeCommand)
+ * @returns {Promise<string|null>} e.g. '2.24.5', null if unknown
+ */
+export async function getComposeVersion(composeCommand = getComposeCommand()) {
+  const [cmd, ...prefix] = composeCommand
+  try {
+    const result = await runCommand(cmd, [...prefix, 'version'])
+    if (!result.success) return null
+    const match = result.stdout.match(/docker[ -]compose version:? v?(\d+\.\d+\.\d+)/i)
+    return match ? match[1] : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Check whether a Docker Compose version supports the generated override
+ *
+ * @param {string} version - Version from getComposeVersion
+ * @returns {boolean}
+ */
+export function isComposeVersionSupported(version) {
+  const parse = v => v.split('.').map(part => parseInt(part, 10))
+  const [have, need] = [parse(version), parse(MIN_COMPOSE_VERSION)]
+  for (let i = 0; i < need.length; i++) {
+    if ((have[i] || 0) !== need[i]) return (have[i] || 0) > need[i]
+  }
+  return true
+}
+
+/**
+ * Get the compose project name for a workspace
+ *
+ * Compose defaults to `<folder>_devcontainer`, which collides for clones of
+ * different repos on the same branch name. The pathId suffix keeps it unique.
+ *
+ * @param {string} workspace - Workspace path
+ * @returns {string} Lowercase project name valid for compose
+ */
+export function getComposeProjectName(workspace) {
+  const sanitize = str => str.toLowerCase().replace(/[^a-z0-9_-]+/g, '-').replace(/^[-_]+|[-_]+$/g, '')
+  const repo = sanitize(basename(dirname(workspace)))
+  const branch = sanitize(basename(workspace))
+  const prefix = [repo, branch].filter(Boolean).join('-')
+  const id = pathId(workspace).slice(0, 8)
+  return prefix ? `${prefix}-${id}` : `ocdc-${id}`
+}
+
+/**
+ * Get the path for a compose override file
+ *
+ * @param {string} workspace - Workspace path
+ * @returns {string} Path to compose override file
+ */
+export function getComposeOverridePath(workspace) {
+  return join(PATHS.overrides, `${pathId(workspace)}.compose.yml`)
+}
+
+/**
+ * Resolve compose files referenced by a devcontainer config
+ *
+ * @param {object} config - Devcontainer config
+ * @param {string} configDir - Directory containing devcontainer.json
+ * @returns {string[]} Absolute compose file paths
+ */
+export function getComposeFiles(config, configDir) {
+  if (!isComposeConfig(config)) return []
+  const files = Array.isArray(config.dockerComposeFile)
+    ? config.dockerComposeFile
+    : [config.dockerComposeFile]
+  return files.map(file => resolve(configDir, file))
+}
+
+/**
+ * Read the merged compose configuration
+ *
+ * Uses `compose config --format json` so YAML anchors, extends and env
+ * interpolation are resolved by compose itself.
+ *
+ * @param {string[]} files - Compose file paths
+ * @param {object} [options]
+ * @param {string[]} [options.composeCommand] - Compose command (from getComposeCommand)
+ * @param {string} [options.cwd] - Working directory
+ * @returns {Promise<object|null>} Parsed config or null if compose is unavailable
+ */
+export async function readComposeConfig(files, options = {}) {
+  const [cmd, ...prefix] = options.composeCommand || getComposeCommand()
+  const args = [...prefix, ...files.flatMap(f => ['-f', f]), 'config', '--format', 'json']
+
+  try {
+    const result = await runCommand(cmd, args, { cwd: options.cwd })
+    if (!result.success || !result.stdout) return null
+    return JSON.parse(result.stdout)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Detect the ports to remap for a compose-based devcontainer
+ *
+ * Ports of the devcontainer's `service` are keyed by port number, ports of
+ * other services by `service:port` (the same syntax forwardPorts uses).
+ *
+ * @param {object} config - Devcontainer config
+ * @param {object|null} composeConfig - Merged compose config (from readComposeConfig)
+ * @returns {Array<number|string>} Internal port keys (defaults to [3000])
+ */
+export function detectComposePorts(config, composeConfig) {
+  const mainService = config?.service
+  const keys = []
+  const add = (service, port) => {
+    if (!Number.isInteger(port)) return
+    const key = !service || service === mainService ? port : `${service}:${port}`
+    if (!keys.includes(key)) keys.push(key)
+  }
+
+  // Ports the devcontainer asks to forward
+  for (const spec of config?.forwardPorts || []) {
+    if (typeof spec === 'number') {
+      add(mainService, spec)
+    } else if (typeof spec === 'string') {
+      const [service, port] = spec.includes(':') ? spec.split(':') : [mainService, spec]
+      add(service, parseInt(port, 10))
+    }
+  }
+
+  // Ports published by compose services
+  for (const [service, def] of Object.entries(composeConfig?.services || {})) {
+    for (const port of def.ports || []) {
+      const target = typeof port === 'object' ? port.target : parseInt(String(port).split(':').pop(), 10)
+      add(service, typeof target === 'string' ? parseInt(target, 10) : target)
+    }
+  }
+
+  return keys.length > 0 ? keys : [3000]
+}
+
+/**
+ * List volumes that keep their name across compose projects
+ *
+ * A volume with an explicit `name:` is the same volume in every clone of the
+ * repo, unlike default-named ones (`<project>_<volume>`). External volumes
+ * are left out: compose never creates or removes them.
+ *
+ * @param {object|null} composeConfig - Merged compose config (from readComposeConfig)
+ * @returns {string[]} Volume keys
+ */
+export function listNamedVolumes(composeConfig) {
+  const defaultName = key => composeConfig?.name ? `${composeConfig.name}_${key}` : null
+  return Object.entries(composeConfig?.volumes || {})
+    .filter(([key, def]) => !def?.external && def?.name && def.name !== defaultName(key))
+    .map(([key]) => key)
+}
+
+/**
+ * Check whether `compose down --volumes` only removes a workspace's own volumes
+ *
+ * @param {object|null} composeConfig - Merged compose config (null: unknown)
+ * @param {object} [options]
+ * @param {boolean} [options.namespaceVolumes] - Whether named volumes were namespaced
+ * @returns {boolean}
+ */
+export function hasOwnVolumes(composeConfig, options = {}) {
+  if (!composeConfig) return false
+  return Boolean(options.namespaceVolumes) || listNamedVolumes(composeConfig).length === 0
+}
+
+/**
+ * Serialize a compose override file
+ *
+ * Hand-written YAML so we can use the `!override` tag, which replaces
+ * `ports:` instead of appending to it (compose >= 2.24.4).
+ *
+ * @param {object} override
+ * @param {string} override.name - Project name
+ * @param {Object<string, string[]>} override.ports - Port specs keyed by service
+ * @param {Object<string, string>} override.volumes - Volume names keyed by volume key
+ * @returns {string} YAML content
+ */
+function serializeComposeOverride({ name, ports, volumes }) {
+  const q = JSON.stringify
+  const lines = [
+    '# Generated by opencode-devcontainers - do not edit',
+    `name: ${q(name)}`,
+  ]
+
+  if (Object.keys(ports).length > 0) {
+    lines.push('services:')
+    for (const [service, specs] of Object.entries(ports)) {
+      lines.push(`  ${q(service)}:`, '    ports: !override')
+      for (const spec of specs) lines.push(`      - ${q(spec)}`)
+    }
+  }
+
+  if (Object.keys(volumes).length > 0) {
+    lines.push('volumes:')
+    for (const [key, volumeName] of Object.entries(volumes)) {
+      lines.push(`  ${q(key)}:`, `    name: ${q(volumeName)}`)
+    }
+  }
+
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * Generate a compose override file for a workspace
+ *
+ * @param {string} workspace - Workspace path
+ * @param {Object<string, number>} portMap - Map of internal port key -> host port
+ * @param {object} config - Devcontainer config
+ * @param {object|null} composeConfig - Merged compose config (from readComposeConfig)
+ * @param {object} [options]
+ * @param {boolean} [options.namespaceVolumes] - Give volumes with an explicit name a per-workspace name
+ * @returns {Promise<{path: string, projectName: string}>}
+ */
+export async function generateComposeOverride(workspace, portMap, config, composeConfig, options = {}) {
+  const projectName = getComposeProjectName(workspace)
+  const mainService = config.service
+
+  // Group port specs by service
+  const ports = {}
+  for (const [key, hostPort] of Object.entries(portMap)) {
+    const [service, internal] = key.includes(':') ? key.split(':') : [mainService, key]
+    if (!service) continue
+    const protocol = composeConfig?.services?.[service]?.ports
+      ?.find(p => typeof p === 'object' && String(p.target) === internal)?.protocol
+    const suffix = protocol && protocol !== 'tcp' ? `/${protocol}` : ''
+    ;(ports[service] ||= []).push(`${hostPort}:${internal}${suffix}`)
+  }
+
+  // Namespace explicitly named volumes (external volumes are shared on purpose)
+  const volumes = {}
+  if (options.namespaceVolumes) {
+    for (const key of listNamedVolumes(composeConfig)) {
+      volumes[key] = `${projectName}_${key}`
+    }
+  }
+
+  const path = getComposeOverridePath(workspace)
+  await mkdir(PATHS.overrides, { recursive: true })
+  await writeFile(path, serializeComposeOverride({ name: projectName, ports, volumes }))
+
+  return { path, projectName }
+}
+
+export default {
+  MIN_COMPOSE_VERSION,
+  isComposeConfig,
+  getComposeCommand,
+  getComposeVersion,
+  isComposeVersionSupported,
+  getComposeProjectName,
+  getComposeOverridePath,
+  getComposeFiles,
+  readComposeConfig,
+  detectComposePorts,
+  listNamedVolumes,
+  hasOwnVolumes,
+  generateComposeOverride,
+}
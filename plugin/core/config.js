@@ -4,21 +4,46 @@
  * Handles:
  * - Reading devcontainer.json files
  * - Generating override configs with port mappings
- * - Loading user configuration
+ *   (runArgs for image/Dockerfile configs, a compose override for compose configs)
+ * - Loading user configuration and repo-level settings
  */
 
-import { join, basename } from 'path'
-import { readFile, writeFile, mkdir } from 'fs/promises'
+import { join, basename, dirname } from 'path'
+import { readFile, writeFile, mkdir, rename } from 'fs/promises'
 import { existsSync } from 'fs'
 import childProcess from 'child_process'
 import { PATHS, pathId } from './paths.js'
+import { DEFAULT_MAX_OUTPUT_BYTES } from './output.js'
+import { isValidEnvName } from './env.js'
+import {
+  isComposeConfig,
+  getComposeCommand,
+  getComposeFiles,
+  readComposeConfig,
+  detectComposePorts,
+  generateComposeOverride,
+} from './compose.js'
 
 // Default configuration values
 const DEFAULT_CONFIG = {
   portRangeStart: 13000,
   portRangeEnd: 13099,
+  maxOutputBytes: DEFAULT_MAX_OUTPUT_BYTES,
+  cleanupMaxAgeDays: 7,
+  mergedMaxAgeDays: 1,
+  autoCleanup: false,
+  syncSecretsOnTarget: false,
+  shareImages: true,
+  hostCommands: { allow: [], deny: [] },
+  passEnv: [],
 }
 
+// Repo-level settings, relative to the repo (or workspace) root
+export const REPO_CONFIG_FILE = join('.opencode', 'devcontainers.json')
+
+// Repo-level gitignored-file copy rules: one glob per line, `!` to exclude
+export const COPY_RULES_FILE = '.opencode-copy'
+
 /**
  * Get the path for an override config file
  * 
@@ -30,6 +55,36 @@ export function getOverridePath(workspace) {
   return join(PATHS.overrides, `${id}.json`)
 }
 
+/**
+ * Get the path for the config devcontainer exec uses to pass host variables
+ * 
+ * @param {string} workspace - Workspace path
+ * @returns {string} Path to exec config
+ */
+export function getExecConfigPath(workspace) {
+  const id = pathId(workspace)
+  return join(PATHS.overrides, `${id}.exec.json`)
+}
+
+/**
+ * Get the path of a workspace's devcontainer.json
+ * 
+ * Checks for:
+ * 1. .devcontainer/devcontainer.json
+ * 2. .devcontainer.json (in root)
+ * 
+ * @param {string} workspace - Workspace path
+ * @returns {string|null} Path or null if not found
+ */
+export function getDevcontainerJsonPath(workspace) {
+  const paths = [
+    join(workspace, '.devcontainer', 'devcontainer.json'),
+    join(workspace, '.devcontainer.json'),
+  ]
+
+  return paths.find(path => existsSync(path)) || null
+}
+
 /**
  * Read devcontainer.json from a workspace
  * 
@@ -61,60 +116,195 @@ export async function readDevcontainerJson(workspace) {
 }
 
 /**
- * Detect the internal port from devcontainer config
+ * Read the generated override config for a workspace
+ * 
+ * @param {string} workspace - Workspace path
+ * @returns {Promise<object|null>} Parsed override or null if not generated
+ */
+export async function readOverrideConfig(workspace) {
+  try {
+    const content = await readFile(getOverridePath(workspace), 'utf-8')
+    return JSON.parse(content)
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Write the config devcontainer exec uses to pass host variables
  * 
- * Looks for:
- * 1. forwardPorts array (first element)
- * 2. runArgs -p flag (HOST:CONTAINER or CONTAINER)
+ * `--remote-env NAME=value` would put the values in the devcontainer CLI's
+ * arguments, where `ps` shows them. This config's remoteEnv refers to them as
+ * `${localEnv:NAME}` instead, which the CLI fills in from its own
+ * environment, so only the names are written. The rest is the override
+ * config, or devcontainer.json (with compose files made absolute) when the
+ * workspace has none.
+ * 
+ * @param {string} workspace - Workspace path
+ * @param {string[]} names - Host variables to pass
+ * @returns {Promise<string|null>} Path to the config, or null if there is no config to extend
+ */
+export async function writeExecConfig(workspace, names) {
+  let base = await readOverrideConfig(workspace)
+  if (!base) {
+    const config = await readDevcontainerJson(workspace)
+    if (!config) return null
+    base = isComposeConfig(config)
+      ? { ...config, dockerComposeFile: getComposeFiles(config, dirname(getDevcontainerJsonPath(workspace))) }
+      : config
+  }
+
+  const remoteEnv = { ...base.remoteEnv }
+  for (const name of names) {
+    if (isValidEnvName(name)) remoteEnv[name] = `\${localEnv:${name}}`
+  }
+
+  // Concurrent commands may rewrite it, so readers must never see a partial file
+  const path = getExecConfigPath(workspace)
+  const tmp = `${path}.${process.pid}.${Date.now()}.tmp`
+  await mkdir(PATHS.overrides, { recursive: true })
+  await writeFile(tmp, JSON.stringify({ ...base, remoteEnv }, null, 2))
+  await rename(tmp, path)
+  return path
+}
+
+/**
+ * Get the folder a workspace is mounted at inside its container
+ * 
+ * Prefers the generated override config, then devcontainer.json. Image and
+ * Dockerfile configs default to /workspaces/<folder> like the devcontainer
+ * CLI; compose configs define the mount themselves, so they have no default.
+ * 
+ * @param {string} workspace - Workspace path
+ * @returns {Promise<string|null>} Container path, or null if it can't be determined
+ */
+export async function getContainerWorkspaceFolder(workspace) {
+  const override = await readOverrideConfig(workspace)
+  const config = await readDevcontainerJson(workspace)
+  const folder = override?.workspaceFolder || config?.workspaceFolder
+  if (!folder) {
+    return isComposeConfig(config) ? null : `/workspaces/${basename(workspace)}`
+  }
+
+  const resolved = folder
+    .replaceAll('${localWorkspaceFolderBasename}', basename(workspace))
+    .replaceAll('${containerWorkspaceFolderBasename}', basename(workspace))
+  // Other variables can't be resolved without the devcontainer CLI
+  return resolved.includes('${') ? null : resolved
+}
+
+/**
+ * Parse a port spec from forwardPorts or a -p argument
+ * 
+ * Accepts numbers, "PORT", "HOST:CONTAINER" and "IP:HOST:CONTAINER".
+ * Returns the container-side port, or null if it can't be parsed.
+ * 
+ * @param {number|string} spec - Port spec
+ * @returns {number|null}
+ */
+function parseContainerPort(spec) {
+  if (typeof spec === 'number') return Number.isInteger(spec) ? spec : null
+  if (typeof spec !== 'string') return null
+
+  const parts = spec.split(':')
+  const last = parts[parts.length - 1]
+  if (!/^\d+(\/(tcp|udp))?$/.test(last)) return null
+  // forwardPorts entries like "db:5432" refer to other services, not this container
+  if (parts.length === 2 && !/^\d+$/.test(parts[0])) return null
+
+  return parseInt(last, 10)
+}
+
+/**
+ * Detect all internal ports from devcontainer config
+ * 
+ * Collects, in order and without duplicates:
+ * 1. Every forwardPorts entry
+ * 2. Every -p/--publish flag in runArgs (HOST:CONTAINER or CONTAINER)
+ * 3. Every standalone HOST:CONTAINER pattern in runArgs
  * 
  * @param {object|null} config - Devcontainer config
- * @returns {number} Internal port (defaults to 3000)
+ * @returns {number[]} Internal ports (defaults to [3000])
  */
-export function detectInternalPort(config) {
-  if (!config) return 3000
+export function detectInternalPorts(config) {
+  if (!config) return [3000]
+
+  const ports = []
+  const add = port => {
+    if (port !== null && !ports.includes(port)) ports.push(port)
+  }
 
   // Check forwardPorts
-  if (Array.isArray(config.forwardPorts) && config.forwardPorts.length > 0) {
-    const port = config.forwardPorts[0]
-    if (typeof port === 'number') return port
-    if (typeof port === 'string') {
-      const parsed = parseInt(port, 10)
-      if (!isNaN(parsed)) return parsed
+  if (Array.isArray(config.forwardPorts)) {
+    for (const spec of config.forwardPorts) {
+      add(parseContainerPort(spec))
     }
   }
 
-  // Check runArgs for -p flag
+  // Check runArgs for -p flags
   if (Array.isArray(config.runArgs)) {
     for (let i = 0; i < config.runArgs.length; i++) {
       const arg = config.runArgs[i]
-      
-      // Handle -p HOST:CONTAINER
-      if (arg === '-p' && i + 1 < config.runArgs.length) {
-        const portArg = config.runArgs[i + 1]
-        if (portArg.includes(':')) {
-          const parts = portArg.split(':')
-          const containerPort = parseInt(parts[parts.length - 1], 10)
-          if (!isNaN(containerPort)) return containerPort
-        }
+
+      // Handle -p HOST:CONTAINER / -p CONTAINER
+      if ((arg === '-p' || arg === '--publish') && i + 1 < config.runArgs.length) {
+        add(parseContainerPort(config.runArgs[++i]))
+        continue
       }
-      
+
       // Handle HOST:CONTAINER format directly
       if (/^\d+:\d+$/.test(arg)) {
-        const parts = arg.split(':')
-        const containerPort = parseInt(parts[1], 10)
-        if (!isNaN(containerPort)) return containerPort
+        add(parseContainerPort(arg))
       }
     }
   }
 
-  return 3000
+  return ports.length > 0 ? ports : [3000]
+}
+
+/**
+ * Detect the primary internal port from devcontainer config
+ * 
+ * The primary port is the first one found by detectInternalPorts().
+ * 
+ * @param {object|null} config - Devcontainer config
+ * @returns {number} Internal port (defaults to 3000)
+ */
+export function detectInternalPort(config) {
+  return detectInternalPorts(config)[0]
+}
+
+/**
+ * Detect the ports a workspace needs mapped
+ * 
+ * For compose-based configs, reads the merged compose config so ports
+ * published by every service (app, database, ...) get a host port.
+ * 
+ * @param {string} workspace - Workspace path
+ * @param {object} [userConfig] - User config (from loadUserConfig)
+ * @returns {Promise<{internalPorts: Array<number|string>, config: object|null, composeConfig: object|null}>}
+ */
+export async function detectWorkspacePorts(workspace, userConfig = {}) {
+  const config = await readDevcontainerJson(workspace)
+
+  if (!isComposeConfig(config)) {
+    return { internalPorts: detectInternalPorts(config), config, composeConfig: null }
+  }
+
+  const configDir = dirname(getDevcontainerJsonPath(workspace))
+  const composeConfig = await readComposeConfig(getComposeFiles(config, configDir), {
+    composeCommand: getComposeCommand(userConfig),
+    cwd: configDir,
+  })
+
+  return { internalPorts: detectComposePorts(config, composeConfig), config, composeConfig }
 }
 
 /**
  * Remove port mappings from runArgs
  * 
  * Removes:
- * - -p flag and its following argument
+ * - -p/--publish flag and its following argument
  * - Standalone HOST:CONTAINER patterns
  * 
  * @param {string[]} runArgs - Original runArgs
@@ -132,7 +322,7 @@ function removePortArgs(runArgs) {
       continue
     }
 
-    if (arg === '-p') {
+    if (arg === '-p' || arg === '--publish') {
       skipNext = true
       continue
     }
@@ -149,36 +339,62 @@ function removePortArgs(runArgs) {
 }
 
 /**
- * Generate an override config with port mapping
+ * Generate an override config with port mappings
  * 
  * Creates a modified devcontainer.json that:
- * - Maps the internal port to the assigned external port
+ * - Maps every internal port to its assigned external port
  * - Sets a unique container name
  * - Sets the correct workspaceFolder
  * 
+ * For compose-based configs, ports are remapped in a generated compose
+ * override file (with a per-workspace project name) that is appended to
+ * dockerComposeFile instead.
+ * 
+ * With options.image, the container starts from that (already built) image
+ * instead: build settings and features are dropped, since the image contains
+ * them (see images.js).
+ * 
  * @param {string} workspace - Workspace path
- * @param {number} port - External port to use
+ * @param {number|Object<string, number>} ports - External port for the primary internal port,
+ *   or a map of internal port -> external port
  * @param {string} [repoName] - Repository name for workspaceFolder (defaults to basename of workspace)
+ * @param {object} [options]
+ * @param {object} [options.composeConfig] - Merged compose config (from detectWorkspacePorts)
+ * @param {boolean} [options.namespaceVolumes] - Give compose named volumes a per-workspace name
+ * @param {string} [options.image] - Shared image to start from (image/Dockerfile configs only)
  * @returns {Promise<string>} Path to generated override config
  */
-export async function generateOverrideConfig(workspace, port, repoName) {
+export async function generateOverrideConfig(workspace, ports, repoName, options = {}) {
   const baseConfig = await readDevcontainerJson(workspace) || {}
   const internalPort = detectInternalPort(baseConfig)
+  const portMap = typeof ports === 'number' ? { [internalPort]: ports } : ports
+  const primaryPort = portMap[internalPort] ?? Math.min(...Object.values(portMap))
   const workspaceName = basename(workspace) || repoName 
 
   // Build override config
   // Remove forwardPorts and appPort to prevent devcontainer CLI from setting up
-  // its own port forwarding which would conflict with our explicit -p in runArgs
+  // its own port forwarding which would conflict with our explicit port mappings
   const { forwardPorts, appPort, ...restConfig } = baseConfig
+  // A shared image already contains the build and the features
+  const { build, dockerFile, context, features, ...imageConfig } = restConfig
+  const containerConfig = options.image && !isComposeConfig(baseConfig)
+    ? { ...imageConfig, image: options.image }
+    : restConfig
   const override = {
-    ...restConfig,
-    name: `${workspaceName} (port ${port})`,
-    workspaceFolder: `/workspaces/${workspaceName}`,
-    runArgs: [
-      ...removePortArgs(restConfig.runArgs),
-      '-p',
-      `${port}:${internalPort}`,
-    ],
+    ...containerConfig,
+    name: `${workspaceName} (port ${primaryPort})`,
+    ...(isComposeConfig(baseConfig)
+      ? await buildComposeOverride(workspace, portMap, baseConfig, options)
+      : {
+        workspaceFolder: `/workspaces/${workspaceName}`,
+        runArgs: [
+          ...removePortArgs(containerConfig.runArgs),
+          ...Object.entries(portMap).flatMap(([internal, external]) => [
+            '-p',
+            `${external}:${internal}`,
+          ]),
+        ],
+      }),
   }
 
   // Write override file
@@ -189,6 +405,32 @@ export async function generateOverrideConfig(workspace, port, repoName) {
   return overridePath
 }
 
+/**
+ * Build the compose-specific override fields
+ * 
+ * Keeps the original workspaceFolder (it's defined by the compose volume
+ * mount) and appends the generated compose override to dockerComposeFile.
+ * Compose file paths are made absolute since the override config lives
+ * outside the workspace.
+ * 
+ * @param {string} workspace - Workspace path
+ * @param {Object<string, number>} portMap - Map of internal port -> external port
+ * @param {object} baseConfig - Original devcontainer config
+ * @param {object} options - Options from generateOverrideConfig
+ * @returns {Promise<{dockerComposeFile: string[]}>}
+ */
+async function buildComposeOverride(workspace, portMap, baseConfig, options) {
+  const configDir = dirname(getDevcontainerJsonPath(workspace))
+  const composeOverride = await generateComposeOverride(
+    workspace, portMap, baseConfig, options.composeConfig || null,
+    { namespaceVolumes: options.namespaceVolumes },
+  )
+
+  return {
+    dockerComposeFile: [...getComposeFiles(baseConfig, configDir), composeOverride.path],
+  }
+}
+
 export async function checkCommand(command, platform = process.platform) {
   return new Promise(resolve => {
     const locator = platform === 'win32' ? 'where' : 'which'
@@ -213,18 +455,27 @@ async function detectComposePath(dockerPath) {
 
 
 /**
- * Load user configuration
+ * Read a JSON object from a file
  * 
- * @returns {Promise<object>} Merged user config with defaults
+ * @param {string} path - File path
+ * @returns {Promise<object>} Parsed object, or {} if missing or invalid
  */
-export async function loadUserConfig() {
-  let userConfig = {}
+async function readJsonObject(path) {
   try {
-    const content = await readFile(PATHS.configFile, 'utf-8')
-    userConfig = JSON.parse(content)
+    const value = JSON.parse(await readFile(path, 'utf-8'))
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : {}
   } catch {
-
+    return {}
   }
+}
+
+/**
+ * Load user configuration
+ * 
+ * @returns {Promise<object>} Merged user config with defaults
+ */
+export async function loadUserConfig() {
+  const userConfig = await readJsonObject(PATHS.configFile)
 
   const config = { ...DEFAULT_CONFIG, ...userConfig }
 
@@ -245,11 +496,166 @@ export async function loadUserConfig() {
   return config
 }
 
+/**
+ * Read a repo's settings file (.opencode/devcontainers.json)
+ * 
+ * @param {string} workspace - Workspace (or repo) root
+ * @returns {Promise<object>} Parsed settings, or {} if there are none
+ */
+export async function readRepoConfig(workspace) {
+  if (!workspace) return {}
+  return readJsonObject(join(workspace, REPO_CONFIG_FILE))
+}
+
+/**
+ * Keep the string entries of a pattern list
+ * 
+ * @param {unknown} list - Value from a config file
+ * @returns {string[]}
+ */
+function normalizePatternList(list) {
+  if (!Array.isArray(list)) return []
+  return list.filter(entry => typeof entry === 'string' && entry.trim() !== '')
+}
+
+/**
+ * Normalize the `copy.link` list of a repo config
+ * 
+ * @param {unknown} list - Paths or `{ path, mode }` objects
+ * @param {unknown} defaultMode - `copy.linkMode`
+ * @returns {Array<{path: string, mode: string}>} Paths without leading or trailing slashes, one entry per path
+ */
+function normalizeLinkList(list, defaultMode) {
+  if (!Array.isArray(list)) return []
+  const fallback = typeof defaultMode === 'string' && defaultMode ? defaultMode : 'auto'
+  const links = new Map()
+  for (const entry of list) {
+    const raw = typeof entry === 'string' ? entry : entry?.path
+    if (typeof raw !== 'string') continue
+    const path = raw.trim().replace(/^\/+|\/+$/g, '')
+    if (!path) continue
+    const mode = typeof entry?.mode === 'string' && entry.mode ? entry.mode : fallback
+    links.set(path, { path, mode })
+  }
+  return [...links.values()]
+}
+
+/**
+ * Load host command routing rules
+ * 
+ * Rules come from the `hostCommands` key of the repo's
+ * .opencode/devcontainers.json and of the user config. `allow` patterns run
+ * on the host, `deny` patterns never do. The user's rules come first, so a
+ * cloned repo can't override them (e.g. move a command the user denied
+ * back onto the host); repo rules apply to commands the user has no rule for.
+ * 
+ * @param {string} [workspace] - Workspace root (omit for user rules only)
+ * @returns {Promise<Array<{source: 'repo'|'user', path: string, allow: string[], deny: string[]}>>}
+ */
+export async function loadRoutingRules(workspace) {
+  const layers = []
+  const add = (source, path, config) => {
+    const rules = config.hostCommands || {}
+    const allow = normalizePatternList(rules.allow)
+    const deny = normalizePatternList(rules.deny)
+    if (allow.length > 0 || deny.length > 0) layers.push({ source, path, allow, deny })
+  }
+
+  add('user', PATHS.configFile, await readJsonObject(PATHS.configFile))
+  if (workspace) {
+    add('repo', join(workspace, REPO_CONFIG_FILE), await readRepoConfig(workspace))
+  }
+
+  return layers
+}
+
+/**
+ * Load the allowlist of host environment variables passed into containers
+ * 
+ * Combines `passEnv` from the user config with the repo's additions in
+ * .opencode/devcontainers.json. A cloned repo can't be trusted with globs
+ * (`*` would pass everything), so only its exact variable names count.
+ * 
+ * @param {string} [workspace] - Workspace root (omit for the user list only)
+ * @returns {Promise<string[]>} Variable names or `*` globs
+ */
+export async function loadPassEnv(workspace) {
+  const user = normalizePatternList((await readJsonObject(PATHS.configFile)).passEnv)
+  const repo = normalizePatternList((await readRepoConfig(workspace)).passEnv).filter(isValidEnvName)
+  return [...new Set([...user, ...repo])]
+}
+
+/**
+ * Load the rules for copying gitignored files into new workspaces
+ * 
+ * Rules come from the repo's .opencode-copy file (one glob per line,
+ * `!glob` to exclude, `#` comments) and the `copy` key of its
+ * .opencode/devcontainers.json (`{ "include": [...], "exclude": [...] }`).
+ * 
+ * The `copy` key can also list gitignored paths to link instead of copy
+ * (`"link": ["node_modules", { "path": "models", "mode": "symlink" }]`).
+ * Entries without a mode use `copy.linkMode`, which defaults to `auto`.
+ * 
+ * @param {string} repoRoot - Source repository root
+ * @returns {Promise<{include: string[], exclude: string[], link: Array<{path: string, mode: string}>, sources: string[]}>}
+ *   sources lists the files rules were read from
+ */
+export async function loadCopyRules(repoRoot) {
+  const include = []
+  const exclude = []
+  const link = []
+  const sources = []
+
+  const rulesPath = join(repoRoot, COPY_RULES_FILE)
+  try {
+    const lines = (await readFile(rulesPath, 'utf-8')).split('\n')
+    for (const line of lines.map(l => l.trim())) {
+      if (!line || line.startsWith('#')) continue
+      if (line.startsWith('!')) {
+        if (line.length > 1) exclude.push(line.slice(1))
+      } else {
+        include.push(line)
+      }
+    }
+    sources.push(rulesPath)
+  } catch {
+    // No rules file
+  }
+
+  const copy = (await readRepoConfig(repoRoot)).copy
+  if (copy && typeof copy === 'object') {
+    const configInclude = normalizePatternList(copy.include)
+    const configExclude = normalizePatternList(copy.exclude)
+    const configLink = normalizeLinkList(copy.link, copy.linkMode)
+    if (configInclude.length > 0 || configExclude.length > 0 || configLink.length > 0) {
+      include.push(...configInclude)
+      exclude.push(...configExclude)
+      link.push(...configLink)
+      sources.push(join(repoRoot, REPO_CONFIG_FILE))
+    }
+  }
+
+  return { include: [...new Set(include)], exclude: [...new Set(exclude)], link, sources }
+}
+
 export default {
+  REPO_CONFIG_FILE,
+  COPY_RULES_FILE,
   getOverridePath,
+  getExecConfigPath,
+  getDevcontainerJsonPath,
   readDevcontainerJson,
+  readOverrideConfig,
+  writeExecConfig,
+  getContainerWorkspaceFolder,
   detectInternalPort,
+  detectInternalPorts,
+  detectWorkspacePorts,
   generateOverrideConfig,
   loadUserConfig,
+  readRepoConfig,
+  loadRoutingRules,
+  loadPassEnv,
+  loadCopyRules,
   checkCommand,
 }
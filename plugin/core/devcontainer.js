@@ -4,57 +4,99 @@
  * High-level orchestration of devcontainer operations:
  * - up: Start a devcontainer with port allocation
  * - exec: Run commands inside a container
+ * - cancel: Abort a background container start
+ * - stop: Stop a container, keeping its clone, port and override config
  * - down: Stop a container and release port
  * - list: List running containers
  */
 
 import { spawn } from 'child_process'
-import { join, basename } from 'path'
-import { readdirSync, readFileSync, existsSync, unlinkSync } from 'fs'
+import { join, basename, resolve, posix } from 'path'
+import { existsSync } from 'fs'
 import { unlink } from 'fs/promises'
-import { PATHS, ensureDirs } from './paths.js'
-import { allocatePort, releasePort, readPorts, getContainerPort, updatePortAllocation } from './ports.js'
-import { generateOverrideConfig, getOverridePath, loadUserConfig } from './config.js'
-import { createClone, getClonePath, removeClone } from './clones.js'
-import { getCurrentBranch, getRepoRoot } from './git.js'
-import { startJob, updateJob, JOB_STATUS, removeJob } from './jobs.js'
+import { ensureDirs, toContainerPath } from './paths.js'
+import { allocatePort, releasePort, readPorts, getContainerPorts, updatePortAllocation } from './ports.js'
+import { 
+  generateOverrideConfig, getOverridePath, getExecConfigPath, writeExecConfig, loadUserConfig, 
+  detectWorkspacePorts, readOverrideConfig, getContainerWorkspaceFolder, loadPassEnv,
+} from './config.js'
+import { 
+  isComposeConfig, getComposeCommand, getComposeProjectName, getComposeOverridePath,
+  getComposeVersion, isComposeVersionSupported, hasOwnVolumes, MIN_COMPOSE_VERSION,
+} from './compose.js'
+import { createClone, getClonePath, removeClone, formatCopyReport } from './clones.js'
+import { getCurrentBranch, getRepoRoot, resolveBase } from './git.js'
+import { 
+  startJob, updateJob, getJob, readJobs, heartbeatJob, findOrphanedJobs, removeJob, createJobLog,
+  JOB_STATUS, JOB_HEARTBEAT_INTERVAL_MS,
+} from './jobs.js'
+import { createOutputBuffer, DEFAULT_MAX_OUTPUT_BYTES } from './output.js'
+import { withWorkdir, shellArgs } from './shell.js'
+import { selectPassthroughEnv, buildRemoteEnvArgs, redactValues } from './env.js'
+import { readSessions, forgetWorkspace, updateSession } from './sessions.js'
+import { forgetUsage } from './usage.js'
+import { readManifest, updateManifest, deleteManifest } from './manifest.js'
+import { resolveSharedImage, findImageUsers } from './images.js'
+
+/**
+ * Container state constants
+ */
+export const CONTAINER_STATE = {
+  RUNNING: 'running',
+  STOPPED: 'stopped',
+  NOT_FOUND: 'not found',
+}
+
+// Background starts running in this process: workspace -> {controller, done}
+const activeJobs = new Map()
 
 /**
  * Run a command and return a promise with the result
  * 
+ * Output is retained up to maxOutputBytes per stream; beyond that the middle
+ * is dropped (see createOutputBuffer). Use onOutput to receive every chunk
+ * as it arrives.
+ * 
  * @param {string} cmd - Command to run
  * @param {string[]} args - Arguments
  * @param {object} [options] - spawn options
  * @param {AbortSignal} [options.signal] - Abort signal for cancellation (Node.js 15.4+)
- * @returns {Promise<{stdout: string, stderr: string, exitCode: number, success: boolean}>}
+ * @param {(chunk: string, stream: 'stdout'|'stderr') => void} [options.onOutput] - Called for each output chunk
+ * @param {number} [options.maxOutputBytes] - Cap on retained output per stream
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number, success: boolean, truncatedBytes: number}>}
  */
 async function runCommand(cmd, args, options = {}) {
+  const { onOutput, maxOutputBytes = DEFAULT_MAX_OUTPUT_BYTES, ...spawnOptions } = options
+
   return new Promise((resolve, reject) => {
     const child = spawn(cmd, args, {
       stdio: ['ignore', 'pipe', 'pipe'],
       // Use SIGKILL for abort to ensure process termination even if SIGTERM is ignored
       // This is important for the devcontainer CLI which may spawn child processes
       killSignal: 'SIGKILL',
-      ...options,
+      ...spawnOptions,
     })
 
-    let stdout = ''
-    let stderr = ''
+    const stdout = createOutputBuffer(maxOutputBytes)
+    const stderr = createOutputBuffer(maxOutputBytes)
 
     child.stdout.on('data', data => {
-      stdout += data.toString()
+      stdout.append(data)
+      onOutput?.(data.toString(), 'stdout')
     })
 
     child.stderr.on('data', data => {
-      stderr += data.toString()
+      stderr.append(data)
+      onOutput?.(data.toString(), 'stderr')
     })
 
     child.on('close', exitCode => {
       resolve({
-        stdout: stdout.trim(),
-        stderr: stderr.trim(),
+        stdout: stdout.toString().trim(),
+        stderr: stderr.toString().trim(),
         exitCode,
         success: exitCode === 0,
+        truncatedBytes: stdout.truncatedBytes + stderr.truncatedBytes,
       })
     })
 
@@ -109,6 +151,34 @@ export function buildUpArgs(workspace, overridePath, options = {}) {
   return args
 }
 
+/**
+ * Build arguments for devcontainer build command (shared images)
+ * 
+ * @param {string} workspace - Workspace path
+ * @param {string} image - Tag of the image to build
+ * @param {object} [options]
+ * @param {string} [options.dockerPath] - Docker CLI path
+ * @param {string} [options.dockerComposePath] - Docker Compose CLI path
+ * @returns {string[]}
+ */
+export function buildImageArgs(workspace, image, options = {}) {
+  const args = [
+    'build',
+    '--workspace-folder', workspace,
+    '--image-name', image,
+  ]
+
+  if (options.dockerPath) {
+    args.push('--docker-path', options.dockerPath)
+  }
+
+  if (options.dockerComposePath) {
+    args.push('--docker-compose-path', options.dockerComposePath)
+  }
+
+  return args
+}
+
 /**
  * Build arguments for devcontainer exec command
  * 
@@ -118,6 +188,8 @@ export function buildUpArgs(workspace, overridePath, options = {}) {
  * @param {string} [options.overridePath] - Override config path
  * @param {string} [options.dockerPath] - Docker CLI path
  * @param {string} [options.dockerComposePath] - Docker Compose CLI path
+ * @param {string} [options.workdir] - Container directory to run in (defaults to workspaceFolder)
+ * @param {Object<string, string>} [options.remoteEnv] - Environment variables to set in the container
  * @returns {string[]}
  */
 export function buildExecArgs(workspace, command, options = {}) {
@@ -138,20 +210,68 @@ export function buildExecArgs(workspace, command, options = {}) {
     args.push('--docker-compose-path', options.dockerComposePath)
   }
 
-  // Use sh -c to properly handle commands with arguments, pipes, and redirects
-  args.push('--', 'sh', '-c', command)
+  args.push(...buildRemoteEnvArgs(options.remoteEnv))
+
+  // Run through bash (sh without it) so pipes, redirects and bash syntax work
+  args.push('--', ...shellArgs(withWorkdir(command, options.workdir)))
 
   return args
 }
 
+/**
+ * Get the ID of a local image
+ * 
+ * @param {string} image - Image tag or ID
+ * @param {string} [dockerPath] - Path/command for docker CLI (defaults to 'docker')
+ * @returns {Promise<string|null>} Image ID or null if there is no such image
+ */
+async function getImageId(image, dockerPath = 'docker') {
+  try {
+    const result = await runCommand(dockerPath, ['image', 'inspect', image, '--format', '{{.Id}}'])
+    return result.success && result.stdout ? result.stdout.trim() : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Build a shared image unless it already exists
+ * 
+ * @param {string} workspace - Workspace to build from
+ * @param {string} image - Shared image tag
+ * @param {object} config - User config
+ * @param {object} options - Options of up() (signal, onOutput)
+ * @returns {Promise<boolean>} True if an existing image is reused
+ * @throws {Error} If the build fails
+ */
+async function ensureSharedImage(workspace, image, config, options) {
+  if (await getImageId(image, config.dockerPath)) {
+    options.onOutput?.(`Reusing image ${image} (same .devcontainer inputs)\n`, 'stdout')
+    return true
+  }
+
+  const result = await runCommand('devcontainer', buildImageArgs(workspace, image, {
+    dockerPath: config.dockerPath,
+    dockerComposePath: config.dockerComposePath,
+  }), {
+    signal: options.signal,
+    onOutput: options.onOutput,
+  })
+  if (!result.success) {
+    throw new Error(`devcontainer build failed: ${result.stderr}`)
+  }
+  return false
+}
+
 /**
  * Start a devcontainer
  * 
  * Orchestrates:
  * 1. Create clone if branch specified
- * 2. Allocate port
- * 3. Generate override config
- * 4. Run devcontainer up
+ * 2. Allocate a port block (one host port per forwarded port)
+ * 3. Generate override config (plus a compose override for compose configs)
+ * 4. Build the shared image unless a workspace with the same inputs built it (see images.js)
+ * 5. Run devcontainer up
  * 
  * @param {string} workspaceOrBranch - Workspace path or branch name
  * @param {object} [options]
@@ -159,8 +279,14 @@ export function buildExecArgs(workspace, command, options = {}) {
  * @param {boolean} [options.noOpen] - Don't open VS Code
  * @param {boolean} [options.dryRun] - Return command without executing
  * @param {string} [options.cwd] - Working directory (for branch resolution)
+ * @param {string|object} [options.base] - For a new clone, start the branch from this ref, remote branch or pull request
+ *   (or a resolveBase result, see createClone)
+ * @param {string} [options.sessionID] - Session starting the container (recorded in a new clone's manifest)
  * @param {AbortSignal} [options.signal] - Abort signal for cancellation
- * @returns {Promise<{workspace: string, port: number, repo: string, branch: string}>}
+ * @param {(chunk: string, stream: 'stdout'|'stderr') => void} [options.onOutput] - Called as devcontainer up output arrives
+ * @returns {Promise<{workspace: string, port: number, ports: Object<string, number>, repo: string, branch: string, base?: string, copyReport?: object, image?: string, imageReused?: boolean}>}
+ *   copyReport (from copyGitignored) and base are set when a new clone was created;
+ *   image is the shared image the container started from, imageReused whether it was already built
  */
 export async function up(workspaceOrBranch, options = {}) {
   await ensureDirs()
@@ -168,6 +294,8 @@ export async function up(workspaceOrBranch, options = {}) {
   let workspace = workspaceOrBranch
   let repoName
   let branch
+  let base
+  let copyReport
 
   // Check if it's a branch name (not an absolute path)
   if (!workspaceOrBranch.startsWith('/')) {
@@ -182,15 +310,26 @@ export async function up(workspaceOrBranch, options = {}) {
     const cloneResult = await createClone({
       repoRoot,
       branch: workspaceOrBranch,
+      base: options.base,
+      sessionID: options.sessionID,
     })
 
     workspace = cloneResult.workspace
     repoName = cloneResult.repoName
     branch = cloneResult.branch
+    base = cloneResult.base
+    copyReport = cloneResult.copyReport
+    if (copyReport) {
+      options.onOutput?.(formatCopyReport(copyReport) + '\n', 'stdout')
+    }
+
+    // Cloning can't be interrupted - stop here if cancelled meanwhile
+    options.signal?.throwIfAborted()
   } else {
-    // It's a workspace path
-    repoName = basename(workspace)
-    branch = await getCurrentBranch(workspace) || 'unknown'
+    // It's a workspace path - a clone's manifest knows its repo and branch
+    const manifest = await readManifest(workspace)
+    repoName = manifest?.repo || basename(workspace)
+    branch = manifest?.branch || await getCurrentBranch(workspace) || 'unknown'
   }
 
   // Check for devcontainer.json
@@ -207,12 +346,48 @@ export async function up(workspaceOrBranch, options = {}) {
 
   const config = await loadUserConfig()
 
-  // Allocate port
-  const portAllocation = await allocatePort(workspace, repoName, branch)
+  // Allocate one host port per forwarded port
+  const { internalPorts, config: devcontainerConfig, composeConfig } = 
+    await detectWorkspacePorts(workspace, config)
+
+  // The compose override replaces ports with `!override`, which older compose ignores
+  if (isComposeConfig(devcontainerConfig)) {
+    const composeVersion = await getComposeVersion(getComposeCommand(config))
+    if (composeVersion && !isComposeVersionSupported(composeVersion)) {
+      throw new Error(`Docker Compose ${composeVersion} is too old for compose devcontainers: ` +
+        `remapping ports needs ${MIN_COMPOSE_VERSION} or newer`)
+    }
+  }
+
+  const portAllocation = await allocatePort(workspace, repoName, branch, internalPorts)
   const port = portAllocation.port
+  const portMap = portAllocation.portMap
+
+  // Clones with the same .devcontainer inputs start from one shared image
+  const sharedImage = config.shareImages !== false
+    ? await resolveSharedImage(workspace, repoName)
+    : null
 
   // Generate override config
-  const overridePath = await generateOverrideConfig(workspace, port, repoName)
+  const overridePath = await generateOverrideConfig(workspace, portMap, repoName, {
+    composeConfig,
+    namespaceVolumes: config.composeNamespaceVolumes,
+    image: sharedImage,
+  })
+
+  // Compose projects get a per-workspace name so branches don't collide
+  const composeProject = isComposeConfig(devcontainerConfig)
+    ? getComposeProjectName(workspace)
+    : null
+
+  if (!options.dryRun) {
+    await updateManifest(workspace, {
+      port,
+      override: overridePath,
+      composeOverride: composeProject ? getComposeOverridePath(workspace) : null,
+      image: sharedImage,
+    })
+  }
 
   // Build command args
   const args = buildUpArgs(workspace, overridePath, {
@@ -225,18 +400,27 @@ export async function up(workspaceOrBranch, options = {}) {
     return {
       workspace,
       port,
+      ports: portMap,
       repo: repoName,
       branch,
+      ...(composeProject ? { composeProject } : {}),
+      ...(sharedImage ? { image: sharedImage } : {}),
       dryRun: true,
       command: `devcontainer ${args.join(' ')}`,
     }
   }
 
-  // Run devcontainer up
+  // Build the shared image (if needed), then run devcontainer up
   let result
+  let imageReused = false
   try {
+    if (sharedImage) {
+      imageReused = await ensureSharedImage(workspace, sharedImage, config, options)
+    }
     result = await runCommand('devcontainer', args, {
       signal: options.signal,
+      onOutput: options.onOutput,
+      ...(composeProject ? { env: { ...process.env, COMPOSE_PROJECT_NAME: composeProject } } : {}),
     })
   } catch (err) {
     // Clean up port allocation on abort or error
@@ -250,27 +434,44 @@ export async function up(workspaceOrBranch, options = {}) {
     throw new Error(`devcontainer up failed: ${result.stderr}`)
   }
 
-  // Verify actual port after container starts
-  // The container may have started on a different port if there was a race condition
+  // Verify actual ports after container starts
+  // The container may have started on different ports if there was a race condition
   // or if an existing container was reused. Retry a few times as container may still
   // be registering with Docker immediately after devcontainer up returns.
   let actualPort = port
-  let containerPort = null
-  for (let i = 0; i < 3 && containerPort === null; i++) {
+  let actualPortMap = portMap
+  let containerPorts = null
+  for (let i = 0; i < 3 && containerPorts === null; i++) {
     if (i > 0) await new Promise(r => setTimeout(r, 500))
-    containerPort = await getContainerPort(workspace)
+    containerPorts = await getContainerPorts(workspace)
   }
-  if (containerPort !== null && containerPort !== port) {
-    // Container started on a different port - update our tracking
-    await updatePortAllocation(workspace, containerPort)
-    actualPort = containerPort
+  if (containerPorts !== null) {
+    const merged = { ...portMap }
+    for (const internal of Object.keys(portMap)) {
+      if (containerPorts[internal] !== undefined) merged[internal] = containerPorts[internal]
+    }
+    const primary = merged[internalPorts[0]] ?? port
+    const changed = primary !== port ||
+      Object.keys(merged).some(internal => merged[internal] !== portMap[internal])
+    if (changed) {
+      // Container started on different ports - update our tracking
+      await updatePortAllocation(workspace, primary, merged)
+      await updateManifest(workspace, { port: primary })
+      actualPort = primary
+      actualPortMap = merged
+    }
   }
 
   return {
     workspace,
     port: actualPort,
+    ports: actualPortMap,
     repo: repoName,
     branch,
+    ...(composeProject ? { composeProject } : {}),
+    ...(sharedImage ? { image: sharedImage, imageReused } : {}),
+    ...(base ? { base } : {}),
+    ...(copyReport ? { copyReport } : {}),
     stdout: result.stdout,
   }
 }
@@ -287,7 +488,11 @@ export async function up(workspaceOrBranch, options = {}) {
  * @param {object} [options]
  * @param {boolean} [options.removeExisting] - Remove existing container
  * @param {string} [options.cwd] - Working directory (for branch resolution)
+ * @param {string|object} [options.base] - For a new clone, start the branch from this ref, remote branch or pull request
+ *   (or a resolveBase result, see createClone)
+ * @param {string} [options.sessionID] - Session starting the container (recorded in a new clone's manifest)
  * @returns {Promise<{workspace: string, repo: string, branch: string}>}
+ * @throws {Error} If the repo, devcontainer.json or base can't be resolved
  */
 export async function upBackground(workspaceOrBranch, options = {}) {
   await ensureDirs()
@@ -319,12 +524,19 @@ export async function upBackground(workspaceOrBranch, options = {}) {
       // Clone doesn't exist yet - will be created in background
       // For now, use the expected path
       workspace = clonePath
+
+      // Resolve the base now, as createClone would, so a typo fails here
+      // instead of in the job
+      if (typeof options.base === 'string') {
+        options = { ...options, base: await resolveBase(repoRoot, options.base, branch) }
+      }
     }
   } else {
     // It's a workspace path
     workspace = workspaceOrBranch
-    repoName = basename(workspace)
-    branch = await getCurrentBranch(workspace) || 'unknown'
+    const manifest = await readManifest(workspace)
+    repoName = manifest?.repo || basename(workspace)
+    branch = manifest?.branch || await getCurrentBranch(workspace) || 'unknown'
   }
 
   // Validate devcontainer.json exists (quick check)
@@ -364,29 +576,182 @@ export async function upBackground(workspaceOrBranch, options = {}) {
  * @param {object} options - Options to pass to up()
  */
 function runUpInBackground(workspaceOrBranch, workspace, options) {
+  const controller = new AbortController()
+
+  // Show other processes this job still has an owner
+  const heartbeat = setInterval(() => {
+    heartbeatJob(workspace).catch(() => {})
+  }, JOB_HEARTBEAT_INTERVAL_MS)
+  heartbeat.unref()
+
   // Run async but don't await - this is intentionally fire-and-forget
-  (async () => {
+  const done = (async () => {
+    let log
     try {
+      // Capture devcontainer up output so status can show progress
+      log = await createJobLog(workspace)
+      
       // Update status to running
-      await updateJob(workspace, JOB_STATUS.RUNNING)
+      await updateJob(workspace, JOB_STATUS.RUNNING, { logPath: log.path })
       
       // Run the actual up operation
       const result = await up(workspaceOrBranch, {
         ...options,
         noOpen: true,
+        signal: controller.signal,
+        onOutput: chunk => log.write(chunk),
       })
       
       // Update job to completed with port info
+      await log.flush()
       await updateJob(workspace, JOB_STATUS.COMPLETED, {
         port: result.port,
+        ports: result.ports,
+        ...(result.copyReport ? { copyReport: result.copyReport } : {}),
       })
     } catch (err) {
+      await log?.flush()
+      if (controller.signal.aborted) {
+        // up() releases ports it allocated; this covers aborts before allocation
+        await releasePort(workspace)
+        await updateJob(workspace, JOB_STATUS.CANCELLED)
+        return
+      }
       // Update job to failed with error message
       await updateJob(workspace, JOB_STATUS.FAILED, {
         error: err.message,
       })
+    } finally {
+      clearInterval(heartbeat)
+      // A newer start for the same workspace may have replaced this entry
+      if (activeJobs.get(workspace)?.controller === controller) {
+        activeJobs.delete(workspace)
+      }
     }
   })()
+
+  activeJobs.set(workspace, { controller, done })
+}
+
+/**
+ * Cancel a background container start
+ * 
+ * Aborts the running `devcontainer up` (or stops it before it begins if
+ * the clone is still being created), marks the job as cancelled and
+ * releases the port. The clone is kept so the start can be retried.
+ * 
+ * Only jobs started by this process can be cancelled.
+ * 
+ * @param {string} workspace - Workspace path
+ * @returns {Promise<{workspace: string, cancelled: boolean}>}
+ */
+export async function cancel(workspace) {
+  const active = activeJobs.get(workspace)
+  if (!active) {
+    return { workspace, cancelled: false }
+  }
+
+  active.controller.abort()
+  await active.done
+
+  // The start may have finished before the abort landed
+  const job = await getJob(workspace)
+  return { workspace, cancelled: job?.status === JOB_STATUS.CANCELLED }
+}
+
+/**
+ * Find a background start of a clone that doesn't exist yet
+ * 
+ * upBackground records the job under the clone's expected path before the
+ * clone is created, so a branch without a workspace may still be starting.
+ * 
+ * @param {string} branchArg - `branch` or `repo/branch`
+ * @returns {Promise<{workspace: string, repoName: string, branch: string}|{ambiguous: true, matches: object[]}|null>}
+ */
+export async function findStartingClone(branchArg) {
+  const matches = Object.entries(await readJobs())
+    .filter(([workspace, job]) =>
+      (job.status === JOB_STATUS.PENDING || job.status === JOB_STATUS.RUNNING) &&
+      job.repo && job.branch && workspace === getClonePath(job.repo, job.branch) &&
+      (branchArg === job.branch || branchArg === `${job.repo}/${job.branch}`)
+    )
+    .map(([workspace, job]) => ({ workspace, repoName: job.repo, branch: job.branch }))
+
+  if (matches.length > 1) return { ambiguous: true, matches }
+  return matches[0] || null
+}
+
+/**
+ * Reconcile background jobs left behind by a process that exited
+ * 
+ * Orphaned pending/running jobs are resolved against the container state:
+ * a running container completes the job, anything else fails it. Ports of
+ * workspaces without any container are released, as a failed up() would.
+ * 
+ * @param {object} [options] - Options passed to findOrphanedJobs
+ * @returns {Promise<Array<{workspace: string, status: string, state: string}>>} Reconciled jobs
+ */
+export async function reconcileJobs(options = {}) {
+  const orphans = await findOrphanedJobs(options)
+  const reconciled = []
+
+  for (const job of orphans) {
+    const { workspace } = job
+    const state = await getContainerState(workspace)
+
+    if (state === CONTAINER_STATE.RUNNING) {
+      const allocation = (await readPorts())[workspace]
+      await updateJob(workspace, JOB_STATUS.COMPLETED, {
+        ...(allocation ? { port: allocation.port, ports: allocation.portMap } : {}),
+      })
+      reconciled.push({ workspace, status: JOB_STATUS.COMPLETED, state })
+      continue
+    }
+
+    if (state === CONTAINER_STATE.NOT_FOUND) {
+      await releasePort(workspace)
+    }
+    await updateJob(workspace, JOB_STATUS.FAILED, {
+      error: `Container start was interrupted: the process running it (PID ${job.pid ?? 'unknown'}) exited.`,
+    })
+    reconciled.push({ workspace, status: JOB_STATUS.FAILED, state })
+  }
+
+  return reconciled
+}
+
+/**
+ * Resolve the container directory for a working directory
+ * 
+ * Host paths inside the workspace map to the same path under the
+ * container's workspaceFolder. Paths already under workspaceFolder are
+ * used as-is.
+ * 
+ * @param {string} workspace - Workspace path
+ * @param {string} [workdir] - Host or container directory
+ * @returns {Promise<string|null>} Container directory, or null for the workspace root
+ *   (devcontainer exec already starts there)
+ * @throws {Error} If workdir can't be mapped into the container
+ */
+export async function resolveContainerWorkdir(workspace, workdir) {
+  if (!workdir || resolve(workspace, workdir) === resolve(workspace)) return null
+
+  const folder = await getContainerWorkspaceFolder(workspace)
+  if (!folder) {
+    throw new Error(
+      `Cannot map ${workdir} into the container: workspaceFolder is not set in devcontainer.json`
+    )
+  }
+
+  const mapped = toContainerPath(resolve(workspace, workdir), workspace, folder)
+  if (mapped) return mapped
+
+  const normalized = posix.normalize(workdir)
+  if (normalized === folder || normalized.startsWith(folder.replace(/\/+$/, '') + '/')) {
+    return normalized
+  }
+
+  throw new Error(`Working directory ${workdir} is outside workspace ${workspace}`)
 }
 
 /**
@@ -395,17 +760,36 @@ function runUpInBackground(workspaceOrBranch, workspace, options) {
  * @param {string} workspace - Workspace path
  * @param {string} command - Command to execute
  * @param {object} [options]
+ * @param {string} [options.workdir] - Host directory inside the workspace (or container directory) to run in
+ * @param {Object<string, string>} [options.env] - Extra environment variables, on top of the
+ *   host variables allowed by passEnv
  * @param {AbortSignal} [options.signal] - Abort signal for cancellation
  * @param {number} [options.timeout] - Timeout in milliseconds (optional safety net)
- * @returns {Promise<{stdout: string, stderr: string, exitCode: number}>}
+ * @param {(chunk: string, stream: 'stdout'|'stderr') => void} [options.onOutput] - Called as output arrives
+ * @param {number} [options.maxOutputBytes] - Cap on retained output per stream (defaults to config.maxOutputBytes)
+ * @returns {Promise<{stdout: string, stderr: string, exitCode: number, truncatedBytes: number}>}
  */
 export async function exec(workspace, command, options = {}) {
   const config = await loadUserConfig()
   const overridePath = getOverridePath(workspace)
   const hasOverride = existsSync(overridePath)
 
+  const workdir = await resolveContainerWorkdir(workspace, options.workdir)
+
+  // Host values are secrets as far as output is concerned; explicit ones are not
+  const passthrough = selectPassthroughEnv(await loadPassEnv(workspace))
+  const explicit = options.env || {}
+  const passed = Object.keys(passthrough).filter(name => !(name in explicit))
+  const secrets = passed.map(name => passthrough[name])
+
+  // Host values reach the container through the exec config, which the CLI
+  // fills in from the environment it inherits, so they stay out of its argv
+  const execConfigPath = passed.length > 0 ? await writeExecConfig(workspace, passed) : null
+
   const args = buildExecArgs(workspace, command, {
-    overridePath: hasOverride ? overridePath : undefined,
+    workdir: workdir ?? undefined,
+    remoteEnv: explicit,
+    overridePath: execConfigPath ?? (hasOverride ? overridePath : undefined),
     dockerPath: config.dockerPath,
     dockerComposePath: config.dockerComposePath,
   })
@@ -413,12 +797,15 @@ export async function exec(workspace, command, options = {}) {
   const result = await runCommand('devcontainer', args, {
     signal: options.signal,
     timeout: options.timeout,
+    onOutput: options.onOutput && ((chunk, stream) => options.onOutput(redactValues(chunk, secrets), stream)),
+    maxOutputBytes: options.maxOutputBytes ?? config.maxOutputBytes,
   })
 
   return {
-    stdout: result.stdout,
-    stderr: result.stderr,
+    stdout: redactValues(result.stdout, secrets),
+    stderr: redactValues(result.stderr, secrets),
     exitCode: result.exitCode,
+    truncatedBytes: result.truncatedBytes,
   }
 }
 
@@ -449,32 +836,25 @@ async function findContainerId(workspace, dockerPath = 'docker') {
 /**
  * Clean up session files that reference a workspace
  * 
- * Scans the sessions directory and deletes any session files
- * whose workspace field matches the given workspace.
+ * Sessions targeting the workspace lose their target, and the workspace is
+ * dropped from every session's history. Session files left with nothing
+ * are deleted. Each file is updated through updateSession, so this takes
+ * the session's lock and notifies session change listeners.
  * 
  * @param {string} workspace - Workspace path to match
- * @returns {number} Number of session files cleaned up
+ * @returns {number} Number of sessions that were targeting the workspace
  */
-function cleanupWorkspaceSessions(workspace) {
-  const sessionsDir = PATHS.sessions
-  if (!existsSync(sessionsDir)) return 0
-
+export function cleanupWorkspaceSessions(workspace) {
   let cleaned = 0
-  const files = readdirSync(sessionsDir)
 
-  for (const file of files) {
-    if (!file.endsWith('.json')) continue
-    const filePath = join(sessionsDir, file)
-    try {
-      const content = readFileSync(filePath, 'utf-8')
-      const session = JSON.parse(content)
-      if (session.workspace === workspace) {
-        unlinkSync(filePath)
-        cleaned++
-      }
-    } catch {
-      // Skip unreadable files or invalid JSON
-    }
+  for (const { sessionID } of readSessions()) {
+    // Re-read under the lock: the session may have changed since readSessions
+    updateSession(sessionID, current => {
+      if (!current) return current
+      const next = forgetWorkspace(current, workspace)
+      if (next !== current && current.workspace === workspace) cleaned++
+      return next
+    })
   }
 
   return cleaned
@@ -484,31 +864,44 @@ function cleanupWorkspaceSessions(workspace) {
  * Remove a devcontainer completely
  * 
  * Orchestrates full cleanup:
+ * 0. Tear down the compose project (compose-based configs only)
  * 1. Find Docker container
  * 2. Stop Docker container
  * 3. Get image reference
  * 4. Remove Docker container
- * 5. Remove Docker image
+ * 5. Remove Docker image, and the shared image once no other workspace uses it
  * 6. Release port allocation
  * 7. Remove job entry
- * 8. Delete override config
+ * 8. Delete override config (and compose override)
  * 9. Delete clone folder
- * 10. Clean up session files
+ * 10. Clean up session files, usage records and the manifest
+ * 
+ * Repo, branch and override paths come from the workspace's manifest when
+ * it has one.
  * 
  * @param {string} workspace - Absolute path to workspace
- * @param {string} repo - Repository name
- * @param {string} branch - Branch name
- * @returns {Promise<{workspace: string, repo: string, branch: string, containerFound: boolean, containerStopped: boolean, containerRemoved: boolean, imageRemoved: boolean, portReleased: boolean, jobRemoved: boolean, overrideDeleted: boolean, cloneDeleted: boolean, sessionsCleaned: number, errors: string[]}>}
+ * @param {string} repo - Repository name (if there is no manifest)
+ * @param {string} branch - Branch name (if there is no manifest)
+ * @returns {Promise<{workspace: string, repo: string, branch: string, composeRemoved: boolean, containerFound: boolean, containerStopped: boolean, containerRemoved: boolean, imageRemoved: boolean, imageSharedWith: number, portReleased: boolean, jobRemoved: boolean, overrideDeleted: boolean, cloneDeleted: boolean, sessionsCleaned: number, errors: string[]}>}
+ *   imageSharedWith counts the other workspaces still using the shared image (which is kept then)
  */
 export async function remove(workspace, repo, branch) {
+  const manifest = await readManifest(workspace)
+  if (manifest) {
+    repo = manifest.repo
+    branch = manifest.branch
+  }
+
   const summary = {
     workspace,
     repo,
     branch,
+    composeRemoved: false,
     containerFound: false,
     containerStopped: false,
     containerRemoved: false,
     imageRemoved: false,
+    imageSharedWith: 0,
     portReleased: false,
     jobRemoved: false,
     overrideDeleted: false,
@@ -520,6 +913,31 @@ export async function remove(workspace, repo, branch) {
   const config = await loadUserConfig()
   const dockerPath = config.dockerPath || 'docker'
 
+  // 0. Tear down compose project (service containers, networks, built images)
+  const override = await readOverrideConfig(workspace)
+  if (isComposeConfig(override)) {
+    try {
+      // Volumes with an explicit name are shared by all clones of the repo
+      // unless namespaced, so only remove volumes that are this project's own
+      const { composeConfig } = await detectWorkspacePorts(workspace, config).catch(() => ({ composeConfig: null }))
+      const ownVolumes = hasOwnVolumes(composeConfig, { namespaceVolumes: config.composeNamespaceVolumes })
+      const [cmd, ...prefix] = getComposeCommand(config)
+      const result = await runCommand(cmd, [
+        ...prefix,
+        '-p', getComposeProjectName(workspace),
+        'down', ...(ownVolumes ? ['--volumes'] : []), '--rmi', 'local', '--remove-orphans',
+      ])
+      summary.composeRemoved = result.success
+      if (!result.success) {
+        summary.errors.push(`Failed to remove compose project: ${result.stderr}`)
+      }
+    } catch (err) {
+      summary.errors.push(`Failed to remove compose project: ${err.message}`)
+    }
+  }
+
+  const sharedImageId = manifest?.image ? await getImageId(manifest.image, dockerPath) : null
+
   // 1. Find Docker container
   const containerId = await findContainerId(workspace, dockerPath)
   if (containerId) {
@@ -555,8 +973,8 @@ export async function remove(workspace, repo, branch) {
       summary.errors.push(`Failed to remove container: ${err.message}`)
     }
 
-    // 5. Remove image (after container is removed)
-    if (imageRef) {
+    // 5. Remove image (after container is removed); the shared image is handled below
+    if (imageRef && imageRef !== sharedImageId) {
       try {
         await runCommand(dockerPath, ['rmi', imageRef])
         summary.imageRemoved = true
@@ -566,6 +984,21 @@ export async function remove(workspace, repo, branch) {
     }
   }
 
+  // 5b. Remove the shared image unless another workspace still uses it
+  if (sharedImageId) {
+    const users = await findImageUsers(manifest.image, { exclude: workspace })
+    if (users.length > 0) {
+      summary.imageSharedWith = users.length
+    } else {
+      try {
+        const result = await runCommand(dockerPath, ['rmi', manifest.image])
+        summary.imageRemoved = result.success
+      } catch {
+        // Image may be in use by containers created outside the plugin
+      }
+    }
+  }
+
   // 6. Release port
   try {
     await releasePort(workspace)
@@ -583,11 +1016,18 @@ export async function remove(workspace, repo, branch) {
 
   // 8. Delete override config
   try {
-    const overridePath = getOverridePath(workspace)
+    const overridePath = manifest?.override || getOverridePath(workspace)
     if (existsSync(overridePath)) {
       await unlink(overridePath)
       summary.overrideDeleted = true
     }
+    const composeOverridePath = manifest?.composeOverride || getComposeOverridePath(workspace)
+    if (existsSync(composeOverridePath)) {
+      await unlink(composeOverridePath)
+    }
+    if (existsSync(getExecConfigPath(workspace))) {
+      await unlink(getExecConfigPath(workspace))
+    }
   } catch (err) {
     summary.errors.push(`Failed to delete override: ${err.message}`)
   }
@@ -599,9 +1039,11 @@ export async function remove(workspace, repo, branch) {
     summary.errors.push(`Failed to remove clone: ${err.message}`)
   }
 
-  // 10. Clean up session files
+  // 10. Clean up session files and usage records
   try {
     summary.sessionsCleaned = cleanupWorkspaceSessions(workspace)
+    await forgetUsage(workspace)
+    await deleteManifest(workspace)
   } catch (err) {
     summary.errors.push(`Failed to clean sessions: ${err.message}`)
   }
@@ -609,6 +1051,84 @@ export async function remove(workspace, repo, branch) {
   return summary
 }
 
+/**
+ * Get the state of the container for a workspace
+ * 
+ * Stopped containers (exited, created, paused) are distinguished from
+ * workspaces that never had a container or whose container was removed.
+ * 
+ * @param {string} workspace - Workspace path
+ * @returns {Promise<string>} One of CONTAINER_STATE
+ */
+export async function getContainerState(workspace) {
+  try {
+    const config = await loadUserConfig()
+    const dockerPath = config.dockerPath || 'docker'
+    const result = await runCommand(dockerPath, [
+      'ps', '-a',
+      '--filter', `label=devcontainer.local_folder=${workspace}`,
+      '--format', '{{.State}}',
+    ])
+
+    if (!result.success || !result.stdout) {
+      return CONTAINER_STATE.NOT_FOUND
+    }
+
+    const states = result.stdout.split('\n').map(s => s.trim().toLowerCase())
+    return states.includes('running') ? CONTAINER_STATE.RUNNING : CONTAINER_STATE.STOPPED
+  } catch {
+    return CONTAINER_STATE.NOT_FOUND
+  }
+}
+
+/**
+ * Stop a devcontainer without removing anything
+ * 
+ * Keeps the clone, port allocation and override config so the container
+ * can be brought back later with up() on the same ports. For compose-based
+ * configs, every service in the workspace's compose project is stopped.
+ * 
+ * @param {string} workspace - Workspace path
+ * @returns {Promise<{workspace: string, containerFound: boolean, containerStopped: boolean, errors: string[]}>}
+ */
+export async function stop(workspace) {
+  const summary = {
+    workspace,
+    containerFound: false,
+    containerStopped: false,
+    errors: [],
+  }
+
+  const config = await loadUserConfig()
+  const dockerPath = config.dockerPath || 'docker'
+
+  const containerId = await findContainerId(workspace, dockerPath)
+  if (!containerId) {
+    return summary
+  }
+  summary.containerFound = true
+
+  try {
+    const override = await readOverrideConfig(workspace)
+    let result
+    if (isComposeConfig(override)) {
+      const [cmd, ...prefix] = getComposeCommand(config)
+      result = await runCommand(cmd, [...prefix, '-p', getComposeProjectName(workspace), 'stop'])
+    } else {
+      result = await runCommand(dockerPath, ['stop', containerId])
+    }
+
+    summary.containerStopped = result.success
+    if (!result.success) {
+      summary.errors.push(`Failed to stop container: ${result.stderr}`)
+    }
+  } catch (err) {
+    summary.errors.push(`Failed to stop container: ${err.message}`)
+  }
+
+  return summary
+}
+
 /**
  * Stop a devcontainer and release its port
  * 
@@ -630,42 +1150,65 @@ export async function down(workspace) {
  * List all port allocations with live container status
  * 
  * Returns port allocations with additional status information:
- * - status: 'up' if container is running on the recorded port, 'down' if not running,
- *           'mismatch' if container is running but on a different port
- * - actualPort: the actual port the container is running on (if running)
+ * - status: 'up' if container is running on the recorded ports, 'down' if not running,
+ *           'mismatch' if container is running but on different ports
+ * - ports: the internal -> host port map for every forwarded port
+ * - actualPort / actualPorts: the actual ports the container is running on (if mismatched)
  * 
  * @param {object} [options]
  * @param {boolean} [options.sync] - If true, auto-sync ports.json when mismatch detected (default: false)
- * @returns {Promise<Array<{workspace: string, port: number, repo: string, branch: string, started: string, status: string, actualPort?: number}>>}
+ * @returns {Promise<Array<{workspace: string, port: number, ports: Object<string, number>, repo: string, branch: string, started: string, status: string, actualPort?: number, actualPorts?: Object<string, number>}>>}
  */
 export async function list(options = {}) {
   const ports = await readPorts()
   
   const results = await Promise.all(
     Object.entries(ports).map(async ([workspace, data]) => {
-      const actualPort = await getContainerPort(workspace)
+      const recordedPorts = data.portMap && Object.keys(data.portMap).length > 0
+        ? data.portMap
+        : null
+      const containerPorts = await getContainerPorts(workspace)
       let status = 'down'
+      let actualPort = null
+      let actualPorts = null
       
-      if (actualPort !== null) {
-        if (actualPort === data.port) {
+      if (containerPorts !== null) {
+        if (recordedPorts) {
+          actualPorts = { ...recordedPorts }
+          for (const internal of Object.keys(recordedPorts)) {
+            if (containerPorts[internal] !== undefined) actualPorts[internal] = containerPorts[internal]
+          }
+          const primaryInternal = Object.keys(recordedPorts).find(i => recordedPorts[i] === data.port)
+          actualPort = primaryInternal !== undefined ? actualPorts[primaryInternal] : data.port
+        } else {
+          actualPort = Object.values(containerPorts)[0]
+        }
+        
+        const mismatched = actualPort !== data.port ||
+          (recordedPorts && Object.keys(recordedPorts).some(i => actualPorts[i] !== recordedPorts[i]))
+        
+        if (!mismatched) {
           status = 'up'
         } else {
           status = 'mismatch'
           // Auto-sync if requested
           if (options.sync) {
-            await updatePortAllocation(workspace, actualPort)
+            await updatePortAllocation(workspace, actualPort, actualPorts || undefined)
           }
         }
       }
       
+      const synced = options.sync && status === 'mismatch'
       return {
         workspace,
-        port: options.sync && actualPort !== null ? actualPort : data.port,
+        port: synced ? actualPort : data.port,
+        ports: (synced && actualPorts) || recordedPorts || {},
         repo: data.repo,
         branch: data.branch,
         started: data.started,
         status,
         ...(actualPort !== null && actualPort !== data.port ? { actualPort } : {}),
+        ...(status === 'mismatch' && actualPorts ? { actualPorts } : {}),
       }
     })
   )
@@ -705,13 +1248,22 @@ export { runCommand }
 export default {
   checkDevcontainerCli,
   buildUpArgs,
+  buildImageArgs,
   buildExecArgs,
+  resolveContainerWorkdir,
   up,
   upBackground,
+  cancel,
+  reconcileJobs,
+  findStartingClone,
   exec,
   down,
+  stop,
   list,
   isContainerRunning,
+  getContainerState,
   remove,
+  cleanupWorkspaceSessions,
   runCommand,
+  CONTAINER_STATE,
 }
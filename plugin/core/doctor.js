@@ -0,0 +1,341 @@
+/**
+ * Workspace consistency checks for opencode-devcontainers
+ *
+ * A workspace's state is spread over several stores: ports.json, jobs.json,
+ * override files, manifests, session files, `git worktree list` of its main
+ * repo, Docker containers labeled with `devcontainer.local_folder` and
+ * shared images (see images.js).
+ * Removing a workspace cleans all of them, but a folder deleted by hand, a
+ * crash or an older version leaves entries behind. diagnoseWorkspaces
+ * cross-checks the stores and reports each orphan as an issue that
+ * repairIssue can fix.
+ */
+
+import { join, relative, isAbsolute, sep } from 'path'
+import { readdir, unlink } from 'fs/promises'
+import { existsSync } from 'fs'
+import { PATHS, pathId } from './paths.js'
+import { readPorts, releasePort } from './ports.js'
+import { readJobs, removeJob, isJobOrphaned, JOB_STATUS } from './jobs.js'
+import { loadUserConfig } from './config.js'
+import { listManifests, deleteManifest } from './manifest.js'
+import { listClones } from './clones.js'
+import { listWorktreeWorkspaces } from './worktree.js'
+import { getWorktreeMainRepo, listWorktrees, pruneWorktrees } from './git.js'
+import { readSessions } from './sessions.js'
+import { runCommand, cleanupWorkspaceSessions } from './devcontainer.js'
+import { migrateManifests } from './workspaces.js'
+import { SHARED_IMAGE_PREFIX, findImageUsers } from './images.js'
+
+/**
+ * Kinds of issues found by diagnoseWorkspaces
+ */
+export const ISSUE_KIND = {
+  PORT: 'port',                         // Port allocation for a missing workspace
+  JOB: 'job',                           // Job entry for a missing workspace
+  OVERRIDE: 'override',                 // Override file of no known workspace
+  MANIFEST: 'manifest',                 // Manifest of a missing workspace
+  MISSING_MANIFEST: 'missing-manifest', // Workspace without a manifest
+  SESSION: 'session',                   // Sessions referencing a missing workspace
+  WORKTREE: 'worktree',                 // Prunable git worktree entries
+  CONTAINER: 'container',               // Container of a deleted folder
+  IMAGE: 'image',                       // Shared image no workspace uses
+}
+
+/**
+ * Build an issue with an ID that stays the same between runs
+ */
+function makeIssue(kind, key, description, repair, data = {}) {
+  return { id: `${kind}-${pathId(`${kind}:${key}`).slice(0, 6)}`, kind, description, repair, ...data }
+}
+
+/**
+ * Check whether a pending or running job still has an owner
+ *
+ * Its clone may not exist yet, so its entries aren't orphans.
+ */
+function isJobActive(job) {
+  return Boolean(job) &&
+    (job.status === JOB_STATUS.PENDING || job.status === JOB_STATUS.RUNNING) &&
+    !isJobOrphaned(job)
+}
+
+/**
+ * Describe a workspace by repo/branch when known
+ */
+function label(workspace, entry) {
+  return entry?.repo && entry?.branch ? `${entry.repo}/${entry.branch} (${workspace})` : workspace
+}
+
+/**
+ * Check whether a path lies inside a directory
+ */
+function isInside(dir, path) {
+  const rel = relative(dir, path)
+  return rel !== '' && rel !== '..' && !rel.startsWith('..' + sep) && !isAbsolute(rel)
+}
+
+/**
+ * List the paths of a repo's worktrees whose directory is gone
+ */
+async function listPrunableWorktrees(mainRepo) {
+  return (await listWorktrees(mainRepo))
+    .filter(wt => !wt.isMain && (wt.prunable || !existsSync(wt.path)))
+    .map(wt => wt.path)
+}
+
+/**
+ * List containers created by the devcontainer CLI
+ *
+ * @returns {Promise<Array<{id: string, folder: string, name: string, state: string}>|null>} null if Docker isn't available
+ */
+async function listDevcontainerContainers() {
+  try {
+    const config = await loadUserConfig()
+    const result = await runCommand(config.dockerPath || 'docker', [
+      'ps', '-a',
+      '--filter', 'label=devcontainer.local_folder',
+      '--format', '{{.ID}}\t{{.Label "devcontainer.local_folder"}}\t{{.Names}}\t{{.State}}',
+    ])
+    if (!result.success) return null
+    return result.stdout.split('\n').filter(Boolean).map(line => {
+      const [id, folder, name, state] = line.split('\t')
+      return { id, folder, name, state }
+    })
+  } catch {
+    return null
+  }
+}
+
+/**
+ * List shared images built for workspaces
+ *
+ * @returns {Promise<string[]|null>} Image tags, null if Docker isn't available
+ */
+async function listSharedImages() {
+  try {
+    const config = await loadUserConfig()
+    const result = await runCommand(config.dockerPath || 'docker', [
+      'images',
+      '--filter', `reference=${SHARED_IMAGE_PREFIX}*`,
+      '--format', '{{.Repository}}:{{.Tag}}',
+    ])
+    if (!result.success) return null
+    return result.stdout.split('\n').filter(image => image.startsWith(SHARED_IMAGE_PREFIX))
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Cross-check the workspace stores and find orphaned entries
+ *
+ * Entries of a workspace whose container is still being started (its clone
+ * may not exist yet) are never reported, nor are containers of folders
+ * outside the clones and worktrees directories that no store knows.
+ *
+ * @returns {Promise<{issues: Array<{id: string, kind: string, description: string, repair: string}>, notes: string[]}>}
+ *   notes mention checks that couldn't run (e.g. Docker not available)
+ */
+export async function diagnoseWorkspaces() {
+  const issues = []
+  const notes = []
+  const [ports, jobs, manifests] = await Promise.all([readPorts(), readJobs(), listManifests()])
+  const missing = workspace => !existsSync(workspace) && !isJobActive(jobs[workspace])
+
+  // Port allocations and jobs of missing workspaces
+  for (const [workspace, data] of Object.entries(ports)) {
+    if (!missing(workspace)) continue
+    issues.push(makeIssue(ISSUE_KIND.PORT, workspace,
+      `Port ${data.port} is allocated to missing workspace ${label(workspace, data)}`,
+      'release the port', { workspace }))
+  }
+  for (const [workspace, job] of Object.entries(jobs)) {
+    if (!missing(workspace)) continue
+    issues.push(makeIssue(ISSUE_KIND.JOB, workspace,
+      `Job (${job.status}) for missing workspace ${label(workspace, job)}`,
+      'remove the job and its log', { workspace }))
+  }
+
+  // Manifests of missing workspaces, and workspaces without one
+  for (const manifest of manifests) {
+    if (!missing(manifest.workspace)) continue
+    issues.push(makeIssue(ISSUE_KIND.MANIFEST, manifest.workspace,
+      `Manifest of missing ${manifest.type} ${label(manifest.workspace, manifest)}`,
+      'delete the manifest', { workspace: manifest.workspace }))
+  }
+  const withManifest = new Set(manifests.map(m => m.workspace))
+  const found = [
+    ...(await listClones()).map(ws => ({ ...ws, type: 'clone' })),
+    ...(await listWorktreeWorkspaces()).map(ws => ({ ...ws, type: 'worktree' })),
+  ]
+  for (const ws of found) {
+    if (withManifest.has(ws.workspace)) continue
+    issues.push(makeIssue(ISSUE_KIND.MISSING_MANIFEST, ws.workspace,
+      `${ws.type === 'clone' ? 'Clone' : 'Worktree'} ${label(ws.workspace, ws)} has no manifest`,
+      'create it from the directory layout and git', { workspace: ws.workspace }))
+  }
+
+  // Override files of no known workspace (named after the workspace's pathId)
+  const known = new Set([
+    ...Object.keys(ports), ...Object.keys(jobs), ...manifests.map(m => m.workspace), ...found.map(ws => ws.workspace),
+  ].filter(workspace => !missing(workspace)).map(pathId))
+  for (const file of (await readdir(PATHS.overrides).catch(() => [])).sort()) {
+    const match = file.match(/^([0-9a-f]{32})\.(json|compose\.yml)$/)
+    if (!match || known.has(match[1])) continue
+    const path = join(PATHS.overrides, file)
+    issues.push(makeIssue(ISSUE_KIND.OVERRIDE, path,
+      `Override ${path} belongs to no existing workspace`,
+      'delete the file', { path }))
+  }
+
+  // Sessions targeting (or remembering) missing workspaces
+  const referenced = new Map()
+  for (const { session } of readSessions()) {
+    const workspaces = new Set([session.workspace, ...(session.history || []).map(entry => entry.workspace)])
+    for (const workspace of workspaces) {
+      if (!workspace || !missing(workspace)) continue
+      const counts = referenced.get(workspace) || { sessions: 0, targeting: 0, entry: null }
+      counts.sessions++
+      if (session.workspace === workspace) {
+        counts.targeting++
+        counts.entry = { repo: session.repoName, branch: session.branch }
+      }
+      referenced.set(workspace, counts)
+    }
+  }
+  for (const [workspace, counts] of referenced) {
+    const targeting = counts.targeting > 0 ? `, ${counts.targeting} targeting it` : ''
+    issues.push(makeIssue(ISSUE_KIND.SESSION, workspace,
+      `${counts.sessions} session(s) reference missing workspace ${label(workspace, counts.entry)}${targeting}`,
+      'clear the target and drop it from session history', { workspace }))
+  }
+
+  // Worktree entries git still has for deleted directories. `git worktree prune`
+  // drops every prunable entry of the repo, so it is only offered when all of
+  // them are worktrees this plugin created
+  const mainRepos = new Set(manifests.filter(m => m.type === 'worktree' && m.mainRepo).map(m => m.mainRepo))
+  for (const ws of found.filter(ws => ws.type === 'worktree' && !withManifest.has(ws.workspace))) {
+    const mainRepo = await getWorktreeMainRepo(ws.workspace)
+    if (mainRepo) mainRepos.add(mainRepo)
+  }
+  for (const mainRepo of mainRepos) {
+    if (!existsSync(mainRepo)) continue
+    const paths = await listPrunableWorktrees(mainRepo)
+    if (paths.length === 0) continue
+    if (!paths.every(path => isInside(PATHS.worktrees, path))) {
+      notes.push(`${mainRepo} has prunable worktree(s) this plugin didn't create: ${paths.join(', ')}. ` +
+        `Run \`git worktree prune\` there yourself if they can go.`)
+      continue
+    }
+    // The ID covers the paths, so a repair confirmed for one set never prunes another
+    issues.push(makeIssue(ISSUE_KIND.WORKTREE, [mainRepo, ...paths].join('\n'),
+      `${mainRepo} has ${paths.length} prunable worktree(s): ${paths.join(', ')}`,
+      `run git worktree prune, dropping the entries of ${paths.join(', ')}`, { mainRepo, paths }))
+  }
+
+  // Containers of deleted workspace folders, and shared images no workspace uses.
+  // Devcontainers opened outside this plugin (e.g. by an editor) are left alone
+  const managed = folder => isInside(PATHS.clones, folder) || isInside(PATHS.worktrees, folder) ||
+    folder in ports || folder in jobs || manifests.some(m => m.workspace === folder)
+  const containers = await listDevcontainerContainers()
+  const images = containers === null ? null : await listSharedImages()
+  if (containers === null) {
+    notes.push('Docker is not available, so containers and images were not checked.')
+  } else {
+    for (const container of containers) {
+      if (!container.folder || !managed(container.folder) || !missing(container.folder)) continue
+      issues.push(makeIssue(ISSUE_KIND.CONTAINER, container.id,
+        `Container ${container.name} (${container.state}) belongs to deleted folder ${container.folder}`,
+        'remove the container', { containerId: container.id, workspace: container.folder }))
+    }
+  }
+  for (const image of images || []) {
+    if ((await findImageUsers(image)).length > 0) continue
+    issues.push(makeIssue(ISSUE_KIND.IMAGE, image,
+      `Shared image ${image} is used by no workspace`,
+      'remove the image', { image }))
+  }
+
+  return { issues, notes }
+}
+
+/**
+ * Repair one issue from diagnoseWorkspaces
+ *
+ * @param {object} issue
+ * @returns {Promise<void>}
+ * @throws {Error} If the repair failed
+ */
+export async function repairIssue(issue) {
+  switch (issue.kind) {
+    case ISSUE_KIND.PORT:
+      await releasePort(issue.workspace)
+      return
+    case ISSUE_KIND.JOB:
+      await removeJob(issue.workspace)
+      return
+    case ISSUE_KIND.OVERRIDE:
+      await unlink(issue.path).catch(err => {
+        if (err.code !== 'ENOENT') throw err
+      })
+      return
+    case ISSUE_KIND.MANIFEST:
+      await deleteManifest(issue.workspace)
+      return
+    case ISSUE_KIND.MISSING_MANIFEST:
+      await migrateManifests({ workspaces: [issue.workspace] })
+      return
+    case ISSUE_KIND.SESSION:
+      cleanupWorkspaceSessions(issue.workspace)
+      return
+    case ISSUE_KIND.WORKTREE: {
+      const paths = await listPrunableWorktrees(issue.mainRepo)
+      if (paths.join('\n') !== issue.paths.join('\n')) {
+        throw new Error(`Prunable worktrees of ${issue.mainRepo} changed; run doctor again`)
+      }
+      await pruneWorktrees(issue.mainRepo)
+      return
+    }
+    case ISSUE_KIND.CONTAINER: {
+      const config = await loadUserConfig()
+      const result = await runCommand(config.dockerPath || 'docker', ['rm', '-f', issue.containerId])
+      if (!result.success) throw new Error(result.stderr || `docker rm exited with ${result.exitCode}`)
+      return
+    }
+    case ISSUE_KIND.IMAGE: {
+      const config = await loadUserConfig()
+      const result = await runCommand(config.dockerPath || 'docker', ['rmi', issue.image])
+      if (!result.success) throw new Error(result.stderr || `docker rmi exited with ${result.exitCode}`)
+      return
+    }
+    default:
+      throw new Error(`Unknown issue kind: ${issue.kind}`)
+  }
+}
+
+/**
+ * Repair issues from diagnoseWorkspaces, continuing past failures
+ *
+ * @param {object[]} issues
+ * @returns {Promise<{repaired: object[], failed: Array<object & {error: string}>}>}
+ */
+export async function repairIssues(issues) {
+  const result = { repaired: [], failed: [] }
+  for (const issue of issues) {
+    try {
+      await repairIssue(issue)
+      result.repaired.push(issue)
+    } catch (err) {
+      result.failed.push({ ...issue, error: err.message })
+    }
+  }
+  return result
+}
+
+export default {
+  ISSUE_KIND,
+  diagnoseWorkspaces,
+  repairIssue,
+  repairIssues,
+}
@@ -0,0 +1,150 @@
+/**
+ * Environment passthrough for opencode-devcontainers
+ *
+ * `devcontainer exec` doesn't forward the host environment. Variables on an
+ * allowlist (user config plus repo additions) are passed through an exec
+ * config (see config.js writeExecConfig), and their values are redacted from
+ * output shown to the user.
+ */
+
+const ENV_NAME_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/
+
+// Replacement for redacted values
+export const REDACTED = '[redacted]'
+
+// Shorter values (`1`, `test`, `dev`) are too common to redact without
+// mangling unrelated output
+export const MIN_REDACT_LENGTH = 6
+
+// Replaces the values of the variables named in its arguments as output
+// streams through. The values come from node's own environment, so they never
+// appear in the command. Chunks are passed on as they arrive (`\r` progress
+// lines included); only text that could be the start of a value split across
+// chunks is held back until the next one.
+const REDACT_SCRIPT = 'const values = process.argv.slice(1).map(name => process.env[name]).filter(Boolean)' +
+  '.sort((a, b) => b.length - a.length); ' +
+  'const redact = text => values.reduce((out, value) => out.split(value).join("' + REDACTED + '"), text); ' +
+  'let pending = ""; process.stdin.setEncoding("utf8"); ' +
+  'process.stdin.on("data", chunk => { const text = redact(pending + chunk); let keep = 0; ' +
+  'for (const value of values) for (let n = Math.min(value.length - 1, text.length); n > keep; n--) ' +
+  'if (text.endsWith(value.slice(0, n))) { keep = n; break } ' +
+  'pending = text.slice(text.length - keep); process.stdout.write(text.slice(0, text.length - keep)) }); ' +
+  'process.stdin.on("end", () => process.stdout.write(pending))'
+
+/**
+ * Check if a string is a valid environment variable name
+ *
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isValidEnvName(name) {
+  return typeof name === 'string' && ENV_NAME_PATTERN.test(name)
+}
+
+/**
+ * Check if a variable name matches an allowlist entry
+ *
+ * Entries are exact names or globs with `*` (e.g. `OPENCODE_*`).
+ *
+ * @param {string} name - Variable name
+ * @param {string} pattern - Allowlist entry
+ * @returns {boolean}
+ */
+function matchesEnvPattern(name, pattern) {
+  if (!pattern.includes('*')) return name === pattern
+  const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')
+  return new RegExp(`^${source}$`).test(name)
+}
+
+/**
+ * Select the host variables to pass into the container
+ *
+ * @param {string[]} allowlist - Names or `*` globs
+ * @param {Object<string, string|undefined>} [env] - Host environment (defaults to process.env)
+ * @returns {Object<string, string>} Variables that are set and allowed
+ */
+export function selectPassthroughEnv(allowlist, env = process.env) {
+  const selected = {}
+  if (!allowlist?.length) return selected
+  for (const [name, value] of Object.entries(env)) {
+    if (value === undefined || !isValidEnvName(name)) continue
+    if (allowlist.some(pattern => matchesEnvPattern(name, pattern))) selected[name] = value
+  }
+  return selected
+}
+
+/**
+ * Build --remote-env arguments for devcontainer exec
+ *
+ * @param {Object<string, string>} [vars] - Variables to set
+ * @returns {string[]}
+ * @throws {Error} If a name is not a valid environment variable name
+ */
+export function buildRemoteEnvArgs(vars = {}) {
+  return Object.entries(vars).flatMap(([name, value]) => {
+    if (!isValidEnvName(name)) throw new Error(`Invalid environment variable name: ${name}`)
+    return ['--remote-env', `${name}=${value ?? ''}`]
+  })
+}
+
+/**
+ * Replace secret values in text
+ *
+ * @param {string} text - Output to redact
+ * @param {string[]} values - Values to hide
+ * @param {object} [options]
+ * @param {number} [options.minLength] - Values shorter than this are left alone (default MIN_REDACT_LENGTH)
+ * @returns {string}
+ */
+export function redactValues(text, values, options = {}) {
+  const minLength = options.minLength ?? MIN_REDACT_LENGTH
+  if (typeof text !== 'string' || !values?.length) return text
+
+  // Longest first, so a value containing another is replaced whole
+  const secrets = [...new Set(values)]
+    .filter(value => typeof value === 'string' && value.length >= minLength)
+    .sort((a, b) => b.length - a.length)
+
+  let result = text
+  for (const secret of secrets) {
+    result = result.split(secret).join(REDACTED)
+  }
+  return result
+}
+
+/**
+ * Wrap a shell command so its output is redacted while it streams
+ *
+ * redactValues only runs on the finished output, but the bash tool shows
+ * output live. The wrapped command pipes stdout and stderr each through
+ * their own node filter (node is there wherever the devcontainer CLI is), so
+ * both stay separate, and keeps the command's exit status.
+ *
+ * @param {string} command - Shell command
+ * @param {Object<string, string>} vars - Variables whose values to hide
+ * @param {object} [options]
+ * @param {number} [options.minLength] - Values shorter than this are left alone (default MIN_REDACT_LENGTH)
+ * @returns {string} The command itself when there is nothing to redact
+ */
+export function withRedactedOutput(command, vars, options = {}) {
+  const minLength = options.minLength ?? MIN_REDACT_LENGTH
+  const names = Object.entries(vars || {})
+    .filter(([name, value]) => isValidEnvName(name) && typeof value === 'string' && value.length >= minLength)
+    .map(([name]) => name)
+  if (names.length === 0) return command
+
+  const filter = `node -e '${REDACT_SCRIPT}' ${names.join(' ')}`
+  // fd 3 carries the exit status, fd 4 the command's stdout to its filter and
+  // fd 5 the original stdout
+  return `{ { { { (${command}) 3>&- 4>&- 5>&-; echo $? >&3; } 2>&1 1>&4 | ${filter} >&2; } 4>&1 | ${filter} >&5; } 3>&1 | (read status; exit "$status"); } 5>&1`
+}
+
+export default {
+  REDACTED,
+  MIN_REDACT_LENGTH,
+  isValidEnvName,
+  selectPassthroughEnv,
+  buildRemoteEnvArgs,
+  redactValues,
+  withRedactedOutput,
+}
@@ -110,6 +110,161 @@ export async function getRemoteUrl(dir, remote = 'origin') {
   }
 }
 
+/**
+ * Get the default branch of a repository
+ * 
+ * Prefers the remote's HEAD (e.g. origin/main), then falls back to a
+ * remote or local `main`/`master` branch.
+ * 
+ * @param {string} dir - Repository directory
+ * @param {string} remote - Remote name (default: 'origin')
+ * @returns {Promise<string|null>} Ref name like 'origin/main' or 'main', or null if none found
+ */
+export async function getDefaultBranch(dir, remote = 'origin') {
+  try {
+    const head = await runGit(['symbolic-ref', '--short', `refs/remotes/${remote}/HEAD`], dir)
+    if (head.exitCode === 0 && head.stdout) {
+      return head.stdout
+    }
+    
+    for (const ref of [`${remote}/main`, `${remote}/master`, 'main', 'master']) {
+      const result = await runGit(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], dir)
+      if (result.exitCode === 0) {
+        return ref
+      }
+    }
+    return null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Get the upstream branch and ahead/behind counts for HEAD
+ * 
+ * @param {string} dir - Repository directory
+ * @returns {Promise<{upstream: string|null, ahead: number, behind: number}>}
+ *   upstream is null when the branch doesn't track a remote branch
+ */
+export async function getUpstreamStatus(dir) {
+  const status = { upstream: null, ahead: 0, behind: 0 }
+  
+  try {
+    const upstream = await runGit(['rev-parse', '--abbrev-ref', '--symbolic-full-name', '@{upstream}'], dir)
+    if (upstream.exitCode !== 0 || !upstream.stdout) {
+      return status
+    }
+    status.upstream = upstream.stdout
+    
+    const counts = await runGit(['rev-list', '--left-right', '--count', '@{upstream}...HEAD'], dir)
+    if (counts.exitCode === 0) {
+      const [behind, ahead] = counts.stdout.split(/\s+/).map(n => parseInt(n, 10) || 0)
+      status.ahead = ahead
+      status.behind = behind
+    }
+  } catch {
+    // Not a git repo or git error
+  }
+  
+  return status
+}
+
+/**
+ * Check if HEAD is merged into a ref (HEAD is an ancestor of it)
+ * 
+ * A branch nobody committed to yet is trivially an ancestor of the ref it
+ * started from; pass `since` to also require commits beyond that point.
+ * 
+ * @param {string} dir - Repository directory
+ * @param {string} ref - Ref to check against, e.g. 'origin/main'
+ * @param {object} [options]
+ * @param {string} [options.since] - Commit the branch started at (see getBranchStartPoint)
+ * @returns {Promise<boolean>}
+ */
+export async function isMergedInto(dir, ref, options = {}) {
+  try {
+    if (options.since) {
+      const own = await runGit(['rev-list', '--count', `${options.since}..HEAD`], dir)
+      if (own.exitCode !== 0 || !(parseInt(own.stdout, 10) > 0)) {
+        return false
+      }
+    }
+    const result = await runGit(['merge-base', '--is-ancestor', 'HEAD', ref], dir)
+    return result.exitCode === 0
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Get the commit a branch was created at
+ * 
+ * Reads the oldest entry of the branch's reflog, written by `git branch`,
+ * `checkout -b`, `worktree add` or `clone`.
+ * 
+ * @param {string} dir - Repository directory (or a worktree of it)
+ * @param {string} branch - Branch name
+ * @returns {Promise<string|null>} Commit hash, or null when the reflog is missing
+ */
+export async function getBranchStartPoint(dir, branch) {
+  try {
+    const result = await runGit(['reflog', 'show', '--format=%H', `refs/heads/${branch}`, '--'], dir)
+    if (result.exitCode !== 0 || !result.stdout) {
+      return null
+    }
+    return result.stdout.split('\n').pop()
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Check if a branch's upstream was deleted on the remote
+ * 
+ * True when the branch tracks a remote branch that no longer exists after
+ * a fetch with pruning, typically because its pull request was merged.
+ * 
+ * @param {string} dir - Repository directory (or a worktree of it)
+ * @param {string} branch - Branch name
+ * @returns {Promise<boolean>}
+ */
+export async function isUpstreamGone(dir, branch) {
+  try {
+    const result = await runGit(['for-each-ref', '--format=%(upstream:track)', `refs/heads/${branch}`], dir)
+    return result.exitCode === 0 && result.stdout === '[gone]'
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Get the time of the most recent git activity in a repository
+ * 
+ * Uses the newest HEAD reflog entry (commits, checkouts, merges, resets),
+ * falling back to the HEAD commit time when there is no reflog.
+ * 
+ * @param {string} dir - Repository directory
+ * @returns {Promise<Date|null>} null when neither is available
+ */
+export async function getLastActivityTime(dir) {
+  try {
+    const reflog = await runGit(['log', '-g', '-1', '--format=%gd', '--date=unix', 'HEAD'], dir)
+    const match = reflog.exitCode === 0 && reflog.stdout.match(/@\{(\d+)\}$/)
+    if (match) {
+      return new Date(parseInt(match[1], 10) * 1000)
+    }
+    
+    const head = await runGit(['log', '-1', '--format=%ct', 'HEAD'], dir)
+    if (head.exitCode === 0 && /^\d+$/.test(head.stdout)) {
+      return new Date(parseInt(head.stdout, 10) * 1000)
+    }
+  } catch {
+    // Not a git repo or git error
+  }
+  
+  return null
+}
+
 /**
  * Clone a git repository
  * 
@@ -190,6 +345,175 @@ export async function fetch(dir, remote) {
   }
 }
 
+// Pull request bases: `#412`, `pr/412` or `pull/412` (GitHub's refs/pull/<n>/head)
+const PR_BASE_PATTERN = /^(?:#|pr\/|pull\/)(\d+)$/
+
+/**
+ * List a repository's remotes
+ * 
+ * @param {string} dir - Repository directory
+ * @returns {Promise<string[]>} Remote names
+ */
+export async function listRemotes(dir) {
+  const result = await runGit(['remote'], dir)
+  return result.exitCode === 0 ? result.stdout.split('\n').filter(Boolean) : []
+}
+
+/**
+ * Check whether a ref resolves to a commit
+ * 
+ * @param {string} dir - Repository directory
+ * @param {string} ref - Branch, tag, commit or full ref
+ * @returns {Promise<boolean>}
+ */
+async function refExists(dir, ref) {
+  const result = await runGit(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], dir)
+  return result.exitCode === 0
+}
+
+/**
+ * Resolve where a new branch should start
+ * 
+ * `base` is one of:
+ * - a pull request (`#412`, `pr/412`): `refs/pull/412/head` is fetched
+ *   into `<remote>/pull/412`
+ * - a remote branch (`origin/feature-x`): fetched first, so it is current
+ * - any other branch, tag or commit; a branch only on origin (`develop`
+ *   in a fresh clone) resolves to `origin/develop`
+ * 
+ * A failed fetch falls back to what was fetched before, if anything.
+ * 
+ * @param {string} dir - Repository directory
+ * @param {string} base - Base as given by the user
+ * @param {string} branch - Name of the branch to create
+ * @returns {Promise<{startPoint: string, commit: string, label: string, upstream: {remote: string, merge: string}|null}>}
+ *   commit is the startPoint's commit; label describes the base for status; upstream is what
+ *   `git pull` should follow: the remote branch when the new branch has the same name
+ */
+export async function resolveBase(dir, base, branch) {
+  const resolved = await resolveBaseRef(dir, base, branch)
+  const result = await runGit(['rev-parse', '--verify', `${resolved.startPoint}^{commit}`], dir)
+  if (result.exitCode !== 0) {
+    throw new Error(`Unknown base '${base}': ${resolved.startPoint} is not a commit`)
+  }
+  return { startPoint: resolved.startPoint, commit: result.stdout, label: resolved.label, upstream: resolved.upstream }
+}
+
+/**
+ * Resolve the ref a new branch should start at (see resolveBase)
+ * 
+ * @param {string} dir - Repository directory
+ * @param {string} base - Base as given by the user
+ * @param {string} branch - Name of the branch to create
+ * @returns {Promise<{startPoint: string, label: string, upstream: {remote: string, merge: string}|null}>}
+ */
+async function resolveBaseRef(dir, base, branch) {
+  const remotes = await listRemotes(dir)
+  const fetchInto = async (remote, src, dest) => {
+    const result = await runGit(['fetch', remote, `+${src}:${dest}`], dir)
+    if (result.exitCode !== 0 && !await refExists(dir, dest)) {
+      throw new Error(`git fetch ${remote} ${src} failed: ${result.stderr}`)
+    }
+  }
+
+  const pr = base.match(PR_BASE_PATTERN)
+  if (pr) {
+    const remote = remotes.includes('origin') ? 'origin' : remotes[0]
+    if (!remote) {
+      throw new Error(`Can't check out pull request #${pr[1]}: the repository has no remote`)
+    }
+    // No upstream: pushing to refs/pull/<n>/head is rejected, so the branch
+    // only records the pull request as its base
+    await fetchInto(remote, `refs/pull/${pr[1]}/head`, `refs/remotes/${remote}/pull/${pr[1]}`)
+    return { startPoint: `${remote}/pull/${pr[1]}`, label: `#${pr[1]}`, upstream: null }
+  }
+
+  const remote = remotes.find(name => base.startsWith(`${name}/`))
+  if (remote) {
+    const remoteBranch = base.slice(remote.length + 1)
+    await fetchInto(remote, `refs/heads/${remoteBranch}`, `refs/remotes/${base}`)
+    const upstream = remoteBranch === branch ? { remote, merge: `refs/heads/${remoteBranch}` } : null
+    return { startPoint: base, label: base, upstream }
+  }
+
+  if (await refExists(dir, base)) {
+    return { startPoint: base, label: base, upstream: null }
+  }
+  if (remotes.includes('origin') && await refExists(dir, `origin/${base}`)) {
+    return { startPoint: `origin/${base}`, label: `origin/${base}`, upstream: null }
+  }
+  throw new Error(`Unknown base '${base}': not a branch, tag, commit, remote branch or pull request`)
+}
+
+/**
+ * Create a branch starting at a base
+ * 
+ * Sets up tracking as resolveBase describes and records the base (see
+ * getBranchBase). Doesn't check the branch out.
+ * 
+ * `base` can also be resolved beforehand in another repository, e.g. the
+ * main repo of a clone, given as `options.from`. The branch then starts at
+ * the resolved commit, fetched from there if this repository lacks it, and
+ * tracking is only set up if this repository has the same remote.
+ * 
+ * @param {string} dir - Repository directory
+ * @param {string} branch - Branch to create
+ * @param {string|{startPoint: string, commit: string, label: string, upstream: object|null}} base -
+ *   Base as given by the user, or as returned by resolveBase
+ * @param {object} [options]
+ * @param {string} [options.from] - Repository a resolved base came from
+ * @returns {Promise<{startPoint: string, commit: string, label: string, upstream: {remote: string, merge: string}|null}>}
+ */
+export async function createBranchFrom(dir, branch, base, options = {}) {
+  if (await refExists(dir, `refs/heads/${branch}`)) {
+    throw new Error(`Branch '${branch}' already exists; leave out the base to use it`)
+  }
+
+  const resolved = typeof base === 'string' ? await resolveBase(dir, base, branch) : base
+  if (!resolved.upstream && await refExists(dir, `refs/remotes/origin/${branch}`)) {
+    throw new Error(`Branch '${branch}' already exists on origin; use base 'origin/${branch}' to check it out`)
+  }
+
+  if (options.from && !await refExists(dir, resolved.commit)) {
+    const fetched = await runGit(['fetch', '--no-tags', options.from, resolved.commit], dir)
+    if (fetched.exitCode !== 0) {
+      throw new Error(`Can't get base '${resolved.label}' from ${options.from}: ${fetched.stderr}`)
+    }
+  }
+
+  const result = await runGit(['branch', '--no-track', branch, resolved.commit], dir)
+  if (result.exitCode !== 0) {
+    throw new Error(`git branch failed: ${result.stderr}`)
+  }
+
+  const config = [[`branch.${branch}.opencodeBase`, resolved.label]]
+  if (resolved.upstream && (await listRemotes(dir)).includes(resolved.upstream.remote)) {
+    config.push([`branch.${branch}.remote`, resolved.upstream.remote])
+    config.push([`branch.${branch}.merge`, resolved.upstream.merge])
+  }
+  for (const [key, value] of config) {
+    await runGit(['config', key, value], dir)
+  }
+
+  return resolved
+}
+
+/**
+ * Get the base a branch was created from by createBranchFrom
+ * 
+ * @param {string} dir - Repository directory (or a worktree of it)
+ * @param {string} branch - Branch name
+ * @returns {Promise<string|null>} e.g. `origin/main` or `#412`; null when not recorded
+ */
+export async function getBranchBase(dir, branch) {
+  try {
+    const result = await runGit(['config', '--get', `branch.${branch}.opencodeBase`], dir)
+    return result.exitCode === 0 && result.stdout ? result.stdout : null
+  } catch {
+    return null
+  }
+}
+
 /**
  * Get list of files ignored by git but present in working tree
  * 
@@ -332,11 +656,30 @@ export async function removeWorktree(mainRepo, worktreePath, options = {}) {
   }
 }
 
+/**
+ * Delete a local branch
+ * 
+ * @param {string} repoPath - Path to the repository
+ * @param {string} branch - Branch name
+ * @param {object} [options]
+ * @param {boolean} [options.force=false] - Delete even if not merged (`-D` instead of `-d`)
+ * @returns {Promise<void>}
+ */
+export async function deleteBranch(repoPath, branch, options = {}) {
+  const { force = false } = options
+  
+  const result = await runGit(['branch', force ? '-D' : '-d', branch], repoPath)
+  if (result.exitCode !== 0) {
+    throw new Error(`git branch ${force ? '-D' : '-d'} failed: ${result.stderr}`)
+  }
+}
+
 /**
  * List all worktrees for a repository
  * 
  * @param {string} repoPath - Path to any worktree or the main repo
- * @returns {Promise<Array<{path: string, branch: string, isMain: boolean}>>}
+ * @returns {Promise<Array<{path: string, branch: string, isMain: boolean, prunable: boolean}>>}
+ *   prunable is set for worktrees whose directory is gone (git worktree prune removes them)
  */
 export async function listWorktrees(repoPath) {
   try {
@@ -360,12 +703,15 @@ export async function listWorktrees(repoPath) {
       let path = ''
       let branch = ''
       let isMain = false
+      let prunable = false
       
       for (const line of lines) {
         if (line.startsWith('worktree ')) {
           path = line.slice(9)
         } else if (line.startsWith('branch refs/heads/')) {
           branch = line.slice(18)
+        } else if (line === 'prunable' || line.startsWith('prunable ')) {
+          prunable = true
         } else if (line === 'bare') {
           // Skip bare repos
           continue
@@ -378,7 +724,7 @@ export async function listWorktrees(repoPath) {
           isMain = true
         }
         
-        worktrees.push({ path, branch, isMain })
+        worktrees.push({ path, branch, isMain, prunable })
       }
     }
     
@@ -388,18 +734,44 @@ export async function listWorktrees(repoPath) {
   }
 }
 
+/**
+ * Remove worktree entries whose directory is gone
+ * 
+ * @param {string} repoPath - Path to the main repo
+ * @returns {Promise<void>}
+ * @throws {Error} If git worktree prune fails
+ */
+export async function pruneWorktrees(repoPath) {
+  const result = await runGit(['worktree', 'prune'], repoPath)
+  if (result.exitCode !== 0) {
+    throw new Error(`Failed to prune worktrees: ${result.stderr}`)
+  }
+}
+
 export default {
   isGitRepo,
   getRepoRoot,
   getCurrentBranch,
   getRemoteUrl,
+  getDefaultBranch,
+  getUpstreamStatus,
+  isMergedInto,
+  getBranchStartPoint,
+  isUpstreamGone,
+  getLastActivityTime,
   clone,
   checkout,
   fetch,
+  listRemotes,
+  resolveBase,
+  createBranchFrom,
+  getBranchBase,
   listIgnoredFiles,
   isWorktree,
   getWorktreeMainRepo,
   createWorktree,
   removeWorktree,
+  deleteBranch,
   listWorktrees,
+  pruneWorktrees,
 }
@@ -0,0 +1,179 @@
+/**
+ * Shared devcontainer images for opencode-devcontainers
+ *
+ * Every clone of a repo normally gets its own image built by `devcontainer up`,
+ * even though branches rarely change the .devcontainer setup. Instead, the
+ * inputs of the build (devcontainer.json, the Dockerfile and local features)
+ * are hashed, the image is built once with `devcontainer build` and tagged
+ * ocdc-<repo>:<hash>, and the override config of every clone with the same
+ * inputs starts from it. Each workspace's manifest records the image it uses,
+ * so removal only deletes an image no other workspace references.
+ *
+ * Configs that only name an image have nothing to build, and compose configs
+ * build their images per compose project; neither shares images. Neither do
+ * Dockerfile builds whose context reaches outside .devcontainer/, since the
+ * files they may COPY aren't hashed.
+ */
+
+import { join, dirname, basename, relative, resolve, isAbsolute, sep } from 'path'
+import { readFile, readdir } from 'fs/promises'
+import { existsSync } from 'fs'
+import { createHash } from 'crypto'
+import { getDevcontainerJsonPath, readDevcontainerJson } from './config.js'
+import { isComposeConfig } from './compose.js'
+import { listManifests } from './manifest.js'
+
+// Repository prefix of shared image tags
+export const SHARED_IMAGE_PREFIX = 'ocdc-'
+
+// Hex characters of the input hash used as the image tag
+const IMAGE_TAG_LENGTH = 12
+
+/**
+ * Check whether `devcontainer up` would build an image for a config
+ *
+ * @param {object|null} config - Devcontainer config
+ * @returns {boolean} True for Dockerfile configs and configs with features
+ */
+export function needsImageBuild(config) {
+  if (!config || isComposeConfig(config)) return false
+  return Boolean(config.build?.dockerfile || config.dockerFile) ||
+    Object.keys(config.features || {}).length > 0
+}
+
+/**
+ * Check whether a config's build context lies within .devcontainer/
+ *
+ * The context defaults to the directory of devcontainer.json. Only then are
+ * all files the Dockerfile can COPY among the hashed inputs.
+ *
+ * @param {string} configPath - Path of devcontainer.json
+ * @param {object} config - Devcontainer config
+ * @returns {boolean} True as well for configs without a Dockerfile
+ */
+function isBuildContextHashed(configPath, config) {
+  if (!(config.build?.dockerfile || config.dockerFile)) return true
+  const configDir = dirname(configPath)
+  if (basename(configDir) !== '.devcontainer') return false
+  const rel = relative(configDir, resolve(configDir, config.build?.context || config.context || '.'))
+  return rel !== '..' && !rel.startsWith('..' + sep) && !isAbsolute(rel)
+}
+
+/**
+ * List all files below a directory, recursively
+ */
+async function listFiles(dir) {
+  const entries = await readdir(dir, { withFileTypes: true }).catch(() => [])
+  const files = []
+  for (const entry of entries) {
+    const path = join(dir, entry.name)
+    if (entry.isDirectory()) {
+      files.push(...await listFiles(path))
+    } else if (entry.isFile()) {
+      files.push(path)
+    }
+  }
+  return files
+}
+
+/**
+ * List the files a workspace's devcontainer image is built from
+ *
+ * That's everything in .devcontainer/ (devcontainer.json, Dockerfile,
+ * local features, scripts), plus a Dockerfile or local feature referenced
+ * from outside it. A build context outside .devcontainer/ isn't included
+ * (resolveSharedImage doesn't share such images).
+ *
+ * @param {string} workspace - Workspace path
+ * @returns {Promise<string[]>} Absolute paths, sorted; empty without a devcontainer.json
+ */
+export async function listImageInputs(workspace) {
+  const configPath = getDevcontainerJsonPath(workspace)
+  if (!configPath) return []
+
+  const configDir = dirname(configPath)
+  const inputs = new Set(basename(configDir) === '.devcontainer' ? await listFiles(configDir) : [configPath])
+
+  const config = await readDevcontainerJson(workspace) || {}
+  const dockerfile = config.build?.dockerfile || config.dockerFile
+  if (dockerfile && existsSync(resolve(configDir, dockerfile))) {
+    inputs.add(resolve(configDir, dockerfile))
+  }
+  for (const feature of Object.keys(config.features || {})) {
+    if (!feature.startsWith('./') && !feature.startsWith('../')) continue
+    for (const file of await listFiles(resolve(configDir, feature))) inputs.add(file)
+  }
+
+  return [...inputs].sort()
+}
+
+/**
+ * Hash the files a workspace's devcontainer image is built from
+ *
+ * Paths are hashed relative to the workspace, so clones of the same repo
+ * with identical inputs get the same hash.
+ *
+ * @param {string} workspace - Workspace path
+ * @returns {Promise<string|null>} Hex SHA-256, or null without a devcontainer.json
+ */
+export async function hashImageInputs(workspace) {
+  const inputs = await listImageInputs(workspace)
+  if (inputs.length === 0) return null
+
+  const hash = createHash('sha256')
+  for (const file of inputs) {
+    hash.update(relative(workspace, file)).update('\0')
+    hash.update(await readFile(file)).update('\0')
+  }
+  return hash.digest('hex')
+}
+
+/**
+ * Get the tag of the shared image for a repo's image inputs
+ *
+ * @param {string} repoName - Repository name
+ * @param {string} hash - Hash from hashImageInputs
+ * @returns {string} e.g. "ocdc-myapp:3f2a9c0b1d4e"
+ */
+export function getSharedImageTag(repoName, hash) {
+  const repo = repoName.toLowerCase().replace(/[^a-z0-9._-]+/g, '-').replace(/^[^a-z0-9]+/, '') || 'workspace'
+  return `${SHARED_IMAGE_PREFIX}${repo}:${hash.slice(0, IMAGE_TAG_LENGTH)}`
+}
+
+/**
+ * Get the shared image a workspace's container should start from
+ *
+ * @param {string} workspace - Workspace path
+ * @param {string} repoName - Repository name
+ * @returns {Promise<string|null>} Image tag, or null if the config builds no image
+ *   or its build context reaches outside .devcontainer/
+ */
+export async function resolveSharedImage(workspace, repoName) {
+  const config = await readDevcontainerJson(workspace)
+  if (!needsImageBuild(config) || !isBuildContextHashed(getDevcontainerJsonPath(workspace), config)) return null
+  const hash = await hashImageInputs(workspace)
+  return hash ? getSharedImageTag(repoName, hash) : null
+}
+
+/**
+ * Find the existing workspaces whose manifest references a shared image
+ *
+ * @param {string} image - Image tag
+ * @param {object} [options]
+ * @param {string} [options.exclude] - Workspace to leave out (e.g. the one being removed)
+ * @returns {Promise<object[]>} Their manifests
+ */
+export async function findImageUsers(image, options = {}) {
+  return (await listManifests()).filter(manifest =>
+    manifest.image === image && manifest.workspace !== options.exclude && existsSync(manifest.workspace))
+}
+
+export default {
+  SHARED_IMAGE_PREFIX,
+  needsImageBuild,
+  listImageInputs,
+  hashImageInputs,
+  getSharedImageTag,
+  resolveSharedImage,
+  findImageUsers,
+}
@@ -23,26 +23,54 @@
 export {
   up,
   upBackground,
+  cancel,
+  reconcileJobs,
+  findStartingClone,
   exec,
   down,
+  stop,
   list,
   isContainerRunning,
+  getContainerState,
+  CONTAINER_STATE,
   checkDevcontainerCli,
   buildUpArgs,
+  buildImageArgs,
   buildExecArgs,
+  resolveContainerWorkdir,
   remove,
+  cleanupWorkspaceSessions,
 } from './devcontainer.js'
 
+// Shared devcontainer images
+export {
+  SHARED_IMAGE_PREFIX,
+  needsImageBuild,
+  listImageInputs,
+  hashImageInputs,
+  getSharedImageTag,
+  resolveSharedImage,
+  findImageUsers,
+} from './images.js'
+
 // Job tracking for background operations
 export {
   JOB_STATUS,
+  JOB_PHASE,
   readJobs,
   writeJobs,
   startJob,
   updateJob,
   getJob,
+  heartbeatJob,
+  isJobOrphaned,
+  findOrphanedJobs,
   removeJob,
   cleanupJobs,
+  getJobLogPath,
+  createJobLog,
+  readJobLog,
+  detectJobPhase,
 } from './jobs.js'
 
 // Clone management
@@ -51,7 +79,13 @@ export {
   listClones,
   removeClone,
   getClonePath,
+  compileCopyPattern,
+  matchCopyRule,
+  LINK_MODE,
+  linkGitignored,
+  planGitignoredCopy,
   copyGitignored,
+  formatCopyReport,
 } from './clones.js'
 
 // Port management
@@ -63,7 +97,9 @@ export {
   writePorts,
   isPortFree,
   withLock,
+  getAllocatedPorts,
   getContainerPort,
+  getContainerPorts,
   updatePortAllocation,
 } from './ports.js'
 
@@ -72,25 +108,67 @@ export {
   generateOverrideConfig,
   readDevcontainerJson,
   detectInternalPort,
+  detectInternalPorts,
+  detectWorkspacePorts,
   getOverridePath,
+  getExecConfigPath,
+  getDevcontainerJsonPath,
+  readOverrideConfig,
+  writeExecConfig,
+  getContainerWorkspaceFolder,
   loadUserConfig,
+  readRepoConfig,
+  loadRoutingRules,
+  loadPassEnv,
+  loadCopyRules,
+  REPO_CONFIG_FILE,
+  COPY_RULES_FILE,
 } from './config.js'
 
+// Docker Compose support
+export {
+  MIN_COMPOSE_VERSION,
+  isComposeConfig,
+  getComposeCommand,
+  getComposeVersion,
+  isComposeVersionSupported,
+  getComposeProjectName,
+  getComposeOverridePath,
+  getComposeFiles,
+  readComposeConfig,
+  detectComposePorts,
+  listNamedVolumes,
+  hasOwnVolumes,
+  generateComposeOverride,
+} from './compose.js'
+
 // Git operations
 export {
   isGitRepo,
   getRepoRoot,
   getCurrentBranch,
   getRemoteUrl,
+  getDefaultBranch,
+  getUpstreamStatus,
+  isMergedInto,
+  getBranchStartPoint,
+  isUpstreamGone,
+  getLastActivityTime,
   clone,
   checkout,
   fetch,
+  listRemotes,
+  resolveBase,
+  createBranchFrom,
+  getBranchBase,
   listIgnoredFiles,
   isWorktree,
   getWorktreeMainRepo,
   createWorktree,
   removeWorktree,
+  deleteBranch,
   listWorktrees,
+  pruneWorktrees,
 } from './git.js'
 
 // Worktree workspace management
@@ -101,19 +179,120 @@ export {
   removeWorktreeWorkspace,
 } from './worktree.js'
 
+// Workspace manifests
+export {
+  MANIFEST_VERSION,
+  getManifestPath,
+  readManifest,
+  createManifest,
+  updateManifest,
+  deleteManifest,
+  getWorkspaceRoot,
+  listManifests,
+  listManifestsSync,
+} from './manifest.js'
+
 // Unified workspace management
 export {
+  migrateManifests,
   listAllWorkspaces,
   getWorkspaceStatus,
   findStaleWorkspaces,
+  cleanupWorkspaces,
+  describeUnsavedWork,
   formatWorkspace,
 } from './workspaces.js'
 
+// Sessions
+export {
+  SESSION_HISTORY_LIMIT,
+  SESSION_RETENTION_DAYS,
+  toHistoryEntry,
+  pushSessionHistory,
+  forgetWorkspace,
+  retireSession,
+  readSessions,
+  listRecentWorkspaces,
+  getWorkspaceLastUsed,
+  withLockSync,
+  writeFileAtomic,
+  onSessionChange,
+  loadSession,
+  saveSession,
+  updateSession,
+  clearSessionTarget,
+  deleteSession,
+} from './sessions.js'
+
+// Workspace usage ledger
+export {
+  USAGE_SOURCE,
+  USAGE_RECORD_INTERVAL_MS,
+  readUsage,
+  recordUsage,
+  forgetUsage,
+  getLastUsed,
+} from './usage.js'
+
+// Secret sync between the main repo and its workspaces
+export {
+  SECRET_STATUS,
+  getMainRepo,
+  listSecretFiles,
+  listRepoWorkspaces,
+  diffSecrets,
+  findSecretDrift,
+  syncSecrets,
+} from './secrets.js'
+
+// Workspace consistency checks
+export {
+  ISSUE_KIND,
+  diagnoseWorkspaces,
+  repairIssue,
+  repairIssues,
+} from './doctor.js'
+
+// Bounded output capture
+export {
+  DEFAULT_MAX_OUTPUT_BYTES,
+  createOutputBuffer,
+  truncateMiddle,
+} from './output.js'
+
+// Environment passthrough
+export {
+  REDACTED,
+  MIN_REDACT_LENGTH,
+  isValidEnvName,
+  selectPassthroughEnv,
+  buildRemoteEnvArgs,
+  redactValues,
+  withRedactedOutput,
+} from './env.js'
+
+// Shell command parsing
+export {
+  shellQuote,
+  translateHostPaths,
+  shellArgs,
+  withWorkdir,
+  COMMAND_WRAPPERS,
+  tokenizeShell,
+  resolveSimpleCommand,
+  parseShellCommand,
+} from './shell.js'
+
 // Paths and utilities
 export {
   PATHS,
   pathId,
   resolvePath,
+  toContainerPath,
   exists,
+  encodeBranchDir,
+  decodeBranchDir,
+  resolveBranchDir,
+  listBranchDirs,
   ensureDirs,
 } from './paths.js'
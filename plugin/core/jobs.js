@@ -5,12 +5,16 @@
  * to enable non-blocking UI behavior in OpenCode Desktop.
  * 
  * Jobs are persisted to ~/.cache/opencode-devcontainers/jobs.json
+ * Build output is written to a rolling log per job in
+ * ~/.cache/opencode-devcontainers/logs/<pathId>.log
  */
 
-import { readFile, writeFile, mkdir, rename } from 'fs/promises'
+import { readFile, writeFile, appendFile, mkdir, rename, rm } from 'fs/promises'
 import { existsSync } from 'fs'
 import { join, dirname } from 'path'
-import { PATHS } from './paths.js'
+import { hostname } from 'os'
+import { PATHS, pathId } from './paths.js'
+import { withLock } from './ports.js'
 
 /**
  * Job status constants
@@ -20,8 +24,39 @@ export const JOB_STATUS = {
   RUNNING: 'running',
   COMPLETED: 'completed',
   FAILED: 'failed',
+  CANCELLED: 'cancelled',
 }
 
+/**
+ * Build phase constants (parsed from the job log)
+ */
+export const JOB_PHASE = {
+  PULLING: 'pulling image',
+  BUILDING: 'building image',
+  STARTING: 'starting container',
+  LIFECYCLE: 'running lifecycle hooks',
+}
+
+// How often a running job refreshes its heartbeat (30 seconds)
+export const JOB_HEARTBEAT_INTERVAL_MS = 30 * 1000
+
+// A job whose heartbeat is older than this has lost its owner (2 minutes)
+export const JOB_HEARTBEAT_STALE_MS = 2 * 60 * 1000
+
+// Maximum size of a job log before older output is dropped (512KB)
+export const JOB_LOG_MAX_BYTES = 512 * 1024
+
+// Log lines that mark the start of each phase, checked from the newest line back
+const PHASE_PATTERNS = [
+  [JOB_PHASE.LIFECYCLE, /Running the \w+Command/],
+  [JOB_PHASE.STARTING, /Start: Run: docker (run|start|compose\b.*\bup)\b|Container \S+\s+(Creating|Starting)/],
+  [JOB_PHASE.BUILDING, /Start: Run: docker (buildx )?build\b|^#\d+ \[|^Step \d+\/\d+/],
+  [JOB_PHASE.PULLING, /Start: Run: docker pull\b|Pulling (from|fs layer)|Pull complete/],
+]
+
+// ANSI escape sequences (colors, cursor movement) from CLI output
+const ANSI_PATTERN = /\x1b\[[0-9;?]*[A-Za-z]/g
+
 /**
  * Get path to jobs file
  */
@@ -29,6 +64,17 @@ function getJobsPath() {
   return join(PATHS.cache, 'jobs.json')
 }
 
+/**
+ * Run a read-modify-write of jobs.json under its lock
+ * 
+ * Several processes update jobs (status changes, heartbeats, cleanup);
+ * without the lock one of them could write back a job another just changed.
+ */
+async function withJobsLock(fn) {
+  await mkdir(PATHS.cache, { recursive: true })
+  return withLock(getJobsPath(), fn)
+}
+
 /**
  * Read all jobs from disk
  * 
@@ -88,18 +134,27 @@ export async function writeJobs(jobs) {
  * @returns {Promise<Object>} The created job
  */
 export async function startJob(workspace, repo, branch) {
-  const jobs = await readJobs()
-  
+  const now = new Date().toISOString()
   const job = {
     workspace,
     repo,
     branch,
     status: JOB_STATUS.PENDING,
-    startedAt: new Date().toISOString(),
+    startedAt: now,
+    // The process running the job, so others can tell when it is gone
+    pid: process.pid,
+    host: hostname(),
+    heartbeatAt: now,
   }
   
-  jobs[workspace] = job
-  await writeJobs(jobs)
+  await withJobsLock(async () => {
+    const jobs = await readJobs()
+    jobs[workspace] = job
+    await writeJobs(jobs)
+  })
+  
+  // Don't show a previous job's output for this one
+  await rm(getJobLogPath(workspace), { force: true })
   
   return job
 }
@@ -113,26 +168,113 @@ export async function startJob(workspace, repo, branch) {
  * @returns {Promise<Object|null>} Updated job or null if not found
  */
 export async function updateJob(workspace, status, extra = {}) {
-  const jobs = await readJobs()
-  
-  if (!jobs[workspace]) {
-    return null
+  return withJobsLock(async () => {
+    const jobs = await readJobs()
+    
+    if (!jobs[workspace]) {
+      return null
+    }
+    
+    jobs[workspace] = {
+      ...jobs[workspace],
+      status,
+      ...extra,
+    }
+    
+    // Add completedAt for terminal states
+    if (status === JOB_STATUS.COMPLETED || status === JOB_STATUS.FAILED || status === JOB_STATUS.CANCELLED) {
+      jobs[workspace].completedAt = new Date().toISOString()
+    }
+    
+    await writeJobs(jobs)
+    
+    return jobs[workspace]
+  })
+}
+
+/**
+ * Refresh the heartbeat of a pending or running job
+ * 
+ * The status is checked under the jobs lock, so a heartbeat never revives
+ * a job that was just completed, failed or cancelled.
+ * 
+ * @param {string} workspace - Workspace path
+ * @returns {Promise<boolean>} True if the job was still active and updated
+ */
+export async function heartbeatJob(workspace) {
+  return withJobsLock(async () => {
+    const jobs = await readJobs()
+    const job = jobs[workspace]
+    
+    if (!job || (job.status !== JOB_STATUS.PENDING && job.status !== JOB_STATUS.RUNNING)) {
+      return false
+    }
+    
+    job.heartbeatAt = new Date().toISOString()
+    await writeJobs(jobs)
+    return true
+  })
+}
+
+/**
+ * Check if a process is alive
+ * 
+ * @param {number} pid - Process ID
+ * @returns {boolean}
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0)
+    return true
+  } catch (err) {
+    // EPERM: the process exists but belongs to another user
+    return err.code === 'EPERM'
   }
+}
+
+/**
+ * Check if a pending or running job has lost the process that owns it
+ * 
+ * A job whose owner PID runs on this host is orphaned exactly when that
+ * process is gone; a live owner may just be slow to heartbeat (a blocked
+ * event loop, a suspended laptop). The heartbeat only decides when the PID
+ * can't be checked: for owners on another host sharing the cache, and for
+ * jobs written before the host was recorded, whose PID may have been reused.
+ * Jobs written before owner tracking fall back to their start time.
+ * 
+ * @param {Object} job - Job data
+ * @param {object} [options]
+ * @param {number} [options.staleMs] - Heartbeat age that counts as stale (defaults to JOB_HEARTBEAT_STALE_MS)
+ * @param {number} [options.now] - Current time in ms (for testing)
+ * @returns {boolean}
+ */
+export function isJobOrphaned(job, options = {}) {
+  const { staleMs = JOB_HEARTBEAT_STALE_MS, now = Date.now() } = options
   
-  jobs[workspace] = {
-    ...jobs[workspace],
-    status,
-    ...extra,
+  if (job.status !== JOB_STATUS.PENDING && job.status !== JOB_STATUS.RUNNING) {
+    return false
   }
-  
-  // Add completedAt for terminal states
-  if (status === JOB_STATUS.COMPLETED || status === JOB_STATUS.FAILED) {
-    jobs[workspace].completedAt = new Date().toISOString()
+  const local = !job.host || job.host === hostname()
+  if (job.pid && local) {
+    if (!isProcessAlive(job.pid)) return true
+    if (job.host) return false
   }
   
-  await writeJobs(jobs)
-  
-  return jobs[workspace]
+  const lastSeen = new Date(job.heartbeatAt || job.startedAt || 0).getTime()
+  return now - lastSeen > staleMs
+}
+
+/**
+ * Find pending or running jobs whose owner is gone
+ * 
+ * @param {object} [options] - Options passed to isJobOrphaned
+ * @returns {Promise<Object[]>} Orphaned jobs
+ */
+export async function findOrphanedJobs(options = {}) {
+  const jobs = await readJobs()
+  return Object.entries(jobs)
+    .filter(([, job]) => isJobOrphaned(job, options))
+    .map(([workspace, job]) => ({ ...job, workspace }))
 }
 
 /**
@@ -153,18 +295,22 @@ export async function getJob(workspace) {
  * @returns {Promise<boolean>} True if job existed and was removed, false if not found
  */
 export async function removeJob(workspace) {
-  const jobs = await readJobs()
-  if (!jobs[workspace]) return false
-  delete jobs[workspace]
-  await writeJobs(jobs)
-  return true
+  const removed = await withJobsLock(async () => {
+    const jobs = await readJobs()
+    if (!jobs[workspace]) return false
+    delete jobs[workspace]
+    await writeJobs(jobs)
+    return true
+  })
+  if (removed) await rm(getJobLogPath(workspace), { force: true })
+  return removed
 }
 
 /**
  * Clean up old completed and failed jobs
  * 
  * @param {Object} [options]
- * @param {number} [options.completedMaxAgeMs=3600000] - Max age for completed jobs (default: 1 hour)
+ * @param {number} [options.completedMaxAgeMs=3600000] - Max age for completed and cancelled jobs (default: 1 hour)
  * @param {number} [options.failedMaxAgeMs=86400000] - Max age for failed jobs (default: 24 hours)
  * @returns {Promise<number>} Number of jobs removed
  */
@@ -174,41 +320,159 @@ export async function cleanupJobs(options = {}) {
     failedMaxAgeMs = 24 * 60 * 60 * 1000,    // 24 hours
   } = options
   
-  const jobs = await readJobs()
-  const now = Date.now()
-  let removed = 0
-  
-  for (const [workspace, job] of Object.entries(jobs)) {
-    // Only clean up terminal states
-    if (job.status !== JOB_STATUS.COMPLETED && job.status !== JOB_STATUS.FAILED) {
-      continue
-    }
+  return withJobsLock(async () => {
+    const jobs = await readJobs()
+    const now = Date.now()
+    let removed = 0
+    
+    for (const [workspace, job] of Object.entries(jobs)) {
+      // Only clean up terminal states
+      if (job.status !== JOB_STATUS.COMPLETED && job.status !== JOB_STATUS.FAILED &&
+          job.status !== JOB_STATUS.CANCELLED) {
+        continue
+      }
     
-    const completedAt = job.completedAt ? new Date(job.completedAt).getTime() : 0
-    const age = now - completedAt
+      const completedAt = job.completedAt ? new Date(job.completedAt).getTime() : 0
+      const age = now - completedAt
     
-    const maxAge = job.status === JOB_STATUS.COMPLETED ? completedMaxAgeMs : failedMaxAgeMs
+      // Cancelled jobs need no post-mortem, so they expire like completed ones
+      const maxAge = job.status === JOB_STATUS.FAILED ? failedMaxAgeMs : completedMaxAgeMs
     
-    if (age > maxAge) {
-      delete jobs[workspace]
-      removed++
+      if (age > maxAge) {
+        delete jobs[workspace]
+        await rm(getJobLogPath(workspace), { force: true })
+        removed++
+      }
     }
+    
+    if (removed > 0) {
+      await writeJobs(jobs)
+    }
+    
+    return removed
+  })
+}
+
+/**
+ * Get path to the build log for a workspace's job
+ * 
+ * @param {string} workspace - Workspace path
+ * @returns {string} Path to log file
+ */
+export function getJobLogPath(workspace) {
+  return join(PATHS.cache, 'logs', `${pathId(workspace)}.log`)
+}
+
+/**
+ * Create (or truncate) the build log for a workspace's job
+ * 
+ * Writes are queued so chunks land in order. Once the log grows past
+ * maxBytes, the oldest half is dropped at a line boundary. Logging is
+ * best-effort: write errors never fail the job.
+ * 
+ * @param {string} workspace - Workspace path
+ * @param {object} [options]
+ * @param {number} [options.maxBytes] - Size cap (defaults to JOB_LOG_MAX_BYTES)
+ * @returns {Promise<{path: string, write: (chunk: string|Buffer) => Promise<void>, flush: () => Promise<void>}>}
+ */
+export async function createJobLog(workspace, options = {}) {
+  const { maxBytes = JOB_LOG_MAX_BYTES } = options
+  const path = getJobLogPath(workspace)
+  
+  await mkdir(dirname(path), { recursive: true })
+  await writeFile(path, '')
+  
+  let size = 0
+  let pending = Promise.resolve()
+  
+  const roll = async () => {
+    const content = await readFile(path)
+    let kept = content.subarray(content.length - Math.floor(maxBytes / 2))
+    const newline = kept.indexOf('\n')
+    if (newline !== -1) kept = kept.subarray(newline + 1)
+    await writeFile(path, kept)
+    size = kept.length
   }
   
-  if (removed > 0) {
-    await writeJobs(jobs)
+  return {
+    path,
+    write(chunk) {
+      const buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk))
+      pending = pending
+        .then(async () => {
+          await appendFile(path, buf)
+          size += buf.length
+          if (size > maxBytes) await roll()
+        })
+        .catch(() => {})
+      return pending
+    },
+    flush() {
+      return pending
+    },
+  }
+}
+
+/**
+ * Read the build log for a workspace's job
+ * 
+ * @param {string} workspace - Workspace path
+ * @param {object} [options]
+ * @param {number} [options.lines] - Only return the last N non-empty lines
+ * @returns {Promise<string|null>} Log text without ANSI escapes, or null if there is no log
+ */
+export async function readJobLog(workspace, options = {}) {
+  let content
+  try {
+    content = await readFile(getJobLogPath(workspace), 'utf-8')
+  } catch {
+    return null
   }
   
-  return removed
+  const text = content.replace(ANSI_PATTERN, '').replace(/\r\n?/g, '\n')
+  if (!options.lines) return text
+  
+  return text
+    .split('\n')
+    .filter(line => line.trim())
+    .slice(-options.lines)
+    .join('\n')
+}
+
+/**
+ * Parse the current build phase from log output
+ * 
+ * @param {string|null} log - Log text (from readJobLog)
+ * @returns {string|null} One of JOB_PHASE, or null if no phase is recognized
+ */
+export function detectJobPhase(log) {
+  if (!log) return null
+  
+  const lines = log.split('\n')
+  for (let i = lines.length - 1; i >= 0; i--) {
+    const line = lines[i].replace(/^\[[^\]]*\]\s*/, '')
+    for (const [phase, pattern] of PHASE_PATTERNS) {
+      if (pattern.test(line)) return phase
+    }
+  }
+  return null
 }
 
 export default {
   JOB_STATUS,
+  JOB_PHASE,
   readJobs,
   writeJobs,
   startJob,
   updateJob,
   getJob,
+  heartbeatJob,
+  isJobOrphaned,
+  findOrphanedJobs,
   removeJob,
   cleanupJobs,
+  getJobLogPath,
+  createJobLog,
+  readJobLog,
+  detectJobPhase,
 }
@@ -0,0 +1,232 @@
+/**
+ * Workspace manifests for opencode-devcontainers
+ *
+ * Every clone and worktree gets a manifest recording what it is: type,
+ * repo, branch, the repo it was created from, the base it started at, when
+ * and by which session it was created, and the port, override files and
+ * shared image that belong to it. Listing, resolution and removal read the manifest
+ * instead of inferring repo and branch from the directory layout.
+ *
+ * Manifests are persisted to ~/.cache/opencode-devcontainers/workspaces/<pathId>.json
+ * Workspaces created before manifests existed get one from migrateManifests
+ * (see workspaces.js).
+ */
+
+import { readFile, writeFile, mkdir, rename, unlink, readdir } from 'fs/promises'
+import { existsSync, readFileSync, readdirSync } from 'fs'
+import { join, relative, isAbsolute } from 'path'
+import { PATHS, pathId } from './paths.js'
+import { withLock } from './ports.js'
+
+// Bumped when the manifest format changes incompatibly
+export const MANIFEST_VERSION = 1
+
+/**
+ * Get the path of a workspace's manifest
+ *
+ * @param {string} workspace - Workspace path
+ * @returns {string} Manifest file path
+ */
+export function getManifestPath(workspace) {
+  return join(PATHS.manifests, `${pathId(workspace)}.json`)
+}
+
+/**
+ * Check that parsed JSON is a usable manifest
+ */
+function isManifest(data) {
+  return Boolean(data && typeof data === 'object' &&
+    typeof data.workspace === 'string' && typeof data.repo === 'string' &&
+    typeof data.branch === 'string' && (data.type === 'clone' || data.type === 'worktree'))
+}
+
+/**
+ * Parse manifest file content
+ *
+ * @returns {object|null} null if it isn't a usable manifest
+ */
+function parseManifest(content) {
+  try {
+    const data = JSON.parse(content)
+    return isManifest(data) ? data : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Read a workspace's manifest
+ *
+ * @param {string} workspace - Workspace path
+ * @returns {Promise<object|null>} null if there is none or it is corrupted
+ */
+export async function readManifest(workspace) {
+  const content = await readFile(getManifestPath(workspace), 'utf-8').catch(() => null)
+  return content === null ? null : parseManifest(content)
+}
+
+/**
+ * Write a workspace's manifest atomically
+ *
+ * @param {object} manifest - Manifest (its `workspace` decides the file)
+ * @returns {Promise<object>} The manifest as written
+ */
+async function writeManifestFile(manifest) {
+  const manifestPath = getManifestPath(manifest.workspace)
+  const tempPath = `${manifestPath}.${process.pid}.tmp`
+  await writeFile(tempPath, JSON.stringify(manifest, null, 2))
+  await rename(tempPath, manifestPath).catch(async err => {
+    await unlink(tempPath).catch(() => {})
+    throw err
+  })
+  return manifest
+}
+
+/**
+ * Create (or replace) the manifest of a new workspace
+ *
+ * @param {object} options
+ * @param {'clone'|'worktree'} options.type - Workspace type
+ * @param {string} options.workspace - Workspace path
+ * @param {string} options.repo - Repository name
+ * @param {string} options.branch - Branch name
+ * @param {string|null} [options.mainRepo] - Repository the workspace was created from
+ * @param {string|null} [options.base] - Where the branch started (see createBranchFrom)
+ * @param {string|null} [options.createdBy] - ID of the session that created it
+ * @param {Date} [options.createdAt] - Creation time (defaults to now)
+ * @param {object} [options.extra] - Additional fields (e.g. migratedAt)
+ * @returns {Promise<object>} The manifest
+ */
+export async function createManifest(options) {
+  const { type, workspace, repo, branch, mainRepo = null, base = null, createdBy = null, createdAt = new Date(), extra = {} } = options
+  await mkdir(PATHS.manifests, { recursive: true })
+  return await withLock(getManifestPath(workspace), () => writeManifestFile({
+    version: MANIFEST_VERSION,
+    type,
+    workspace,
+    repo,
+    branch,
+    mainRepo,
+    base,
+    createdAt: createdAt.toISOString(),
+    createdBy,
+    port: null,
+    override: null,
+    composeOverride: null,
+    image: null,
+    ...extra,
+  }))
+}
+
+/**
+ * Update fields of an existing manifest
+ *
+ * Workspaces without a manifest (e.g. a plain path passed to `up`) are
+ * left alone.
+ *
+ * @param {string} workspace - Workspace path
+ * @param {object} changes - Fields to set
+ * @returns {Promise<object|null>} The updated manifest, null if there is none
+ */
+export async function updateManifest(workspace, changes) {
+  if (!existsSync(getManifestPath(workspace))) return null
+  return await withLock(getManifestPath(workspace), async () => {
+    const manifest = await readManifest(workspace)
+    if (!manifest) return null
+    return await writeManifestFile({ ...manifest, ...changes, workspace: manifest.workspace })
+  })
+}
+
+/**
+ * Delete a workspace's manifest (e.g. after it was removed)
+ *
+ * @param {string} workspace - Workspace path
+ * @returns {Promise<boolean>} True if a manifest was deleted
+ */
+export async function deleteManifest(workspace) {
+  try {
+    await unlink(getManifestPath(workspace))
+    return true
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Get the root directory that workspaces of a type live in
+ *
+ * @param {'clone'|'worktree'} type
+ * @returns {string}
+ */
+export function getWorkspaceRoot(type) {
+  return type === 'worktree' ? PATHS.worktrees : PATHS.clones
+}
+
+/**
+ * Check whether a manifest's workspace lives in the current workspace root
+ *
+ * Manifests are kept in the cache, which can be shared by several clone or
+ * worktree roots (e.g. with OCDC_CLONES_DIR); only the current one counts.
+ */
+function isInRoot(manifest) {
+  const rel = relative(getWorkspaceRoot(manifest.type), manifest.workspace)
+  return Boolean(rel) && !rel.startsWith('..') && !isAbsolute(rel)
+}
+
+/**
+ * List all manifests of workspaces in the current clone and worktree roots
+ *
+ * Manifests whose workspace no longer exists are included; check
+ * `existsSync(manifest.workspace)` where that matters.
+ *
+ * @param {object} [options]
+ * @param {'clone'|'worktree'} [options.type] - Filter by type
+ * @returns {Promise<object[]>}
+ */
+export async function listManifests(options = {}) {
+  const files = await readdir(PATHS.manifests).catch(() => [])
+  const manifests = []
+  for (const file of files.filter(f => f.endsWith('.json'))) {
+    // Corrupted or removed meanwhile
+    const content = await readFile(join(PATHS.manifests, file), 'utf-8').catch(() => null)
+    manifests.push(content === null ? null : parseManifest(content))
+  }
+  return manifests.filter(m => m && (!options.type || m.type === options.type) && isInRoot(m))
+}
+
+/**
+ * Synchronous listManifests, for the workspace resolvers in helpers.js
+ *
+ * @param {object} [options]
+ * @param {'clone'|'worktree'} [options.type] - Filter by type
+ * @returns {object[]}
+ */
+export function listManifestsSync(options = {}) {
+  let files
+  try {
+    files = readdirSync(PATHS.manifests)
+  } catch {
+    return []
+  }
+  const manifests = files.filter(f => f.endsWith('.json')).map(file => {
+    try {
+      return parseManifest(readFileSync(join(PATHS.manifests, file), 'utf-8'))
+    } catch {
+      // Removed meanwhile
+      return null
+    }
+  })
+  return manifests.filter(m => m && (!options.type || m.type === options.type) && isInRoot(m))
+}
+
+export default {
+  MANIFEST_VERSION,
+  getManifestPath,
+  readManifest,
+  createManifest,
+  updateManifest,
+  deleteManifest,
+  getWorkspaceRoot,
+  listManifests,
+  listManifestsSync,
+}
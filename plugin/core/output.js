@@ -0,0 +1,129 @@
+/**
+ * Bounded output capture for opencode-devcontainers
+ *
+ * Commands run in containers can print hundreds of megabytes (test suites,
+ * `bundle install`, build logs). Only the beginning and the end of the
+ * output are retained; the middle is dropped and replaced with a marker.
+ */
+
+// Default cap on retained output per stream (1MB)
+export const DEFAULT_MAX_OUTPUT_BYTES = 1024 * 1024
+
+/**
+ * Drop a UTF-8 character cut off at the end of buf
+ *
+ * @param {Buffer} buf
+ * @returns {Buffer}
+ */
+function trimPartialEnd(buf) {
+  let start = buf.length - 1
+  while (start >= 0 && buf.length - start < 4 && (buf[start] & 0xc0) === 0x80) start--
+  if (start < 0) return buf
+  const lead = buf[start]
+  const size = lead >= 0xf0 ? 4 : lead >= 0xe0 ? 3 : lead >= 0xc0 ? 2 : 1
+  return buf.length - start < size ? buf.subarray(0, start) : buf
+}
+
+/**
+ * Drop the rest of a UTF-8 character cut off at the start of buf
+ *
+ * @param {Buffer} buf
+ * @returns {Buffer}
+ */
+function trimPartialStart(buf) {
+  let start = 0
+  while (start < buf.length && start < 3 && (buf[start] & 0xc0) === 0x80) start++
+  return buf.subarray(start)
+}
+
+/**
+ * Create an output buffer that keeps the first and last maxBytes/2 bytes
+ *
+ * When the middle is dropped, the kept parts end and start on UTF-8
+ * character boundaries, so a multi-byte character is never split.
+ *
+ * @param {number} [maxBytes] - Maximum bytes retained (defaults to DEFAULT_MAX_OUTPUT_BYTES)
+ * @returns {{append: (chunk: Buffer|string) => void, totalBytes: number, truncatedBytes: number, toString: () => string}}
+ */
+export function createOutputBuffer(maxBytes = DEFAULT_MAX_OUTPUT_BYTES) {
+  const headLimit = Math.floor(maxBytes / 2)
+  const tailLimit = maxBytes - headLimit
+  const head = []
+  const tail = []
+  let headSize = 0
+  let tailSize = 0
+  let totalBytes = 0
+
+  // Head and tail as retained, trimmed to whole characters if the middle
+  // was dropped
+  const retained = () => {
+    const headBuf = Buffer.concat(head)
+    const tailBuf = Buffer.concat(tail)
+    if (totalBytes === headSize + tailSize) return { headBuf, tailBuf }
+    return { headBuf: trimPartialEnd(headBuf), tailBuf: trimPartialStart(tailBuf) }
+  }
+
+  return {
+    append(chunk) {
+      let buf = Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk))
+      totalBytes += buf.length
+
+      // Fill the head first
+      if (headSize < headLimit) {
+        const take = Math.min(headLimit - headSize, buf.length)
+        head.push(buf.subarray(0, take))
+        headSize += take
+        buf = buf.subarray(take)
+      }
+      if (buf.length === 0) return
+
+      // Everything else goes to the tail, dropping the oldest bytes
+      tail.push(buf)
+      tailSize += buf.length
+      while (tail.length > 1 && tailSize - tail[0].length >= tailLimit) {
+        tailSize -= tail.shift().length
+      }
+      if (tailSize > tailLimit) {
+        const excess = tailSize - tailLimit
+        tail[0] = tail[0].subarray(excess)
+        tailSize -= excess
+      }
+    },
+
+    get totalBytes() {
+      return totalBytes
+    },
+
+    get truncatedBytes() {
+      const { headBuf, tailBuf } = retained()
+      return totalBytes - headBuf.length - tailBuf.length
+    },
+
+    toString() {
+      const { headBuf, tailBuf } = retained()
+      const truncated = totalBytes - headBuf.length - tailBuf.length
+      if (truncated === 0) return Buffer.concat([headBuf, tailBuf]).toString()
+      return `${headBuf}\n\n... [${truncated} bytes truncated] ...\n\n${tailBuf}`
+    },
+  }
+}
+
+/**
+ * Truncate the middle of a string so it fits in maxBytes
+ *
+ * @param {string} text - Text to truncate
+ * @param {number} [maxBytes] - Maximum bytes retained (defaults to DEFAULT_MAX_OUTPUT_BYTES)
+ * @returns {string}
+ */
+export function truncateMiddle(text, maxBytes = DEFAULT_MAX_OUTPUT_BYTES) {
+  if (!text || Buffer.byteLength(text) <= maxBytes) return text
+  const buffer = createOutputBuffer(maxBytes)
+  buffer.append(text)
+  return buffer.toString()
+}
+
+export default {
+  DEFAULT_MAX_OUTPUT_BYTES,
+  createOutputBuffer,
+  truncateMiddle,
+}
@@ -5,10 +5,10 @@
  * environment variable overrides for testing and custom installations.
  */
 
-import { join, resolve } from 'path'
+import { join, resolve, relative, isAbsolute, sep, posix } from 'path'
 import { homedir } from 'os'
 import { createHash } from 'crypto'
-import { mkdir, writeFile, realpath, access, constants } from 'fs/promises'
+import { mkdir, writeFile, realpath, access, constants, readdir } from 'fs/promises'
 import { existsSync } from 'fs'
 
 /**
@@ -42,6 +42,9 @@ export const PATHS = {
   get sessions() {
     return process.env.OCDC_SESSIONS_DIR || join(this.cache, 'opencode-sessions')
   },
+  get manifests() {
+    return join(this.cache, 'workspaces')
+  },
 }
 
 /**
@@ -71,6 +74,20 @@ export async function resolvePath(path) {
   }
 }
 
+/**
+ * Map a host path inside a workspace to the same path inside the container
+ * 
+ * @param {string} hostPath - Host path (absolute or relative to cwd)
+ * @param {string} workspace - Workspace path on the host
+ * @param {string} workspaceFolder - Where the workspace is mounted in the container
+ * @returns {string|null} Container path, or null if hostPath is outside the workspace
+ */
+export function toContainerPath(hostPath, workspace, workspaceFolder) {
+  const rel = relative(resolve(workspace), resolve(hostPath))
+  if (rel === '..' || rel.startsWith('..' + sep) || isAbsolute(rel)) return null
+  return rel ? posix.join(workspaceFolder, ...rel.split(sep)) : workspaceFolder
+}
+
 /**
  * Check if a path exists
  * 
@@ -86,6 +103,80 @@ export async function exists(path) {
   }
 }
 
+// Legacy workspaces of slash branches were nested this deep (feature/a/b/c)
+const MAX_LEGACY_DEPTH = 5
+
+/**
+ * Encode a branch name as a single directory name
+ * 
+ * `feature/login` becomes `feature%2Flogin`, so every workspace is a direct
+ * child of its repo dir and a branch can't be mistaken for a repo prefix.
+ * `%` is encoded too, keeping the mapping reversible.
+ * 
+ * @param {string} branch - Branch name
+ * @returns {string} Directory name
+ */
+export function encodeBranchDir(branch) {
+  return branch.replace(/%/g, '%25').replace(/\//g, '%2F')
+}
+
+/**
+ * Decode a directory name made by encodeBranchDir
+ * 
+ * @param {string} dirName - Directory name
+ * @returns {string} Branch name
+ */
+export function decodeBranchDir(dirName) {
+  return dirName.replace(/%(25|2F)/gi, (_, code) => code === '25' ? '%' : '/')
+}
+
+/**
+ * Get the workspace directory of a branch in a repo dir
+ * 
+ * Workspaces created before branch names were encoded live at the nested
+ * path (`feature/login`); those are used as long as they exist.
+ * 
+ * @param {string} repoDir - Repo directory
+ * @param {string} branch - Branch name
+ * @returns {string} Workspace path (may not exist yet)
+ */
+export function resolveBranchDir(repoDir, branch) {
+  const encoded = join(repoDir, encodeBranchDir(branch))
+  if (!branch.includes('/') || existsSync(encoded)) return encoded
+  const legacy = join(repoDir, branch)
+  return existsSync(join(legacy, '.git')) ? legacy : encoded
+}
+
+/**
+ * List the workspace directories of a repo dir with their branches
+ * 
+ * Directories containing `.git` are workspaces. Other directories are
+ * searched for legacy nested workspaces, whose branch is their relative path.
+ * 
+ * @param {string} repoDir - Repo directory
+ * @returns {Promise<Array<{workspace: string, branch: string}>>}
+ */
+export async function listBranchDirs(repoDir) {
+  const results = []
+
+  const walk = async (dir, prefix, depth) => {
+    const entries = await readdir(dir, { withFileTypes: true }).catch(() => [])
+    for (const entry of entries) {
+      if (!entry.isDirectory()) continue
+      const workspace = join(dir, entry.name)
+      if (existsSync(join(workspace, '.git'))) {
+        const branch = prefix ? `${prefix}/${entry.name}` : decodeBranchDir(entry.name)
+        results.push({ workspace, branch })
+      } else if (depth < MAX_LEGACY_DEPTH && !entry.name.startsWith('.')) {
+        await walk(workspace, prefix ? `${prefix}/${entry.name}` : entry.name, depth + 1)
+      }
+    }
+  }
+
+  await walk(repoDir, '', 1)
+  return results
+}
+
 /**
  * Ensure all required directories exist
  * Creates:
@@ -132,6 +223,11 @@ export default {
   PATHS,
   pathId,
   resolvePath,
+  toContainerPath,
   exists,
+  encodeBranchDir,
+  decodeBranchDir,
+  resolveBranchDir,
+  listBranchDirs,
   ensureDirs,
 }
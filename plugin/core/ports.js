@@ -2,7 +2,7 @@
  * Port allocation and management for opencode-devcontainers
  * 
  * Handles:
- * - Atomic port allocation with file locking
+ * - Atomic port block allocation with file locking
  * - Port availability checking
  * - Port release on container shutdown
  */
@@ -110,6 +110,19 @@ export async function isPortFree(port) {
   })
 }
 
+/**
+ * Get every host port held by a port allocation
+ * 
+ * @param {Object} allocation - Entry from ports.json
+ * @returns {number[]}
+ */
+export function getAllocatedPorts(allocation) {
+  if (!allocation) return []
+  const hostPorts = allocation.portMap ? Object.values(allocation.portMap) : []
+  if (!hostPorts.includes(allocation.port)) hostPorts.unshift(allocation.port)
+  return hostPorts
+}
+
 /**
  * Check if a port is already assigned to another workspace
  * 
@@ -118,21 +131,40 @@ export async function isPortFree(port) {
  * @returns {boolean}
  */
 function isPortAssigned(ports, port) {
-  return Object.values(ports).some(p => p.port === port)
+  return Object.values(ports).some(p => getAllocatedPorts(p).includes(port))
 }
 
 /**
- * Allocate a port for a workspace
+ * Check if an existing allocation maps every requested internal port
  * 
- * If workspace already has a port, returns existing assignment.
- * Otherwise finds first available port in configured range.
+ * @param {Object} allocation - Entry from ports.json
+ * @param {number[]} internalPorts - Internal ports requested
+ * @returns {boolean}
+ */
+function coversInternalPorts(allocation, internalPorts) {
+  if (internalPorts.length === 0) return true
+  if (!allocation.portMap) return internalPorts.length === 1
+  return internalPorts.every(p => allocation.portMap[p] !== undefined)
+}
+
+/**
+ * Allocate a block of ports for a workspace
+ * 
+ * Reserves one contiguous host port per internal port (forwardPorts entries
+ * and runArgs -p flags). The first internal port is the primary port and is
+ * also reported as `port` for callers that only care about one service.
+ * 
+ * If workspace already has an allocation covering the same internal ports,
+ * returns the existing assignment. Otherwise finds the first available block
+ * in configured range.
  * 
  * @param {string} workspace - Absolute path to workspace
  * @param {string} repo - Repository name
  * @param {string} branch - Branch name
- * @returns {Promise<{port: number, workspace: string, repo: string, branch: string, started: string}>}
+ * @param {number[]} [internalPorts] - Internal ports to map (defaults to a single unmapped port)
+ * @returns {Promise<{port: number, portMap: Object<string, number>, workspace: string, repo: string, branch: string, started: string}>}
  */
-export async function allocatePort(workspace, repo, branch) {
+export async function allocatePort(workspace, repo, branch, internalPorts = []) {
   const lockPath = join(PATHS.cache, 'ports')
 
   return withLock(lockPath, async () => {
@@ -140,32 +172,50 @@ export async function allocatePort(workspace, repo, branch) {
     const config = await loadUserConfig()
 
     // Check existing assignment
-    if (ports[workspace]) {
+    const existing = ports[workspace]
+    if (existing && coversInternalPorts(existing, internalPorts)) {
       return {
-        port: ports[workspace].port,
+        port: existing.port,
+        // Allocations made before multi-port support only held the primary port
+        portMap: existing.portMap || Object.fromEntries(internalPorts.map(p => [p, existing.port])),
         workspace,
-        repo: ports[workspace].repo,
-        branch: ports[workspace].branch,
-        started: ports[workspace].started,
+        repo: existing.repo,
+        branch: existing.branch,
+        started: existing.started,
       }
     }
 
-    // Find available port
-    for (let port = config.portRangeStart; port <= config.portRangeEnd; port++) {
-      // Skip if already assigned
-      if (isPortAssigned(ports, port)) continue
+    // Internal ports changed since the last allocation - start over
+    delete ports[workspace]
+
+    // Find available block
+    const count = Math.max(internalPorts.length, 1)
+    for (let start = config.portRangeStart; start + count - 1 <= config.portRangeEnd; start++) {
+      const block = Array.from({ length: count }, (_, i) => start + i)
+
+      // Skip if any port is already assigned
+      if (block.some(port => isPortAssigned(ports, port))) continue
 
       // Check if actually free
-      if (await isPortFree(port)) {
-        const now = new Date().toISOString()
-        ports[workspace] = { port, repo, branch, started: now }
-        await writePorts(ports)
-        return { port, workspace, repo, branch, started: now }
+      let free = true
+      for (const port of block) {
+        if (!await isPortFree(port)) {
+          free = false
+          break
+        }
       }
+      if (!free) continue
+
+      const now = new Date().toISOString()
+      const portMap = Object.fromEntries(internalPorts.map((p, i) => [p, block[i]]))
+      ports[workspace] = { port: start, portMap, repo, branch, started: now }
+      await writePorts(ports)
+      return { port: start, portMap, workspace, repo, branch, started: now }
     }
 
     throw new Error(
-      `No available ports in range ${config.portRangeStart}-${config.portRangeEnd}. ` +
+      `No available ports in range ${config.portRangeStart}-${config.portRangeEnd}` +
+      (count > 1 ? ` for ${count} ports. ` : '. ') +
       `Stop unused devcontainers to free ports.`
     )
   })
@@ -234,15 +284,15 @@ async function runCommand(cmd, args) {
 }
 
 /**
- * Get the actual host port a container is listening on for a workspace
+ * Get the actual host port mappings of a container for a workspace
  * 
  * Queries Docker to find the container with the devcontainer.local_folder label
- * matching the workspace path, then extracts the host port from its port mappings.
+ * matching the workspace path, then extracts the host ports from its port mappings.
  * 
  * @param {string} workspace - Absolute path to workspace
- * @returns {Promise<number|null>} Host port or null if container not found
+ * @returns {Promise<Object<string, number>|null>} Map of internal port -> host port, or null if container not found
  */
-export async function getContainerPort(workspace) {
+export async function getContainerPorts(workspace) {
   try {
     const config = await loadUserConfig()
     const dockerPath = config.dockerPath || 'docker'
@@ -277,23 +327,43 @@ export async function getContainerPort(workspace) {
     // Parse the port mappings JSON
     // Format: {"3000/tcp":[{"HostIp":"0.0.0.0","HostPort":"13043"}]}
     const portMappings = JSON.parse(inspectResult.stdout)
-    
-    // Find the first host port mapping
-    for (const [, bindings] of Object.entries(portMappings)) {
+    const portMap = {}
+
+    for (const [containerPort, bindings] of Object.entries(portMappings || {})) {
       if (Array.isArray(bindings) && bindings.length > 0) {
+        const internalPort = parseInt(containerPort, 10)
         const hostPort = parseInt(bindings[0].HostPort, 10)
-        if (!isNaN(hostPort)) {
-          return hostPort
+        if (!isNaN(internalPort) && !isNaN(hostPort)) {
+          portMap[internalPort] = hostPort
         }
       }
     }
 
-    return null
+    return Object.keys(portMap).length > 0 ? portMap : null
   } catch {
     return null
   }
 }
 
+/**
+ * Get the actual host port a container is listening on for a workspace
+ * 
+ * When the container publishes several ports, returns the host port for
+ * `internalPort` if given, otherwise the first mapping.
+ * 
+ * @param {string} workspace - Absolute path to workspace
+ * @param {number} [internalPort] - Internal port to look up
+ * @returns {Promise<number|null>} Host port or null if container not found
+ */
+export async function getContainerPort(workspace, internalPort) {
+  const portMap = await getContainerPorts(workspace)
+  if (!portMap) return null
+  if (internalPort !== undefined && portMap[internalPort] !== undefined) {
+    return portMap[internalPort]
+  }
+  return Object.values(portMap)[0]
+}
+
 /**
  * Update the port allocation for a workspace
  * 
@@ -302,9 +372,10 @@ export async function getContainerPort(workspace) {
  * 
  * @param {string} workspace - Absolute path to workspace
  * @param {number} actualPort - The actual port the container is running on
+ * @param {Object<string, number>} [actualPortMap] - The actual internal -> host port map
  * @returns {Promise<void>}
  */
-export async function updatePortAllocation(workspace, actualPort) {
+export async function updatePortAllocation(workspace, actualPort, actualPortMap) {
   const lockPath = join(PATHS.cache, 'ports')
 
   return withLock(lockPath, async () => {
@@ -316,6 +387,9 @@ export async function updatePortAllocation(workspace, actualPort) {
     }
 
     ports[workspace].port = actualPort
+    if (actualPortMap) {
+      ports[workspace].portMap = actualPortMap
+    }
     await writePorts(ports)
   })
 }
@@ -328,6 +402,8 @@ export default {
   allocatePort,
   releasePort,
   listPorts,
+  getAllocatedPorts,
   getContainerPort,
+  getContainerPorts,
   updatePortAllocation,
 }
@@ -0,0 +1,204 @@
+/**
+ * Secret sync for opencode-devcontainers
+ *
+ * copyGitignored copies secrets and local config into a workspace once, when
+ * it is created. This module compares those files with the main repo
+ * afterwards, so a rotated `.env` reaches existing clones and worktrees.
+ *
+ * Which copy is newer tells an outdated workspace file (the main repo's was
+ * changed after it was copied) from one edited in the workspace, which is
+ * only replaced on request.
+ */
+
+import { join, basename, dirname } from 'path'
+import { readFile, stat, mkdir, copyFile } from 'fs/promises'
+import { realpathSync } from 'fs'
+import { planGitignoredCopy } from './clones.js'
+import { loadCopyRules } from './config.js'
+import { getRepoRoot, getWorktreeMainRepo, isWorktree } from './git.js'
+import { listAllWorkspaces } from './workspaces.js'
+
+/**
+ * How a workspace copy differs from the main repo
+ */
+export const SECRET_STATUS = {
+  MISSING: 'missing',   // Only in the main repo
+  OUTDATED: 'outdated', // Main repo copy changed after the workspace copy was written
+  DIVERGED: 'diverged', // Workspace copy edited after the main repo copy
+}
+
+/**
+ * Resolve symlinks in a path, keeping it as-is if it doesn't exist
+ */
+function realpath(path) {
+  try {
+    return realpathSync(path)
+  } catch {
+    return path
+  }
+}
+
+/**
+ * Read a file's content and modification time
+ *
+ * @param {string} path
+ * @returns {Promise<{content: Buffer, mtimeMs: number}|null>} null if it can't be read
+ */
+async function readFileInfo(path) {
+  try {
+    const [content, info] = await Promise.all([readFile(path), stat(path)])
+    return { content, mtimeMs: info.mtimeMs }
+  } catch {
+    return null
+  }
+}
+
+/**
+ * Find the main repository for a directory
+ *
+ * @param {string} dir - Directory inside the main repo or one of its worktrees
+ * @returns {Promise<string|null>} null when not in a git repository
+ */
+export async function getMainRepo(dir) {
+  const repoRoot = await getRepoRoot(dir)
+  if (!repoRoot) return null
+  if (await isWorktree(repoRoot)) {
+    return await getWorktreeMainRepo(repoRoot)
+  }
+  return repoRoot
+}
+
+/**
+ * List the gitignored files copied from a main repo into its workspaces
+ *
+ * @param {string} mainRepo - Main repository path
+ * @returns {Promise<string[]>} Repo-relative paths (linked paths are left out)
+ */
+export async function listSecretFiles(mainRepo) {
+  const rules = await loadCopyRules(mainRepo)
+  const plan = await planGitignoredCopy(mainRepo, { rules, linked: rules.link.map(entry => entry.path) })
+  return plan.files.map(file => file.path)
+}
+
+/**
+ * List the workspaces (clones and worktrees) of a main repository
+ *
+ * Workspaces must belong to the main repo according to their manifest;
+ * clones whose origin is unknown are matched by repo name.
+ *
+ * @param {string} mainRepo - Main repository path
+ * @returns {Promise<Array<{type: string, workspace: string, repo: string, branch: string}>>}
+ */
+export async function listRepoWorkspaces(mainRepo) {
+  const repoName = basename(mainRepo)
+  const main = realpath(mainRepo)
+  const workspaces = []
+
+  for (const ws of await listAllWorkspaces()) {
+    if (ws.repo !== repoName) continue
+    const wsMain = ws.mainRepo || (ws.type === 'worktree' ? await getWorktreeMainRepo(ws.workspace) : null)
+    if (ws.type === 'worktree' && !wsMain) continue
+    if (wsMain && realpath(wsMain) !== main) continue
+    workspaces.push(ws)
+  }
+  return workspaces
+}
+
+/**
+ * Compare a workspace's copied gitignored files with the main repo
+ *
+ * @param {string} mainRepo - Main repository path
+ * @param {string} workspace - Workspace path
+ * @param {object} [options]
+ * @param {string[]} [options.files] - Files to compare (from listSecretFiles by default)
+ * @returns {Promise<{changes: Array<{path: string, status: string}>, upToDate: number}>}
+ *   status is one of SECRET_STATUS; upToDate counts identical files
+ */
+export async function diffSecrets(mainRepo, workspace, options = {}) {
+  const files = options.files || await listSecretFiles(mainRepo)
+  const changes = []
+  let upToDate = 0
+
+  for (const path of files) {
+    const [ours, theirs] = await Promise.all([
+      readFileInfo(join(mainRepo, path)),
+      readFileInfo(join(workspace, path)),
+    ])
+    if (!ours) continue
+
+    if (!theirs) {
+      changes.push({ path, status: SECRET_STATUS.MISSING })
+    } else if (ours.content.equals(theirs.content)) {
+      upToDate++
+    } else {
+      changes.push({ path, status: theirs.mtimeMs > ours.mtimeMs ? SECRET_STATUS.DIVERGED : SECRET_STATUS.OUTDATED })
+    }
+  }
+
+  return { changes, upToDate }
+}
+
+/**
+ * Compare the copied gitignored files of all workspaces of a repo
+ *
+ * @param {string} mainRepo - Main repository path
+ * @param {object} [options]
+ * @param {Array<{workspace: string}>} [options.workspaces] - Workspaces to check (from listRepoWorkspaces by default)
+ * @returns {Promise<Array<{type: string, workspace: string, repo: string, branch: string, changes: Array<{path: string, status: string}>, upToDate: number}>>}
+ */
+export async function findSecretDrift(mainRepo, options = {}) {
+  const files = await listSecretFiles(mainRepo)
+  const workspaces = options.workspaces || await listRepoWorkspaces(mainRepo)
+  const results = []
+
+  for (const ws of workspaces) {
+    results.push({ ...ws, ...await diffSecrets(mainRepo, ws.workspace, { files }) })
+  }
+  return results
+}
+
+/**
+ * Copy missing and outdated gitignored files from the main repo into a workspace
+ *
+ * Files edited in the workspace are kept unless `overwrite` is set.
+ *
+ * @param {string} mainRepo - Main repository path
+ * @param {string} workspace - Workspace path
+ * @param {object} [options]
+ * @param {boolean} [options.overwrite] - Also replace files edited in the workspace
+ * @param {Array<{path: string, status: string}>} [options.changes] - From diffSecrets (computed otherwise)
+ * @returns {Promise<{updated: Array<{path: string, status: string}>, kept: Array<{path: string, status: string}>, failed: Array<{path: string, status: string, error: string}>}>}
+ */
+export async function syncSecrets(mainRepo, workspace, options = {}) {
+  const { overwrite = false } = options
+  const changes = options.changes || (await diffSecrets(mainRepo, workspace)).changes
+  const result = { updated: [], kept: [], failed: [] }
+
+  for (const change of changes) {
+    if (change.status === SECRET_STATUS.DIVERGED && !overwrite) {
+      result.kept.push(change)
+      continue
+    }
+
+    try {
+      const destPath = join(workspace, change.path)
+      await mkdir(dirname(destPath), { recursive: true })
+      await copyFile(join(mainRepo, change.path), destPath)
+      result.updated.push(change)
+    } catch (err) {
+      result.failed.push({ ...change, error: err.message })
+    }
+  }
+
+  return result
+}
+
+export default {
+  SECRET_STATUS,
+  getMainRepo,
+  listSecretFiles,
+  listRepoWorkspaces,
+  diffSecrets,
+  findSecretDrift,
+  syncSecrets,
+}
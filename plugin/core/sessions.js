@@ -0,0 +1,458 @@
+/**
+ * Sessions for opencode-devcontainers
+ *
+ * Each session file (PATHS.sessions/<id>.json) holds the session's current
+ * target plus a `history` stack of the workspaces it targeted before, newest
+ * first. The stacks back `/devcontainer -` and `/workspaces recent`, and
+ * tell cleanup when a workspace was last used. Writes go through a per-file
+ * lock and an atomic rename.
+ */
+
+import { join } from 'path'
+import {
+  readdirSync, readFileSync, existsSync, writeFileSync, mkdirSync,
+  unlinkSync, statSync, renameSync, rmSync, rmdirSync,
+} from 'fs'
+import { PATHS } from './paths.js'
+
+// Maximum number of previous targets kept per session
+export const SESSION_HISTORY_LIMIT = 10
+
+// History of ended sessions is kept this long
+export const SESSION_RETENTION_DAYS = 30
+
+/**
+ * Parse a timestamp, returning NaN for missing or invalid values
+ *
+ * @param {string|Date|undefined} value
+ * @returns {number} Milliseconds since the epoch
+ */
+function parseTime(value) {
+  return value ? new Date(value).getTime() : NaN
+}
+
+/**
+ * Describe a session's current target as a history entry
+ *
+ * @param {object|null} session - Session state
+ * @param {string|Date} [usedAt] - When the target was last used (defaults to now)
+ * @returns {{type: 'devcontainer'|'worktree', workspace: string, repoName: string, branch: string, mainRepo?: string, usedAt: string}|null}
+ *   null when the session has no target
+ */
+export function toHistoryEntry(session, usedAt = new Date()) {
+  if (!session?.workspace) return null
+  const time = parseTime(usedAt)
+  const entry = {
+    type: session.type === 'worktree' ? 'worktree' : 'devcontainer',
+    workspace: session.workspace,
+    repoName: session.repoName,
+    branch: session.branch,
+    usedAt: new Date(Number.isNaN(time) ? Date.now() : time).toISOString(),
+  }
+  if (session.mainRepo) entry.mainRepo = session.mainRepo
+  return entry
+}
+
+/**
+ * Compute a session's history after it moves away from its current target
+ *
+ * The current target goes on top of the stack. Each workspace appears once,
+ * the next target is left out (it becomes the current target instead), and
+ * the stack is capped at SESSION_HISTORY_LIMIT entries.
+ *
+ * @param {object|null} session - Current session state
+ * @param {string|null} nextWorkspace - Workspace being targeted next (null when clearing)
+ * @param {string|Date} [usedAt] - When the current target was last used (defaults to now)
+ * @returns {object[]} New history, newest first
+ */
+export function pushSessionHistory(session, nextWorkspace, usedAt = new Date()) {
+  const entries = [toHistoryEntry(session, usedAt), ...(session?.history || [])]
+  const seen = new Set(nextWorkspace ? [nextWorkspace] : [])
+  const history = []
+
+  for (const entry of entries) {
+    if (!entry?.workspace || seen.has(entry.workspace)) continue
+    seen.add(entry.workspace)
+    history.push(entry)
+    if (history.length >= SESSION_HISTORY_LIMIT) break
+  }
+
+  return history
+}
+
+/**
+ * Drop a workspace from a session's target and history (e.g. after removal)
+ *
+ * @param {object} session - Session state
+ * @param {string} workspace - Workspace to forget
+ * @returns {object|null} Updated session (the same object if nothing changed), or null if nothing is left
+ */
+export function forgetWorkspace(session, workspace) {
+  const previous = session.history || []
+  const history = previous.filter(entry => entry.workspace !== workspace)
+
+  if (session.workspace === workspace) {
+    return history.length > 0 ? { history } : null
+  }
+  if (history.length === previous.length) return session
+  if (!session.workspace && history.length === 0) return null
+  return { ...session, history }
+}
+
+/**
+ * Retire a session that no longer exists in opencode
+ *
+ * Its target moves onto the history (as last used when it was activated),
+ * and entries older than SESSION_RETENTION_DAYS are dropped.
+ *
+ * @param {object} session - Session state
+ * @param {object} [options]
+ * @param {number} [options.retentionDays] - Defaults to SESSION_RETENTION_DAYS
+ * @param {Date} [options.now] - Reference time (defaults to now)
+ * @returns {object|null} Session holding only history, or null if nothing recent is left
+ */
+export function retireSession(session, options = {}) {
+  const { retentionDays = SESSION_RETENTION_DAYS, now = new Date() } = options
+  const cutoff = now.getTime() - retentionDays * 24 * 60 * 60 * 1000
+  const history = pushSessionHistory(session, null, session.activatedAt)
+    .filter(entry => parseTime(entry.usedAt) >= cutoff)
+  return history.length > 0 ? { history } : null
+}
+
+/**
+ * Read all session files
+ *
+ * @returns {Array<{sessionID: string, session: object}>} Unreadable files are skipped
+ */
+export function readSessions() {
+  const sessionsDir = PATHS.sessions
+  if (!existsSync(sessionsDir)) return []
+
+  const sessions = []
+  for (const file of readdirSync(sessionsDir)) {
+    if (!file.endsWith('.json')) continue
+    try {
+      const session = JSON.parse(readFileSync(join(sessionsDir, file), 'utf-8'))
+      if (session && typeof session === 'object') {
+        sessions.push({ sessionID: file.slice(0, -'.json'.length), session })
+      }
+    } catch {
+      // Skip unreadable files or invalid JSON
+    }
+  }
+  return sessions
+}
+
+/**
+ * List recently used workspaces across all sessions
+ *
+ * Current targets count as used when they were activated; previous targets
+ * when the session moved away from them.
+ *
+ * @param {object} [options]
+ * @param {number} [options.limit] - Maximum number of workspaces to return
+ * @returns {Array<{type: 'devcontainer'|'worktree', workspace: string, repoName: string, branch: string, mainRepo?: string, lastUsed: Date, sessions: string[], activeIn: string[]}>}
+ *   Newest first; `sessions` lists the sessions that used the workspace, `activeIn` those currently targeting it
+ */
+export function listRecentWorkspaces(options = {}) {
+  const { limit } = options
+  const byWorkspace = new Map()
+
+  const record = (entry, sessionID, active) => {
+    const time = parseTime(entry?.usedAt)
+    if (!entry?.workspace || Number.isNaN(time)) return
+
+    let item = byWorkspace.get(entry.workspace)
+    if (!item) {
+      item = { ...entry, lastUsed: new Date(time), sessions: [], activeIn: [] }
+      delete item.usedAt
+      byWorkspace.set(entry.workspace, item)
+    } else if (time > item.lastUsed.getTime()) {
+      item.lastUsed = new Date(time)
+    }
+    if (!item.sessions.includes(sessionID)) item.sessions.push(sessionID)
+    if (active) item.activeIn.push(sessionID)
+  }
+
+  for (const { sessionID, session } of readSessions()) {
+    if (session.workspace && session.activatedAt) {
+      record(toHistoryEntry(session, session.activatedAt), sessionID, true)
+    }
+    for (const entry of session.history || []) {
+      record(entry, sessionID, false)
+    }
+  }
+
+  const recent = [...byWorkspace.values()].sort((a, b) => b.lastUsed - a.lastUsed)
+  return limit > 0 ? recent.slice(0, limit) : recent
+}
+
+/**
+ * Get when each workspace was last used by a session
+ *
+ * @returns {Map<string, Date>} Workspace path -> last use
+ */
+export function getWorkspaceLastUsed() {
+  return new Map(listRecentWorkspaces().map(item => [item.workspace, item.lastUsed]))
+}
+
+// ============ Session Files ============
+
+// Parsed sessions keyed by ID. Every load re-checks the file's inode and
+// mtime, so changes by other opencode processes are picked up instead of
+// served from memory.
+// Writes replace the file via rename, so each write gets a new inode.
+const sessionCache = new Map()
+
+// Listeners for session changes (see onSessionChange)
+const sessionListeners = new Set()
+
+function getSessionFile(sessionID) {
+  return join(PATHS.sessions, `${sessionID}.json`)
+}
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms)
+}
+
+/**
+ * Run fn while holding a lock on path (synchronous variant of withLock)
+ * 
+ * Uses a `<path>.lock` directory; locks older than maxAgeMs are considered
+ * stale and broken. Waiting blocks the event loop, so it gives up after
+ * ~100ms and throws instead of running fn without the lock. Only use this
+ * for locks held for a single file read and write.
+ */
+export function withLockSync(path, fn, maxAgeMs = 2000) {
+  const lockDir = path + '.lock'
+  const retryDelayMs = 2
+  const maxRetries = 50 // ~100ms max wait
+  let acquired = false
+
+  for (let i = 0; i < maxRetries; i++) {
+    try {
+      mkdirSync(lockDir)
+      acquired = true
+      break
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e
+
+      // Lock exists - check if stale
+      try {
+        if (Date.now() - statSync(lockDir).mtimeMs > maxAgeMs) {
+          rmSync(lockDir, { recursive: true, force: true })
+          continue
+        }
+      } catch {
+        // Lock was released between mkdir and stat - retry
+        continue
+      }
+
+      sleepSync(retryDelayMs)
+    }
+  }
+
+  if (!acquired) {
+    throw new Error(`Timed out waiting for lock on ${path}`)
+  }
+
+  try {
+    return fn()
+  } finally {
+    try { rmdirSync(lockDir) } catch {}
+  }
+}
+
+/**
+ * Write a file atomically: write a temp file next to it, then rename
+ * 
+ * Readers see either the old or the new content, never a partial write.
+ */
+export function writeFileAtomic(file, content) {
+  const tmp = `${file}.${process.pid}.${Date.now()}.tmp`
+  try {
+    writeFileSync(tmp, content)
+    renameSync(tmp, file)
+  } catch (err) {
+    try { unlinkSync(tmp) } catch {}
+    throw err
+  }
+}
+
+function statSession(file) {
+  try {
+    const stat = statSync(file, { bigint: true })
+    return `${stat.ino}:${stat.mtimeNs}:${stat.size}`
+  } catch {
+    return null
+  }
+}
+
+function emitSessionChange(sessionID, previous, session, external) {
+  if (!previous && !session) return
+  for (const listener of sessionListeners) {
+    try {
+      listener({ sessionID, previous, session, external })
+    } catch {
+      // A failing listener must not break session handling
+    }
+  }
+}
+
+/**
+ * Subscribe to session changes
+ * 
+ * The listener receives `{sessionID, previous, session, external}` whenever a
+ * session is saved or deleted in this process, or when a load finds the file
+ * was changed or removed by someone else (`external: true`). `session` is
+ * null after a delete, `previous` is null for a new session.
+ * 
+ * @returns {() => void} Unsubscribe function
+ */
+export function onSessionChange(listener) {
+  sessionListeners.add(listener)
+  return () => sessionListeners.delete(listener)
+}
+
+export function loadSession(sessionID) {
+  const file = getSessionFile(sessionID)
+  const cached = sessionCache.get(sessionID)
+  const version = statSession(file)
+
+  if (!version) {
+    if (cached) {
+      sessionCache.delete(sessionID)
+      emitSessionChange(sessionID, cached.session, null, true)
+    }
+    return null
+  }
+
+  // Unchanged since we last read or wrote it
+  if (cached?.version === version) {
+    return cached.session
+  }
+
+  try {
+    const session = JSON.parse(readFileSync(file, 'utf-8'))
+    sessionCache.set(sessionID, { session, version })
+    if (cached) emitSessionChange(sessionID, cached.session, session, true)
+    return session
+  } catch {
+    return null
+  }
+}
+
+function writeSession(sessionID, session) {
+  const file = getSessionFile(sessionID)
+  writeFileAtomic(file, JSON.stringify(session, null, 2))
+  sessionCache.set(sessionID, { session, version: statSession(file) })
+}
+
+/**
+ * Point a session at a new target
+ * 
+ * The previous target moves onto the session's history stack (see
+ * pushSessionHistory), which `/devcontainer -` and `/workspaces recent` read.
+ */
+export function saveSession(sessionID, state) {
+  const sessionsDir = PATHS.sessions
+  mkdirSync(sessionsDir, { recursive: true })
+  let session
+  const previous = withLockSync(getSessionFile(sessionID), () => {
+    const current = loadSession(sessionID)
+    const history = pushSessionHistory(current, state.workspace)
+    session = {
+      ...state,
+      ...(history.length > 0 && { history }),
+      activatedAt: new Date().toISOString()
+    }
+    writeSession(sessionID, session)
+    return current
+  })
+  emitSessionChange(sessionID, previous, session, false)
+}
+
+/**
+ * Read-modify-write a session under its lock
+ * 
+ * The updater receives the current session (null if there is none) and
+ * returns the new state, or null to delete the session. Unlike saveSession,
+ * `activatedAt` is kept, so use this for changes that aren't retargeting.
+ * 
+ * @returns {object|null} The new session
+ */
+export function updateSession(sessionID, updater) {
+  mkdirSync(PATHS.sessions, { recursive: true })
+  const file = getSessionFile(sessionID)
+  const [previous, session] = withLockSync(file, () => {
+    const current = loadSession(sessionID)
+    const next = updater(current)
+    if (next === current) return [current, current]
+    if (next) {
+      writeSession(sessionID, next)
+    } else if (current) {
+      try { unlinkSync(file) } catch {}
+      sessionCache.delete(sessionID)
+    }
+    return [current, next || null]
+  })
+  if (previous !== session) emitSessionChange(sessionID, previous, session, false)
+  return session
+}
+
+/**
+ * Clear a session's target, keeping its history
+ * 
+ * The target moves onto the history stack; a session without any history
+ * left is deleted.
+ * 
+ * @returns {object|null} The session as it was before clearing
+ */
+export function clearSessionTarget(sessionID) {
+  let cleared = null
+  updateSession(sessionID, current => {
+    if (!current?.workspace) return current
+    cleared = current
+    const history = pushSessionHistory(current, null)
+    return history.length > 0 ? { history } : null
+  })
+  return cleared
+}
+
+export function deleteSession(sessionID) {
+  const file = getSessionFile(sessionID)
+  if (!existsSync(PATHS.sessions)) {
+    sessionCache.delete(sessionID)
+    return
+  }
+  const previous = withLockSync(file, () => {
+    const current = loadSession(sessionID)
+    if (existsSync(file)) {
+      unlinkSync(file)
+    }
+    // Clear from cache
+    sessionCache.delete(sessionID)
+    return current
+  })
+  emitSessionChange(sessionID, previous, null, false)
+}
+
+export default {
+  SESSION_HISTORY_LIMIT,
+  SESSION_RETENTION_DAYS,
+  toHistoryEntry,
+  pushSessionHistory,
+  forgetWorkspace,
+  retireSession,
+  readSessions,
+  listRecentWorkspaces,
+  getWorkspaceLastUsed,
+  withLockSync,
+  writeFileAtomic,
+  onSessionChange,
+  loadSession,
+  saveSession,
+  updateSession,
+  clearSessionTarget,
+  deleteSession,
+}
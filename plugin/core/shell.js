@@ -0,0 +1,527 @@
+/**
+ * Shell command parsing for opencode-devcontainers
+ *
+ * Splits a bash command line into the simple commands it would run, so the
+ * plugin can decide where each of them belongs. This is not a full shell
+ * parser - it understands what matters for routing:
+ * - Quoting and escapes ('...', "...", \x)
+ * - `&&`, `||`, `;`, `&`, newlines and pipelines (`|`, `|&`)
+ * - Subshells and groups (`( ... )`, `{ ...; }`) and compound keywords
+ * - Conditional expressions (`[[ ... ]]`), kept as one keyword
+ * - Command substitution (`$(...)`, backticks, `<(...)`), parsed recursively
+ * - Redirections and here-documents
+ * - Env-var prefixes (`FOO=1 cmd`) and wrappers (`sudo`, `time`, `nice`, ...)
+ */
+
+import { basename } from 'path'
+
+// Operators, longest first so `&&` wins over `&`
+const OPERATORS = [
+  '<<<', '<<-', '&>>',
+  '&&', '||', ';;', ';&', '|&', '>>', '<<', '&>', '>&', '<&', '<>', '>|',
+  '|', '&', ';', '(', ')', '<', '>',
+]
+
+const REDIRECT_OPERATORS = new Set([
+  '<<<', '<<-', '&>>', '>>', '<<', '&>', '>&', '<&', '<>', '>|', '<', '>',
+])
+
+// Reserved words that may precede a command without being one
+const PREFIX_KEYWORDS = new Set([
+  'if', 'then', 'else', 'elif', 'fi', 'while', 'until', 'do', 'done', '!', '{', '}', 'esac',
+])
+
+// Compound command headers whose words are not commands
+const HEADER_KEYWORDS = new Set(['for', 'select', 'case', 'function', '[['])
+
+const ASSIGNMENT_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*(\[[^\]]*\])?\+?=/
+
+/**
+ * Wrappers that run the command following them
+ *
+ * `options` lists flags that consume a value, `positional` the number of
+ * plain arguments before the wrapped command (e.g. the duration of `timeout`).
+ */
+export const COMMAND_WRAPPERS = {
+  sudo: { options: ['-u', '-g', '-h', '-p', '-C', '-D', '-r', '-t', '-U', '-T'] },
+  doas: { options: ['-u', '-C'] },
+  time: { options: ['-f', '-o'] },
+  nice: { options: ['-n'] },
+  ionice: { options: ['-c', '-n', '-p'] },
+  nohup: { options: [] },
+  env: { options: ['-u', '-C', '-S'], assignments: true },
+  command: { options: [] },
+  builtin: { options: [] },
+  exec: { options: ['-a'] },
+  timeout: { options: ['-s', '-k'], positional: 1 },
+  stdbuf: { options: ['-i', '-o', '-e'] },
+}
+
+/**
+ * Shell-quote a string for safe inclusion in a shell command
+ *
+ * Uses single quotes, which prevent all shell interpretation except for
+ * single quotes themselves, escaped using the '"'"' pattern. Strings made
+ * of safe characters only are returned unchanged.
+ *
+ * @param {string} str - String to quote
+ * @returns {string}
+ */
+export function shellQuote(str) {
+  // Safe characters that don't need quoting
+  if (/^[a-zA-Z0-9_\-./=:@]+$/.test(str)) {
+    return str
+  }
+  // Escape single quotes: close quote, add double-quoted single quote, reopen quote
+  // "it's" becomes 'it'"'"'s'
+  return "'" + str.replace(/'/g, "'\"'\"'") + "'"
+}
+
+/**
+ * Find the index of the `)` closing a substitution that starts at `start`
+ *
+ * @param {string} input - Command line
+ * @param {number} start - Index just after the opening `(`
+ * @returns {number} Index of the closing `)` (input.length if unterminated)
+ */
+function findClosingParen(input, start) {
+  let depth = 1
+  let i = start
+  while (i < input.length) {
+    const c = input[i]
+    if (c === '\\') {
+      i += 2
+      continue
+    }
+    if (c === "'") {
+      const end = input.indexOf("'", i + 1)
+      i = end === -1 ? input.length : end + 1
+      continue
+    }
+    if (c === '"') {
+      i++
+      while (i < input.length && input[i] !== '"') i += input[i] === '\\' ? 2 : 1
+      i++
+      continue
+    }
+    if (c === '(') depth++
+    if (c === ')' && --depth === 0) return i
+    i++
+  }
+  return input.length
+}
+
+/**
+ * Find the index of the `]]` closing a conditional that starts at `start`
+ *
+ * `<`, `>`, `&&`, `||` and parentheses inside `[[ ... ]]` are part of the
+ * expression, not operators, so they are skipped along with quotes.
+ *
+ * @param {string} input - Command line
+ * @param {number} start - Index just after the opening `[[`
+ * @returns {number} Index of the closing `]]` (input.length if unterminated)
+ */
+function findConditionalEnd(input, start) {
+  let i = start
+  while (i < input.length) {
+    const c = input[i]
+    if (c === '\\') {
+      i += 2
+      continue
+    }
+    if (c === "'") {
+      const end = input.indexOf("'", i + 1)
+      i = end === -1 ? input.length : end + 1
+      continue
+    }
+    if (c === '"') {
+      i++
+      while (i < input.length && input[i] !== '"') i += input[i] === '\\' ? 2 : 1
+      i++
+      continue
+    }
+    if (c === '(') {
+      i = findClosingParen(input, i + 1) + 1
+      continue
+    }
+    if (c === ']' && input[i + 1] === ']' && /\s/.test(input[i - 1]) && /^[\s;&|)]?$/.test(input[i + 2] ?? '')) {
+      return i
+    }
+    i++
+  }
+  return input.length
+}
+
+/**
+ * Split a command line into word and operator tokens
+ *
+ * Words carry their unquoted value plus the bodies of any command
+ * substitutions they contain.
+ *
+ * @param {string} input - Command line
+ * @returns {Array<{type: 'word', value: string, substitutions: string[]}|{type: 'op', value: string}>}
+ */
+export function tokenizeShell(input) {
+  const tokens = []
+  const heredocs = []
+  let word = null
+  let expectHeredoc = null
+  let i = 0
+
+  const startWord = () => {
+    if (word === null) word = { type: 'word', value: '', substitutions: [] }
+  }
+  const flush = () => {
+    if (word === null) return
+    if (expectHeredoc) {
+      heredocs.push({ delimiter: word.value, stripTabs: expectHeredoc === '<<-' })
+      expectHeredoc = null
+    }
+    tokens.push(word)
+    word = null
+  }
+  // `$(...)`, `<(...)` and `>(...)` starting at i (i points at the `(`)
+  const readSubstitution = () => {
+    const end = findClosingParen(input, i + 1)
+    word.substitutions.push(input.slice(i + 1, end))
+    word.value += input.slice(i - 1, end + 1)
+    i = end + 1
+  }
+  const readBacktick = () => {
+    let end = i + 1
+    while (end < input.length && input[end] !== '`') end += input[end] === '\\' ? 2 : 1
+    word.substitutions.push(input.slice(i + 1, end).replace(/\\(.)/g, '$1'))
+    word.value += input.slice(i, end + 1)
+    i = end + 1
+  }
+
+  while (i < input.length) {
+    const c = input[i]
+
+    if (c === '\\') {
+      if (input[i + 1] !== '\n') {
+        startWord()
+        word.value += input[i + 1] ?? ''
+      }
+      i += 2
+      continue
+    }
+
+    if (c === "'") {
+      startWord()
+      const end = input.indexOf("'", i + 1)
+      const stop = end === -1 ? input.length : end
+      word.value += input.slice(i + 1, stop)
+      i = stop + 1
+      continue
+    }
+
+    if (c === '"') {
+      startWord()
+      i++
+      while (i < input.length && input[i] !== '"') {
+        if (input[i] === '\\' && i + 1 < input.length) {
+          word.value += input[i + 1]
+          i += 2
+        } else if (input[i] === '$' && input[i + 1] === '(' && input[i + 2] !== '(') {
+          i++
+          readSubstitution()
+        } else if (input[i] === '`') {
+          readBacktick()
+        } else {
+          word.value += input[i++]
+        }
+      }
+      i++
+      continue
+    }
+
+    if (c === '$' && input[i + 1] === '(') {
+      startWord()
+      i++
+      if (input[i + 1] === '(') {
+        // Arithmetic expansion - no commands inside
+        const end = findClosingParen(input, i + 1)
+        word.value += input.slice(i - 1, end + 1)
+        i = end + 1
+      } else {
+        readSubstitution()
+      }
+      continue
+    }
+
+    if (c === '`') {
+      startWord()
+      readBacktick()
+      continue
+    }
+
+    if ((c === '<' || c === '>') && input[i + 1] === '(') {
+      flush()
+      startWord()
+      i++
+      readSubstitution()
+      continue
+    }
+
+    // `[[ ... ]]` becomes a single `[[` word carrying the substitutions inside it
+    if (c === '[' && word === null && input[i + 1] === '[' && /^\s$/.test(input[i + 2] ?? '')) {
+      const end = findConditionalEnd(input, i + 2)
+      const body = tokenizeShell(input.slice(i + 2, end))
+      startWord()
+      word.value = '[['
+      word.substitutions.push(...body.flatMap(t => t.substitutions || []))
+      flush()
+      i = end + 2
+      continue
+    }
+
+    if (c === '#' && word === null) {
+      while (i < input.length && input[i] !== '\n') i++
+      continue
+    }
+
+    if (c === '\n') {
+      flush()
+      tokens.push({ type: 'op', value: '\n' })
+      i++
+      // Skip here-document bodies started on the line just ended
+      while (heredocs.length > 0 && i < input.length) {
+        const { delimiter, stripTabs } = heredocs[0]
+        const end = input.indexOf('\n', i)
+        const line = input.slice(i, end === -1 ? input.length : end)
+        i = end === -1 ? input.length : end + 1
+        if ((stripTabs ? line.replace(/^\t+/, '') : line) === delimiter) heredocs.shift()
+      }
+      continue
+    }
+
+    if (c === ' ' || c === '\t') {
+      flush()
+      i++
+      continue
+    }
+
+    const op = OPERATORS.find(o => input.startsWith(o, i))
+    if (op) {
+      // A file descriptor number glued to a redirection (`2>&1`) is not a word
+      if (REDIRECT_OPERATORS.has(op) && word !== null && /^\d+$/.test(word.value)) {
+        word = null
+      }
+      flush()
+      tokens.push({ type: 'op', value: op })
+      if (op === '<<' || op === '<<-') expectHeredoc = op
+      i += op.length
+      continue
+    }
+
+    startWord()
+    word.value += c
+    i++
+  }
+
+  flush()
+  return tokens
+}
+
+/**
+ * Group tokens into simple commands
+ *
+ * Redirection targets are dropped (their substitutions are kept) and
+ * `case` patterns are skipped.
+ *
+ * @param {Array} tokens - Tokens from tokenizeShell
+ * @returns {{commands: Array<Array<{value: string, substitutions: string[]}>>, substitutions: string[]}}
+ */
+function groupSimpleCommands(tokens) {
+  const commands = []
+  const substitutions = []
+  let current = []
+  let redirectTarget = false
+  let casePattern = false
+
+  const finish = () => {
+    if (current.length > 0) commands.push(current)
+    current = []
+  }
+
+  for (const token of tokens) {
+    if (token.type === 'op') {
+      if (REDIRECT_OPERATORS.has(token.value)) {
+        redirectTarget = true
+      } else if (casePattern) {
+        if (token.value === ')') casePattern = false
+      } else {
+        finish()
+        if (token.value === ';;' || token.value === ';&') casePattern = true
+      }
+      continue
+    }
+
+    if (redirectTarget) {
+      redirectTarget = false
+      substitutions.push(...token.substitutions)
+      continue
+    }
+
+    if (casePattern) {
+      // `esac` ends the case; anything else is part of the pattern
+      if (token.value === 'esac') casePattern = false
+      continue
+    }
+
+    current.push(token)
+
+    // `case WORD in` is followed by the first pattern
+    if (current.length === 3 && current[0].value === 'case' && token.value === 'in') {
+      finish()
+      casePattern = true
+    }
+  }
+
+  finish()
+  return { commands, substitutions }
+}
+
+/**
+ * Resolve the command a simple command actually runs
+ *
+ * Skips leading keywords, env-var assignments and wrappers such as
+ * `sudo -u app` or `timeout 10`.
+ *
+ * @param {string[]} words - Word values of a simple command
+ * @returns {{name: string, args: string[], assignments: string[], wrappers: string[]}|null}
+ *   null for compound headers and bare assignments
+ */
+export function resolveSimpleCommand(words) {
+  let i = 0
+  while (i < words.length && PREFIX_KEYWORDS.has(words[i])) i++
+  if (i >= words.length || HEADER_KEYWORDS.has(words[i])) return null
+
+  const assignments = []
+  while (i < words.length && ASSIGNMENT_PATTERN.test(words[i])) assignments.push(words[i++])
+
+  const wrappers = []
+  while (i < words.length) {
+    const name = basename(words[i])
+    const wrapper = COMMAND_WRAPPERS[name]
+    if (!wrapper) break
+
+    let j = i + 1
+    while (j < words.length && words[j].startsWith('-') && words[j] !== '--') {
+      if (wrapper.options.includes(words[j])) j++
+      j++
+    }
+    if (words[j] === '--') j++
+    if (wrapper.assignments) {
+      while (j < words.length && ASSIGNMENT_PATTERN.test(words[j])) assignments.push(words[j++])
+    }
+    j += wrapper.positional || 0
+
+    // Used on its own (`env`, `time`) - the wrapper is the command
+    if (j >= words.length) break
+    wrappers.push(name)
+    i = j
+  }
+
+  if (i >= words.length) return null
+  return { name: basename(words[i]), args: words.slice(i + 1), assignments, wrappers }
+}
+
+/**
+ * Parse a command line into the simple commands it runs
+ *
+ * Commands inside substitutions are included with `substitution: true`.
+ *
+ * @param {string} command - Command line
+ * @param {object} [options]
+ * @param {number} [options.maxDepth] - Maximum substitution nesting to follow (default 8)
+ * @returns {Array<{name: string, args: string[], assignments: string[], wrappers: string[], substitution: boolean}>}
+ */
+export function parseShellCommand(command, options = {}) {
+  const maxDepth = options.maxDepth ?? 8
+  const results = []
+
+  const visit = (input, depth) => {
+    const { commands, substitutions } = groupSimpleCommands(tokenizeShell(input))
+    for (const words of commands) {
+      const resolved = resolveSimpleCommand(words.map(w => w.value))
+      if (resolved) results.push({ ...resolved, substitution: depth > 0 })
+      substitutions.push(...words.flatMap(w => w.substitutions))
+    }
+    if (depth >= maxDepth) return
+    for (const body of substitutions) visit(body, depth + 1)
+  }
+
+  visit(command || '', 0)
+  return results
+}
+
+/**
+ * Translate absolute host paths inside a workspace to container paths
+ *
+ * Only whole path words are rewritten: the workspace path must start a word
+ * (or follow `=`, `:` or a redirection) and end at a path separator or word
+ * boundary, so `/clone/app-2` is left alone when the workspace is
+ * `/clone/app`. Nothing is rewritten when either path contains characters
+ * that would need quoting, since the replacement could change how the
+ * command is split into words.
+ *
+ * @param {string} command - Command line
+ * @param {string} workspace - Workspace path on the host
+ * @param {string} workspaceFolder - Where the workspace is mounted in the container
+ * @returns {string} Command with host paths replaced
+ */
+export function translateHostPaths(command, workspace, workspaceFolder) {
+  const safePath = /^\/[A-Za-z0-9_\-./@+,]*$/
+  const root = workspace.replace(/\/+$/, '')
+  if (!root || !safePath.test(root) || !safePath.test(workspaceFolder)) return command
+
+  const escaped = root.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  const pattern = new RegExp(`(^|[\\s'"=:(<>])${escaped}(?=$|[/\\s'"):;|&<>])`, 'g')
+  const target = workspaceFolder.replace(/\/+$/, '') || '/'
+  return command.replace(pattern, (_, before) => before + target)
+}
+
+// Runs its first argument with bash, or with sh on images without bash
+const BASH_OR_SH = 'if command -v bash >/dev/null 2>&1; then exec bash -c "$1"; fi; exec sh -c "$1"'
+
+/**
+ * Build the argv that runs a command line in a container
+ *
+ * Commands are written for bash (`[[ ]]`, `source`, arrays, `set -o
+ * pipefail`), but `sh` is dash on Debian-based images, so bash is used
+ * wherever the image has it.
+ *
+ * @param {string} command - Command line
+ * @returns {string[]} e.g. ['sh', '-c', '<pick bash or sh>', 'sh', command]
+ */
+export function shellArgs(command) {
+  return ['sh', '-c', BASH_OR_SH, 'sh', command]
+}
+
+/**
+ * Prefix a command with a change to its working directory
+ *
+ * The command only runs if the directory exists, so it never silently runs
+ * somewhere else.
+ *
+ * @param {string} command - Command line
+ * @param {string} [workdir] - Directory to run in (unchanged when omitted)
+ * @returns {string}
+ */
+export function withWorkdir(command, workdir) {
+  if (!workdir) return command
+  return `cd -- ${shellQuote(workdir)} || exit 1; ${command}`
+}
+
+export default {
+  shellQuote,
+  translateHostPaths,
+  shellArgs,
+  withWorkdir,
+  COMMAND_WRAPPERS,
+  tokenizeShell,
+  resolveSimpleCommand,
+  parseShellCommand,
+}
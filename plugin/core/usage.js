@@ -0,0 +1,150 @@
+/**
+ * Workspace usage ledger for opencode-devcontainers
+ *
+ * Records when each workspace was last used: a bash command or
+ * devcontainer_exec ran in it, or a session targeted it. Staleness checks
+ * use it instead of the directory mtime, which only changes when top-level
+ * entries are added or removed.
+ *
+ * The ledger is persisted to ~/.cache/opencode-devcontainers/usage.json
+ */
+
+import { readFile, writeFile, mkdir, rename, unlink } from 'fs/promises'
+import { existsSync } from 'fs'
+import { join } from 'path'
+import { PATHS } from './paths.js'
+import { withLock } from './ports.js'
+
+/**
+ * What a workspace was used for
+ */
+export const USAGE_SOURCE = {
+  COMMAND: 'command',
+  EXEC: 'exec',
+  TARGET: 'target',
+}
+
+// Repeated uses of a workspace within this interval are recorded once (1 minute)
+export const USAGE_RECORD_INTERVAL_MS = 60 * 1000
+
+// Last time this process recorded each workspace (workspace -> ms)
+const lastRecorded = new Map()
+
+/**
+ * Get path to usage file
+ */
+function getUsagePath() {
+  return join(PATHS.cache, 'usage.json')
+}
+
+/**
+ * Read the usage ledger
+ *
+ * @returns {Promise<Object<string, {lastUsed: string, source: string}>>} Map of workspace -> last use
+ */
+export async function readUsage() {
+  const usagePath = getUsagePath()
+
+  try {
+    if (!existsSync(usagePath)) {
+      return {}
+    }
+    return JSON.parse(await readFile(usagePath, 'utf-8'))
+  } catch {
+    // File doesn't exist or is corrupted
+    return {}
+  }
+}
+
+/**
+ * Write the usage ledger atomically
+ *
+ * @param {Object} usage - Map of workspace -> last use
+ * @returns {Promise<void>}
+ */
+async function writeUsage(usage) {
+  const usagePath = getUsagePath()
+  const tempPath = `${usagePath}.${process.pid}.tmp`
+  await writeFile(tempPath, JSON.stringify(usage, null, 2))
+  await rename(tempPath, usagePath).catch(async err => {
+    await unlink(tempPath).catch(() => {})
+    throw err
+  })
+}
+
+/**
+ * Record that a workspace was used
+ *
+ * Uses within USAGE_RECORD_INTERVAL_MS of the last one this process recorded
+ * are skipped, so intercepting every bash command stays cheap. Entries for
+ * workspaces that no longer exist are dropped on each write.
+ *
+ * @param {string} workspace - Workspace path
+ * @param {string} source - One of USAGE_SOURCE
+ * @param {object} [options]
+ * @param {boolean} [options.force] - Record even if recorded recently
+ * @param {Date} [options.now] - Time of use (defaults to now)
+ * @returns {Promise<boolean>} Whether the ledger was written
+ */
+export async function recordUsage(workspace, source, options = {}) {
+  const { force = false, now = new Date() } = options
+  const previous = lastRecorded.get(workspace)
+  if (!force && previous !== undefined && now.getTime() - previous < USAGE_RECORD_INTERVAL_MS) {
+    return false
+  }
+  lastRecorded.set(workspace, now.getTime())
+
+  await mkdir(PATHS.cache, { recursive: true })
+  await withLock(getUsagePath(), async () => {
+    const usage = await readUsage()
+    for (const path of Object.keys(usage)) {
+      if (path !== workspace && !existsSync(path)) delete usage[path]
+    }
+    // Another process may have recorded a later use
+    if (!(usage[workspace]?.lastUsed > now.toISOString())) {
+      usage[workspace] = { lastUsed: now.toISOString(), source }
+    }
+    await writeUsage(usage)
+  })
+  return true
+}
+
+/**
+ * Remove a workspace from the ledger (e.g. after it was removed)
+ *
+ * @param {string} workspace - Workspace path
+ * @returns {Promise<void>}
+ */
+export async function forgetUsage(workspace) {
+  lastRecorded.delete(workspace)
+  if (!existsSync(getUsagePath())) return
+
+  await withLock(getUsagePath(), async () => {
+    const usage = await readUsage()
+    if (!usage[workspace]) return
+    delete usage[workspace]
+    await writeUsage(usage)
+  })
+}
+
+/**
+ * Get when a workspace was last used according to the ledger
+ *
+ * @param {string} workspace - Workspace path
+ * @param {Object} [usage] - Ledger from readUsage (read from disk otherwise)
+ * @returns {Promise<Date|null>} null when the workspace was never recorded
+ */
+export async function getLastUsed(workspace, usage) {
+  const entry = (usage || await readUsage())[workspace]
+  const time = entry ? new Date(entry.lastUsed) : null
+  return time && !Number.isNaN(time.getTime()) ? time : null
+}
+
+export default {
+  USAGE_SOURCE,
+  USAGE_RECORD_INTERVAL_MS,
+  readUsage,
+  recordUsage,
+  forgetUsage,
+  getLastUsed,
+}
@@ -5,13 +5,25 @@
  * status information for cleanup and management.
  */
 
-import { join } from 'path'
-import { stat } from 'fs/promises'
+import { join, dirname, isAbsolute } from 'path'
+import { stat, readFile } from 'fs/promises'
 import { existsSync } from 'fs'
 import { spawn } from 'child_process'
 import { PATHS } from './paths.js'
 import { listClones } from './clones.js'
-import { listWorktreeWorkspaces } from './worktree.js'
+import { listWorktreeWorkspaces, removeWorktreeWorkspace } from './worktree.js'
+import { 
+  getWorktreeMainRepo, getCurrentBranch, getDefaultBranch, getUpstreamStatus, isMergedInto,
+  getBranchStartPoint, isUpstreamGone, getLastActivityTime, getBranchBase, getRemoteUrl,
+} from './git.js'
+import { getJob, JOB_STATUS } from './jobs.js'
+import { readPorts } from './ports.js'
+import { getOverridePath } from './config.js'
+import { getComposeOverridePath } from './compose.js'
+import { listManifests, createManifest } from './manifest.js'
+import { remove, cleanupWorkspaceSessions } from './devcontainer.js'
+import { getWorkspaceLastUsed, readSessions } from './sessions.js'
+import { readUsage, getLastUsed } from './usage.js'
 
 /**
  * Run a git command and return the output
@@ -46,65 +58,168 @@ async function runGit(args, cwd) {
   })
 }
 
+/**
+ * Find the repository a clone was created from
+ * 
+ * Clones made with --reference point at the main repo's objects; local
+ * clones have it as their origin.
+ * 
+ * @param {string} workspace - Clone path
+ * @returns {Promise<string|null>}
+ */
+async function getCloneOrigin(workspace) {
+  try {
+    const alternates = await readFile(join(workspace, '.git', 'objects', 'info', 'alternates'), 'utf-8')
+    const objects = alternates.split('\n').map(line => line.trim()).find(Boolean)
+    // e.g., /path/to/main/.git/objects -> /path/to/main
+    if (objects?.endsWith('/.git/objects')) return dirname(dirname(objects))
+  } catch {
+    // Not a --reference clone
+  }
+  const url = await getRemoteUrl(workspace)
+  return url && isAbsolute(url) && existsSync(url) ? url : null
+}
+
+/**
+ * Create manifests for workspaces that don't have one yet
+ * 
+ * Workspaces created before manifests existed are found by scanning the
+ * clone and worktree directories. Repo and branch come from the directory
+ * layout, the rest from git and the port and override files; the creating
+ * session is unknown. Running it again only picks up new workspaces.
+ * 
+ * @param {object} [options]
+ * @param {string[]} [options.workspaces] - Only migrate these workspace paths
+ * @returns {Promise<object[]>} The manifests created
+ */
+export async function migrateManifests(options = {}) {
+  const known = new Set((await listManifests()).map(m => m.workspace))
+  const found = [
+    ...(await listClones()).map(ws => ({ ...ws, type: 'clone' })),
+    ...(await listWorktreeWorkspaces()).map(ws => ({ ...ws, type: 'worktree' })),
+  ].filter(ws => !known.has(ws.workspace) && (!options.workspaces || options.workspaces.includes(ws.workspace)))
+  if (found.length === 0) return []
+  
+  const ports = await readPorts()
+  const created = []
+  for (const ws of found) {
+    const mainRepo = ws.type === 'clone'
+      ? await getCloneOrigin(ws.workspace)
+      : await getWorktreeMainRepo(ws.workspace)
+    const info = await stat(ws.workspace).catch(() => null)
+    const override = getOverridePath(ws.workspace)
+    const composeOverride = getComposeOverridePath(ws.workspace)
+    created.push(await createManifest({
+      type: ws.type,
+      workspace: ws.workspace,
+      repo: ws.repo,
+      branch: ws.branch,
+      mainRepo,
+      base: await getBranchBase(ws.workspace, ws.branch),
+      createdAt: info?.birthtimeMs ? info.birthtime : info?.mtime,
+      extra: {
+        port: ports[ws.workspace]?.port ?? null,
+        override: existsSync(override) ? override : null,
+        composeOverride: existsSync(composeOverride) ? composeOverride : null,
+        migratedAt: new Date().toISOString(),
+      },
+    }))
+  }
+  return created
+}
+
 /**
  * List all workspaces (clones and worktrees)
  * 
+ * Workspaces are read from their manifests (see manifest.js); ones without
+ * a manifest get one first (see migrateManifests). Manifests of workspaces
+ * that no longer exist are left out.
+ * 
  * @param {object} [options]
  * @param {string} [options.type] - Filter by type: 'clone' or 'worktree'
- * @returns {Promise<Array<{type: string, workspace: string, repo: string, branch: string}>>}
+ * @returns {Promise<Array<{type: string, workspace: string, repo: string, branch: string, mainRepo: string|null, base: string|null, createdAt: string, createdBy: string|null}>>}
  */
 export async function listAllWorkspaces(options = {}) {
   const { type: filterType } = options
-  const results = []
-  
-  // List clones
-  if (!filterType || filterType === 'clone') {
-    const clones = await listClones()
-    for (const clone of clones) {
-      results.push({
-        type: 'clone',
-        workspace: clone.workspace,
-        repo: clone.repo,
-        branch: clone.branch,
-      })
-    }
-  }
+  await migrateManifests()
   
-  // List worktrees
-  if (!filterType || filterType === 'worktree') {
-    const worktrees = await listWorktreeWorkspaces()
-    for (const wt of worktrees) {
-      results.push({
-        type: 'worktree',
-        workspace: wt.workspace,
-        repo: wt.repo,
-        branch: wt.branch,
-      })
-    }
-  }
+  const manifests = (await listManifests({ type: filterType }))
+    .filter(m => existsSync(m.workspace))
+    .sort((a, b) => (a.type === b.type ? 0 : a.type === 'clone' ? -1 : 1) ||
+      a.repo.localeCompare(b.repo) || a.branch.localeCompare(b.branch))
   
-  return results
+  return manifests.map(m => ({
+    type: m.type,
+    workspace: m.workspace,
+    repo: m.repo,
+    branch: m.branch,
+    mainRepo: m.mainRepo,
+    base: m.base,
+    createdAt: m.createdAt,
+    createdBy: m.createdBy,
+  }))
 }
 
 /**
  * Get detailed status for a workspace
  * 
+ * lastAccess is the last recorded use (lastUsed: usage ledger or session
+ * history, whichever is later). Workspaces never recorded fall back to
+ * the latest git activity (HEAD reflog or commit), then the directory mtime.
+ * lastAccessSource tells which one was used.
+ * 
  * @param {string} workspace - Workspace path
- * @returns {Promise<{hasUncommitted: boolean, uncommittedCount: number, lastAccess: Date}>}
+ * @param {object} [options]
+ * @param {Date|null} [options.lastUsed] - Last session use, if already known (read from session files otherwise)
+ * @param {Object} [options.usage] - Usage ledger from readUsage, if already read
+ * @returns {Promise<{hasUncommitted: boolean, uncommittedCount: number, hasUnpushed: boolean, unpushedCount: number, upstream: string|null, noUpstream: boolean, ahead: number, behind: number, defaultBranch: string|null, isMerged: boolean, base: string|null, lastAccess: Date, lastAccessSource: 'usage'|'git'|'mtime', lastUsed: Date|null}>}
+ *   unpushedCount counts commits that aren't on any remote; ahead/behind are relative to upstream;
+ *   isMerged is true when the branch is contained in the default branch and has commits of its own
+ *   (or its upstream was deleted after being pushed); base is where the branch
+ *   was started from, when it was created with one
  */
-export async function getWorkspaceStatus(workspace) {
+export async function getWorkspaceStatus(workspace, options = {}) {
+  const sessionUsed = options.lastUsed !== undefined
+    ? options.lastUsed
+    : getWorkspaceLastUsed().get(workspace) || null
+  const ledgerUsed = await getLastUsed(workspace, options.usage)
+  const lastUsed = [sessionUsed, ledgerUsed]
+    .filter(Boolean)
+    .reduce((latest, time) => (!latest || time > latest ? time : latest), null)
+
   const result = {
     hasUncommitted: false,
     uncommittedCount: 0,
+    hasUnpushed: false,
+    unpushedCount: 0,
+    upstream: null,
+    noUpstream: false,
+    ahead: 0,
+    behind: 0,
+    defaultBranch: null,
+    isMerged: false,
+    base: null,
     lastAccess: new Date(),
+    lastAccessSource: 'mtime',
+    lastUsed,
   }
   
-  // Get last access time from directory mtime
-  try {
-    const stats = await stat(workspace)
-    result.lastAccess = stats.mtime
-  } catch {
-    // Directory doesn't exist or can't be accessed
+  // The directory mtime only changes when top-level entries are added or
+  // removed, so it is the last resort
+  const gitActivity = lastUsed ? null : await getLastActivityTime(workspace)
+  if (lastUsed) {
+    result.lastAccess = lastUsed
+    result.lastAccessSource = 'usage'
+  } else if (gitActivity) {
+    result.lastAccess = gitActivity
+    result.lastAccessSource = 'git'
+  } else {
+    try {
+      const stats = await stat(workspace)
+      result.lastAccess = stats.mtime
+    } catch {
+      // Directory doesn't exist or can't be accessed
+    }
   }
   
   // Check for uncommitted changes
@@ -119,40 +234,199 @@ export async function getWorkspaceStatus(workspace) {
     // Not a git repo or git error
   }
   
+  // Check for commits that aren't on any remote
+  try {
+    const unpushed = await runGit(['rev-list', '--count', 'HEAD', '--not', '--remotes'], workspace)
+    if (unpushed.exitCode === 0) {
+      result.unpushedCount = parseInt(unpushed.stdout, 10) || 0
+      result.hasUnpushed = result.unpushedCount > 0
+    }
+  } catch {
+    // Not a git repo or no commits yet
+  }
+  
+  // Compare with upstream and the default branch (only on a named branch)
+  const branch = await getCurrentBranch(workspace)
+  if (branch && branch !== 'HEAD') {
+    const upstream = await getUpstreamStatus(workspace)
+    result.upstream = upstream.upstream
+    result.noUpstream = upstream.upstream === null
+    result.ahead = upstream.ahead
+    result.behind = upstream.behind
+    result.base = await getBranchBase(workspace, branch)
+    
+    result.defaultBranch = await getDefaultBranch(workspace)
+    const isDefault = result.defaultBranch &&
+      result.defaultBranch.replace(/^[^/]+\//, '') === branch
+    if (result.defaultBranch && !isDefault) {
+      // A fresh branch only counts once it has commits of its own, or once
+      // its pushed upstream was deleted
+      const since = await getBranchStartPoint(workspace, branch)
+      result.isMerged = (since !== null && await isMergedInto(workspace, result.defaultBranch, { since })) ||
+        (await isUpstreamGone(workspace, branch) && await isMergedInto(workspace, result.defaultBranch))
+    }
+  }
+  
   return result
 }
 
 /**
- * Find stale workspaces (no activity in N days)
+ * Describe work that would be lost by deleting a workspace
+ * 
+ * @param {object} status - Status object from getWorkspaceStatus
+ * @param {object} [options]
+ * @param {boolean} [options.commits=true] - Include unpushed commits (worktree branches survive removal)
+ * @returns {string[]} Reasons, e.g. ['2 uncommitted change(s)', '1 commit(s) not pushed to origin/main']
+ */
+export function describeUnsavedWork(status, options = {}) {
+  const { commits = true } = options
+  const reasons = []
+  
+  if (status.hasUncommitted) {
+    reasons.push(`${status.uncommittedCount} uncommitted change(s)`)
+  }
+  if (commits && status.ahead > 0) {
+    reasons.push(`${status.ahead} commit(s) not pushed to ${status.upstream}`)
+  } else if (commits && status.hasUnpushed) {
+    reasons.push(`${status.unpushedCount} unpushed commit(s)` + (status.noUpstream ? ' (no upstream)' : ''))
+  }
+  
+  return reasons
+}
+
+/**
+ * Find stale workspaces (no activity in N days, or merged and idle)
+ * 
+ * Branches already merged into the default branch are prime cleanup
+ * candidates, so they go stale after mergedMaxAgeDays instead of maxAgeDays.
  * 
  * @param {object} [options]
  * @param {number} [options.maxAgeDays=7] - Maximum age in days before considered stale
- * @returns {Promise<Array<{type: string, workspace: string, repo: string, branch: string, lastAccess: Date, hasUncommitted: boolean}>>}
+ * @param {number} [options.mergedMaxAgeDays=1] - Maximum age in days for merged branches
+ * @returns {Promise<Array<{type: string, workspace: string, repo: string, branch: string, staleReason: 'inactive'|'merged', lastAccess: Date, hasUncommitted: boolean, hasUnpushed: boolean, isMerged: boolean}>>}
+ *   Entries also carry the remaining fields of getWorkspaceStatus
  */
 export async function findStaleWorkspaces(options = {}) {
-  const { maxAgeDays = 7 } = options
-  const maxAgeMs = maxAgeDays * 24 * 60 * 60 * 1000
-  const cutoff = Date.now() - maxAgeMs
+  const { maxAgeDays = 7, mergedMaxAgeDays = 1 } = options
+  const dayMs = 24 * 60 * 60 * 1000
+  const cutoff = Date.now() - maxAgeDays * dayMs
+  const mergedCutoff = Date.now() - Math.min(maxAgeDays, mergedMaxAgeDays) * dayMs
   
   const allWorkspaces = await listAllWorkspaces()
+  const lastUsed = getWorkspaceLastUsed()
+  const usage = await readUsage()
   const stale = []
   
   for (const ws of allWorkspaces) {
-    const status = await getWorkspaceStatus(ws.workspace)
+    const status = await getWorkspaceStatus(ws.workspace, { lastUsed: lastUsed.get(ws.workspace) || null, usage })
+    const lastAccess = status.lastAccess.getTime()
     
-    if (status.lastAccess.getTime() < cutoff) {
-      stale.push({
-        ...ws,
-        lastAccess: status.lastAccess,
-        hasUncommitted: status.hasUncommitted,
-        uncommittedCount: status.uncommittedCount,
-      })
+    if (lastAccess < cutoff) {
+      stale.push({ ...ws, ...status, staleReason: 'inactive' })
+    } else if (status.isMerged && lastAccess < mergedCutoff) {
+      stale.push({ ...ws, ...status, staleReason: 'merged' })
     }
   }
   
   return stale
 }
 
+/**
+ * Remove a single workspace
+ * 
+ * @param {object} ws - Workspace from listAllWorkspaces
+ * @param {object} [options]
+ * @param {boolean} [options.force] - Remove worktrees even if dirty
+ * @returns {Promise<string[]>} Errors (empty on success)
+ */
+async function removeWorkspace(ws, options = {}) {
+  if (ws.type === 'clone') {
+    const summary = await remove(ws.workspace, ws.repo, ws.branch)
+    return summary.errors
+  }
+  
+  const mainRepo = ws.mainRepo || await getWorktreeMainRepo(ws.workspace)
+  if (!mainRepo) {
+    return ['Main repository not found']
+  }
+  await removeWorktreeWorkspace(ws.workspace, mainRepo, { force: options.force })
+  cleanupWorkspaceSessions(ws.workspace)
+  return []
+}
+
+/**
+ * Remove stale workspaces
+ * 
+ * Clones are removed with remove() (container, image, port, override and
+ * clone folder), worktrees with removeWorktreeWorkspace. Workspaces with
+ * uncommitted changes, and clones with unpushed commits, are skipped unless confirmed;
+ * workspaces whose container is still starting, and workspaces another session
+ * is targeting, are always skipped.
+ * 
+ * @param {object} [options]
+ * @param {number} [options.maxAgeDays=7] - Maximum age in days before considered stale
+ * @param {number} [options.mergedMaxAgeDays=1] - Maximum age in days for merged branches
+ * @param {boolean} [options.dryRun] - Report what would be removed without removing anything
+ * @param {boolean} [options.confirmed] - Also remove workspaces with uncommitted changes or unpushed commits
+ * @param {string[]} [options.workspaces] - Only consider these workspace paths (e.g. the ones a confirmation was asked for)
+ * @param {string} [options.sessionID] - Session running the cleanup; its own target doesn't keep a workspace
+ * @returns {Promise<{dryRun: boolean, removed: Object[], skipped: Object[], failed: Object[]}>}
+ *   `removed` lists what would be removed in dry-run mode; skipped entries carry `reasons`,
+ *   failed entries carry `errors`
+ */
+export async function cleanupWorkspaces(options = {}) {
+  const { maxAgeDays = 7, mergedMaxAgeDays = 1, dryRun = false, confirmed = false, workspaces, sessionID } = options
+  const result = { dryRun, removed: [], skipped: [], failed: [] }
+  
+  const stale = (await findStaleWorkspaces({ maxAgeDays, mergedMaxAgeDays }))
+    .filter(ws => !workspaces || workspaces.includes(ws.workspace))
+  
+  const targeting = new Map()
+  for (const { sessionID: id, session } of readSessions()) {
+    if (!session.workspace || id === sessionID) continue
+    targeting.set(session.workspace, (targeting.get(session.workspace) || 0) + 1)
+  }
+  
+  for (const ws of stale) {
+    const job = await getJob(ws.workspace)
+    if (job && (job.status === JOB_STATUS.PENDING || job.status === JOB_STATUS.RUNNING)) {
+      result.skipped.push({ ...ws, reasons: ['container start in progress'], needsConfirmation: false })
+      continue
+    }
+    
+    if (targeting.has(ws.workspace)) {
+      result.skipped.push({ ...ws, reasons: [`targeted by ${targeting.get(ws.workspace)} other session(s)`], needsConfirmation: false })
+      continue
+    }
+    
+    // Removing a worktree keeps its branch in the main repo, so only clones lose commits
+    const reasons = describeUnsavedWork(ws, { commits: ws.type === 'clone' })
+    
+    if (reasons.length > 0 && !confirmed) {
+      result.skipped.push({ ...ws, reasons, needsConfirmation: true })
+      continue
+    }
+    
+    if (dryRun) {
+      result.removed.push(ws)
+      continue
+    }
+    
+    try {
+      const errors = await removeWorkspace(ws, { force: confirmed })
+      if (errors.length > 0) {
+        result.failed.push({ ...ws, errors })
+      } else {
+        result.removed.push(ws)
+      }
+    } catch (err) {
+      result.failed.push({ ...ws, errors: [err.message] })
+    }
+  }
+  
+  return result
+}
+
 /**
  * Format workspace info for display
  * 
@@ -169,14 +443,32 @@ export function formatWorkspace(workspace, status) {
     if (status.hasUncommitted) {
       str += ` [${status.uncommittedCount} uncommitted]`
     }
+    if (status.ahead > 0 || status.behind > 0) {
+      const counts = []
+      if (status.ahead > 0) counts.push(`${status.ahead} ahead`)
+      if (status.behind > 0) counts.push(`${status.behind} behind`)
+      str += ` [${counts.join(', ')}]`
+    }
+    if (status.noUpstream) {
+      str += status.hasUnpushed ? ` [no upstream, ${status.unpushedCount} unpushed]` : ` [no upstream]`
+    }
+    if (status.isMerged) {
+      str += ` [merged]`
+    }
+    if (status.base) {
+      str += ` [from ${status.base}]`
+    }
   }
   
   return str
 }
 
 export default {
+  migrateManifests,
   listAllWorkspaces,
   getWorkspaceStatus,
   findStaleWorkspaces,
+  cleanupWorkspaces,
+  describeUnsavedWork,
   formatWorkspace,
 }
@@ -9,25 +9,31 @@
 import { join, basename, dirname } from 'path'
 import { mkdir, rm, readdir, stat, readFile } from 'fs/promises'
 import { existsSync } from 'fs'
-import { PATHS, exists } from './paths.js'
+import { PATHS, exists, resolveBranchDir, listBranchDirs } from './paths.js'
 import { 
   createWorktree as gitCreateWorktree, 
   removeWorktree as gitRemoveWorktree,
   isWorktree,
   getRepoRoot,
   isGitRepo,
+  createBranchFrom,
+  deleteBranch,
 } from './git.js'
 import { copyGitignored } from './clones.js'
+import { forgetUsage } from './usage.js'
+import { createManifest, deleteManifest } from './manifest.js'
 
 /**
  * Get the path where a worktree workspace would be created
  * 
+ * The branch is encoded as a single directory name (see encodeBranchDir).
+ * 
  * @param {string} repo - Repository name
  * @param {string} branch - Branch name
  * @returns {string} Absolute path to worktree directory
  */
 export function getWorktreePath(repo, branch) {
-  return join(PATHS.worktrees, repo, branch)
+  return resolveBranchDir(join(PATHS.worktrees, repo), branch)
 }
 
 /**
@@ -35,18 +41,21 @@ export function getWorktreePath(repo, branch) {
  * 
  * Orchestrates:
  * 1. Validate: in git repo, not already in a worktree
- * 2. Create worktree
+ * 2. Create worktree (with a new branch starting at `base`, if given)
  * 3. Copy secrets (gitignored files)
  * 4. Run direnv allow (if .envrc exists)
  * 
  * @param {object} options
  * @param {string} options.repoRoot - Path to main repository
  * @param {string} options.branch - Branch name to create/checkout
+ * @param {string} [options.base] - Start a new branch from this ref, remote branch or pull request (see resolveBase)
  * @param {boolean} [options.force] - Force recreate if exists
- * @returns {Promise<{workspace: string, repoName: string, branch: string, mainRepo: string}>}
+ * @param {string} [options.sessionID] - Session creating the worktree (recorded in its manifest)
+ * @returns {Promise<{workspace: string, repoName: string, branch: string, mainRepo: string, base?: string, copyReport?: object}>}
+ *   copyReport (from copyGitignored) is set when the worktree was created; base describes where the branch started
  */
 export async function createWorktreeWorkspace(options) {
-  const { repoRoot, branch, force = false } = options
+  const { repoRoot, branch, base, force = false, sessionID = null } = options
   
   // Validate: in git repo
   if (!await isGitRepo(repoRoot)) {
@@ -74,17 +83,37 @@ export async function createWorktreeWorkspace(options) {
   await mkdir(dirname(workspace), { recursive: true })
   
   // Create worktree
-  await gitCreateWorktree(repoRoot, branch, workspace)
+  let baseLabel
+  if (base) {
+    baseLabel = (await createBranchFrom(repoRoot, branch, base)).label
+    try {
+      await gitCreateWorktree(repoRoot, branch, workspace, { createBranch: false })
+    } catch (err) {
+      await deleteBranch(repoRoot, branch, { force: true }).catch(() => {})
+      throw err
+    }
+  } else {
+    await gitCreateWorktree(repoRoot, branch, workspace)
+  }
+  await createManifest({
+    type: 'worktree',
+    workspace,
+    repo: repoName,
+    branch,
+    mainRepo: repoRoot,
+    base: baseLabel || null,
+    createdBy: sessionID,
+  })
   
   // Copy gitignored files (secrets, local config)
-  await copyGitignored(repoRoot, workspace)
+  const copyReport = await copyGitignored(repoRoot, workspace)
   
   // Run direnv allow if .envrc exists (fire-and-forget)
   if (existsSync(join(workspace, '.envrc'))) {
     runDirenvAllow(workspace)
   }
   
-  return { workspace, repoName, branch, mainRepo: repoRoot }
+  return { workspace, repoName, branch, mainRepo: repoRoot, ...(baseLabel ? { base: baseLabel } : {}), copyReport }
 }
 
 /**
@@ -132,10 +161,7 @@ export async function listWorktreeWorkspaces(options = {}) {
     const repoStat = await stat(repoPath).catch(() => null)
     if (!repoStat?.isDirectory()) continue
     
-    const branches = await readdir(repoPath)
-    
-    for (const branch of branches) {
-      const workspace = join(repoPath, branch)
+    for (const { workspace, branch } of await listBranchDirs(repoPath)) {
       const gitPath = join(workspace, '.git')
       
       // Check if it's a worktree (has .git file, not directory)
@@ -177,6 +203,8 @@ export async function removeWorktreeWorkspace(workspace, mainRepo, options = {})
   }
   
   await gitRemoveWorktree(mainRepo, workspace, { force })
+  await deleteManifest(workspace)
+  await forgetUsage(workspace).catch(() => {})
   return true
 }
 
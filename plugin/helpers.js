@@ -1,9 +1,9 @@
-import { 
-  readFileSync, writeFileSync, mkdirSync, existsSync, 
-  readdirSync, unlinkSync, statSync 
-} from "fs"
+import { readFileSync, existsSync, readdirSync, statSync } from "fs"
 import { join, basename } from "path"
 import { execSync } from "child_process"
+import { parseShellCommand, shellQuote } from "./core/shell.js"
+import { resolveBranchDir } from "./core/paths.js"
+import { listManifestsSync } from "./core/manifest.js"
 
 // ============ Utility Functions ============
 
@@ -80,70 +80,64 @@ export const HOST_COMMANDS = [
 
 // ============ Session Management ============
 
-// In-memory cache to avoid repeated file reads on every bash command
-const sessionCache = new Map()
+// Session files live in core/sessions.js, so core modules can update them
+// without depending on the plugin layer
+export {
+  withLockSync,
+  writeFileAtomic,
+  onSessionChange,
+  loadSession,
+  saveSession,
+  updateSession,
+  clearSessionTarget,
+  deleteSession,
+} from "./core/sessions.js"
 
-function getSessionFile(sessionID) {
-  return join(getSessionsDir(), `${sessionID}.json`)
-}
+// ============ Workspace Resolution ============
 
-export function loadSession(sessionID) {
-  // Check cache first
-  if (sessionCache.has(sessionID)) {
-    return sessionCache.get(sessionID)
-  }
-  
-  const file = getSessionFile(sessionID)
-  if (!existsSync(file)) return null
-  try {
-    const session = JSON.parse(readFileSync(file, "utf-8"))
-    sessionCache.set(sessionID, session)
-    return session
-  } catch {
-    return null
+/**
+ * Find a workspace of a type (clone or worktree) by branch argument
+ * 
+ * Workspaces are looked up in their manifests (see core/manifest.js), then
+ * in the directory layout for ones that don't have a manifest yet.
+ * 
+ * `repo/branch` only addresses a repo when `repo` is a known repo and has
+ * that workspace. Otherwise the whole argument is the branch name, looked
+ * up in the current repo and then in all repos, so `feature/login` finds
+ * that branch even though it contains a slash.
+ * 
+ * @returns {{workspace: string, repoName: string, branch: string, manifest: object|null}|{ambiguous: true, matches: object[]}|null}
+ */
+function findWorkspace(type, baseDir, branchArg) {
+  const manifests = listManifestsSync({ type }).filter(m => existsSync(m.workspace))
+  const isDirectory = path => {
+    try {
+      return statSync(path).isDirectory()
+    } catch {
+      return false
+    }
   }
-}
-
-export function saveSession(sessionID, state) {
-  const sessionsDir = getSessionsDir()
-  mkdirSync(sessionsDir, { recursive: true })
-  const session = {
-    ...state,
-    activatedAt: new Date().toISOString()
+  const lookup = (repoName, branch) => {
+    const manifest = manifests.find(m => m.repo === repoName && m.branch === branch)
+    if (manifest) return { workspace: manifest.workspace, repoName, branch, manifest }
+    const workspace = resolveBranchDir(join(baseDir, repoName), branch)
+    return existsSync(workspace) ? { workspace, repoName, branch, manifest: null } : null
   }
-  writeFileSync(getSessionFile(sessionID), JSON.stringify(session, null, 2))
-  // Update cache
-  sessionCache.set(sessionID, session)
-}
-
-export function deleteSession(sessionID) {
-  const file = getSessionFile(sessionID)
-  if (existsSync(file)) {
-    unlinkSync(file)
-  }
-  // Clear from cache
-  sessionCache.delete(sessionID)
-}
-
-// ============ Workspace Resolution ============
-
-export function resolveWorkspace(branchArg) {
-  const clonesDir = getClonesDir()
-  let repoName = null
-  let branch = branchArg
-  
-  // Handle repo/branch syntax
-  if (branchArg.includes("/")) {
-    const parts = branchArg.split("/")
-    repoName = parts[0]
-    branch = parts.slice(1).join("/")
+  const repos = new Set(manifests.map(m => m.repo))
+  if (existsSync(baseDir)) {
+    for (const repo of readdirSync(baseDir)) {
+      if (isDirectory(join(baseDir, repo))) repos.add(repo)
+    }
   }
   
-  // If repo specified, look directly
-  if (repoName) {
-    const clonePath = join(clonesDir, repoName, branch)
-    if (existsSync(clonePath)) return { workspace: clonePath, repoName, branch }
-    return null
+  // Handle repo/branch syntax, only for known repos
+  const slash = branchArg.indexOf("/")
+  if (slash > 0 && slash < branchArg.length - 1) {
+    const repoName = branchArg.slice(0, slash)
+    if (repos.has(repoName)) {
+      const match = lookup(repoName, branchArg.slice(slash + 1))
+      if (match) return match
+    }
   }
   
   // Try to infer repo from current directory
@@ -152,98 +146,45 @@ export function resolveWorkspace(branchArg) {
       encoding: "utf-8",
       stdio: ["pipe", "pipe", "pipe"]
     }).trim()
-    repoName = basename(gitRoot)
-    const clonePath = join(clonesDir, repoName, branch)
-    if (existsSync(clonePath)) return { workspace: clonePath, repoName, branch }
+    const match = lookup(basename(gitRoot), branchArg)
+    if (match) return match
   } catch {}
   
   // Search all repos for this branch
-  if (existsSync(clonesDir)) {
-    const matches = []
-    for (const repo of readdirSync(clonesDir)) {
-      const repoPath = join(clonesDir, repo)
-      try {
-        const stat = statSync(repoPath)
-        if (!stat.isDirectory()) continue
-      } catch { continue }
-      
-      const clonePath = join(repoPath, branch)
-      if (existsSync(clonePath)) {
-        matches.push({ workspace: clonePath, repoName: repo, branch })
-      }
-    }
-    if (matches.length === 1) return matches[0]
-    if (matches.length > 1) {
-      return { ambiguous: true, matches }
-    }
+  const matches = [...repos].map(repo => lookup(repo, branchArg)).filter(Boolean)
+  if (matches.length === 1) return matches[0]
+  if (matches.length > 1) {
+    return { ambiguous: true, matches }
   }
   
   return null
 }
 
+/**
+ * Resolve a clone workspace from branch argument (`branch` or `repo/branch`)
+ */
+export function resolveWorkspace(branchArg) {
+  const withoutManifest = ({ manifest, ...match }) => match
+  const resolved = findWorkspace("clone", getClonesDir(), branchArg)
+  if (!resolved) return null
+  if (resolved.ambiguous) return { ambiguous: true, matches: resolved.matches.map(withoutManifest) }
+  return withoutManifest(resolved)
+}
+
 /**
  * Resolve a worktree workspace from branch argument
  * Similar to resolveWorkspace but for worktrees directory
  */
 export function resolveWorktreeWorkspace(branchArg) {
-  const worktreesDir = getWorktreesDir()
-  let repoName = null
-  let branch = branchArg
-  
-  // Handle repo/branch syntax
-  if (branchArg.includes("/")) {
-    const parts = branchArg.split("/")
-    repoName = parts[0]
-    branch = parts.slice(1).join("/")
-  }
-  
-  // If repo specified, look directly
-  if (repoName) {
-    const worktreePath = join(worktreesDir, repoName, branch)
-    if (existsSync(worktreePath)) {
-      // Read .git file to get main repo path
-      const mainRepo = getMainRepoFromWorktree(worktreePath)
-      return { workspace: worktreePath, repoName, branch, mainRepo, repo: repoName }
-    }
-    return null
-  }
-  
-  // Try to infer repo from current directory
-  try {
-    const gitRoot = execSync("git rev-parse --show-toplevel", { 
-      encoding: "utf-8",
-      stdio: ["pipe", "pipe", "pipe"]
-    }).trim()
-    repoName = basename(gitRoot)
-    const worktreePath = join(worktreesDir, repoName, branch)
-    if (existsSync(worktreePath)) {
-      return { workspace: worktreePath, repoName, branch, mainRepo: gitRoot, repo: repoName }
-    }
-  } catch {}
-  
-  // Search all repos for this branch
-  if (existsSync(worktreesDir)) {
-    const matches = []
-    for (const repo of readdirSync(worktreesDir)) {
-      const repoPath = join(worktreesDir, repo)
-      try {
-        const stat = statSync(repoPath)
-        if (!stat.isDirectory()) continue
-      } catch { continue }
-      
-      const worktreePath = join(repoPath, branch)
-      if (existsSync(worktreePath)) {
-        const mainRepo = getMainRepoFromWorktree(worktreePath)
-        matches.push({ workspace: worktreePath, repoName: repo, branch, mainRepo, repo })
-      }
-    }
-    if (matches.length === 1) return matches[0]
-    if (matches.length > 1) {
-      return { ambiguous: true, matches }
-    }
-  }
-  
-  return null
+  const withMainRepo = ({ manifest, ...match }) => ({
+    ...match,
+    mainRepo: manifest?.mainRepo || getMainRepoFromWorktree(match.workspace),
+    repo: match.repoName,
+  })
+  const resolved = findWorkspace("worktree", getWorktreesDir(), branchArg)
+  if (!resolved) return null
+  if (resolved.ambiguous) return { ambiguous: true, matches: resolved.matches.map(withMainRepo) }
+  return withMainRepo(resolved)
 }
 
 /**
@@ -274,35 +215,245 @@ function getMainRepoFromWorktree(worktreePath) {
 
 // ============ Command Classification ============
 
-export function shouldRunOnHost(command) {
-  if (!command || !command.trim()) return true
-  
+// Commands that behave the same on the host and in the container. They
+// follow the rest of the line instead of deciding where it runs, so
+// `cd app && bundle exec rspec` goes to the container.
+export const NEUTRAL_COMMANDS = [
+  // Shell builtins
+  'cd', 'pushd', 'popd', 'export', 'unset', 'set', 'source', '.', ':',
+  'true', 'false', 'test', '[', 'echo', 'printf', 'sleep',
+  'exit', 'return', 'break', 'continue', 'shift', 'read', 'wait',
+  'local', 'declare', 'typeset', 'readonly', 'let', 'trap', 'shopt', 'umask',
+  // POSIX text and file utilities
+  'cat', 'head', 'tail', 'wc', 'grep', 'sed', 'awk', 'sort', 'uniq',
+  'cut', 'tr', 'tee', 'xargs', 'ls', 'pwd', 'find', 'jq',
+]
+
+export const ROUTE = {
+  HOST: 'host',
+  CONTAINER: 'container',
+  NEUTRAL: 'neutral',
+  MIXED: 'mixed',
+  ESCAPE: 'escape',
+}
+
+/**
+ * Compile a routing pattern
+ *
+ * - `/regex/flags` is matched against the whole command (`name args...`)
+ * - A glob (`*`, `?`) containing spaces is matched against the whole command
+ * - Anything else is a glob matched against the command name
+ *
+ * @param {string} pattern - Pattern from a routing rule
+ * @returns {{pattern: string, test: (command: {name: string, args: string[]}) => boolean}}
+ * @throws {SyntaxError} If a regex pattern is invalid
+ */
+export function compileRoutingPattern(pattern) {
+  const regex = pattern.match(/^\/(.+)\/([a-z]*)$/)
+  if (regex) {
+    const re = new RegExp(regex[1], regex[2])
+    return { pattern, test: ({ name, args = [] }) => re.test([name, ...args].join(" ")) }
+  }
+
+  const source = pattern.trim()
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*/g, ".*")
+    .replace(/\?/g, ".")
+  const re = new RegExp(`^${source}$`)
+  if (/\s/.test(pattern.trim())) {
+    return { pattern, test: ({ name, args = [] }) => re.test([name, ...args].join(" ")) }
+  }
+  return { pattern, test: ({ name }) => re.test(name) }
+}
+
+/**
+ * Compile routing rule layers (from loadRoutingRules)
+ *
+ * Invalid patterns are collected in `errors` instead of failing the whole set.
+ *
+ * @param {Array<{source: string, allow: string[], deny: string[]}>} layers
+ * @returns {{layers: Array<{source: string, path?: string, allow: object[], deny: object[]}>, errors: Array<{source: string, pattern: string, message: string}>}}
+ */
+export function compileRoutingRules(layers = []) {
+  const errors = []
+  const compileList = (source, patterns) => patterns.flatMap(pattern => {
+    try {
+      return [compileRoutingPattern(pattern)]
+    } catch (err) {
+      errors.push({ source, pattern, message: err.message })
+      return []
+    }
+  })
+  return {
+    layers: layers.map(layer => ({
+      source: layer.source,
+      path: layer.path,
+      allow: compileList(layer.source, layer.allow || []),
+      deny: compileList(layer.source, layer.deny || []),
+    })),
+    errors,
+  }
+}
+
+/**
+ * Find the routing rule that applies to a command
+ *
+ * Layers are checked in order (user before repo); within a layer, deny
+ * wins over allow.
+ *
+ * @param {{name: string, args?: string[]}} command - Resolved simple command
+ * @param {object} [rules] - Compiled rules (from compileRoutingRules)
+ * @returns {{source: string, list: 'allow'|'deny', pattern: string}|null}
+ */
+export function matchRoutingRule(command, rules) {
+  for (const layer of rules?.layers || []) {
+    const denied = layer.deny.find(p => p.test(command))
+    if (denied) return { source: layer.source, list: "deny", pattern: denied.pattern }
+    const allowed = layer.allow.find(p => p.test(command))
+    if (allowed) return { source: layer.source, list: "allow", pattern: allowed.pattern }
+  }
+  return null
+}
+
+/**
+ * Classify a single command
+ *
+ * @param {string|{name: string, args?: string[]}} command - Command name or resolved simple command
+ * @param {object} [rules] - Compiled routing rules (from compileRoutingRules)
+ * @returns {'host'|'container'|'neutral'}
+ */
+export function classifyCommand(command, rules) {
+  const resolved = typeof command === "string" ? { name: command, args: [] } : command
+  const rule = matchRoutingRule(resolved, rules)
+  if (rule) return rule.list === "allow" ? ROUTE.HOST : ROUTE.CONTAINER
+  if (NEUTRAL_COMMANDS.includes(resolved.name)) return ROUTE.NEUTRAL
+  if (HOST_COMMANDS.includes(resolved.name)) return ROUTE.HOST
+  return ROUTE.CONTAINER
+}
+
+/**
+ * Format routing rules for status output
+ *
+ * @param {object} rules - Compiled routing rules (from compileRoutingRules)
+ * @returns {string} One line per rule source in the order they apply, then the built-in defaults and ignored patterns
+ */
+export function formatRoutingRules(rules) {
+  const layers = (rules?.layers || []).filter(l => l.allow.length > 0 || l.deny.length > 0)
+
+  const lines = ["Routing rules (first match wins):"]
+  for (const layer of layers) {
+    const parts = []
+    if (layer.allow.length > 0) parts.push(`host: ${layer.allow.map(p => p.pattern).join(", ")}`)
+    if (layer.deny.length > 0) parts.push(`never host: ${layer.deny.map(p => p.pattern).join(", ")}`)
+    const where = layer.path ? ` (${layer.path})` : ""
+    lines.push(`  ${layer.source}${where}: ${parts.join("; ")}`)
+  }
+  const hostOnly = HOST_COMMANDS.filter(name => !NEUTRAL_COMMANDS.includes(name))
+  lines.push(`  built-in: host: ${hostOnly.join(", ")}; host or container: ${NEUTRAL_COMMANDS.join(", ")}; ` +
+    `anything else: container`)
+  for (const error of rules?.errors || []) {
+    lines.push(`  ignored invalid ${error.source} pattern ${error.pattern}: ${error.message}`)
+  }
+  return lines.join("\n")
+}
+
+function listNames(commands) {
+  return [...new Set(commands.map(c => c.name))].join(", ")
+}
+
+/**
+ * Decide where a whole command line runs
+ *
+ * Every simple command in the line (chains, pipelines, subshells and
+ * substitutions included) is classified. The line runs in the container if
+ * any command needs it, on the host otherwise, and is `mixed` when it
+ * needs both - there is no single place it can run correctly.
+ *
+ * @param {string} command - Command line
+ * @param {object} [options]
+ * @param {object} [options.rules] - Compiled routing rules (from compileRoutingRules)
+ * @returns {{route: string, commands: Array<{name: string, route: string, rule: object|null}>, reason: string}}
+ */
+export function analyzeCommand(command, options = {}) {
+  if (!command || !command.trim()) {
+    return { route: ROUTE.HOST, commands: [], reason: "Empty command" }
+  }
+
   const trimmed = command.trim()
-  
+
   // Check for HOST: escape hatch (case-insensitive)
   if (trimmed.toUpperCase().startsWith("HOST:")) {
-    return "escape"
+    return { route: ROUTE.ESCAPE, commands: [], reason: "HOST: prefix forces the host" }
   }
-  
-  const firstWord = trimmed.split(/\s+/)[0]
-  return HOST_COMMANDS.includes(firstWord)
-}
 
-// ============ Secure Command Execution ============
+  const commands = parseShellCommand(trimmed).map(({ name, args, wrappers, substitution }) => ({
+    name,
+    route: classifyCommand({ name, args }, options.rules),
+    rule: matchRoutingRule({ name, args }, options.rules),
+    wrappers,
+    substitution,
+  }))
+  const host = commands.filter(c => c.route === ROUTE.HOST)
+  const container = commands.filter(c => c.route === ROUTE.CONTAINER)
+
+  if (host.length > 0 && container.length > 0) {
+    return {
+      route: ROUTE.MIXED,
+      commands,
+      reason: `${listNames(host)} must run on the host but ${listNames(container)} must run in the container`,
+    }
+  }
+  if (container.length > 0) {
+    return { route: ROUTE.CONTAINER, commands, reason: `${listNames(container)} runs in the container` }
+  }
+  if (host.length > 0) {
+    return { route: ROUTE.HOST, commands, reason: `${listNames(host)} runs on the host` }
+  }
+  return {
+    route: ROUTE.HOST,
+    commands,
+    reason: commands.length > 0
+      ? `${listNames(commands)} works on both, running on the host`
+      : "No commands to run",
+  }
+}
 
 /**
- * Shell-quotes a string for safe inclusion in a shell command.
- * Uses single quotes which prevent all shell interpretation except for
- * single quotes themselves, which are escaped using the '"'"' pattern.
- * 
- * Returns the original string if it contains only safe characters.
+ * Format an analyzeCommand result for display
  */
-export function shellQuote(str) {
-  // Safe characters that don't need quoting
-  if (/^[a-zA-Z0-9_\-./=:@]+$/.test(str)) {
-    return str
+export function formatCommandAnalysis(command, analysis = analyzeCommand(command)) {
+  const lines = [`Command: ${command}`, `Route: ${analysis.route}`, `Reason: ${analysis.reason}`]
+  if (analysis.commands.length > 0) {
+    lines.push("", "Commands:")
+    for (const c of analysis.commands) {
+      const notes = []
+      if (c.rule) notes.push(`${c.rule.source} ${c.rule.list} rule ${c.rule.pattern}`)
+      if (c.wrappers.length > 0) notes.push(`via ${c.wrappers.join(" ")}`)
+      if (c.substitution) notes.push("in substitution")
+      const suffix = notes.length > 0 ? ` (${notes.join(", ")})` : ""
+      const target = c.route === ROUTE.NEUTRAL ? "host or container" : c.route
+      lines.push(`  ${c.name} -> ${target}${suffix}`)
+    }
+  }
+  if (analysis.route === ROUTE.MIXED) {
+    lines.push("", "Run the host and container parts as separate commands, or prefix with HOST: to run everything on the host.")
   }
-  // Escape single quotes: close quote, add double-quoted single quote, reopen quote
-  // "it's" becomes 'it'"'"'s'
-  return "'" + str.replace(/'/g, "'\"'\"'") + "'"
+  return lines.join("\n")
 }
+
+/**
+ * Backward-compatible check used by the bash hook
+ *
+ * @returns {true|false|"escape"} true for host, false for container or mixed,
+ *   "escape" for the HOST: prefix
+ */
+export function shouldRunOnHost(command, options = {}) {
+  const { route } = analyzeCommand(command, options)
+  if (route === ROUTE.ESCAPE) return "escape"
+  return route === ROUTE.HOST
+}
+
+// ============ Secure Command Execution ============
+
+// Shell quoting lives with the shell parser; re-exported for the plugin
+export { shellQuote }
@@ -8,10 +8,16 @@ import { tool } from "@opencode-ai/plugin/tool"
 import {
   loadSession,
   saveSession,
-  deleteSession,
+  updateSession,
+  clearSessionTarget,
+  onSessionChange,
   resolveWorkspace,
   resolveWorktreeWorkspace,
-  shouldRunOnHost,
+  analyzeCommand,
+  formatCommandAnalysis,
+  compileRoutingRules,
+  formatRoutingRules,
+  ROUTE,
   getSessionsDir,
   runWithTimeout,
   shellQuote,
@@ -21,32 +27,93 @@ import {
 import {
   up,
   upBackground,
+  cancel,
+  reconcileJobs,
+  findStartingClone,
   exec,
+  stop,
   isContainerRunning,
+  getContainerState,
+  CONTAINER_STATE,
   checkDevcontainerCli,
   getOverridePath,
+  writeExecConfig,
+  getContainerWorkspaceFolder,
+  resolveContainerWorkdir,
+  translateHostPaths,
+  shellArgs,
+  withWorkdir,
+  loadPassEnv,
+  selectPassthroughEnv,
+  redactValues,
+  withRedactedOutput,
   getJob,
   cleanupJobs,
+  readJobLog,
+  detectJobPhase,
   JOB_STATUS,
   PATHS,
+  pathId,
+  loadUserConfig,
+  loadRoutingRules,
+  createOutputBuffer,
+  truncateMiddle,
   remove,
   listClones,
   readPorts,
   readJobs,
+  cleanupWorkspaceSessions,
   // Worktree imports
   createWorktreeWorkspace,
+  listWorktreeWorkspaces,
+  removeWorktreeWorkspace,
   getRepoRoot,
+  getBranchBase,
+  getCurrentBranch,
+  getWorktreeMainRepo,
+  deleteBranch,
   isWorktree,
   // Workspaces imports
   listAllWorkspaces,
   getWorkspaceStatus,
-  findStaleWorkspaces,
+  cleanupWorkspaces,
+  describeUnsavedWork,
   formatWorkspace,
+  // Session history imports
+  listRecentWorkspaces,
+  forgetWorkspace,
+  retireSession,
+  // Clone imports
+  formatCopyReport,
+  COPY_RULES_FILE,
+  REPO_CONFIG_FILE,
+  // Usage ledger imports
+  recordUsage,
+  USAGE_SOURCE,
+  // Manifest imports
+  readManifest,
+  // Secret sync imports
+  SECRET_STATUS,
+  getMainRepo,
+  findSecretDrift,
+  syncSecrets,
+  // Doctor imports
+  diagnoseWorkspaces,
+  repairIssues,
 } from "./core/index.js"
 
 // Timeout for init operations (2 seconds)
 const INIT_TIMEOUT_MS = 2000
 
+// Live output shown while devcontainer_exec runs (head + tail, like the final result)
+const LIVE_OUTPUT_BYTES = 30000
+
+// Minimum interval between live output updates
+const LIVE_OUTPUT_INTERVAL_MS = 250
+
+// Build log lines shown in status for background container starts
+const JOB_LOG_TAIL_LINES = 15
+
 const __dirname = dirname(fileURLToPath(import.meta.url))
 
 // ============ Internal Functions ============
@@ -90,11 +157,12 @@ async function cleanupStaleSessions(client) {
     const sessions = response.data || []
     const activeIDs = new Set(sessions.map(s => s.id))
     
+    // Ended sessions keep their recent history for `/workspaces recent`
     for (const file of readdirSync(sessionsDir)) {
       if (!file.endsWith(".json")) continue
       const sessionID = file.replace(".json", "")
       if (!activeIDs.has(sessionID)) {
-        unlinkSync(join(sessionsDir, file))
+        updateSession(sessionID, current => current && retireSession(current))
       }
     }
   } catch {}
@@ -103,23 +171,74 @@ async function cleanupStaleSessions(client) {
 /**
  * Build devcontainer exec command string for bash interception
  * 
+ * The command runs through bash in the container (sh where the image has
+ * no bash), so chains, pipes and redirects all happen inside it.
+ * 
+ * Passed-through variables come from an exec config (see writeExecConfig)
+ * that names them, so their values appear neither in the displayed command
+ * nor in the devcontainer process's arguments.
+ * 
  * @param {string} workspace - Workspace path (will be shell-quoted)
- * @param {string} command - Command to execute (passed verbatim to shell)
+ * @param {string} command - Command to execute
+ * @param {object} [options]
+ * @param {string} [options.workdir] - Container directory to run in (defaults to workspaceFolder)
+ * @param {string} [options.configPath] - Config to use instead of the override config
  * @returns {string} Shell command string
  */
-function buildDevcontainerExecCommand(workspace, command) {
-  const overridePath = getOverridePath(workspace)
+function buildDevcontainerExecCommand(workspace, command, options = {}) {
+  const overridePath = options.configPath || getOverridePath(workspace)
   const hasOverride = existsSync(overridePath)
   
   let cmd = `devcontainer exec --workspace-folder ${shellQuote(workspace)}`
   if (hasOverride) {
     cmd += ` --override-config ${shellQuote(overridePath)}`
   }
-  cmd += ` -- ${command}`
+  cmd += ` -- ${shellArgs(withWorkdir(command, options.workdir)).map(shellQuote).join(" ")}`
   
   return cmd
 }
 
+/**
+ * Clear a session's starting flag once its container is up
+ * 
+ * Re-reads the session under its lock, so a retarget by another process in
+ * the meantime isn't overwritten.
+ * 
+ * @param {string} sessionID - Session ID
+ * @param {string} workspace - Workspace whose container started
+ */
+function markSessionStarted(sessionID, workspace) {
+  updateSession(sessionID, current =>
+    current?.workspace === workspace ? { ...current, starting: false } : current
+  )
+}
+
+/**
+ * Load the compiled host command routing rules for a session
+ * 
+ * Repo rules come from the session's workspace; without a session only the
+ * user config applies.
+ * 
+ * @param {object|null} session - Session state (from loadSession)
+ * @returns {Promise<object>} Compiled rules (from compileRoutingRules)
+ */
+async function loadSessionRoutingRules(session) {
+  return compileRoutingRules(await loadRoutingRules(session?.workspace))
+}
+
+/**
+ * Format an internal -> host port map for display
+ * 
+ * @param {Object<string, number>} [portMap] - Map of internal port -> host port
+ * @param {number} [port] - Primary host port, used when no map is recorded
+ * @returns {string|null} e.g. "3000 → 13000, 9229 → 13001", or null if nothing to show
+ */
+function formatPortMap(portMap, port) {
+  const entries = Object.entries(portMap || {})
+  if (entries.length === 0) return port ? `${port}` : null
+  return entries.map(([internal, host]) => `${internal} → ${host}`).join(", ")
+}
+
 /**
  * Format a single remove result for display
  */
@@ -127,17 +246,24 @@ function formatRemoveSummary(summary) {
   const label = `${summary.repo}/${summary.branch}`
   let output = `Removed devcontainer: ${label}\n`
 
+  if (summary.composeRemoved) {
+    output += `  - Compose project: services, networks and volumes removed\n`
+  }
+
   if (summary.containerFound) {
     output += `  - Container: ${summary.containerStopped ? "stopped and " : ""}removed\n`
-    if (summary.imageRemoved) {
-      output += `  - Image: removed\n`
-    } else if (summary.containerFound) {
-      output += `  - Image: could not remove (may be in use)\n`
-    }
-  } else {
+  } else if (!summary.composeRemoved) {
     output += `  - Container: not found\n`
   }
 
+  if (summary.imageSharedWith > 0) {
+    output += `  - Image: kept (shared with ${summary.imageSharedWith} other workspace(s))\n`
+  } else if (summary.imageRemoved) {
+    output += `  - Image: removed\n`
+  } else if (summary.containerFound) {
+    output += `  - Image: could not remove (may be in use)\n`
+  }
+
   output += `  - Port: ${summary.portReleased ? "released" : "error"}\n`
   output += `  - Job entry: ${summary.jobRemoved !== false ? "cleaned up" : "not found"}\n`
   output += `  - Override config: ${summary.overrideDeleted ? "deleted" : "error"}\n`
@@ -172,7 +298,7 @@ function countOtherSessions(workspace, currentSessionID) {
     if (sid === currentSessionID) continue
     try {
       const data = JSON.parse(readFileSync(join(sessionsDir, file), 'utf-8'))
-      if (workspace === null || data.workspace === workspace) count++
+      if (data.workspace && (workspace === null || data.workspace === workspace)) count++
     } catch {}
   }
   return count
@@ -203,7 +329,10 @@ async function handleRemoveSingle(rmArg, sessionID, confirmed) {
 
     try {
       const status = await getWorkspaceStatus(workspace)
-      if (status.hasUncommitted) msgs.push("There are uncommitted changes in the workspace.")
+      const unsaved = describeUnsavedWork(status)
+      if (unsaved.length > 0) {
+        msgs.push(`The workspace has work that will be lost: ${unsaved.join(", ")}.`)
+      }
     } catch {}
 
     if (countOtherSessions(workspace, sessionID) > 0) {
@@ -221,12 +350,664 @@ async function handleRemoveSingle(rmArg, sessionID, confirmed) {
   // Clear current session if it targets this workspace
   const session = loadSession(sessionID)
   if (session && session.workspace === workspace) {
-    deleteSession(sessionID)
+    clearSessionTarget(sessionID)
   }
 
   return formatRemoveSummary(summary)
 }
 
+/**
+ * Resolve the workspace for a lifecycle verb (`stop`/`start`/`cancel`/`log`)
+ * Falls back to the session's current devcontainer when no branch is given.
+ * `cancel` and `log` also find starts whose clone doesn't exist yet.
+ * 
+ * @returns {Promise<{workspace: string, repoName: string, branch: string} | {error: string}>}
+ */
+async function resolveLifecycleTarget(verb, branchArg, sessionID) {
+  if (!branchArg) {
+    const session = loadSession(sessionID)
+    if (!session?.workspace || session.type === "worktree") {
+      return { error: `No devcontainer active for this session.\n\n` +
+                      `Use \`/devcontainer ${verb} <branch>\` to specify one.` }
+    }
+    return { workspace: session.workspace, repoName: session.repoName, branch: session.branch }
+  }
+
+  let resolved = resolveWorkspace(branchArg)
+  if (!resolved && (verb === "cancel" || verb === "log")) {
+    resolved = await findStartingClone(branchArg)
+  }
+
+  if (!resolved) {
+    return { error: `No devcontainer found for branch '${branchArg}'.\n\n` +
+                    `Use \`/devcontainer <branch>\` to set one up first.` }
+  }
+
+  if (resolved.ambiguous) {
+    const options = resolved.matches
+      .map(m => `  - ${m.repoName}/${m.branch}`)
+      .join("\n")
+    return { error: `Ambiguous branch '${branchArg}' found in multiple repos:\n${options}\n\n` +
+                    `Use \`/devcontainer ${verb} <repo>/${branchArg}\` to specify.` }
+  }
+
+  return resolved
+}
+
+/**
+ * Format build progress for a background job: parsed phase and recent log lines
+ * 
+ * The phase is detected from the whole log, since the line that started the
+ * current phase is often far above the last few lines (e.g. during a long
+ * image build); only the displayed output is tailed.
+ * 
+ * @param {string} workspace - Workspace path
+ * @param {string} [phaseLabel] - Label for the phase line
+ * @returns {Promise<string>} Formatted progress, or empty string if there is no log yet
+ */
+async function formatJobProgress(workspace, phaseLabel = "Phase") {
+  const tail = await readJobLog(workspace, { lines: JOB_LOG_TAIL_LINES })
+  if (!tail) return ""
+
+  const phase = detectJobPhase(await readJobLog(workspace))
+  return (phase ? `${phaseLabel}: ${phase}\n` : "") +
+         `\nRecent output:\n\`\`\`\n${tail}\n\`\`\`\n`
+}
+
+/**
+ * Handle `/devcontainer log [branch]`
+ */
+async function handleLog(branchArg, sessionID) {
+  const target = await resolveLifecycleTarget("log", branchArg, sessionID)
+  if (target.error) return target.error
+
+  const { workspace, repoName, branch } = target
+  const log = await readJobLog(workspace)
+  if (!log?.trim()) {
+    return `No build log for ${repoName}/${branch}.\n\n` +
+           `Logs are kept for containers started in the background until the job is cleaned up.`
+  }
+
+  const job = await getJob(workspace)
+  const config = await loadUserConfig()
+  return `Build log for ${repoName}/${branch}` + (job ? ` (${job.status})` : "") + `\n` +
+         `Log file: ${job?.logPath || "unknown"}\n\n` +
+         `\`\`\`\n${truncateMiddle(log.trim(), config.maxOutputBytes)}\n\`\`\``
+}
+
+/**
+ * Parse `/workspaces cleanup [days] [--dry-run] [path...]` arguments
+ * 
+ * @param {string} argString - Arguments after `cleanup`
+ * @param {number} defaultMaxAgeDays - Max age when none is given
+ * @returns {{maxAgeDays: number, dryRun: boolean, paths: string[]} | {error: string}}
+ */
+function parseCleanupArgs(argString, defaultMaxAgeDays) {
+  let maxAgeDays = defaultMaxAgeDays
+  let dryRun = false
+  const paths = []
+
+  for (const token of argString.split(/\s+/).filter(Boolean)) {
+    if (token === "--dry-run" || token === "dry-run") {
+      dryRun = true
+    } else if (/^\d+d?$/.test(token)) {
+      maxAgeDays = parseInt(token, 10)
+    } else if (token.startsWith("/")) {
+      paths.push(token)
+    } else {
+      return { error: "Usage: `/workspaces cleanup [days] [--dry-run] [path...]`" }
+    }
+  }
+
+  return { maxAgeDays, dryRun, paths }
+}
+
+/**
+ * Handle `/workspaces cleanup [days] [--dry-run] [path...]`
+ * 
+ * Confirmation only applies to the workspaces given by path, which the
+ * confirmation prompt lists, so confirming never removes a workspace the
+ * user wasn't shown.
+ */
+async function handleCleanup(argString, confirmed, sessionID) {
+  const config = await loadUserConfig()
+  const parsed = parseCleanupArgs(argString, config.cleanupMaxAgeDays)
+  if (parsed.error) return parsed.error
+
+  const { maxAgeDays, dryRun, paths } = parsed
+  const { mergedMaxAgeDays } = config
+  const result = await cleanupWorkspaces({
+    maxAgeDays,
+    mergedMaxAgeDays,
+    dryRun,
+    confirmed: confirmed && paths.length > 0,
+    workspaces: paths.length > 0 ? paths : undefined,
+    sessionID,
+  })
+  const { removed, skipped, failed } = result
+
+  if (removed.length === 0 && skipped.length === 0 && failed.length === 0) {
+    return paths.length > 0
+      ? `None of the given workspaces is stale anymore; nothing was removed.`
+      : `No stale workspaces found.\n\n` +
+        `All workspaces have been accessed within the last ${maxAgeDays} days.`
+  }
+
+  const formatEntry = (ws, detail) =>
+    `  ${formatWorkspace(ws, ws)}\n    Path: ${ws.workspace}\n` + (detail ? `    ${detail}\n` : "")
+
+  const policy = `not accessed in ${maxAgeDays}+ days, or merged into the default branch and idle for ${Math.min(maxAgeDays, mergedMaxAgeDays)}+ days`
+  let output = dryRun
+    ? `Cleanup preview (${policy}). Nothing was removed.\n\n`
+    : `Cleanup of workspaces ${policy}:\n\n`
+
+  if (removed.length > 0) {
+    output += `${dryRun ? "Would remove" : "Removed"} ${removed.length} workspace(s):\n`
+    output += removed.map(ws => formatEntry(ws)).join("") + "\n"
+  }
+
+  if (failed.length > 0) {
+    output += `Failed to remove ${failed.length} workspace(s):\n`
+    output += failed.map(ws => formatEntry(ws, `⚠️  ${ws.errors.join("; ")}`)).join("") + "\n"
+  }
+
+  const needsConfirmation = skipped.filter(ws => ws.needsConfirmation)
+  const otherSkipped = skipped.filter(ws => !ws.needsConfirmation)
+
+  if (otherSkipped.length > 0) {
+    output += `Skipped ${otherSkipped.length} workspace(s):\n`
+    output += otherSkipped.map(ws => formatEntry(ws, ws.reasons.join(", "))).join("") + "\n"
+  }
+
+  if (needsConfirmation.length > 0) {
+    output += `Kept ${needsConfirmation.length} workspace(s) with work that would be lost:\n`
+    output += needsConfirmation.map(ws => formatEntry(ws, `⚠️  ${ws.reasons.join(", ")}`)).join("") + "\n"
+    const command = `/workspaces cleanup ${maxAgeDays} ${needsConfirmation.map(ws => ws.workspace).join(" ")}`
+    output += dryRun
+      ? `These are only removed after confirmation.`
+      : `Reply "yes" to remove these too, discarding their changes, or "no" to keep them.\n` +
+        `Confirming runs \`${command}\` with confirmed: true.`
+  } else if (dryRun && removed.length > 0) {
+    output += `Run \`/workspaces cleanup${maxAgeDays !== config.cleanupMaxAgeDays ? ` ${maxAgeDays}` : ""}\` to remove them.`
+  }
+
+  return output.trimEnd()
+}
+
+/**
+ * Format how long ago a time was, e.g. "5m ago" or "3d ago"
+ */
+function formatTimeAgo(date) {
+  const minutes = Math.floor((Date.now() - date.getTime()) / 60000)
+  if (minutes < 1) return "just now"
+  if (minutes < 60) return `${minutes}m ago`
+  const hours = Math.floor(minutes / 60)
+  if (hours < 24) return `${hours}h ago`
+  return `${Math.floor(hours / 24)}d ago`
+}
+
+/**
+ * Handle `/workspaces recent [count]`
+ */
+function handleRecent(argString, sessionID) {
+  if (argString && !/^\d+$/.test(argString)) {
+    return "Usage: `/workspaces recent [count]`"
+  }
+  const limit = argString ? parseInt(argString, 10) : 10
+  const recent = listRecentWorkspaces({ limit })
+
+  if (recent.length === 0) {
+    return `No recently used workspaces.\n\n` +
+           `Workspaces show up here once a session has targeted them with ` +
+           `\`/devcontainer <branch>\` or \`/worktree <branch>\`.`
+  }
+
+  let output = `Recently used workspaces (${recent.length}):\n\n`
+  for (const item of recent) {
+    const label = item.type === "worktree" ? "[worktree]" : "[clone]"
+    let line = `  ${label} ${item.repoName}/${item.branch} (${formatTimeAgo(item.lastUsed)})`
+    if (item.activeIn.includes(sessionID)) {
+      line += ` [this session]`
+    } else if (item.activeIn.length > 0) {
+      line += ` [active in ${item.activeIn.length} session(s)]`
+    }
+    if (!existsSync(item.workspace)) {
+      line += ` [removed]`
+    }
+    output += `${line}\n    Path: ${item.workspace}\n`
+  }
+
+  const previous = loadSession(sessionID)?.history?.[0]
+  if (previous) {
+    output += `\nUse \`/devcontainer -\` to switch back to ${previous.repoName}/${previous.branch}.`
+  }
+
+  return output.trimEnd()
+}
+
+/**
+ * Work out the branch and base for a new workspace
+ * 
+ * A pull request target (`#412`) checks out the pull request on a branch
+ * named `pr-412`.
+ * 
+ * @param {string} target - Branch name, or `#<number>`
+ * @param {string} [base] - Base given with the `base` argument
+ * @returns {{branch: string, base?: string}}
+ */
+function resolveBaseTarget(target, base) {
+  const pr = target.match(/^#(\d+)$/)
+  if (pr && !base) {
+    return { branch: `pr-${pr[1]}`, base: target }
+  }
+  return { branch: target, ...(base ? { base } : {}) }
+}
+
+/**
+ * Note that `base` doesn't apply to an existing workspace
+ */
+function formatIgnoredBase(base, { repoName, branch }) {
+  return base
+    ? `\n\nNote: ${repoName}/${branch} already exists, so base '${base}' was ignored.`
+    : ""
+}
+
+/**
+ * Format the base a workspace's branch was created from, for status output
+ * 
+ * @returns {Promise<string>} e.g. "Base: origin/main\n", or "" when none was recorded
+ */
+async function formatBaseLine(workspace, branch) {
+  const base = await getBranchBase(workspace, branch)
+  return base ? `Base: ${base}\n` : ""
+}
+
+/**
+ * Describe how a workspace file differs from the main repo
+ */
+function formatSecretChange(change) {
+  const label = {
+    [SECRET_STATUS.MISSING]: "missing",
+    [SECRET_STATUS.OUTDATED]: "outdated",
+    [SECRET_STATUS.DIVERGED]: "changed in the workspace",
+  }[change.status]
+  return `    - ${change.path} (${label})\n`
+}
+
+/**
+ * ID of a listed secret change, binding a confirmation to what was shown
+ */
+function secretChangeId(workspace, change) {
+  return pathId(`${workspace}\n${change.path}\n${change.status}`).slice(0, 8)
+}
+
+/**
+ * Handle `/workspaces sync-secrets [--overwrite] [id...]`
+ * 
+ * Without confirmation only lists the differences; file contents are never
+ * shown. Confirmation only applies to the changes given by ID, which the
+ * confirmation prompt names, so a file that changed after the listing (or
+ * was never listed) is left alone.
+ */
+async function handleSyncSecrets(argString, confirmed) {
+  const tokens = argString.split(/\s+/).filter(Boolean)
+  const ids = tokens.filter(token => token !== "--overwrite")
+  if (ids.some(id => !/^[0-9a-f]{8}$/.test(id))) {
+    return "Usage: `/workspaces sync-secrets [--overwrite]`"
+  }
+  const overwrite = tokens.includes("--overwrite")
+
+  const mainRepo = await getMainRepo(process.cwd())
+  if (!mainRepo) {
+    return `Not in a git repository (checked: ${process.cwd()}).\n\n` +
+           `Run \`/workspaces sync-secrets\` from the main repo of the workspaces to update.`
+  }
+
+  const drift = await findSecretDrift(mainRepo)
+  if (drift.length === 0) {
+    return `No workspaces found for ${basename(mainRepo)}.`
+  }
+
+  const outdated = drift.filter(ws => ws.changes.length > 0)
+  if (outdated.length === 0) {
+    return `All ${drift.length} workspace(s) of ${basename(mainRepo)} have the same gitignored files as the main repo.`
+  }
+
+  const label = ws => `  [${ws.type}] ${ws.repo}/${ws.branch}\n`
+  const diverged = outdated.some(ws => ws.changes.some(c => c.status === SECRET_STATUS.DIVERGED))
+
+  if (!confirmed || ids.length === 0) {
+    let output = `Gitignored files that differ from the main repo (${mainRepo}):\n\n`
+    for (const ws of outdated) {
+      output += label(ws) + ws.changes.map(formatSecretChange).join("")
+    }
+    output += `\n${drift.length - outdated.length} other workspace(s) are up to date.\n`
+    if (diverged && !overwrite) {
+      output += `Files changed in a workspace are kept; use \`/workspaces sync-secrets --overwrite\` to replace them too.\n`
+    }
+    const listed = outdated.flatMap(ws => ws.changes
+      .filter(change => overwrite || change.status !== SECRET_STATUS.DIVERGED)
+      .map(change => secretChangeId(ws.workspace, change)))
+    if (listed.length === 0) {
+      return output.trimEnd()
+    }
+    const command = `/workspaces sync-secrets${overwrite ? " --overwrite" : ""} ${listed.join(" ")}`
+    return output + `\nReply "yes" to copy the main repo's files into these workspaces, or "no" to cancel.\n` +
+           `Confirming runs \`${command}\` with confirmed: true.`
+  }
+
+  let output = ""
+  let updatedCount = 0
+  let matchedCount = 0
+  for (const ws of outdated) {
+    const changes = ws.changes.filter(change => ids.includes(secretChangeId(ws.workspace, change)))
+    if (changes.length === 0) continue
+    matchedCount += changes.length
+    const result = await syncSecrets(mainRepo, ws.workspace, { overwrite, changes })
+    updatedCount += result.updated.length
+    if (result.updated.length === 0 && result.failed.length === 0) continue
+    output += label(ws)
+    output += result.updated.map(c => `    - ${c.path} (updated)\n`).join("")
+    output += result.failed.map(c => `    - ${c.path} (⚠️  ${c.error})\n`).join("")
+  }
+
+  output = `Updated ${updatedCount} file(s) from the main repo (${mainRepo}):\n\n` + output
+  if (matchedCount < ids.length) {
+    output += `\nLeft ${ids.length - matchedCount} listed file(s) alone: they changed since they were listed. ` +
+              `Run \`/workspaces sync-secrets\` again to review them.\n`
+  }
+  if (diverged && !overwrite) {
+    output += `\nKept files changed in a workspace; use \`/workspaces sync-secrets --overwrite\` to replace them too.`
+  }
+  return output.trimEnd() + `\n\nRestart processes that read these files at startup to pick up the changes.`
+}
+
+/**
+ * Format a doctor issue for listing
+ */
+function formatIssue(issue) {
+  return `  [${issue.id}] ${issue.description}\n    Repair: ${issue.repair}\n`
+}
+
+/**
+ * Handle `/workspaces doctor [--fix [id...]]`
+ * 
+ * Without --fix only reports; with it, lists the repairs and applies them
+ * after confirmation. Confirmation only applies to the issues given by ID,
+ * which the confirmation prompt names, so a problem that appeared after the
+ * listing is never repaired unseen. Issues are found again each time, so a
+ * repair never acts on state that changed since the report.
+ */
+async function handleDoctor(argString, confirmed) {
+  const tokens = argString.split(/\s+/).filter(Boolean)
+  const fix = tokens[0] === "--fix"
+  const ids = tokens.slice(1)
+  if (tokens.length > 0 && !fix) {
+    return "Usage: `/workspaces doctor [--fix [id...]]`"
+  }
+
+  const { issues, notes } = await diagnoseWorkspaces()
+  const noteText = notes.map(note => `\nNote: ${note}`).join("")
+
+  if (issues.length === 0) {
+    return `No problems found: ports, jobs, overrides, manifests, sessions, worktrees and containers are consistent.` + noteText
+  }
+
+  if (!fix) {
+    return `Found ${issues.length} problem(s):\n\n` + issues.map(formatIssue).join("") + noteText +
+           `\n\nUse \`/workspaces doctor --fix\` to repair all of them, or \`/workspaces doctor --fix <id>...\` to repair some.`
+  }
+
+  const unknown = ids.filter(id => !issues.some(issue => issue.id === id))
+  if (unknown.length > 0) {
+    return `Unknown problem ID(s): ${unknown.join(", ")}\n\n` +
+           `They may have been repaired already. Run \`/workspaces doctor\` to list the current problems.`
+  }
+  const selected = ids.length > 0 ? issues.filter(issue => ids.includes(issue.id)) : issues
+
+  if (!confirmed || ids.length === 0) {
+    const command = `/workspaces doctor --fix ${selected.map(issue => issue.id).join(" ")}`
+    return `Will repair ${selected.length} problem(s):\n\n` + selected.map(formatIssue).join("") +
+           `\nReply "yes" to repair them, or "no" to cancel.\n` +
+           `Confirming runs \`${command}\` with confirmed: true.`
+  }
+
+  const { repaired, failed } = await repairIssues(selected)
+  let output = `Repaired ${repaired.length} of ${selected.length} problem(s).\n`
+  if (repaired.length > 0) {
+    output += `\n` + repaired.map(issue => `  ✓ [${issue.id}] ${issue.description}\n`).join("")
+  }
+  if (failed.length > 0) {
+    output += `\nFailed:\n` + failed.map(issue => `  ⚠️  [${issue.id}] ${issue.description}: ${issue.error}\n`).join("")
+  }
+  return output.trimEnd()
+}
+
+/**
+ * Copy outdated gitignored files into a workspace a session is targeting
+ * 
+ * Only runs with `syncSecretsOnTarget` enabled. Files edited in the
+ * workspace are never replaced.
+ * 
+ * @param {string} workspace - Workspace being targeted
+ * @param {string|null} mainRepo - Its main repo; nothing is synced when unknown
+ * @returns {Promise<string>} Note for the user, or "" when nothing changed
+ */
+async function autoSyncSecrets(workspace, mainRepo) {
+  try {
+    const config = await loadUserConfig()
+    if (!config.syncSecretsOnTarget) return ""
+    if (!mainRepo || mainRepo === workspace) return ""
+
+    const { updated, kept } = await syncSecrets(mainRepo, workspace)
+    let note = ""
+    if (updated.length > 0) {
+      note += `\n\nSynced ${updated.length} gitignored file(s) from the main repo: ${updated.map(c => c.path).join(", ")}`
+    }
+    if (kept.length > 0) {
+      note += `\n\nKept ${kept.length} file(s) changed in this workspace: ${kept.map(c => c.path).join(", ")}\n` +
+              `Use \`/workspaces sync-secrets --overwrite\` to replace them.`
+    }
+    return note
+  } catch {
+    // Syncing is best-effort; targeting still succeeds
+    return ""
+  }
+}
+
+/**
+ * Handle `/devcontainer cancel [branch]`
+ */
+async function handleCancel(branchArg, sessionID) {
+  const target = await resolveLifecycleTarget("cancel", branchArg, sessionID)
+  if (target.error) return target.error
+
+  const { workspace, repoName, branch } = target
+  const job = await getJob(workspace)
+  if (!job || (job.status !== JOB_STATUS.PENDING && job.status !== JOB_STATUS.RUNNING)) {
+    return `No container start in progress for ${repoName}/${branch}.`
+  }
+
+  const result = await cancel(workspace)
+  if (!result.cancelled) {
+    const current = await getJob(workspace)
+    if (current?.status === JOB_STATUS.COMPLETED || current?.status === JOB_STATUS.FAILED) {
+      return `Container start for ${repoName}/${branch} already ${current.status}.\n\n` +
+             `Use \`/devcontainer\` to check status.`
+    }
+    return `Can't cancel the container start for ${repoName}/${branch}: ` +
+           `it was not started by this OpenCode instance.`
+  }
+
+  return `Cancelled container start for ${repoName}/${branch}\n` +
+         `  - Port: released\n` +
+         `  - Clone folder: kept\n\n` +
+         `Use \`/devcontainer start ${branch}\` to try again.`
+}
+
+/**
+ * Point a session at an existing devcontainer workspace
+ * 
+ * Starts the container in the background if it isn't running.
+ * 
+ * @param {string} sessionID - Session ID
+ * @param {{workspace: string, repoName: string, branch: string}} target
+ * @returns {Promise<string>} Message for the user
+ */
+async function targetDevcontainer(sessionID, { workspace, repoName, branch }) {
+  const mainRepo = (await readManifest(workspace))?.mainRepo
+  // Check if container is running
+  const isRunning = await isContainerRunning(workspace)
+  if (!isRunning) {
+    // Container exists but not running - start it in background (non-blocking)
+    try {
+      // Sync before starting, so the container sees current secrets
+      const syncNote = await autoSyncSecrets(workspace, mainRepo)
+      await upBackground(workspace)
+      
+      saveSession(sessionID, { 
+        branch, 
+        workspace, 
+        repoName,
+        starting: true,  // Mark as starting
+      })
+      
+      return `Starting container for ${repoName}/${branch}...\n` +
+             `Workspace: ${workspace}\n\n` +
+             `Container is starting in the background. This may take a minute.\n` +
+             `Use \`/devcontainer\` to check status.\n\n` +
+             `Session is now targeting this container. Commands will work once it's ready.` +
+             syncNote
+    } catch (err) {
+      // Quick validation failed
+      return `Failed to start container: ${err.message}`
+    }
+  }
+  
+  // Save session state
+  saveSession(sessionID, {
+    branch,
+    workspace,
+    repoName,
+  })
+  
+  return `Session now targeting: ${repoName}/${branch}\n` +
+         `Workspace: ${workspace}\n\n` +
+         `All commands will run inside this container.\n` +
+         `Use \`/devcontainer off\` to disable, or prefix with \`HOST:\` to run on host.` +
+         await autoSyncSecrets(workspace, mainRepo)
+}
+
+/**
+ * Point a session at an existing worktree workspace
+ * 
+ * @param {string} sessionID - Session ID
+ * @param {{workspace: string, repoName: string, branch: string, mainRepo: string}} target
+ * @returns {Promise<string>} Message for the user
+ */
+async function targetWorktree(sessionID, { workspace, repoName, branch, mainRepo }) {
+  saveSession(sessionID, {
+    type: "worktree",
+    branch,
+    workspace,
+    repoName,
+    mainRepo,
+  })
+  
+  return `Session now targeting worktree: ${repoName}/${branch}\n` +
+         `Workspace: ${workspace}\n\n` +
+         `All bash commands will run in this worktree directory.\n` +
+         `Use \`/worktree off\` to disable, or prefix with \`HOST:\` to run in original directory.` +
+         await autoSyncSecrets(workspace, mainRepo)
+}
+
+/**
+ * Handle `/devcontainer -`: switch back to the session's previous target
+ * 
+ * The previous target may be a devcontainer or a worktree. The current
+ * target becomes the previous one, so repeating the command toggles.
+ */
+async function handleSwitchBack(sessionID) {
+  const previous = loadSession(sessionID)?.history?.[0]
+  if (!previous) {
+    return `No previous workspace for this session.\n\n` +
+           `Use \`/workspaces recent\` to list recently used workspaces.`
+  }
+  
+  if (!existsSync(previous.workspace)) {
+    updateSession(sessionID, current => current && forgetWorkspace(current, previous.workspace))
+    return `Previous workspace ${previous.repoName}/${previous.branch} no longer exists (${previous.workspace}).\n` +
+           `It has been dropped from this session's history.`
+  }
+  
+  if (previous.type === "worktree") {
+    return await targetWorktree(sessionID, previous)
+  }
+  return await targetDevcontainer(sessionID, previous)
+}
+
+/**
+ * Handle `/devcontainer stop [branch]`
+ */
+async function handleStop(branchArg, sessionID) {
+  const target = await resolveLifecycleTarget("stop", branchArg, sessionID)
+  if (target.error) return target.error
+
+  const { workspace, repoName, branch } = target
+  const state = await getContainerState(workspace)
+
+  if (state === CONTAINER_STATE.NOT_FOUND) {
+    return `No container found for ${repoName}/${branch}.`
+  }
+  if (state === CONTAINER_STATE.STOPPED) {
+    return `Devcontainer ${repoName}/${branch} is already stopped.\n\n` +
+           `Use \`/devcontainer start ${branch}\` to start it again.`
+  }
+
+  const summary = await stop(workspace)
+  if (!summary.containerStopped) {
+    return `Failed to stop devcontainer ${repoName}/${branch}:\n` +
+           summary.errors.map(e => `  - ${e}`).join("\n")
+  }
+
+  const allocation = (await readPorts())[workspace]
+  return `Stopped devcontainer: ${repoName}/${branch}\n` +
+         `  - Clone folder: kept\n` +
+         (allocation ? `  - Ports: ${formatPortMap(allocation.portMap, allocation.port)} (reserved)\n` : "") +
+         `\nUse \`/devcontainer start ${branch}\` to start it again on the same ports.`
+}
+
+/**
+ * Handle `/devcontainer start [branch]`
+ */
+async function handleStart(branchArg, sessionID) {
+  const target = await resolveLifecycleTarget("start", branchArg, sessionID)
+  if (target.error) return target.error
+
+  const { workspace, repoName, branch } = target
+  const state = await getContainerState(workspace)
+
+  if (state === CONTAINER_STATE.RUNNING) {
+    return `Devcontainer ${repoName}/${branch} is already running.`
+  }
+
+  try {
+    await upBackground(workspace)
+  } catch (err) {
+    return `Failed to start container: ${err.message}`
+  }
+
+  // Block commands in sessions targeting this workspace until the container is up
+  updateSession(sessionID, current =>
+    current?.workspace === workspace ? { ...current, starting: true } : current
+  )
+
+  return `Starting container for ${repoName}/${branch}...\n` +
+         `Workspace: ${workspace}\n\n` +
+         `Container is starting in the background on its reserved ports.\n` +
+         `Use \`/devcontainer\` to check status.`
+}
+
 /**
  * Handle `/devcontainer rm all`
  */
@@ -273,9 +1054,9 @@ async function handleRemoveAll(sessionID, confirmed) {
     for (const entry of entries) {
       try {
         const status = await getWorkspaceStatus(entry.workspace)
-        if (status.hasUncommitted) {
-          msgs.push("Some workspaces have uncommitted changes.")
-          break
+        const unsaved = describeUnsavedWork(status)
+        if (unsaved.length > 0) {
+          msgs.push(`${entry.repo}/${entry.branch} has work that will be lost: ${unsaved.join(", ")}.`)
         }
       } catch {}
     }
@@ -300,9 +1081,7 @@ async function handleRemoveAll(sessionID, confirmed) {
   }
 
   // Clear current session
-  const session = loadSession(sessionID)
-  if (session) {
-    deleteSession(sessionID)
+  if (clearSessionTarget(sessionID)) {
     output += `Active session cleared.\n`
   }
 
@@ -314,17 +1093,207 @@ async function handleRemoveAll(sessionID, confirmed) {
   return output
 }
 
+/**
+ * Remove a worktree workspace: the worktree, optionally its local branch, and session files
+ * 
+ * @param {{workspace: string, repo: string, branch: string, mainRepo?: string}} entry
+ * @param {{force: boolean, removeBranch: boolean}} options
+ * @returns {Promise<{repo: string, branch: string, worktreeRemoved: boolean, branchDeleted: boolean, sessionsCleaned: number, errors: string[]}>}
+ */
+async function removeWorktreeEntry(entry, { force, removeBranch }) {
+  const summary = {
+    repo: entry.repo,
+    branch: entry.branch,
+    worktreeRemoved: false,
+    branchDeleted: false,
+    sessionsCleaned: 0,
+    errors: [],
+  }
+
+  const mainRepo = entry.mainRepo || await getWorktreeMainRepo(entry.workspace)
+  if (!mainRepo) {
+    summary.errors.push("Main repository not found")
+    return summary
+  }
+
+  // The directory name may differ from the branch name - ask git before removing
+  const gitBranch = await getCurrentBranch(entry.workspace)
+
+  try {
+    summary.worktreeRemoved = await removeWorktreeWorkspace(entry.workspace, mainRepo, { force })
+  } catch (err) {
+    summary.errors.push(err.message)
+    return summary
+  }
+
+  if (removeBranch && gitBranch) {
+    try {
+      await deleteBranch(mainRepo, gitBranch, { force })
+      summary.branchDeleted = true
+    } catch (err) {
+      summary.errors.push(err.message)
+    }
+  }
+
+  summary.sessionsCleaned = cleanupWorkspaceSessions(entry.workspace)
+  return summary
+}
+
+/**
+ * Format a single worktree remove result for display
+ */
+function formatWorktreeRemoveSummary(summary, removeBranch) {
+  let output = `Removed worktree: ${summary.repo}/${summary.branch}\n`
+  output += `  - Worktree: ${summary.worktreeRemoved ? "removed" : "not found"}\n`
+  output += `  - Branch: ${summary.branchDeleted ? "deleted" : removeBranch ? "kept (see errors)" : "kept"}\n`
+
+  if (summary.sessionsCleaned > 0) {
+    output += `  - Sessions: ${summary.sessionsCleaned} cleaned up\n`
+  }
+
+  if (summary.errors.length > 0) {
+    output += `  Errors:\n`
+    for (const err of summary.errors) {
+      output += `    - ${err}\n`
+    }
+  }
+
+  return output
+}
+
+/**
+ * Collect warnings about what removing a worktree would lose
+ * 
+ * Uncommitted changes are always lost; commits only when the branch is deleted too.
+ */
+async function worktreeRemoveWarnings(entry, removeBranch) {
+  try {
+    const status = await getWorkspaceStatus(entry.workspace)
+    return describeUnsavedWork(status, { commits: removeBranch && !status.isMerged })
+  } catch {
+    return []
+  }
+}
+
+/**
+ * Handle `/worktree rm <branch>`
+ */
+async function handleWorktreeRemoveSingle(rmArg, sessionID, { confirmed, removeBranch }) {
+  const resolved = resolveWorktreeWorkspace(rmArg)
+
+  if (!resolved) {
+    return `No worktree found for branch '${rmArg}'.\n\n` +
+           `Use \`/workspaces\` to list worktrees.`
+  }
+
+  if (resolved.ambiguous) {
+    const options = resolved.matches
+      .map(m => `  - ${m.repo}/${m.branch}`)
+      .join("\n")
+    return `Ambiguous branch '${rmArg}' found in multiple repos:\n${options}\n\n` +
+           `Use \`/worktree rm <repo>/${rmArg}\` to specify.`
+  }
+
+  const entry = { workspace: resolved.workspace, repo: resolved.repoName, branch: resolved.branch, mainRepo: resolved.mainRepo }
+
+  // Pre-removal warnings (skip when already confirmed)
+  if (!confirmed) {
+    const msgs = []
+
+    const unsaved = await worktreeRemoveWarnings(entry, removeBranch)
+    if (unsaved.length > 0) {
+      msgs.push(`The worktree has work that will be lost: ${unsaved.join(", ")}.`)
+    }
+
+    if (countOtherSessions(entry.workspace, sessionID) > 0) {
+      msgs.push("This worktree is active in other sessions.")
+    }
+
+    if (msgs.length > 0) {
+      return msgs.join('\n') + '\n\nAn explicit user confirmation required, it is non-negotiable.'
+    }
+  }
+
+  // Confirmed removals discard uncommitted changes and unmerged commits
+  const summary = await removeWorktreeEntry(entry, { force: Boolean(confirmed), removeBranch })
+  return formatWorktreeRemoveSummary(summary, removeBranch)
+}
+
+/**
+ * Handle `/worktree rm all`
+ */
+async function handleWorktreeRemoveAll(sessionID, { confirmed, removeBranch }) {
+  const entries = await listWorktreeWorkspaces()
+
+  if (entries.length === 0) {
+    return "No worktrees to clean up."
+  }
+
+  // Pre-removal warnings (skip when already confirmed)
+  if (!confirmed) {
+    const msgs = []
+
+    for (const entry of entries) {
+      const unsaved = await worktreeRemoveWarnings(entry, removeBranch)
+      if (unsaved.length > 0) {
+        msgs.push(`${entry.repo}/${entry.branch} has work that will be lost: ${unsaved.join(", ")}.`)
+      }
+    }
+
+    if (entries.some(entry => countOtherSessions(entry.workspace, sessionID) > 0)) {
+      msgs.push("Some worktrees are active in other sessions.")
+    }
+
+    if (msgs.length > 0) {
+      return msgs.join('\n') + '\n\nReply "yes" to confirm or "no" to cancel.'
+    }
+  }
+
+  let output = `Removing ${entries.length} worktree(s)...\n\n`
+  let totalErrors = 0
+
+  for (const entry of entries) {
+    const summary = await removeWorktreeEntry(entry, { force: Boolean(confirmed), removeBranch })
+    output += formatWorktreeRemoveSummary(summary, removeBranch) + '\n'
+    totalErrors += summary.errors.length
+  }
+
+  output += `Done. ${totalErrors} error(s) during cleanup.`
+  return output
+}
+
 // ============ Plugin Export ============
 
 export const devcontainers = async ({ client }) => {
+  // Bash calls wrapped with devcontainer exec, so their output can be capped
+  // and passed-through env values redacted afterwards (callID -> secret values)
+  const wrappedCalls = new Map()
+  
+  // Record targeting in the usage ledger (other processes record their own)
+  onSessionChange(({ previous, session, external }) => {
+    if (external || !session?.workspace || session.workspace === previous?.workspace) return
+    recordUsage(session.workspace, USAGE_SOURCE.TARGET, { force: true }).catch(() => {})
+  })
+  
   // Install command files if needed (don't block on slow API)
   runWithTimeout(() => installCommands(client), INIT_TIMEOUT_MS)
   
   // Cleanup stale sessions (don't block on slow API)
   runWithTimeout(() => cleanupStaleSessions(client), INIT_TIMEOUT_MS)
   
-  // Cleanup old jobs (don't block)
-  runWithTimeout(() => cleanupJobs(), INIT_TIMEOUT_MS)
+  // Resolve jobs orphaned by a previous process, then cleanup old jobs (don't block)
+  runWithTimeout(async () => {
+    await reconcileJobs()
+    await cleanupJobs()
+  }, INIT_TIMEOUT_MS)
+  
+  // Remove stale workspaces if enabled - never ones with uncommitted or unpushed work (don't block)
+  runWithTimeout(async () => {
+    const config = await loadUserConfig()
+    if (config.autoCleanup) {
+      await cleanupWorkspaces({ maxAgeDays: config.cleanupMaxAgeDays, mergedMaxAgeDays: config.mergedMaxAgeDays })
+    }
+  }, INIT_TIMEOUT_MS)
   
   return {
     tool: {
@@ -333,16 +1302,24 @@ export const devcontainers = async ({ client }) => {
         description: "Execute a command in the current devcontainer context. IMPORTANT: Only use this tool when a devcontainer session is active (set via /devcontainer command). For normal shell commands, use the bash tool instead.",
         args: {
           command: tool.schema.string().describe("Command to execute"),
+          workdir: tool.schema.string().optional().describe(
+            "Directory to run in: a host path inside the workspace, relative to the workspace, or a container path (defaults to the workspace root)"
+          ),
+          env: tool.schema.record(tool.schema.string(), tool.schema.string()).optional().describe(
+            "Environment variables to set for this command, e.g. { \"RAILS_ENV\": \"test\" }"
+          ),
         },
         async execute(args, ctx) {
           const { sessionID } = ctx
-          const { command } = args
+          const { command, workdir, env } = args
           
           const session = loadSession(sessionID)
           if (!session?.workspace) {
             return "Error: No devcontainer context set for this session. Use `/devcontainer <branch>` first."
           }
           
+          recordUsage(session.workspace, USAGE_SOURCE.EXEC).catch(() => {})
+          
           // Check if container is still starting
           if (session.starting) {
             const job = await getJob(session.workspace)
@@ -351,23 +1328,36 @@ export const devcontainers = async ({ client }) => {
                 return `Container is still starting for ${session.repoName}/${session.branch}.\n\n` +
                        `Please wait and try again, or use \`/devcontainer\` to check status.`
               }
+              if (job.status === JOB_STATUS.CANCELLED) {
+                return `Container start was cancelled for ${session.repoName}/${session.branch}.\n\n` +
+                       `Use \`/devcontainer start\` to try again, or \`/devcontainer off\` to disable.`
+              }
               if (job.status === JOB_STATUS.FAILED) {
                 return `Container failed to start: ${job.error}\n\n` +
-                       `Use \`/devcontainer ${session.branch}\` to retry.`
+                       `Use \`/devcontainer log\` to see the full build log, ` +
+                       `or \`/devcontainer ${session.branch}\` to retry.`
               }
               if (job.status === JOB_STATUS.COMPLETED) {
                 // Container is ready - update session to remove starting flag
-                saveSession(sessionID, {
-                  ...session,
-                  starting: false,
-                })
+                markSessionStarted(sessionID, session.workspace)
               }
             }
           }
           
+          // Stream output to the UI as it arrives
+          const live = createOutputBuffer(LIVE_OUTPUT_BYTES)
+          let lastUpdate = 0
+          const onOutput = chunk => {
+            live.append(chunk)
+            const now = Date.now()
+            if (now - lastUpdate < LIVE_OUTPUT_INTERVAL_MS) return
+            lastUpdate = now
+            ctx.metadata?.({ title: command, metadata: { output: live.toString() } })
+          }
+          
           try {
             // Use the core exec function
-            const result = await exec(session.workspace, command, { signal: ctx.abort })
+            const result = await exec(session.workspace, command, { workdir, env, signal: ctx.abort, onOutput })
             
             if (result.exitCode !== 0) {
               return `Command failed (exit ${result.exitCode}):\n${result.stderr || result.stdout}`
@@ -385,10 +1375,13 @@ export const devcontainers = async ({ client }) => {
       
       // Interactive command for manual devcontainer targeting
       devcontainer: tool({
-        description: "Set active devcontainer for this session. Use 'off' to disable. Set create=true to create a new workspace if it doesn't exist.",
+        description: "Set active devcontainer for this session. Use 'off' to disable, '-' to switch back to the previous workspace, 'stop [branch]'/'start [branch]' to stop or restart a container without removing it, 'cancel [branch]' to abort a background start, 'log [branch]' to show its build log, 'explain <command>' to show whether a command runs on the host or in the container and why. Set create=true to create a new workspace if it doesn't exist.",
         args: {
           target: tool.schema.string().optional().describe(
-            "Branch name (e.g., 'feature-x'), 'off' to disable, or empty for status"
+            "Branch name (e.g., 'feature-x'), a pull request ('#412', checked out as branch 'pr-412'), 'off' to disable, '-' for the previous workspace, 'stop [branch]', 'start [branch]', 'cancel [branch]', 'log [branch]', 'explain <command>', 'rm <branch>', '-- <branch>' for a branch named like one of these, or empty for status"
+          ),
+          base: tool.schema.string().optional().describe(
+            "Where a new branch starts: a ref ('origin/main', a tag or commit), an existing remote branch to check out with tracking ('origin/feature-x', when the branch has the same name), or a pull request ('#412'). Defaults to the current HEAD"
           ),
           create: tool.schema.string().optional().describe(
             "Set to 'true' to create the workspace if it doesn't exist (requires confirmation)"
@@ -399,9 +1392,23 @@ export const devcontainers = async ({ client }) => {
         },
         async execute(args, ctx) {
           const { sessionID, abort: signal } = ctx
-          const { target, create, confirmed } = args
+          const { create, confirmed, base } = args
           const shouldCreate = create === "true" || create === true
           
+          // `-- <branch>` names a branch even when it reads like a verb
+          // (`-- stop`), so no verb below applies to it
+          const literal = /^--\s+\S/.test(args.target?.trim() || "")
+          const target = literal ? args.target.trim().slice(2).trim() : args.target
+          
+          // Routing explanation - doesn't need the devcontainer CLI
+          const trimmedTarget = target?.trim() || ""
+          if (!literal && (trimmedTarget === "explain" || trimmedTarget.startsWith("explain "))) {
+            const command = trimmedTarget.slice(7).trim()
+            if (!command) return "Usage: `/devcontainer explain <command>`"
+            const rules = await loadSessionRoutingRules(loadSession(sessionID))
+            return formatCommandAnalysis(command, analyzeCommand(command, { rules }))
+          }
+          
           // Verify devcontainer CLI is installed
           const hasCli = await checkDevcontainerCli()
           if (!hasCli) {
@@ -411,9 +1418,11 @@ export const devcontainers = async ({ client }) => {
           // Status request (no target)
           if (!target || target.trim() === "") {
             const session = loadSession(sessionID)
-            if (!session) {
+            if (!session?.workspace) {
+              const previous = session?.history?.[0]
               return "No devcontainer active for this session.\n\n" +
-                     "Use `/devcontainer <branch>` to target a devcontainer."
+                     "Use `/devcontainer <branch>` to target a devcontainer." +
+                     (previous ? `\nUse \`/devcontainer -\` to switch back to ${previous.repoName}/${previous.branch}.` : "")
             }
             
             // Check for background job status
@@ -429,51 +1438,97 @@ export const devcontainers = async ({ client }) => {
                 if (job.status === JOB_STATUS.RUNNING) {
                   return `Current devcontainer: ${session.repoName}/${session.branch}\n` +
                          `Workspace: ${session.workspace}\n` +
-                         `Status: Starting (in progress)...\n\n` +
-                         `Container is being built/started. This may take a few minutes.`
+                         `Status: Starting (in progress)...\n` +
+                         await formatJobProgress(session.workspace) +
+                         `\nContainer is being built/started. This may take a few minutes.\n` +
+                         `Use \`/devcontainer cancel\` to abort.`
+                }
+                if (job.status === JOB_STATUS.CANCELLED) {
+                  return `Current devcontainer: ${session.repoName}/${session.branch}\n` +
+                         `Workspace: ${session.workspace}\n` +
+                         `Status: Start cancelled\n\n` +
+                         `Use \`/devcontainer start\` to try again, or \`/devcontainer off\` to disable.`
                 }
                 if (job.status === JOB_STATUS.FAILED) {
                   return `Current devcontainer: ${session.repoName}/${session.branch}\n` +
                          `Workspace: ${session.workspace}\n` +
-                         `Status: Failed to start\n\n` +
-                         `Error: ${job.error}\n\n` +
-                         `Use \`/devcontainer ${session.branch}\` to retry.`
+                         `Status: Failed to start\n` +
+                         await formatJobProgress(session.workspace, "Failed while") +
+                         `\nError: ${job.error}\n\n` +
+                         `Use \`/devcontainer log\` to see the full build log, ` +
+                         `or \`/devcontainer ${session.branch}\` to retry.`
                 }
                 if (job.status === JOB_STATUS.COMPLETED) {
                   // Update session to remove starting flag
-                  saveSession(sessionID, {
-                    ...session,
-                    starting: false,
-                  })
+                  markSessionStarted(sessionID, session.workspace)
                   return `Current devcontainer: ${session.repoName}/${session.branch}\n` +
                          `Workspace: ${session.workspace}\n` +
-                         `Port: ${job.port}\n` +
-                         `Status: Running\n\n` +
+                         await formatBaseLine(session.workspace, session.branch) +
+                         `Ports: ${formatPortMap(job.ports, job.port)}\n` +
+                         `Status: Running\n` +
+                         formatRoutingRules(await loadSessionRoutingRules(session)) + `\n\n` +
+                         (job.copyReport ? formatCopyReport(job.copyReport) + `\n\n` : "") +
                          `Container is ready! All commands will run inside this container.\n` +
                          `Use \`/devcontainer off\` to disable.`
                 }
               }
             }
             
-            const running = await isContainerRunning(session.workspace)
+            const state = await getContainerState(session.workspace)
+            const allocation = (await readPorts())[session.workspace]
+            const portsLine = allocation
+              ? `Ports: ${formatPortMap(allocation.portMap, allocation.port)}\n`
+              : ""
+            const stateLabels = {
+              [CONTAINER_STATE.RUNNING]: "Running",
+              [CONTAINER_STATE.STOPPED]: "Stopped",
+              [CONTAINER_STATE.NOT_FOUND]: "Not found",
+            }
+            const hint = state === CONTAINER_STATE.STOPPED
+              ? `\nUse \`/devcontainer start\` to start it again, or \`/devcontainer off\` to disable.`
+              : `\nUse \`/devcontainer off\` to disable.`
             return `Current devcontainer: ${session.repoName}/${session.branch}\n` +
                    `Workspace: ${session.workspace}\n` +
-                   `Status: ${running ? "Running" : "Not running"}\n` +
-                   `\nUse \`/devcontainer off\` to disable.`
+                   await formatBaseLine(session.workspace, session.branch) +
+                   portsLine +
+                   `Status: ${stateLabels[state]}\n` +
+                   formatRoutingRules(await loadSessionRoutingRules(session)) + `\n` +
+                   hint
           }
           
           // Disable request
-          if (target === "off") {
-            const session = loadSession(sessionID)
-            deleteSession(sessionID)
-            if (session) {
-              return `Devcontainer mode disabled. Commands will now run on the host.`
+          if (!literal && target === "off") {
+            if (clearSessionTarget(sessionID)) {
+              return `Devcontainer mode disabled. Commands will now run on the host.\n` +
+                     `Use \`/devcontainer -\` to switch back.`
             }
             return "No devcontainer was active for this session."
           }
           
+          // Back to the previous target
+          if (!literal && target === "-") {
+            return await handleSwitchBack(sessionID)
+          }
+          
+          // Lifecycle requests
+          if (!literal && (target === "stop" || target.startsWith("stop "))) {
+            return await handleStop(target.slice(4).trim(), sessionID)
+          }
+          
+          if (!literal && (target === "start" || target.startsWith("start "))) {
+            return await handleStart(target.slice(5).trim(), sessionID)
+          }
+          
+          if (!literal && (target === "cancel" || target.startsWith("cancel "))) {
+            return await handleCancel(target.slice(6).trim(), sessionID)
+          }
+          
+          if (!literal && (target === "log" || target.startsWith("log "))) {
+            return await handleLog(target.slice(3).trim(), sessionID)
+          }
+          
           // Remove request
-          if (target.startsWith("rm ")) {
+          if (!literal && target.startsWith("rm ")) {
             const rmArg = target.slice(3).trim()
             
             if (!rmArg) {
@@ -488,13 +1543,16 @@ export const devcontainers = async ({ client }) => {
           }
           
           // Resolve workspace (check if clone already exists)
-          const resolved = resolveWorkspace(target)
+          const request = resolveBaseTarget(target, base)
+          const resolved = resolveWorkspace(request.branch)
           
           if (!resolved) {
             // Workspace doesn't exist - start it in background (non-blocking)
             try {
-              const result = await upBackground(target, {
+              const result = await upBackground(request.branch, {
                 cwd: process.cwd(),
+                base: request.base,
+                sessionID,
               })
               
               saveSession(sessionID, {
@@ -504,7 +1562,8 @@ export const devcontainers = async ({ client }) => {
                 starting: true,  // Mark as starting
               })
               
-              return `Starting container for ${result.repo}/${result.branch}...\n` +
+              return `Starting container for ${result.repo}/${result.branch}` +
+                     (request.base ? ` from ${request.base}` : "") + `...\n` +
                      `Workspace: ${result.workspace}\n\n` +
                      `Container is being created in the background. This may take a few minutes.\n` +
                      `Use \`/devcontainer\` to check status.\n\n` +
@@ -525,71 +1584,44 @@ export const devcontainers = async ({ client }) => {
             const options = resolved.matches
               .map(m => `  - ${m.repoName}/${m.branch}`)
               .join("\n")
-            return `Ambiguous branch '${target}' found in multiple repos:\n${options}\n\n` +
-                   `Use \`/devcontainer <repo>/${target}\` to specify.`
-          }
-          
-          const { workspace, repoName, branch } = resolved
-          
-          // Check if container is running
-          const isRunning = await isContainerRunning(workspace)
-          if (!isRunning) {
-            // Container exists but not running - start it in background (non-blocking)
-            try {
-              await upBackground(workspace)
-              
-              saveSession(sessionID, { 
-                branch, 
-                workspace, 
-                repoName,
-                starting: true,  // Mark as starting
-              })
-              
-              return `Starting container for ${repoName}/${branch}...\n` +
-                     `Workspace: ${workspace}\n\n` +
-                     `Container is starting in the background. This may take a minute.\n` +
-                     `Use \`/devcontainer\` to check status.\n\n` +
-                     `Session is now targeting this container. Commands will work once it's ready.`
-            } catch (err) {
-              // Quick validation failed
-              return `Failed to start container: ${err.message}`
-            }
+            return `Ambiguous branch '${request.branch}' found in multiple repos:\n${options}\n\n` +
+                   `Use \`/devcontainer <repo>/${request.branch}\` to specify.`
           }
           
-          // Save session state
-          saveSession(sessionID, {
-            branch,
-            workspace,
-            repoName,
-          })
-          
-          return `Session now targeting: ${repoName}/${branch}\n` +
-                 `Workspace: ${workspace}\n\n` +
-                 `All commands will run inside this container.\n` +
-                 `Use \`/devcontainer off\` to disable, or prefix with \`HOST:\` to run on host.`
+          return await targetDevcontainer(sessionID, resolved) + formatIgnoredBase(base, resolved)
         }
       }),
       
       // Interactive command for manual worktree targeting
       worktree: tool({
-        description: "Set active git worktree for this session. Use 'off' to disable. Worktrees provide isolated branch work without devcontainers.",
+        description: "Set active git worktree for this session. Use 'off' to disable, 'rm <branch>' or 'rm all' to remove worktrees. Worktrees provide isolated branch work without devcontainers.",
         args: {
           target: tool.schema.string().optional().describe(
-            "Branch name (e.g., 'feature-x'), 'off' to disable, or empty for status"
+            "Branch name (e.g., 'feature-x'), a pull request ('#412', checked out as branch 'pr-412'), 'off' to disable, 'rm <branch>', 'rm all', or empty for status"
+          ),
+          base: tool.schema.string().optional().describe(
+            "Where a new branch starts: a ref ('origin/main', a tag or commit), an existing remote branch to check out with tracking ('origin/feature-x', when the branch has the same name), or a pull request ('#412'). Defaults to the current HEAD"
           ),
           workdir: tool.schema.string().optional().describe(
             "Working directory (git repository) to create worktree from. Defaults to current directory."
           ),
+          deleteBranch: tool.schema.boolean().optional().describe(
+            "With 'rm', also delete the local branch from the main repository"
+          ),
+          confirmed: tool.schema.boolean().optional().describe(
+            "Set to true to confirm the remove operation after reviewing warnings about uncommitted changes, unmerged commits or other active sessions"
+          ),
         },
         async execute(args, ctx) {
           const { sessionID } = ctx
-          const { target, workdir } = args
+          const { target, workdir, confirmed, base } = args
+          const removeBranch = args.deleteBranch === true
           const cwd = workdir || process.cwd()
           
           // Status request (no target)
           if (!target || target.trim() === "") {
             const session = loadSession(sessionID)
-            if (!session) {
+            if (!session?.workspace) {
               return "No workspace active for this session.\n\n" +
                      "Use `/worktree <branch>` to create/target a worktree."
             }
@@ -602,14 +1634,14 @@ export const devcontainers = async ({ client }) => {
             return `Current worktree: ${session.repoName}/${session.branch}\n` +
                    `Workspace: ${session.workspace}\n` +
                    `Main repo: ${session.mainRepo}\n` +
+                   await formatBaseLine(session.workspace, session.branch) +
                    `\nAll bash commands will run in this worktree directory.\n` +
                    `Use \`/worktree off\` to disable.`
           }
           
           // Disable request
           if (target === "off") {
-            const session = loadSession(sessionID)
-            deleteSession(sessionID)
+            const session = clearSessionTarget(sessionID)
             if (session && session.type === "worktree") {
               return `Worktree mode disabled. Commands will now run in the current directory.`
             }
@@ -619,6 +1651,21 @@ export const devcontainers = async ({ client }) => {
             return "No workspace was active for this session."
           }
           
+          // Remove request
+          if (target.startsWith("rm ")) {
+            const rmArg = target.slice(3).trim()
+            
+            if (!rmArg) {
+              return "Usage: `/worktree rm <branch>` or `/worktree rm all`"
+            }
+            
+            if (rmArg === "all") {
+              return await handleWorktreeRemoveAll(sessionID, { confirmed, removeBranch })
+            }
+            
+            return await handleWorktreeRemoveSingle(rmArg, sessionID, { confirmed, removeBranch })
+          }
+          
           // Check if we're in a git repo
           const repoRoot = await getRepoRoot(cwd)
           
@@ -635,39 +1682,28 @@ export const devcontainers = async ({ client }) => {
           }
           
           // Check if worktree already exists
-          const resolved = resolveWorktreeWorkspace(target)
+          const request = resolveBaseTarget(target, base)
+          const resolved = resolveWorktreeWorkspace(request.branch)
           
           if (resolved && !resolved.ambiguous) {
-            const { workspace, repoName, branch, mainRepo } = resolved
-            
-            // Save session state
-            saveSession(sessionID, {
-              type: "worktree",
-              branch,
-              workspace,
-              repoName,
-              mainRepo,
-            })
-            
-            return `Session now targeting worktree: ${repoName}/${branch}\n` +
-                   `Workspace: ${workspace}\n\n` +
-                   `All bash commands will run in this worktree directory.\n` +
-                   `Use \`/worktree off\` to disable, or prefix with \`HOST:\` to run in original directory.`
+            return await targetWorktree(sessionID, resolved) + formatIgnoredBase(base, resolved)
           }
           
           if (resolved?.ambiguous) {
             const options = resolved.matches
               .map(m => `  - ${m.repo}/${m.branch}`)
               .join("\n")
-            return `Ambiguous branch '${target}' found in multiple repos:\n${options}\n\n` +
-                   `Use \`/worktree <repo>/${target}\` to specify.`
+            return `Ambiguous branch '${request.branch}' found in multiple repos:\n${options}\n\n` +
+                   `Use \`/worktree <repo>/${request.branch}\` to specify.`
           }
           
           // Create new worktree
           try {
             const result = await createWorktreeWorkspace({
               repoRoot,
-              branch: target,
+              branch: request.branch,
+              base: request.base,
+              sessionID,
             })
             
             saveSession(sessionID, {
@@ -678,11 +1714,16 @@ export const devcontainers = async ({ client }) => {
               mainRepo: result.mainRepo,
             })
             
-            return `Created worktree for ${result.repoName}/${result.branch}\n` +
+            return `Created worktree for ${result.repoName}/${result.branch}` +
+                   (result.base ? ` from ${result.base}` : "") + `\n` +
                    `Workspace: ${result.workspace}\n\n` +
                    `All bash commands will run in this worktree directory.\n` +
-                   `Gitignored files (secrets, .env) have been copied from main repo.\n` +
-                   `Use \`/worktree off\` to disable.`
+                   `Use \`/worktree off\` to disable.\n\n` +
+                   formatCopyReport(result.copyReport) + `\n` +
+                   `Add rules to \`${COPY_RULES_FILE}\` in the main repo to change what is copied` +
+                   (result.copyReport?.skipped.some(e => e.count)
+                     ? `, or list dependency directories under \`copy.link\` in \`${REPO_CONFIG_FILE}\` to link them instead of reinstalling.`
+                     : `.`)
           } catch (err) {
             return `Failed to create worktree: ${err.message}`
           }
@@ -691,41 +1732,32 @@ export const devcontainers = async ({ client }) => {
       
       // Workspace management tool
       workspaces: tool({
-        description: "List and manage workspaces (worktrees and devcontainer clones). Use 'cleanup' to find stale workspaces.",
+        description: "List and manage workspaces (worktrees and devcontainer clones). Use 'recent' to list recently used workspaces across sessions, 'cleanup' to remove stale workspaces, 'sync-secrets' to update gitignored files (secrets, local config) that changed in the main repo, 'doctor' to find and repair orphaned workspace state.",
         args: {
           action: tool.schema.string().optional().describe(
-            "'cleanup' to identify stale workspaces, or empty to list all"
+            "'recent [count]' to list recently used workspaces, 'cleanup [days] [--dry-run] [path...]' to remove (or preview removing) stale workspaces, optionally only the given ones, 'sync-secrets [--overwrite] [id...]' to list (and after confirmation update, only the listed ones) outdated gitignored files in the current repo's workspaces, 'doctor [--fix [id...]]' to report (and after confirmation repair) orphaned ports, jobs, overrides, manifests, sessions, worktrees, containers and images, or empty to list all"
+          ),
+          confirmed: tool.schema.boolean().optional().describe(
+            "Set to true to also remove the stale workspaces given by path that have uncommitted changes or unpushed commits, after reviewing the warnings, or to apply the listed sync-secrets updates or doctor repairs"
           ),
         },
         async execute(args, ctx) {
-          const { action } = args
+          const { action, confirmed } = args
           
-          if (action === 'cleanup') {
-            // Find stale workspaces
-            const stale = await findStaleWorkspaces({ maxAgeDays: 7 })
-            
-            if (stale.length === 0) {
-              return `No stale workspaces found.\n\n` +
-                     `All workspaces have been accessed within the last 7 days.`
-            }
-            
-            let output = `Found ${stale.length} stale workspace(s) (not accessed in 7+ days):\n\n`
-            
-            for (const ws of stale) {
-              const status = await getWorkspaceStatus(ws.workspace)
-              output += formatWorkspace(ws, status) + '\n'
-              output += `  Path: ${ws.workspace}\n`
-              if (ws.hasUncommitted) {
-                output += `  ⚠️  Has uncommitted changes!\n`
-              }
-              output += '\n'
-            }
-            
-            output += `To remove a workspace:\n`
-            output += `- Worktrees: \`git worktree remove <path>\` from main repo\n`
-            output += `- Clones: \`rm -rf <path>\` (and stop any running containers)\n`
-            
-            return output
+          if (action === 'cleanup' || action?.startsWith('cleanup ')) {
+            return await handleCleanup(action.slice(7).trim(), confirmed, ctx.sessionID)
+          }
+          
+          if (action === 'recent' || action?.startsWith('recent ')) {
+            return handleRecent(action.slice(6).trim(), ctx.sessionID)
+          }
+          
+          if (action === 'sync-secrets' || action?.startsWith('sync-secrets ')) {
+            return await handleSyncSecrets(action.slice(12).trim(), confirmed)
+          }
+          
+          if (action === 'doctor' || action?.startsWith('doctor ')) {
+            return await handleDoctor(action.slice(6).trim(), confirmed)
           }
           
           // Default: list all workspaces
@@ -761,7 +1793,7 @@ export const devcontainers = async ({ client }) => {
             output += '\n'
           }
           
-          output += `Use \`/workspaces cleanup\` to find stale workspaces.`
+          output += `Use \`/workspaces cleanup --dry-run\` to preview removing stale workspaces.`
           
           return output
         }
@@ -786,16 +1818,20 @@ export const devcontainers = async ({ client }) => {
       let cmd = output.args?.command?.trim()
       if (!cmd) return
       
-      const hostCheck = shouldRunOnHost(cmd)
+      // Host commands count as use of the workspace too (fire-and-forget)
+      recordUsage(session.workspace, USAGE_SOURCE.COMMAND).catch(() => {})
+      
+      const rules = await loadSessionRoutingRules(session)
+      const analysis = analyzeCommand(cmd, { rules })
       
       // Check for HOST: escape hatch
-      if (hostCheck === "escape") {
+      if (analysis.route === ROUTE.ESCAPE) {
         output.args.command = cmd.replace(/^HOST:\s*/i, "")
         return
       }
       
       // Check if command should run on host
-      if (hostCheck) return
+      if (analysis.route === ROUTE.HOST) return
       
       // Handle worktree sessions - just set workdir, no container wrapping
       if (session.type === "worktree") {
@@ -804,6 +1840,12 @@ export const devcontainers = async ({ client }) => {
       }
       
       // Handle devcontainer sessions
+      // A line mixing host and container commands can't run correctly in either place
+      if (analysis.route === ROUTE.MIXED) {
+        output.args.command = `echo ${shellQuote(`Command mixes host and container commands: ${analysis.reason}. Run them as separate commands, or prefix with HOST: to run everything on the host. Use /devcontainer explain <command> for details.`)} && exit 1`
+        return
+      }
+      
       // Check if container is still starting - provide helpful error instead of cryptic failure
       if (session.starting) {
         const job = await getJob(session.workspace)
@@ -814,12 +1856,47 @@ export const devcontainers = async ({ client }) => {
         }
         if (job && job.status === JOB_STATUS.COMPLETED) {
           // Container is ready - update session (fire-and-forget)
-          saveSession(input.sessionID, { ...session, starting: false })
+          markSessionStarted(input.sessionID, session.workspace)
         }
       }
       
+      // Run in the container directory matching the host workdir, and point
+      // absolute host paths inside the workspace at the container mount
+      let containerWorkdir
+      try {
+        containerWorkdir = await resolveContainerWorkdir(session.workspace, workdir)
+      } catch (err) {
+        output.args.command = `echo ${shellQuote(err.message)} && exit 1`
+        return
+      }
+      const workspaceFolder = await getContainerWorkspaceFolder(session.workspace)
+      if (workspaceFolder) {
+        cmd = translateHostPaths(cmd, session.workspace, workspaceFolder)
+      }
+      
       // Wrap with devcontainer exec (using safe command builder to prevent shell injection)
-      output.args.command = buildDevcontainerExecCommand(session.workspace, cmd)
+      // Output streams through the bash tool as devcontainer exec forwards it,
+      // with passed-through values redacted on the way
+      const passEnv = selectPassthroughEnv(await loadPassEnv(session.workspace))
+      const names = Object.keys(passEnv)
+      output.args.command = withRedactedOutput(buildDevcontainerExecCommand(session.workspace, cmd, {
+        workdir: containerWorkdir ?? undefined,
+        configPath: names.length > 0 ? await writeExecConfig(session.workspace, names) : undefined,
+      }), passEnv)
+      wrappedCalls.set(input.callID, Object.values(passEnv))
+    },
+    
+    // Cap the displayed output of wrapped bash commands, dropping the middle.
+    // The bash tool has already buffered all of it by now; only
+    // devcontainer_exec bounds what is held while the command runs.
+    "tool.execute.after": async (input, output) => {
+      if (input.tool !== "bash" || !wrappedCalls.has(input.callID)) return
+      const secrets = wrappedCalls.get(input.callID)
+      wrappedCalls.delete(input.callID)
+      if (typeof output.output !== "string") return
+      
+      const config = await loadUserConfig()
+      output.output = truncateMiddle(redactValues(output.output, secrets), config.maxOutputBytes)
     }
   }
 }
@@ -8,13 +8,17 @@ import { test, describe, beforeEach, afterEach } from 'node:test'
 import assert from 'node:assert'
 import { join, basename } from 'path'
 import { homedir } from 'os'
-import { mkdirSync, rmSync, writeFileSync, readFileSync, existsSync } from 'fs'
+import { mkdirSync, rmSync, writeFileSync, readFileSync, existsSync, lstatSync, statSync } from 'fs'
 import { execSync } from 'child_process'
 
 // Module under test
 import { 
   createClone,
   copyGitignored,
+  linkGitignored,
+  compileCopyPattern,
+  matchCopyRule,
+  formatCopyReport,
   getClonePath,
   listClones
 } from '../../plugin/core/clones.js'
@@ -28,7 +32,7 @@ describe('getClonePath', () => {
 
   test('handles branches with slashes', () => {
     const path = getClonePath('my-repo', 'feature/nested/branch')
-    assert.strictEqual(path, join(PATHS.clones, 'my-repo', 'feature/nested/branch'))
+    assert.strictEqual(path, join(PATHS.clones, 'my-repo', 'feature%2Fnested%2Fbranch'))
   })
 })
 
@@ -98,6 +102,172 @@ describe('copyGitignored', () => {
     
     assert.ok(!existsSync(join(destDir, 'package-lock.json')))
   })
+
+  test('reports what was copied and skipped', async () => {
+    const report = await copyGitignored(sourceDir, destDir)
+    
+    assert.deepStrictEqual(report.copied.map(e => e.path).sort(), ['.env', 'secrets.json'])
+    assert.deepStrictEqual(report.skipped, [
+      { path: 'node_modules/', reason: '20 gitignored files, likely dependencies', count: 20 },
+    ])
+  })
+
+  test('include rules override the heuristics', async () => {
+    writeFileSync(join(sourceDir, '.gitignore'), 'secrets.json\n.env\nnode_modules/\nbig.plist\n')
+    writeFileSync(join(sourceDir, 'big.plist'), 'x'.repeat(300 * 1024))
+    
+    const report = await copyGitignored(sourceDir, destDir, {
+      rules: { include: ['node_modules/pkg/file1.js', '*.plist'], exclude: ['.env'] },
+    })
+    
+    assert.ok(existsSync(join(destDir, 'node_modules', 'pkg', 'file1.js')))
+    assert.ok(!existsSync(join(destDir, 'node_modules', 'pkg', 'file2.js')))
+    assert.ok(existsSync(join(destDir, 'big.plist')))
+    assert.ok(!existsSync(join(destDir, '.env')))
+    assert.deepStrictEqual(report.copied.find(e => e.path === 'big.plist'), { path: 'big.plist', reason: 'included by rule `*.plist`' })
+    assert.deepStrictEqual(report.skipped.find(e => e.path === '.env'), { path: '.env', reason: 'excluded by rule `.env`' })
+  })
+
+  test('reads rules from .opencode-copy in the source repo', async () => {
+    writeFileSync(join(sourceDir, '.opencode-copy'), '!secrets.json\n')
+    await copyGitignored(sourceDir, destDir)
+    
+    assert.ok(!existsSync(join(destDir, 'secrets.json')))
+    assert.ok(existsSync(join(destDir, '.env')))
+  })
+})
+
+describe('linkGitignored', () => {
+  const testDir = join(homedir(), '.cache/ocdc-test-link-' + Date.now())
+  const sourceDir = join(testDir, 'source')
+  const destDir = join(testDir, 'dest')
+
+  beforeEach(() => {
+    mkdirSync(sourceDir, { recursive: true })
+    mkdirSync(destDir, { recursive: true })
+
+    execSync('git init -b main', { cwd: sourceDir })
+    writeFileSync(join(sourceDir, '.gitignore'), '.env\nnode_modules/\n')
+    writeFileSync(join(sourceDir, 'package-lock.json'), '{"v": 1}')
+    execSync('git add .', { cwd: sourceDir })
+    execSync('git commit -m "Initial"', { cwd: sourceDir })
+
+    writeFileSync(join(sourceDir, '.env'), 'API_KEY=xxx')
+    mkdirSync(join(sourceDir, 'node_modules', 'pkg'), { recursive: true })
+    for (let i = 0; i < 20; i++) {
+      writeFileSync(join(sourceDir, 'node_modules', 'pkg', `file${i}.js`), `module.exports = ${i}`)
+    }
+    writeFileSync(join(destDir, 'package-lock.json'), '{"v": 1}')
+  })
+
+  afterEach(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  test('symlinks the directory and warns that it is shared', async () => {
+    const result = await linkGitignored(sourceDir, destDir, [{ path: 'node_modules', mode: 'symlink' }])
+
+    assert.ok(lstatSync(join(destDir, 'node_modules')).isSymbolicLink())
+    assert.deepStrictEqual(result.linked, [
+      { path: 'node_modules/', mode: 'symlink', reason: `symlink to ${join(sourceDir, 'node_modules')}` },
+    ])
+    assert.strictEqual(result.warnings.length, 1)
+    assert.match(result.warnings[0], /shared with the main repo/)
+  })
+
+  test('warns when the lock file differs from the main repo', async () => {
+    writeFileSync(join(destDir, 'package-lock.json'), '{"v": 2}')
+    const result = await linkGitignored(sourceDir, destDir, [{ path: 'node_modules', mode: 'symlink' }])
+
+    assert.ok(result.warnings.some(w => w.includes('`package-lock.json` differs from the main repo')))
+  })
+
+  test('hardlinks files and warns about in-place edits', async () => {
+    const result = await linkGitignored(sourceDir, destDir, [{ path: 'node_modules', mode: 'hardlink' }])
+
+    const linked = join(destDir, 'node_modules', 'pkg', 'file3.js')
+    assert.ok(!lstatSync(join(destDir, 'node_modules')).isSymbolicLink())
+    assert.strictEqual(readFileSync(linked, 'utf-8'), 'module.exports = 3')
+    assert.strictEqual(statSync(linked).ino, statSync(join(sourceDir, 'node_modules', 'pkg', 'file3.js')).ino)
+    assert.deepStrictEqual(result.linked, [{ path: 'node_modules/', mode: 'hardlink', reason: '20 file(s) hardlinked' }])
+    assert.ok(result.warnings.some(w => w.includes('hardlinked to the main repo')))
+  })
+
+  test('auto mode gives every file its own copy or link', async () => {
+    const result = await linkGitignored(sourceDir, destDir, [{ path: 'node_modules', mode: 'auto' }])
+
+    assert.strictEqual(result.linked.length, 1)
+    assert.ok(['reflink', 'hardlink', 'copy'].includes(result.linked[0].mode))
+    assert.strictEqual(readFileSync(join(destDir, 'node_modules', 'pkg', 'file0.js'), 'utf-8'), 'module.exports = 0')
+  })
+
+  test('does not symlink into a devcontainer', async () => {
+    const result = await linkGitignored(sourceDir, destDir, [{ path: 'node_modules', mode: 'symlink' }], { container: true })
+
+    assert.ok(!lstatSync(join(destDir, 'node_modules')).isSymbolicLink())
+    assert.notStrictEqual(result.linked[0].mode, 'symlink')
+    assert.match(result.warnings[0], /can't be a symlink in a devcontainer/)
+  })
+
+  test('skips invalid, missing and existing paths', async () => {
+    mkdirSync(join(destDir, 'vendor'))
+    mkdirSync(join(sourceDir, 'vendor'))
+    const result = await linkGitignored(sourceDir, destDir, [
+      { path: '../outside', mode: 'symlink' },
+      { path: 'models', mode: 'symlink' },
+      { path: 'vendor', mode: 'symlink' },
+      { path: 'node_modules', mode: 'junction' },
+    ])
+
+    assert.deepStrictEqual(result.linked, [])
+    assert.deepStrictEqual(result.skipped.map(e => e.reason), [
+      'invalid link path',
+      'not found in main repo',
+      'already exists',
+      'unknown link mode `junction`',
+    ])
+  })
+
+  test('copyGitignored links configured paths instead of skipping them', async () => {
+    const report = await copyGitignored(sourceDir, destDir, {
+      rules: { include: [], exclude: [], link: [{ path: 'node_modules', mode: 'hardlink' }] },
+    })
+
+    assert.deepStrictEqual(report.linked.map(e => e.path), ['node_modules/'])
+    assert.deepStrictEqual(report.copied.map(e => e.path), ['.env'])
+    assert.deepStrictEqual(report.skipped, [])
+    assert.match(formatCopyReport(report), /^Linked:\n  - node_modules\/ \(20 file\(s\) hardlinked\)\n/)
+    assert.match(formatCopyReport(report), /\nWarnings:\n  - `node_modules` is hardlinked/)
+  })
+})
+
+describe('copy rules', () => {
+  test('compileCopyPattern follows .gitignore conventions', () => {
+    assert.ok(compileCopyPattern('.env.*').test('config/.env.local'))
+    assert.ok(compileCopyPattern('config/*.key').test('config/master.key'))
+    assert.ok(!compileCopyPattern('config/*.key').test('config/a/b.key'))
+    assert.ok(compileCopyPattern('config/**/*.key').test('config/a/b.key'))
+    assert.ok(compileCopyPattern('/tmp/').test('tmp/cache/x'))
+    assert.ok(!compileCopyPattern('/tmp/').test('app/tmp/x'))
+  })
+
+  test('matchCopyRule lets exclude rules win and covers directory contents', () => {
+    const rules = { include: ['config/', '*.key'], exclude: ['config/cache/'] }
+    assert.deepStrictEqual(matchCopyRule('config/app.yml', rules), { action: 'include', pattern: 'config/' })
+    assert.deepStrictEqual(matchCopyRule('config/cache/master.key', rules), { action: 'exclude', pattern: 'config/cache/' })
+    assert.strictEqual(matchCopyRule('README.md', rules), null)
+  })
+
+  test('formatCopyReport lists entries with reasons', () => {
+    const text = formatCopyReport({
+      copied: [{ path: '.env', reason: 'small gitignored file' }],
+      skipped: [{ path: 'node_modules/', reason: '20 gitignored files, likely dependencies' }],
+    })
+    assert.strictEqual(text,
+      'Copied 1 gitignored file(s):\n  - .env (small gitignored file)\n' +
+      'Skipped:\n  - node_modules/ (20 gitignored files, likely dependencies)')
+    assert.strictEqual(formatCopyReport({ copied: [], skipped: [] }), 'No gitignored files to copy.')
+  })
 })
 
 describe('createClone', () => {
@@ -106,6 +276,7 @@ describe('createClone', () => {
 
   beforeEach(() => {
     process.env.OCDC_CLONES_DIR = join(testDir, 'clones')
+    process.env.OCDC_CACHE_DIR = join(testDir, 'cache')
     
     mkdirSync(sourceDir, { recursive: true })
     
@@ -122,6 +293,7 @@ describe('createClone', () => {
 
   afterEach(() => {
     delete process.env.OCDC_CLONES_DIR
+    delete process.env.OCDC_CACHE_DIR
     rmSync(testDir, { recursive: true, force: true })
   })
 
@@ -150,6 +322,35 @@ describe('createClone', () => {
     assert.strictEqual(content, 'SECRET=value')
   })
 
+  test('starts the branch at a base', async () => {
+    const result = await createClone({
+      repoRoot: sourceDir,
+      branch: 'from-main',
+      base: 'main',
+    })
+    
+    assert.strictEqual(result.base, 'main')
+    assert.strictEqual(execSync('git branch --show-current', { cwd: result.workspace }).toString().trim(), 'from-main')
+  })
+
+  test('starts the branch at a base only the main repo has', async () => {
+    const originDir = join(testDir, 'origin.git')
+    execSync(`git clone -q --bare ${sourceDir} ${originDir}`)
+    execSync(`git remote add origin ${originDir}`, { cwd: sourceDir })
+    execSync('git checkout -q -b local-only && git commit -q --allow-empty -m "Local" && git checkout -q main', { cwd: sourceDir })
+
+    const result = await createClone({ repoRoot: sourceDir, branch: 'from-local', base: 'local-only' })
+
+    const head = execSync('git rev-parse HEAD', { cwd: result.workspace }).toString().trim()
+    assert.strictEqual(head, execSync('git rev-parse local-only', { cwd: sourceDir }).toString().trim())
+    assert.strictEqual(result.base, 'local-only')
+  })
+
+  test('removes the clone when the base is unknown', async () => {
+    await assert.rejects(createClone({ repoRoot: sourceDir, branch: 'bad-base', base: 'nope' }), /Unknown base/)
+    assert.ok(!existsSync(getClonePath('source', 'bad-base')))
+  })
+
   test('returns existing clone without recreating', async () => {
     const result1 = await createClone({
       repoRoot: sourceDir,
@@ -231,6 +432,15 @@ describe('listClones', () => {
     assert.ok(clones.some(c => c.repo === 'repo-b' && c.branch === 'develop'))
   })
 
+  test('maps encoded and legacy nested directories back to slash branches', async () => {
+    mkdirSync(join(testDir, 'repo-b', 'feature%2Flogin', '.git'), { recursive: true })
+    mkdirSync(join(testDir, 'repo-b', 'fix', 'old', '.git'), { recursive: true })
+
+    const branches = (await listClones({ repo: 'repo-b' })).map(c => c.branch).sort()
+    assert.deepStrictEqual(branches, ['develop', 'feature/login', 'fix/old'])
+    assert.strictEqual(getClonePath('repo-b', 'fix/old'), join(testDir, 'repo-b', 'fix', 'old'))
+  })
+
   test('filters by repo', async () => {
     const clones = await listClones({ repo: 'repo-a' })
     
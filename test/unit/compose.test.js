@@ -0,0 +1,315 @@
+/**
+ * Tests for plugin/core/compose.js
+ *
+ * Run with: node --test test/unit/compose.test.js
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { join } from 'path'
+import { homedir } from 'os'
+import { mkdirSync, rmSync, writeFileSync, readFileSync, existsSync } from 'fs'
+import childProcess from 'child_process'
+import { EventEmitter } from 'events'
+
+// Module under test
+import {
+  isComposeConfig,
+  getComposeCommand,
+  getComposeVersion,
+  isComposeVersionSupported,
+  getComposeProjectName,
+  getComposeOverridePath,
+  getComposeFiles,
+  readComposeConfig,
+  detectComposePorts,
+  listNamedVolumes,
+  hasOwnVolumes,
+  generateComposeOverride,
+} from '../../plugin/core/compose.js'
+import { generateOverrideConfig } from '../../plugin/core/config.js'
+import { PATHS, pathId } from '../../plugin/core/paths.js'
+
+// Merged config as printed by `docker compose config --format json`
+const RAILS_COMPOSE = {
+  name: 'app_devcontainer',
+  services: {
+    app: {
+      ports: [{ mode: 'ingress', target: 3000, published: '3000', protocol: 'tcp' }],
+    },
+    db: {
+      image: 'postgres:16',
+      ports: [{ mode: 'ingress', target: 5432, published: '5432', protocol: 'tcp' }],
+    },
+  },
+  volumes: {
+    pgdata: { name: 'app_devcontainer_pgdata' },
+    shared: { name: 'shared', external: true },
+  },
+}
+
+// The same with a volume that sets `name: app-cache` in the compose file
+const NAMED_VOLUME_COMPOSE = {
+  ...RAILS_COMPOSE,
+  volumes: { ...RAILS_COMPOSE.volumes, cache: { name: 'app-cache' } },
+}
+
+/**
+ * Mock spawn to print `stdout` and exit with `code`
+ */
+function mockSpawn(t, stdout, code = 0) {
+  const calls = []
+  t.mock.method(childProcess, 'spawn', (command, args) => {
+    calls.push({ command, args })
+    const child = new EventEmitter()
+    child.stdout = new EventEmitter()
+    child.stderr = new EventEmitter()
+    process.nextTick(() => {
+      child.stdout.emit('data', stdout)
+      child.emit('close', code)
+    })
+    return child
+  })
+  return calls
+}
+
+describe('isComposeConfig', () => {
+  test('detects dockerComposeFile', () => {
+    assert.strictEqual(isComposeConfig({ dockerComposeFile: 'docker-compose.yml' }), true)
+    assert.strictEqual(isComposeConfig({ image: 'node:20' }), false)
+    assert.strictEqual(isComposeConfig(null), false)
+  })
+})
+
+describe('getComposeCommand', () => {
+  test('uses docker compose plugin by default', () => {
+    assert.deepStrictEqual(getComposeCommand({ dockerPath: 'docker' }), ['docker', 'compose'])
+  })
+
+  test('prefers configured compose executable', () => {
+    assert.deepStrictEqual(
+      getComposeCommand({ dockerPath: 'podman', dockerComposePath: 'podman-compose' }),
+      ['podman-compose']
+    )
+  })
+})
+
+describe('getComposeVersion', () => {
+  test('reads the Docker Compose version', async (t) => {
+    const calls = mockSpawn(t, 'Docker Compose version v2.24.5\n')
+
+    assert.strictEqual(await getComposeVersion(['docker', 'compose']), '2.24.5')
+    assert.deepStrictEqual(calls[0].args, ['compose', 'version'])
+  })
+
+  test('reads standalone docker-compose', async (t) => {
+    mockSpawn(t, 'docker-compose version 1.29.2, build 5becea4c\n')
+    assert.strictEqual(await getComposeVersion(['docker-compose']), '1.29.2')
+  })
+
+  test('returns null for other implementations and failures', async (t) => {
+    mockSpawn(t, 'podman-compose version: 1.0.6\n')
+    assert.strictEqual(await getComposeVersion(['podman-compose']), null)
+    t.mock.restoreAll()
+    assert.strictEqual(await getComposeVersion(['ocdc-nonexistent-compose']), null)
+  })
+})
+
+describe('isComposeVersionSupported', () => {
+  test('requires 2.24.4 or newer', () => {
+    assert.strictEqual(isComposeVersionSupported('2.24.4'), true)
+    assert.strictEqual(isComposeVersionSupported('2.30.0'), true)
+    assert.strictEqual(isComposeVersionSupported('3.0.0'), true)
+    assert.strictEqual(isComposeVersionSupported('2.24.3'), false)
+    assert.strictEqual(isComposeVersionSupported('2.9.9'), false)
+    assert.strictEqual(isComposeVersionSupported('1.29.2'), false)
+  })
+})
+
+describe('getComposeProjectName', () => {
+  test('is unique per workspace path', () => {
+    const a = getComposeProjectName('/clones/app/main')
+    const b = getComposeProjectName('/clones/other-app/main')
+    assert.notStrictEqual(a, b)
+  })
+
+  test('is a valid lowercase compose project name', () => {
+    const name = getComposeProjectName('/clones/My.App/Feature_X')
+    assert.match(name, /^[a-z0-9][a-z0-9_-]*$/)
+    assert.ok(name.startsWith('my-app-feature_x-'))
+    assert.ok(name.endsWith(pathId('/clones/My.App/Feature_X').slice(0, 8)))
+  })
+})
+
+describe('getComposeFiles', () => {
+  test('resolves files relative to devcontainer.json directory', () => {
+    const files = getComposeFiles(
+      { dockerComposeFile: ['../docker-compose.yml', 'docker-compose.dev.yml'] },
+      '/repo/.devcontainer'
+    )
+    assert.deepStrictEqual(files, ['/repo/docker-compose.yml', '/repo/.devcontainer/docker-compose.dev.yml'])
+  })
+
+  test('accepts a single file', () => {
+    const files = getComposeFiles({ dockerComposeFile: 'compose.yml' }, '/repo/.devcontainer')
+    assert.deepStrictEqual(files, ['/repo/.devcontainer/compose.yml'])
+  })
+})
+
+describe('readComposeConfig', () => {
+  test('parses compose config output', async (t) => {
+    const calls = mockSpawn(t, JSON.stringify(RAILS_COMPOSE))
+
+    const config = await readComposeConfig(['/repo/compose.yml'], { composeCommand: ['docker', 'compose'] })
+
+    assert.deepStrictEqual(config, RAILS_COMPOSE)
+    assert.deepStrictEqual(calls[0].args, ['compose', '-f', '/repo/compose.yml', 'config', '--format', 'json'])
+  })
+
+  test('returns null when compose is unavailable', async () => {
+    const config = await readComposeConfig(['/nonexistent/compose.yml'], {
+      composeCommand: ['ocdc-nonexistent-compose'],
+    })
+    assert.strictEqual(config, null)
+  })
+})
+
+describe('detectComposePorts', () => {
+  test('keys main service ports by number and other services by service:port', () => {
+    const ports = detectComposePorts({ service: 'app' }, RAILS_COMPOSE)
+    assert.deepStrictEqual(ports, [3000, 'db:5432'])
+  })
+
+  test('includes forwardPorts without duplicates', () => {
+    const ports = detectComposePorts(
+      { service: 'app', forwardPorts: [3000, 9229, 'db:5432'] },
+      RAILS_COMPOSE
+    )
+    assert.deepStrictEqual(ports, [3000, 9229, 'db:5432'])
+  })
+
+  test('falls back to forwardPorts without compose config', () => {
+    const ports = detectComposePorts({ service: 'app', forwardPorts: [3000, 'db:5432'] }, null)
+    assert.deepStrictEqual(ports, [3000, 'db:5432'])
+  })
+
+  test('defaults to [3000] when nothing is published', () => {
+    assert.deepStrictEqual(detectComposePorts({ service: 'app' }, { services: { app: {} } }), [3000])
+  })
+})
+
+describe('listNamedVolumes', () => {
+  test('lists volumes with an explicit name', () => {
+    assert.deepStrictEqual(listNamedVolumes(RAILS_COMPOSE), [])
+    assert.deepStrictEqual(listNamedVolumes(NAMED_VOLUME_COMPOSE), ['cache'])
+    assert.deepStrictEqual(listNamedVolumes(null), [])
+  })
+})
+
+describe('hasOwnVolumes', () => {
+  test('is true when no volume is shared between projects', () => {
+    assert.strictEqual(hasOwnVolumes(RAILS_COMPOSE), true)
+    assert.strictEqual(hasOwnVolumes(NAMED_VOLUME_COMPOSE), false)
+    assert.strictEqual(hasOwnVolumes(NAMED_VOLUME_COMPOSE, { namespaceVolumes: true }), true)
+  })
+
+  test('is false when the compose config is unknown', () => {
+    assert.strictEqual(hasOwnVolumes(null, { namespaceVolumes: true }), false)
+  })
+})
+
+describe('generateComposeOverride', () => {
+  const testDir = join(homedir(), '.cache/ocdc-test-compose-' + Date.now())
+  const workspace = join(testDir, 'clones', 'app', 'feature-x')
+
+  beforeEach(() => {
+    process.env.OCDC_CACHE_DIR = join(testDir, 'cache')
+    mkdirSync(workspace, { recursive: true })
+  })
+
+  afterEach(() => {
+    delete process.env.OCDC_CACHE_DIR
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  test('writes project name and remapped ports', async () => {
+    const { path, projectName } = await generateComposeOverride(
+      workspace,
+      { 3000: 13000, 'db:5432': 13001 },
+      { service: 'app' },
+      RAILS_COMPOSE
+    )
+
+    assert.strictEqual(path, getComposeOverridePath(workspace))
+    assert.strictEqual(projectName, getComposeProjectName(workspace))
+
+    const content = readFileSync(path, 'utf-8')
+    assert.ok(content.includes(`name: "${projectName}"`))
+    assert.ok(content.includes('"app":\n    ports: !override\n      - "13000:3000"'))
+    assert.ok(content.includes('"db":\n    ports: !override\n      - "13001:5432"'))
+    assert.ok(!content.includes('volumes:'))
+  })
+
+  test('namespaces explicitly named volumes when requested', async () => {
+    const { path, projectName } = await generateComposeOverride(
+      workspace,
+      { 3000: 13000 },
+      { service: 'app' },
+      NAMED_VOLUME_COMPOSE,
+      { namespaceVolumes: true }
+    )
+
+    const content = readFileSync(path, 'utf-8')
+    assert.ok(content.includes(`"cache":\n    name: "${projectName}_cache"`))
+    // Default-named volumes already get the project name; external ones stay shared
+    assert.ok(!content.includes('"pgdata"'))
+    assert.ok(!content.includes('"shared"'))
+  })
+})
+
+describe('generateOverrideConfig (compose)', () => {
+  const testDir = join(homedir(), '.cache/ocdc-test-compose-override-' + Date.now())
+  const workspace = join(testDir, 'clones', 'app', 'feature-x')
+
+  beforeEach(() => {
+    process.env.OCDC_CACHE_DIR = join(testDir, 'cache')
+    mkdirSync(join(workspace, '.devcontainer'), { recursive: true })
+    writeFileSync(
+      join(workspace, '.devcontainer', 'devcontainer.json'),
+      JSON.stringify({
+        name: 'rails',
+        dockerComposeFile: '../docker-compose.yml',
+        service: 'app',
+        workspaceFolder: '/rails',
+        forwardPorts: [3000],
+      })
+    )
+  })
+
+  afterEach(() => {
+    delete process.env.OCDC_CACHE_DIR
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  test('appends compose override instead of using runArgs', async () => {
+    const overridePath = await generateOverrideConfig(
+      workspace,
+      { 3000: 13000, 'db:5432': 13001 },
+      'app',
+      { composeConfig: RAILS_COMPOSE }
+    )
+
+    const override = JSON.parse(readFileSync(overridePath, 'utf-8'))
+    assert.deepStrictEqual(override.dockerComposeFile, [
+      join(workspace, 'docker-compose.yml'),
+      getComposeOverridePath(workspace),
+    ])
+    assert.strictEqual(override.runArgs, undefined)
+    assert.strictEqual(override.forwardPorts, undefined)
+    // Compose mounts define the workspace folder - keep the original
+    assert.strictEqual(override.workspaceFolder, '/rails')
+    assert.strictEqual(override.name, 'feature-x (port 13000)')
+    assert.ok(existsSync(getComposeOverridePath(workspace)))
+    assert.ok(getComposeOverridePath(workspace).startsWith(PATHS.overrides))
+  })
+})
@@ -17,8 +17,16 @@ import {
   generateOverrideConfig,
   readDevcontainerJson,
   detectInternalPort,
+  detectInternalPorts,
   getOverridePath,
-  loadUserConfig
+  getExecConfigPath,
+  writeExecConfig,
+  loadUserConfig,
+  loadRoutingRules,
+  loadPassEnv,
+  loadCopyRules,
+  REPO_CONFIG_FILE,
+  COPY_RULES_FILE,
 } from '../../plugin/core/config.js'
 import { PATHS, pathId } from '../../plugin/core/paths.js'
 
@@ -118,6 +126,33 @@ describe('detectInternalPort', () => {
   })
 })
 
+describe('detectInternalPorts', () => {
+  test('collects every forwardPorts entry in order', () => {
+    const config = { forwardPorts: [3000, 9229, '6006'] }
+    assert.deepStrictEqual(detectInternalPorts(config), [3000, 9229, 6006])
+  })
+
+  test('collects every -p flag in runArgs', () => {
+    const config = { runArgs: ['-p', '8000:3000', '--publish', '9229', '5000:4000'] }
+    assert.deepStrictEqual(detectInternalPorts(config), [3000, 9229, 4000])
+  })
+
+  test('merges forwardPorts and runArgs without duplicates', () => {
+    const config = { forwardPorts: [3000, 9229], runArgs: ['-p', '3000:3000', '-p', '6006:6006'] }
+    assert.deepStrictEqual(detectInternalPorts(config), [3000, 9229, 6006])
+  })
+
+  test('skips ports forwarded from other services', () => {
+    const config = { forwardPorts: [3000, 'db:5432'] }
+    assert.deepStrictEqual(detectInternalPorts(config), [3000])
+  })
+
+  test('defaults to [3000] if no port found', () => {
+    assert.deepStrictEqual(detectInternalPorts({}), [3000])
+    assert.deepStrictEqual(detectInternalPorts(null), [3000])
+  })
+})
+
 describe('generateOverrideConfig', () => {
   const testDir = join(homedir(), '.cache/ocdc-test-genoverride-' + Date.now())
 
@@ -230,6 +265,91 @@ describe('generateOverrideConfig', () => {
     assert.ok(override.runArgs.includes('-p'))
     assert.ok(override.runArgs.includes('13006:3000'))
   })
+
+  test('maps every port in a port map', async () => {
+    writeFileSync(
+      join(testDir, 'workspace', '.devcontainer', 'devcontainer.json'),
+      JSON.stringify({ forwardPorts: [3000, 9229, 6006], runArgs: ['--some-flag'] })
+    )
+
+    const workspace = join(testDir, 'workspace')
+    const overridePath = await generateOverrideConfig(workspace, { 3000: 13010, 9229: 13011, 6006: 13012 })
+
+    const override = JSON.parse(readFileSync(overridePath, 'utf-8'))
+    assert.deepStrictEqual(override.runArgs, [
+      '--some-flag',
+      '-p', '13010:3000',
+      '-p', '13012:6006',
+      '-p', '13011:9229',
+    ])
+    assert.strictEqual(override.name, 'workspace (port 13010)')
+  })
+
+  test('starts from a shared image instead of building', async () => {
+    writeFileSync(
+      join(testDir, 'workspace', '.devcontainer', 'devcontainer.json'),
+      JSON.stringify({
+        build: { dockerfile: 'Dockerfile' },
+        features: { 'ghcr.io/devcontainers/features/node:1': {} },
+        forwardPorts: [3000],
+        runArgs: ['--some-flag'],
+        postCreateCommand: 'npm install',
+      })
+    )
+
+    const workspace = join(testDir, 'workspace')
+    const overridePath = await generateOverrideConfig(workspace, 13020, 'app', { image: 'ocdc-app:0123456789ab' })
+
+    const override = JSON.parse(readFileSync(overridePath, 'utf-8'))
+    assert.strictEqual(override.image, 'ocdc-app:0123456789ab')
+    assert.strictEqual(override.build, undefined)
+    assert.strictEqual(override.features, undefined)
+    assert.strictEqual(override.postCreateCommand, 'npm install')
+    assert.deepStrictEqual(override.runArgs, ['--some-flag', '-p', '13020:3000'])
+  })
+})
+
+describe('writeExecConfig', () => {
+  const testDir = join(homedir(), '.cache/ocdc-test-execconfig-' + Date.now())
+  const workspace = join(testDir, 'workspace')
+
+  beforeEach(() => {
+    process.env.OCDC_CACHE_DIR = join(testDir, 'cache')
+    mkdirSync(join(workspace, '.devcontainer'), { recursive: true })
+    writeFileSync(
+      join(workspace, '.devcontainer', 'devcontainer.json'),
+      JSON.stringify({ dockerComposeFile: 'compose.yml', service: 'app', remoteEnv: { RAILS_ENV: 'test' } })
+    )
+  })
+
+  afterEach(() => {
+    delete process.env.OCDC_CACHE_DIR
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  test('extends the override config with localEnv references, not values', async () => {
+    const overridePath = await generateOverrideConfig(workspace, 13030)
+    const override = JSON.parse(readFileSync(overridePath, 'utf-8'))
+
+    const path = await writeExecConfig(workspace, ['GITHUB_TOKEN', 'BAD NAME'])
+    assert.strictEqual(path, getExecConfigPath(workspace))
+    assert.deepStrictEqual(JSON.parse(readFileSync(path, 'utf-8')), {
+      ...override,
+      remoteEnv: { RAILS_ENV: 'test', GITHUB_TOKEN: '${localEnv:GITHUB_TOKEN}' },
+    })
+  })
+
+  test('falls back to devcontainer.json with absolute compose files', async () => {
+    const config = JSON.parse(readFileSync(await writeExecConfig(workspace, ['GITHUB_TOKEN']), 'utf-8'))
+
+    assert.deepStrictEqual(config.dockerComposeFile, [join(workspace, '.devcontainer', 'compose.yml')])
+    assert.strictEqual(config.remoteEnv.GITHUB_TOKEN, '${localEnv:GITHUB_TOKEN}')
+  })
+
+  test('returns null without a config to extend', async () => {
+    rmSync(join(workspace, '.devcontainer'), { recursive: true, force: true })
+    assert.strictEqual(await writeExecConfig(workspace, ['GITHUB_TOKEN']), null)
+  })
 })
 
 describe('loadUserConfig', () => {
@@ -342,3 +462,136 @@ describe('loadUserConfig', () => {
     )
   })
 })
+
+describe('loadRoutingRules', () => {
+  const testDir = join(homedir(), '.cache/ocdc-test-routing-' + Date.now())
+  const configDir = join(testDir, 'config')
+  const workspace = join(testDir, 'repo')
+
+  beforeEach(() => {
+    process.env.OCDC_CONFIG_DIR = configDir
+    mkdirSync(configDir, { recursive: true })
+    mkdirSync(join(workspace, '.opencode'), { recursive: true })
+  })
+
+  afterEach(() => {
+    delete process.env.OCDC_CONFIG_DIR
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  test('returns no layers without rules', async () => {
+    assert.deepStrictEqual(await loadRoutingRules(workspace), [])
+  })
+
+  test('orders user rules before repo rules', async () => {
+    writeFileSync(
+      join(configDir, 'config.json'),
+      JSON.stringify({ hostCommands: { allow: ['make', 'just'] } })
+    )
+    writeFileSync(
+      join(workspace, REPO_CONFIG_FILE),
+      JSON.stringify({ hostCommands: { deny: ['git', 'make'] } })
+    )
+
+    const layers = await loadRoutingRules(workspace)
+
+    assert.deepStrictEqual(layers, [
+      { source: 'user', path: join(configDir, 'config.json'), allow: ['make', 'just'], deny: [] },
+      { source: 'repo', path: join(workspace, REPO_CONFIG_FILE), allow: [], deny: ['git', 'make'] },
+    ])
+  })
+
+  test('ignores invalid files and non-string entries', async () => {
+    writeFileSync(join(configDir, 'config.json'), JSON.stringify({ hostCommands: { allow: ['make', 3, ''] } }))
+    writeFileSync(join(workspace, REPO_CONFIG_FILE), '{ not json')
+
+    const layers = await loadRoutingRules(workspace)
+
+    assert.strictEqual(layers.length, 1)
+    assert.deepStrictEqual(layers[0].allow, ['make'])
+  })
+
+  test('loads user rules only without a workspace', async () => {
+    writeFileSync(join(configDir, 'config.json'), JSON.stringify({ hostCommands: { deny: ['git'] } }))
+
+    const layers = await loadRoutingRules()
+
+    assert.deepStrictEqual(layers.map(l => l.source), ['user'])
+  })
+})
+
+describe('loadPassEnv', () => {
+  const testDir = join(homedir(), '.cache/ocdc-test-passenv-' + Date.now())
+  const configDir = join(testDir, 'config')
+  const workspace = join(testDir, 'repo')
+
+  beforeEach(() => {
+    process.env.OCDC_CONFIG_DIR = configDir
+    mkdirSync(configDir, { recursive: true })
+    mkdirSync(join(workspace, '.opencode'), { recursive: true })
+  })
+
+  afterEach(() => {
+    delete process.env.OCDC_CONFIG_DIR
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  test('is empty by default', async () => {
+    assert.deepStrictEqual(await loadPassEnv(workspace), [])
+  })
+
+  test('adds repo entries to the user allowlist', async () => {
+    writeFileSync(join(configDir, 'config.json'), JSON.stringify({ passEnv: ['GITHUB_TOKEN', 'OPENCODE_*'] }))
+    writeFileSync(join(workspace, REPO_CONFIG_FILE), JSON.stringify({ passEnv: ['RAILS_ENV', 'GITHUB_TOKEN'] }))
+
+    assert.deepStrictEqual(await loadPassEnv(workspace), ['GITHUB_TOKEN', 'OPENCODE_*', 'RAILS_ENV'])
+    assert.deepStrictEqual(await loadPassEnv(), ['GITHUB_TOKEN', 'OPENCODE_*'])
+  })
+
+  test('only takes exact names from the repo', async () => {
+    writeFileSync(join(workspace, REPO_CONFIG_FILE), JSON.stringify({ passEnv: ['*', 'AWS_*', 'RAILS_ENV'] }))
+
+    assert.deepStrictEqual(await loadPassEnv(workspace), ['RAILS_ENV'])
+  })
+})
+
+describe('loadCopyRules', () => {
+  const testDir = join(homedir(), '.cache/ocdc-test-copyrules-' + Date.now())
+
+  beforeEach(() => {
+    mkdirSync(join(testDir, '.opencode'), { recursive: true })
+  })
+
+  afterEach(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  test('is empty without rules', async () => {
+    assert.deepStrictEqual(await loadCopyRules(testDir), { include: [], exclude: [], link: [], sources: [] })
+  })
+
+  test('combines the rules file and the repo config', async () => {
+    writeFileSync(join(testDir, COPY_RULES_FILE), '# secrets\nconfig/master.key\n\n!tmp/\n.env.*\n')
+    writeFileSync(join(testDir, REPO_CONFIG_FILE), JSON.stringify({ copy: { include: ['*.plist', '.env.*'], exclude: ['log/'] } }))
+
+    assert.deepStrictEqual(await loadCopyRules(testDir), {
+      include: ['config/master.key', '.env.*', '*.plist'],
+      exclude: ['tmp/', 'log/'],
+      link: [],
+      sources: [join(testDir, COPY_RULES_FILE), join(testDir, REPO_CONFIG_FILE)],
+    })
+  })
+
+  test('reads link entries with their modes', async () => {
+    writeFileSync(join(testDir, REPO_CONFIG_FILE), JSON.stringify({
+      copy: { link: ['node_modules/', { path: 'models', mode: 'symlink' }, '', { mode: 'hardlink' }], linkMode: 'reflink' },
+    }))
+
+    const rules = await loadCopyRules(testDir)
+    assert.deepStrictEqual(rules.link, [
+      { path: 'node_modules', mode: 'reflink' },
+      { path: 'models', mode: 'symlink' },
+    ])
+    assert.deepStrictEqual(rules.sources, [join(testDir, REPO_CONFIG_FILE)])
+  })
+})
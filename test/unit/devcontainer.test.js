@@ -12,26 +12,37 @@ import assert from 'node:assert'
 import { join, basename } from 'path'
 import { homedir } from 'os'
 import { mkdirSync, rmSync, writeFileSync, readFileSync, existsSync } from 'fs'
-import { execSync } from 'child_process'
+import { execSync, spawnSync } from 'child_process'
 import { createHash } from 'crypto'
 
 // Module under test
 import { 
   buildUpArgs,
+  buildImageArgs,
   buildExecArgs,
+  resolveContainerWorkdir,
   up,
   upBackground,
+  cancel,
+  reconcileJobs,
+  findStartingClone,
   exec,
   list,
   down,
+  stop,
   isContainerRunning,
+  getContainerState,
+  CONTAINER_STATE,
   checkDevcontainerCli,
   remove
 } from '../../plugin/core/devcontainer.js'
 import { PATHS } from '../../plugin/core/paths.js'
-import { readJobs, JOB_STATUS, removeJob } from '../../plugin/core/jobs.js'
+import { readJobs, writeJobs, getJob, JOB_STATUS, removeJob } from '../../plugin/core/jobs.js'
+import { readPorts } from '../../plugin/core/ports.js'
 import { getOverridePath } from '../../plugin/core/config.js'
 import { getClonePath } from '../../plugin/core/clones.js'
+import { createManifest, updateManifest } from '../../plugin/core/manifest.js'
+import { shellArgs } from '../../plugin/core/shell.js'
 
 describe('buildUpArgs', () => {
   test('includes workspace-folder and override-config', () => {
@@ -68,29 +79,62 @@ describe('buildUpArgs', () => {
   })
 })
 
+describe('buildImageArgs', () => {
+  test('builds and tags the image from the workspace config', () => {
+    assert.deepStrictEqual(buildImageArgs('/workspace', 'ocdc-app:0123456789ab', { dockerPath: 'podman' }), [
+      'build',
+      '--workspace-folder', '/workspace',
+      '--image-name', 'ocdc-app:0123456789ab',
+      '--docker-path', 'podman',
+    ])
+  })
+})
+
 describe('buildExecArgs', () => {
-  test('wraps command with sh -c for proper argument handling', () => {
+  test('runs the command through the container shell', () => {
     const args = buildExecArgs('/workspace', 'git status')
     
     assert.ok(args.includes('--workspace-folder'))
     assert.ok(args.includes('/workspace'))
     assert.ok(args.includes('--'))
     
-    // Command should be wrapped with sh -c to handle arguments properly
+    // The command is passed as one argument to bash (or sh without bash)
     const dashIndex = args.indexOf('--')
     assert.ok(dashIndex > 0)
-    assert.strictEqual(args[dashIndex + 1], 'sh')
-    assert.strictEqual(args[dashIndex + 2], '-c')
-    assert.strictEqual(args[dashIndex + 3], 'git status')
+    assert.deepStrictEqual(args.slice(dashIndex + 1), shellArgs('git status'))
   })
 
   test('handles complex shell expressions', () => {
     const args = buildExecArgs('/workspace', 'echo "hello world" | grep hello')
     
+    assert.strictEqual(args.at(-1), 'echo "hello world" | grep hello')
+  })
+
+  test('uses bash when the container has it', () => {
+    const args = buildExecArgs('/workspace', '[[ -n "$BASH_VERSION" ]] && echo bash')
     const dashIndex = args.indexOf('--')
-    assert.strictEqual(args[dashIndex + 1], 'sh')
-    assert.strictEqual(args[dashIndex + 2], '-c')
-    assert.strictEqual(args[dashIndex + 3], 'echo "hello world" | grep hello')
+    const [cmd, ...rest] = args.slice(dashIndex + 1)
+
+    const result = spawnSync(cmd, rest, { encoding: 'utf-8' })
+    assert.strictEqual(result.stdout.trim(), 'bash')
+  })
+
+  test('falls back to sh without bash', () => {
+    const args = buildExecArgs('/workspace', 'echo "$0"')
+    const dashIndex = args.indexOf('--')
+    const [cmd, ...rest] = args.slice(dashIndex + 1)
+
+    // A PATH with sh but no bash
+    const bin = join(homedir(), '.cache/ocdc-test-nobash-' + Date.now())
+    mkdirSync(bin, { recursive: true })
+    execSync(`ln -s "$(command -v sh)" ${join(bin, 'sh')}`)
+    try {
+      const result = spawnSync(join(bin, 'sh'), rest, { encoding: 'utf-8', env: { PATH: bin } })
+      assert.strictEqual(result.stdout.trim(), 'sh')
+    } finally {
+      rmSync(bin, { recursive: true, force: true })
+    }
+    assert.strictEqual(cmd, 'sh')
   })
 
   test('includes override-config when provided', () => {
@@ -98,12 +142,7 @@ describe('buildExecArgs', () => {
     
     assert.ok(args.includes('--override-config'))
     assert.ok(args.includes('/override.json'))
-    
-    // Command should still be wrapped with sh -c
-    const dashIndex = args.indexOf('--')
-    assert.strictEqual(args[dashIndex + 1], 'sh')
-    assert.strictEqual(args[dashIndex + 2], '-c')
-    assert.strictEqual(args[dashIndex + 3], 'npm test')
+    assert.strictEqual(args.at(-1), 'npm test')
   })
 
   test('includes configured container runtime paths', () => {
@@ -119,6 +158,95 @@ describe('buildExecArgs', () => {
   })
 })
 
+describe('buildExecArgs workdir', () => {
+  test('changes to workdir before running the command', () => {
+    const args = buildExecArgs('/workspace', 'npm test', { workdir: '/workspaces/app/services/api' })
+
+    assert.strictEqual(args.at(-1), 'cd -- /workspaces/app/services/api || exit 1; npm test')
+  })
+})
+
+describe('buildExecArgs remoteEnv', () => {
+  test('passes environment variables before the command', () => {
+    const args = buildExecArgs('/workspace', 'rails test', { remoteEnv: { RAILS_ENV: 'test', TOKEN: 'a b' } })
+    const dashIndex = args.indexOf('--')
+
+    assert.deepStrictEqual(
+      args.slice(dashIndex - 4, dashIndex),
+      ['--remote-env', 'RAILS_ENV=test', '--remote-env', 'TOKEN=a b']
+    )
+    assert.strictEqual(args.at(-1), 'rails test')
+  })
+})
+
+describe('resolveContainerWorkdir', () => {
+  const testDir = join(homedir(), '.cache/ocdc-test-workdir-' + Date.now())
+  const workspace = join(testDir, 'clones', 'app', 'feature-x')
+
+  beforeEach(() => {
+    process.env.OCDC_CACHE_DIR = join(testDir, 'cache')
+    mkdirSync(join(workspace, '.devcontainer'), { recursive: true })
+    writeFileSync(join(workspace, '.devcontainer', 'devcontainer.json'), JSON.stringify({ image: 'node:20' }))
+  })
+
+  afterEach(() => {
+    delete process.env.OCDC_CACHE_DIR
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  test('returns null for the workspace root', async () => {
+    assert.strictEqual(await resolveContainerWorkdir(workspace), null)
+    assert.strictEqual(await resolveContainerWorkdir(workspace, workspace), null)
+  })
+
+  test('maps host subdirectories under the default workspace folder', async () => {
+    assert.strictEqual(
+      await resolveContainerWorkdir(workspace, join(workspace, 'services', 'api')),
+      '/workspaces/feature-x/services/api'
+    )
+    assert.strictEqual(await resolveContainerWorkdir(workspace, 'services'), '/workspaces/feature-x/services')
+  })
+
+  test('uses workspaceFolder from the override config', async () => {
+    mkdirSync(PATHS.overrides, { recursive: true })
+    writeFileSync(getOverridePath(workspace), JSON.stringify({ workspaceFolder: '/workspaces/app-feature-x' }))
+
+    assert.strictEqual(
+      await resolveContainerWorkdir(workspace, join(workspace, 'lib')),
+      '/workspaces/app-feature-x/lib'
+    )
+  })
+
+  test('resolves workspaceFolder variables from devcontainer.json', async () => {
+    writeFileSync(
+      join(workspace, '.devcontainer', 'devcontainer.json'),
+      JSON.stringify({ workspaceFolder: '/src/${localWorkspaceFolderBasename}' })
+    )
+
+    assert.strictEqual(await resolveContainerWorkdir(workspace, join(workspace, 'lib')), '/src/feature-x/lib')
+  })
+
+  test('accepts container paths under the workspace folder', async () => {
+    assert.strictEqual(
+      await resolveContainerWorkdir(workspace, '/workspaces/feature-x/lib'),
+      '/workspaces/feature-x/lib'
+    )
+  })
+
+  test('rejects directories outside the workspace', async () => {
+    await assert.rejects(resolveContainerWorkdir(workspace, '/tmp'), /outside workspace/)
+  })
+
+  test('rejects compose configs without workspaceFolder', async () => {
+    writeFileSync(
+      join(workspace, '.devcontainer', 'devcontainer.json'),
+      JSON.stringify({ dockerComposeFile: 'compose.yml', service: 'app' })
+    )
+
+    await assert.rejects(resolveContainerWorkdir(workspace, join(workspace, 'lib')), /workspaceFolder is not set/)
+  })
+})
+
 describe('checkDevcontainerCli', () => {
   test('returns boolean', async () => {
     const result = await checkDevcontainerCli()
@@ -211,7 +339,153 @@ describe('isContainerRunning', () => {
   })
 })
 
+describe('getContainerState', () => {
+  test('returns not found when no container exists for workspace', async () => {
+    const state = await getContainerState('/nonexistent/workspace')
+    assert.strictEqual(state, CONTAINER_STATE.NOT_FOUND)
+  })
+
+  test('distinguishes stopped from not found', () => {
+    assert.notStrictEqual(CONTAINER_STATE.STOPPED, CONTAINER_STATE.NOT_FOUND)
+    assert.strictEqual(CONTAINER_STATE.STOPPED, 'stopped')
+  })
+})
+
+describe('stop', () => {
+  const testDir = join(homedir(), '.cache/ocdc-test-stop-' + Date.now())
+  const workspace = join(testDir, 'clones', 'my-repo', 'feature-x')
+
+  beforeEach(() => {
+    process.env.OCDC_CACHE_DIR = testDir
+    process.env.OCDC_CONFIG_DIR = join(testDir, 'config')
+    mkdirSync(join(testDir, 'overrides'), { recursive: true })
+    mkdirSync(join(workspace, '.git'), { recursive: true })
+    writeFileSync(join(testDir, 'ports.json'), JSON.stringify({
+      [workspace]: { port: 19000, portMap: { 3000: 19000 }, repo: 'my-repo', branch: 'feature-x' },
+    }))
+    writeFileSync(getOverridePath(workspace), JSON.stringify({ name: 'feature-x (port 19000)' }))
+  })
+
+  afterEach(() => {
+    delete process.env.OCDC_CACHE_DIR
+    delete process.env.OCDC_CONFIG_DIR
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  test('reports missing container without touching workspace state', async () => {
+    const summary = await stop(workspace)
+
+    assert.strictEqual(summary.containerFound, false)
+    assert.strictEqual(summary.containerStopped, false)
+    assert.deepStrictEqual(summary.errors, [])
+
+    // Clone, port reservation and override config are kept
+    const ports = JSON.parse(readFileSync(join(testDir, 'ports.json'), 'utf-8'))
+    assert.strictEqual(ports[workspace].port, 19000)
+    assert.ok(existsSync(getOverridePath(workspace)))
+    assert.ok(existsSync(workspace))
+  })
+})
+
 // Integration-style tests (mock the devcontainer CLI)
+describe('reconcileJobs', () => {
+  const testDir = join(homedir(), '.cache/ocdc-test-reconcile-' + Date.now())
+  const workspace = join(testDir, 'clones', 'my-repo', 'feature-x')
+
+  beforeEach(() => {
+    process.env.OCDC_CACHE_DIR = testDir
+    process.env.OCDC_CONFIG_DIR = join(testDir, 'config')
+    mkdirSync(workspace, { recursive: true })
+    writeFileSync(join(testDir, 'ports.json'), JSON.stringify({
+      [workspace]: { port: 19000, portMap: { 3000: 19000 }, repo: 'my-repo', branch: 'feature-x' },
+    }))
+  })
+
+  afterEach(() => {
+    delete process.env.OCDC_CACHE_DIR
+    delete process.env.OCDC_CONFIG_DIR
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  test('fails orphaned jobs without a container and releases their port', async () => {
+    const deadPid = spawnSync('true').pid
+    await writeJobs({
+      [workspace]: {
+        workspace, repo: 'my-repo', branch: 'feature-x',
+        status: JOB_STATUS.RUNNING, pid: deadPid, heartbeatAt: new Date().toISOString(),
+      },
+    })
+
+    const reconciled = await reconcileJobs()
+
+    assert.deepStrictEqual(reconciled, [
+      { workspace, status: JOB_STATUS.FAILED, state: CONTAINER_STATE.NOT_FOUND },
+    ])
+    const job = await getJob(workspace)
+    assert.strictEqual(job.status, JOB_STATUS.FAILED)
+    assert.match(job.error, new RegExp(`PID ${deadPid}`))
+    assert.strictEqual((await readPorts())[workspace], undefined)
+  })
+
+  test('leaves jobs owned by a live process alone', async () => {
+    await writeJobs({
+      [workspace]: {
+        workspace, status: JOB_STATUS.RUNNING, pid: process.pid, heartbeatAt: new Date().toISOString(),
+      },
+    })
+
+    assert.deepStrictEqual(await reconcileJobs(), [])
+    assert.strictEqual((await getJob(workspace)).status, JOB_STATUS.RUNNING)
+  })
+})
+
+describe('findStartingClone', () => {
+  const testDir = join(homedir(), '.cache/ocdc-test-starting-' + Date.now())
+
+  beforeEach(() => {
+    process.env.OCDC_CACHE_DIR = testDir
+    process.env.OCDC_CLONES_DIR = join(testDir, 'clones')
+    mkdirSync(testDir, { recursive: true })
+  })
+
+  afterEach(() => {
+    delete process.env.OCDC_CACHE_DIR
+    delete process.env.OCDC_CLONES_DIR
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  const job = (repo, branch, status = JOB_STATUS.PENDING) => ({
+    [getClonePath(repo, branch)]: { workspace: getClonePath(repo, branch), repo, branch, status },
+  })
+
+  test('finds a start whose clone does not exist yet', async () => {
+    await writeJobs(job('my-repo', 'feature/new'))
+    const expected = { workspace: getClonePath('my-repo', 'feature/new'), repoName: 'my-repo', branch: 'feature/new' }
+
+    assert.ok(!existsSync(expected.workspace))
+    assert.deepStrictEqual(await findStartingClone('feature/new'), expected)
+    assert.deepStrictEqual(await findStartingClone('my-repo/feature/new'), expected)
+  })
+
+  test('ignores finished jobs and jobs of other paths', async () => {
+    await writeJobs({
+      ...job('my-repo', 'done', JOB_STATUS.FAILED),
+      '/elsewhere/other': { workspace: '/elsewhere/other', repo: 'my-repo', branch: 'other', status: JOB_STATUS.RUNNING },
+    })
+
+    assert.strictEqual(await findStartingClone('done'), null)
+    assert.strictEqual(await findStartingClone('other'), null)
+  })
+
+  test('reports a branch starting in several repos as ambiguous', async () => {
+    await writeJobs({ ...job('repo-a', 'feature'), ...job('repo-b', 'feature') })
+
+    const result = await findStartingClone('feature')
+    assert.strictEqual(result.ambiguous, true)
+    assert.deepStrictEqual(result.matches.map(m => m.repoName).sort(), ['repo-a', 'repo-b'])
+  })
+})
+
 describe('up (integration)', () => {
   const testDir = join(homedir(), '.cache/ocdc-test-up-' + Date.now())
   const workspaceDir = join(testDir, 'workspace')
@@ -290,6 +564,26 @@ describe('up (integration)', () => {
       }
     }
   })
+
+  test('rejects compose configs when Docker Compose is too old', async () => {
+    writeFileSync(join(workspaceDir, '.devcontainer', 'devcontainer.json'), JSON.stringify({
+      dockerComposeFile: 'compose.yml', service: 'app', workspaceFolder: '/app',
+    }))
+    const compose = join(testDir, 'compose')
+    writeFileSync(compose, [
+      '#!/bin/sh',
+      'if [ "$1" = "version" ]; then echo "Docker Compose version v2.20.2"; exit 0; fi',
+      'exit 1',
+    ].join('\n'), { mode: 0o755 })
+    writeFileSync(join(testDir, 'config', 'config.json'), JSON.stringify({
+      portRangeStart: 19000,
+      portRangeEnd: 19010,
+      dockerComposePath: compose,
+    }))
+
+    await assert.rejects(up(workspaceDir, { dryRun: true }), /Docker Compose 2\.20\.2 is too old/)
+    assert.deepStrictEqual(await readPorts(), {})
+  })
 })
 
 describe('runCommand abort signal', () => {
@@ -372,6 +666,32 @@ describe('runCommand abort signal', () => {
     assert.strictEqual(result.success, false, 'Should not be successful when killed by timeout')
   })
 
+  test('onOutput receives chunks as they arrive', async () => {
+    const { runCommand } = await import('../../plugin/core/devcontainer.js')
+
+    const chunks = []
+    const result = await runCommand('sh', ['-c', 'echo one; echo two >&2'], {
+      onOutput: (chunk, stream) => chunks.push({ chunk, stream }),
+    })
+
+    assert.strictEqual(result.stdout, 'one')
+    assert.ok(chunks.some(c => c.stream === 'stdout' && c.chunk.includes('one')))
+    assert.ok(chunks.some(c => c.stream === 'stderr' && c.chunk.includes('two')))
+  })
+
+  test('maxOutputBytes truncates the middle of large output', async () => {
+    const { runCommand } = await import('../../plugin/core/devcontainer.js')
+
+    const result = await runCommand('sh', ['-c', 'echo first; seq 1 100000; echo last'], {
+      maxOutputBytes: 1000,
+    })
+
+    assert.ok(result.stdout.startsWith('first'))
+    assert.ok(result.stdout.endsWith('last'))
+    assert.ok(result.stdout.length < 1100)
+    assert.ok(result.truncatedBytes > 0)
+  })
+
   test('timeout does not affect fast commands', async () => {
     const { runCommand } = await import('../../plugin/core/devcontainer.js')
     
@@ -414,7 +734,9 @@ describe('upBackground', () => {
     execSync('git commit -m "Initial"', { cwd: workspaceDir })
   })
 
-  afterEach(() => {
+  afterEach(async () => {
+    // Let the background start finish before deleting its files
+    await cancel(workspaceDir)
     delete process.env.OCDC_CACHE_DIR
     delete process.env.OCDC_CONFIG_DIR
     delete process.env.OCDC_CLONES_DIR
@@ -483,6 +805,35 @@ describe('upBackground', () => {
       /Not in a git repository/
     )
   })
+
+  test('rejects an unknown base before starting a job', async () => {
+    await assert.rejects(
+      () => upBackground('feature-x', { cwd: workspaceDir, base: 'no-such-ref' }),
+      /Unknown base/
+    )
+
+    const jobs = await readJobs()
+    assert.deepStrictEqual(jobs, {})
+  })
+
+  test('cancel marks the job cancelled and releases the port', async () => {
+    await upBackground(workspaceDir)
+    
+    const result = await cancel(workspaceDir)
+    
+    assert.deepStrictEqual(result, { workspace: workspaceDir, cancelled: true })
+    const job = await getJob(workspaceDir)
+    assert.strictEqual(job.status, JOB_STATUS.CANCELLED)
+    assert.ok(job.completedAt)
+    assert.strictEqual((await readPorts())[workspaceDir], undefined)
+    // Workspace is kept for a retry
+    assert.ok(existsSync(join(workspaceDir, '.devcontainer', 'devcontainer.json')))
+  })
+
+  test('cancel does nothing without an active start', async () => {
+    const result = await cancel(workspaceDir)
+    assert.deepStrictEqual(result, { workspace: workspaceDir, cancelled: false })
+  })
 })
 
 describe('down', () => {
@@ -671,4 +1022,79 @@ describe('remove', () => {
     assert.strictEqual(second.cloneDeleted, false, 'no clone on second call')
     assert.strictEqual(second.errors.length, 0, 'no errors on repeat')
   })
+
+  /**
+   * Turn the workspace into a compose devcontainer whose fake compose prints
+   * a merged config with `volumes` and logs the arguments of `down`
+   */
+  function createComposeWorkspace(volumes) {
+    createFullWorkspaceState()
+    mkdirSync(join(workspace, '.devcontainer'), { recursive: true })
+    writeFileSync(join(workspace, '.devcontainer', 'devcontainer.json'), JSON.stringify({
+      dockerComposeFile: 'compose.yml', service: 'app', workspaceFolder: '/app',
+    }))
+    writeFileSync(getOverridePath(workspace), JSON.stringify({ dockerComposeFile: ['compose.yml'], service: 'app' }))
+
+    const compose = join(testDir, 'compose')
+    writeFileSync(compose, [
+      '#!/bin/sh',
+      `if [ "$3" = "config" ]; then echo '${JSON.stringify({ name: 'devcontainer', volumes })}'; exit 0; fi`,
+      `for arg in "$@"; do [ "$arg" = "down" ] && echo "$*" >> ${join(testDir, 'down.log')}; done`,
+      'exit 0',
+    ].join('\n'), { mode: 0o755 })
+    writeFileSync(join(testDir, 'config', 'config.json'), JSON.stringify({
+      dockerPath: join(testDir, 'no-docker'),
+      dockerComposePath: compose,
+    }))
+    return join(testDir, 'down.log')
+  }
+
+  test('keeps compose volumes with an explicit name, which other clones share', async () => {
+    const downLog = createComposeWorkspace({ pgdata: { name: 'devcontainer_pgdata' }, cache: { name: 'app-cache' } })
+
+    const summary = await remove(workspace, repo, branch)
+
+    assert.strictEqual(summary.composeRemoved, true)
+    const down = readFileSync(downLog, 'utf-8')
+    assert.ok(down.includes('down'))
+    assert.ok(!down.includes('--volumes'))
+  })
+
+  test('removes compose volumes that belong to the project', async () => {
+    const downLog = createComposeWorkspace({ pgdata: { name: 'devcontainer_pgdata' } })
+
+    await remove(workspace, repo, branch)
+
+    assert.ok(readFileSync(downLog, 'utf-8').includes('--volumes'))
+  })
+
+  test('removes a shared image only once no other workspace uses it', async () => {
+    createFullWorkspaceState()
+    const other = join(testDir, 'clones', repo, 'feature-y')
+    mkdirSync(join(other, '.git'), { recursive: true })
+    for (const [ws, br] of [[workspace, branch], [other, 'feature-y']]) {
+      await createManifest({ type: 'clone', workspace: ws, repo, branch: br })
+      await updateManifest(ws, { image: 'ocdc-my-repo:0123456789ab' })
+    }
+
+    // Fake docker: no containers, the shared image exists, rmi is logged
+    const docker = join(testDir, 'docker')
+    writeFileSync(docker, [
+      '#!/bin/sh',
+      'if [ "$1" = "image" ]; then echo sha256:shared; exit 0; fi',
+      `if [ "$1" = "rmi" ]; then echo "$2" >> ${join(testDir, 'rmi.log')}; fi`,
+      'exit 0',
+    ].join('\n'), { mode: 0o755 })
+    writeFileSync(join(testDir, 'config', 'config.json'), JSON.stringify({ dockerPath: docker }))
+
+    const first = await remove(workspace, repo, branch)
+    assert.strictEqual(first.imageSharedWith, 1)
+    assert.strictEqual(first.imageRemoved, false)
+    assert.ok(!existsSync(join(testDir, 'rmi.log')))
+
+    const second = await remove(other, repo, 'feature-y')
+    assert.strictEqual(second.imageSharedWith, 0)
+    assert.strictEqual(second.imageRemoved, true)
+    assert.strictEqual(readFileSync(join(testDir, 'rmi.log'), 'utf-8').trim(), 'ocdc-my-repo:0123456789ab')
+  })
 })
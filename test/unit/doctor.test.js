@@ -0,0 +1,214 @@
+/**
+ * Tests for plugin/core/doctor.js
+ *
+ * Run with: node --test test/unit/doctor.test.js
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { mkdirSync, rmSync, writeFileSync, readFileSync, existsSync, chmodSync, realpathSync } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import { execSync } from 'child_process'
+import { pathId } from '../../plugin/core/paths.js'
+import { writePorts, readPorts } from '../../plugin/core/ports.js'
+import { writeJobs, readJobs, JOB_STATUS } from '../../plugin/core/jobs.js'
+import { createManifest, readManifest, updateManifest } from '../../plugin/core/manifest.js'
+
+// Module under test
+import {
+  ISSUE_KIND,
+  diagnoseWorkspaces,
+  repairIssues,
+} from '../../plugin/core/doctor.js'
+
+describe('workspace doctor', () => {
+  let testDir
+  let clone
+  let deleted
+
+  // Fake docker: `ps` and `images` print the given containers and images, `rm`/`rmi` record their arguments
+  const fakeDocker = (containers, images = []) => {
+    const script = join(testDir, 'docker')
+    const lines = containers.map(c => `${c.id}\t${c.folder}\t${c.name}\texited`).join('\n')
+    writeFileSync(script, [
+      '#!/bin/sh',
+      `if [ "$1" = "ps" ]; then printf '%s\\n' '${lines}'; exit 0; fi`,
+      `if [ "$1" = "images" ]; then printf '%s\\n' ${images.map(i => `'${i}'`).join(' ')}; exit 0; fi`,
+      `if [ "$1" = "rm" ] || [ "$1" = "rmi" ]; then echo "$@" >> ${join(testDir, 'docker.log')}; exit 0; fi`,
+      'exit 1',
+    ].join('\n'))
+    chmodSync(script, 0o755)
+    writeFileSync(join(testDir, 'config', 'config.json'), JSON.stringify({ dockerPath: script }))
+  }
+
+  const kinds = issues => issues.map(issue => issue.kind).sort()
+
+  beforeEach(() => {
+    testDir = join(realpathSync(tmpdir()), `ocdc-doctor-test-${Date.now()}`)
+    clone = join(testDir, 'clones', 'app', 'feature')
+    deleted = join(testDir, 'clones', 'app', 'gone')
+    mkdirSync(clone, { recursive: true })
+    execSync('git init -q -b feature', { cwd: clone })
+    mkdirSync(join(testDir, 'config'), { recursive: true })
+    process.env.OCDC_CACHE_DIR = join(testDir, 'cache')
+    process.env.OCDC_CLONES_DIR = join(testDir, 'clones')
+    process.env.OCDC_WORKTREES_DIR = join(testDir, 'worktrees')
+    process.env.OCDC_CONFIG_DIR = join(testDir, 'config')
+    fakeDocker([])
+  })
+
+  afterEach(() => {
+    delete process.env.OCDC_CACHE_DIR
+    delete process.env.OCDC_CLONES_DIR
+    delete process.env.OCDC_WORKTREES_DIR
+    delete process.env.OCDC_CONFIG_DIR
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  test('reports nothing when the stores agree', async () => {
+    await createManifest({ type: 'clone', workspace: clone, repo: 'app', branch: 'feature' })
+    await writePorts({ [clone]: { port: 13000, repo: 'app', branch: 'feature' } })
+    mkdirSync(join(testDir, 'cache', 'overrides'), { recursive: true })
+    writeFileSync(join(testDir, 'cache', 'overrides', `${pathId(clone)}.json`), '{}')
+    fakeDocker([{ id: 'c1', folder: clone, name: 'app-feature' }])
+
+    assert.deepStrictEqual(await diagnoseWorkspaces(), { issues: [], notes: [] })
+  })
+
+  test('finds and repairs state left over from a deleted clone', async () => {
+    await createManifest({ type: 'clone', workspace: clone, repo: 'app', branch: 'feature' })
+    await createManifest({ type: 'clone', workspace: deleted, repo: 'app', branch: 'gone' })
+    await writePorts({ [deleted]: { port: 13001, repo: 'app', branch: 'gone' } })
+    await writeJobs({ [deleted]: { status: JOB_STATUS.FAILED, repo: 'app', branch: 'gone' } })
+    const override = join(testDir, 'cache', 'overrides', `${pathId(deleted)}.json`)
+    mkdirSync(join(testDir, 'cache', 'overrides'), { recursive: true })
+    writeFileSync(override, '{}')
+    mkdirSync(join(testDir, 'cache', 'opencode-sessions'), { recursive: true })
+    writeFileSync(join(testDir, 'cache', 'opencode-sessions', 'ses_1.json'),
+      JSON.stringify({ workspace: deleted, repoName: 'app', branch: 'gone' }))
+    fakeDocker([{ id: 'c1', folder: clone, name: 'app-feature' }, { id: 'c2', folder: deleted, name: 'app-gone' }])
+
+    const { issues } = await diagnoseWorkspaces()
+    assert.deepStrictEqual(kinds(issues), [
+      ISSUE_KIND.CONTAINER, ISSUE_KIND.JOB, ISSUE_KIND.MANIFEST, ISSUE_KIND.OVERRIDE, ISSUE_KIND.PORT, ISSUE_KIND.SESSION,
+    ])
+    assert.deepStrictEqual((await diagnoseWorkspaces()).issues.map(i => i.id), issues.map(i => i.id))
+
+    const { repaired, failed } = await repairIssues(issues)
+    assert.strictEqual(repaired.length, issues.length)
+    assert.deepStrictEqual(failed, [])
+    assert.deepStrictEqual(Object.keys(await readPorts()), [])
+    assert.deepStrictEqual(Object.keys(await readJobs()), [])
+    assert.strictEqual(await readManifest(deleted), null)
+    assert.ok(!existsSync(override))
+    assert.ok(!existsSync(join(testDir, 'cache', 'opencode-sessions', 'ses_1.json')))
+    assert.strictEqual(readFileSync(join(testDir, 'docker.log'), 'utf-8').trim(), 'rm -f c2')
+
+    fakeDocker([{ id: 'c1', folder: clone, name: 'app-feature' }])
+    assert.deepStrictEqual((await diagnoseWorkspaces()).issues, [])
+  })
+
+  test('ignores containers of folders this plugin does not manage', async () => {
+    await createManifest({ type: 'clone', workspace: clone, repo: 'app', branch: 'feature' })
+    fakeDocker([{ id: 'c1', folder: join(testDir, 'elsewhere', 'project'), name: 'project' }])
+
+    assert.deepStrictEqual((await diagnoseWorkspaces()).issues, [])
+
+    await writePorts({ [join(testDir, 'elsewhere', 'project')]: { port: 13002, repo: 'project', branch: 'main' } })
+    assert.deepStrictEqual(kinds((await diagnoseWorkspaces()).issues), [ISSUE_KIND.CONTAINER, ISSUE_KIND.PORT])
+  })
+
+  test('leaves state of workspaces that are still starting alone', async () => {
+    await createManifest({ type: 'clone', workspace: clone, repo: 'app', branch: 'feature' })
+    await writePorts({ [deleted]: { port: 13001, repo: 'app', branch: 'gone' } })
+    await writeJobs({
+      [deleted]: { status: JOB_STATUS.RUNNING, pid: process.pid, heartbeatAt: new Date().toISOString(), repo: 'app', branch: 'gone' },
+    })
+
+    assert.deepStrictEqual((await diagnoseWorkspaces()).issues, [])
+  })
+
+  test('creates missing manifests and prunes deleted worktrees', async () => {
+    const mainRepo = join(testDir, 'src', 'app')
+    const worktree = join(testDir, 'worktrees', 'app', 'fix')
+    mkdirSync(mainRepo, { recursive: true })
+    execSync('git init -q -b main && git commit -q --allow-empty -m "Initial"', { cwd: mainRepo })
+    mkdirSync(join(testDir, 'worktrees', 'app'), { recursive: true })
+    execSync(`git worktree add -q -b fix ${worktree}`, { cwd: mainRepo })
+    await createManifest({ type: 'worktree', workspace: worktree, repo: 'app', branch: 'fix', mainRepo })
+    rmSync(worktree, { recursive: true, force: true })
+
+    const { issues } = await diagnoseWorkspaces()
+    assert.deepStrictEqual(kinds(issues), [ISSUE_KIND.MANIFEST, ISSUE_KIND.MISSING_MANIFEST, ISSUE_KIND.WORKTREE])
+    assert.deepStrictEqual(issues.find(i => i.kind === ISSUE_KIND.WORKTREE).paths, [worktree])
+
+    await repairIssues(issues.filter(i => i.kind !== ISSUE_KIND.MANIFEST))
+    assert.strictEqual((await readManifest(clone)).branch, 'feature')
+    assert.ok(!execSync('git worktree list --porcelain', { cwd: mainRepo, encoding: 'utf-8' }).includes(worktree))
+    assert.deepStrictEqual(kinds((await diagnoseWorkspaces()).issues), [ISSUE_KIND.MANIFEST])
+  })
+
+  test('only offers to prune when every prunable worktree is one of ours', async () => {
+    const mainRepo = join(testDir, 'src', 'app')
+    const worktree = join(testDir, 'worktrees', 'app', 'fix')
+    const own = join(testDir, 'src', 'app-hotfix')
+    mkdirSync(mainRepo, { recursive: true })
+    execSync('git init -q -b main && git commit -q --allow-empty -m "Initial"', { cwd: mainRepo })
+    mkdirSync(join(testDir, 'worktrees', 'app'), { recursive: true })
+    execSync(`git worktree add -q -b fix ${worktree} && git worktree add -q -b hotfix ${own}`, { cwd: mainRepo })
+    await createManifest({ type: 'clone', workspace: clone, repo: 'app', branch: 'feature' })
+    await createManifest({ type: 'worktree', workspace: worktree, repo: 'app', branch: 'fix', mainRepo })
+    rmSync(worktree, { recursive: true, force: true })
+    rmSync(own, { recursive: true, force: true })
+
+    const { issues, notes } = await diagnoseWorkspaces()
+    assert.deepStrictEqual(kinds(issues), [ISSUE_KIND.MANIFEST])
+    assert.strictEqual(notes.length, 1)
+    assert.ok(notes[0].includes(own) && notes[0].includes(worktree))
+  })
+
+  test('does not prune worktrees that became prunable after the report', async () => {
+    const mainRepo = join(testDir, 'src', 'app')
+    const first = join(testDir, 'worktrees', 'app', 'fix')
+    const second = join(testDir, 'worktrees', 'app', 'docs')
+    mkdirSync(mainRepo, { recursive: true })
+    execSync('git init -q -b main && git commit -q --allow-empty -m "Initial"', { cwd: mainRepo })
+    mkdirSync(join(testDir, 'worktrees', 'app'), { recursive: true })
+    execSync(`git worktree add -q -b fix ${first} && git worktree add -q -b docs ${second}`, { cwd: mainRepo })
+    await createManifest({ type: 'clone', workspace: clone, repo: 'app', branch: 'feature' })
+    await createManifest({ type: 'worktree', workspace: first, repo: 'app', branch: 'fix', mainRepo })
+    await createManifest({ type: 'worktree', workspace: second, repo: 'app', branch: 'docs', mainRepo })
+    rmSync(first, { recursive: true, force: true })
+
+    const worktreeIssue = (await diagnoseWorkspaces()).issues.find(i => i.kind === ISSUE_KIND.WORKTREE)
+    assert.deepStrictEqual(worktreeIssue.paths, [first])
+    rmSync(second, { recursive: true, force: true })
+
+    const { failed } = await repairIssues([worktreeIssue])
+    assert.strictEqual(failed.length, 1)
+    assert.ok(execSync('git worktree list --porcelain', { cwd: mainRepo, encoding: 'utf-8' }).includes(second))
+    assert.notStrictEqual((await diagnoseWorkspaces()).issues.find(i => i.kind === ISSUE_KIND.WORKTREE).id, worktreeIssue.id)
+  })
+
+  test('finds shared images no workspace uses', async () => {
+    await createManifest({ type: 'clone', workspace: clone, repo: 'app', branch: 'feature' })
+    await updateManifest(clone, { image: 'ocdc-app:aaaaaaaaaaaa' })
+    fakeDocker([], ['ocdc-app:aaaaaaaaaaaa', 'ocdc-app:bbbbbbbbbbbb'])
+
+    const { issues } = await diagnoseWorkspaces()
+    assert.deepStrictEqual(issues.map(i => [i.kind, i.image]), [[ISSUE_KIND.IMAGE, 'ocdc-app:bbbbbbbbbbbb']])
+
+    await repairIssues(issues)
+    assert.strictEqual(readFileSync(join(testDir, 'docker.log'), 'utf-8').trim(), 'rmi ocdc-app:bbbbbbbbbbbb')
+  })
+
+  test('notes when Docker is not available', async () => {
+    await createManifest({ type: 'clone', workspace: clone, repo: 'app', branch: 'feature' })
+    writeFileSync(join(testDir, 'config', 'config.json'), JSON.stringify({ dockerPath: join(testDir, 'missing-docker') }))
+
+    const { issues, notes } = await diagnoseWorkspaces()
+    assert.deepStrictEqual(issues, [])
+    assert.strictEqual(notes.length, 1)
+  })
+})
@@ -0,0 +1,128 @@
+/**
+ * Tests for plugin/core/env.js
+ *
+ * Run with: node --test test/unit/env.test.js
+ */
+
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+import { spawnSync } from 'child_process'
+
+// Module under test
+import {
+  REDACTED,
+  isValidEnvName,
+  selectPassthroughEnv,
+  buildRemoteEnvArgs,
+  redactValues,
+  withRedactedOutput,
+} from '../../plugin/core/env.js'
+
+describe('isValidEnvName', () => {
+  test('accepts shell variable names only', () => {
+    assert.strictEqual(isValidEnvName('GITHUB_TOKEN'), true)
+    assert.strictEqual(isValidEnvName('_x1'), true)
+    assert.strictEqual(isValidEnvName('1X'), false)
+    assert.strictEqual(isValidEnvName('A-B'), false)
+    assert.strictEqual(isValidEnvName('A=B'), false)
+  })
+})
+
+describe('selectPassthroughEnv', () => {
+  const env = {
+    GITHUB_TOKEN: 'ghp_secret123',
+    RAILS_ENV: 'test',
+    OPENCODE_SESSION: 'abc',
+    OPENCODE_PORT: '4096',
+    HOME: '/home/me',
+    UNSET: undefined,
+  }
+
+  test('selects allowed variables that are set', () => {
+    assert.deepStrictEqual(
+      selectPassthroughEnv(['GITHUB_TOKEN', 'RAILS_ENV', 'UNSET', 'MISSING'], env),
+      { GITHUB_TOKEN: 'ghp_secret123', RAILS_ENV: 'test' }
+    )
+  })
+
+  test('supports * globs', () => {
+    assert.deepStrictEqual(
+      Object.keys(selectPassthroughEnv(['OPENCODE_*'], env)),
+      ['OPENCODE_SESSION', 'OPENCODE_PORT']
+    )
+  })
+
+  test('passes nothing without an allowlist', () => {
+    assert.deepStrictEqual(selectPassthroughEnv([], env), {})
+    assert.deepStrictEqual(selectPassthroughEnv(undefined, env), {})
+  })
+})
+
+describe('buildRemoteEnvArgs', () => {
+  test('builds one --remote-env per variable', () => {
+    assert.deepStrictEqual(
+      buildRemoteEnvArgs({ RAILS_ENV: 'test', EMPTY: '' }),
+      ['--remote-env', 'RAILS_ENV=test', '--remote-env', 'EMPTY=']
+    )
+    assert.deepStrictEqual(buildRemoteEnvArgs(), [])
+  })
+
+  test('rejects invalid names', () => {
+    assert.throws(() => buildRemoteEnvArgs({ 'A B': '1' }), /Invalid environment variable name/)
+  })
+})
+
+describe('redactValues', () => {
+  test('replaces every occurrence of secret values', () => {
+    const text = 'token=ghp_secret123\nagain ghp_secret123'
+    assert.strictEqual(redactValues(text, ['ghp_secret123']), `token=${REDACTED}\nagain ${REDACTED}`)
+  })
+
+  test('replaces longer values first', () => {
+    assert.strictEqual(redactValues('abcdefgh-xyz', ['abcdefgh', 'abcdefgh-xyz']), REDACTED)
+  })
+
+  test('leaves short values alone', () => {
+    assert.strictEqual(redactValues('RAILS_ENV=test', ['test']), 'RAILS_ENV=test')
+    assert.strictEqual(redactValues('RAILS_ENV=test', ['test'], { minLength: 1 }), `RAILS_ENV=${REDACTED}`)
+  })
+
+  test('handles missing text and values', () => {
+    assert.strictEqual(redactValues(undefined, ['secret']), undefined)
+    assert.strictEqual(redactValues('text', []), 'text')
+  })
+})
+
+describe('withRedactedOutput', () => {
+  const run = (command, env) => spawnSync('sh', ['-c', command], { env: { ...process.env, ...env }, encoding: 'utf-8' })
+
+  test('redacts streamed stdout and stderr separately and keeps the exit status', () => {
+    const env = { TOKEN: 'gh.p_*$abc123', SHORT: 'dev' }
+    const command = withRedactedOutput('echo "token $TOKEN $SHORT"; echo "again $TOKEN" >&2; exit 3', env)
+
+    assert.ok(!command.includes(env.TOKEN))
+    const result = run(command, env)
+    assert.strictEqual(result.stdout, `token ${REDACTED} dev\n`)
+    assert.strictEqual(result.stderr, `again ${REDACTED}\n`)
+    assert.strictEqual(result.status, 3)
+  })
+
+  test('keeps carriage returns and output without a trailing newline', () => {
+    const env = { TOKEN: 'abcdef123456' }
+    const result = run(withRedactedOutput('printf "10%%\\r50%%\\r$TOKEN"', env), env)
+
+    assert.strictEqual(result.stdout, `10%\r50%\r${REDACTED}`)
+  })
+
+  test('redacts values split across chunks', () => {
+    const env = { TOKEN: 'abcdef123456' }
+    const result = run(withRedactedOutput('printf "x abcdef"; sleep 0.2; printf "123456 y\\nabc"', env), env)
+
+    assert.strictEqual(result.stdout, `x ${REDACTED} y\nabc`)
+  })
+
+  test('leaves the command alone when nothing needs redacting', () => {
+    assert.strictEqual(withRedactedOutput('echo hi', { SHORT: 'dev' }), 'echo hi')
+    assert.strictEqual(withRedactedOutput('echo hi', {}), 'echo hi')
+  })
+})
@@ -15,7 +15,9 @@ import { execSync } from 'child_process'
 import { 
   createWorktree,
   removeWorktree,
+  deleteBranch,
   listWorktrees,
+  pruneWorktrees,
   isWorktree,
   getWorktreeMainRepo,
 } from '../../plugin/core/git.js'
@@ -231,6 +233,50 @@ describe('removeWorktree', () => {
   })
 })
 
+describe('deleteBranch', () => {
+  const testDir = join(homedir(), '.cache/ocw-test-deletebranch-' + Date.now())
+  const mainRepo = join(testDir, 'main')
+
+  beforeEach(() => {
+    mkdirSync(mainRepo, { recursive: true })
+    
+    execSync('git init -b main', { cwd: mainRepo })
+    writeFileSync(join(mainRepo, 'README.md'), '# Test')
+    execSync('git add .', { cwd: mainRepo })
+    execSync('git commit -m "Initial commit"', { cwd: mainRepo })
+    
+    execSync('git checkout -b unmerged', { cwd: mainRepo })
+    writeFileSync(join(mainRepo, 'feature.txt'), 'feature')
+    execSync('git add . && git commit -m "Feature"', { cwd: mainRepo })
+    execSync('git checkout main', { cwd: mainRepo })
+    execSync('git branch merged', { cwd: mainRepo })
+  })
+
+  afterEach(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  const branches = () => execSync('git branch --format="%(refname:short)"', { cwd: mainRepo }).toString().split('\n')
+
+  test('deletes a merged branch', async () => {
+    await deleteBranch(mainRepo, 'merged')
+    assert.ok(!branches().includes('merged'))
+  })
+
+  test('refuses to delete an unmerged branch without force', async () => {
+    await assert.rejects(
+      () => deleteBranch(mainRepo, 'unmerged'),
+      /not fully merged/
+    )
+    assert.ok(branches().includes('unmerged'))
+  })
+
+  test('deletes an unmerged branch with force', async () => {
+    await deleteBranch(mainRepo, 'unmerged', { force: true })
+    assert.ok(!branches().includes('unmerged'))
+  })
+})
+
 describe('listWorktrees', () => {
   const testDir = join(homedir(), '.cache/ocw-test-listwt-' + Date.now())
   const mainRepo = join(testDir, 'main')
@@ -272,6 +318,19 @@ describe('listWorktrees', () => {
     assert.ok(worktrees.some(wt => wt.path === wt2 && wt.branch === 'bugfix'))
   })
 
+  test('marks and prunes worktrees whose directory was deleted', async () => {
+    const wt = join(testDir, 'wt-gone')
+    execSync(`git worktree add ${wt} -b gone`, { cwd: mainRepo })
+    rmSync(wt, { recursive: true, force: true })
+    
+    const worktrees = await listWorktrees(mainRepo)
+    assert.ok(worktrees.some(w => w.path === wt && w.prunable))
+    assert.ok(worktrees.some(w => w.path === mainRepo && !w.prunable))
+    
+    await pruneWorktrees(mainRepo)
+    assert.deepStrictEqual((await listWorktrees(mainRepo)).map(w => w.path), [mainRepo])
+  })
+
   test('returns empty array for non-git directory', async () => {
     const nonGitDir = join(testDir, 'nongit')
     mkdirSync(nonGitDir, { recursive: true })
@@ -19,7 +19,15 @@ import {
   clone,
   checkout,
   fetch,
-  isGitRepo
+  isGitRepo,
+  getDefaultBranch,
+  getUpstreamStatus,
+  isMergedInto,
+  getBranchStartPoint,
+  isUpstreamGone,
+  getLastActivityTime,
+  createBranchFrom,
+  getBranchBase,
 } from '../../plugin/core/git.js'
 
 describe('isGitRepo', () => {
@@ -287,3 +295,169 @@ describe('fetch', () => {
     await fetch(localDir, 'origin')
   })
 })
+
+describe('upstream and merge status', () => {
+  const testDir = join(homedir(), '.cache/ocdc-test-upstream-' + Date.now())
+  const originDir = join(testDir, 'origin')
+  const localDir = join(testDir, 'local')
+
+  beforeEach(() => {
+    mkdirSync(originDir, { recursive: true })
+    execSync('git init -b main', { cwd: originDir })
+    writeFileSync(join(originDir, 'README.md'), '# Test')
+    execSync('git add . && git commit -m "Initial commit"', { cwd: originDir })
+    execSync(`git clone ${originDir} ${localDir}`, { cwd: testDir })
+  })
+
+  afterEach(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  test('getDefaultBranch uses the remote HEAD', async () => {
+    assert.strictEqual(await getDefaultBranch(localDir), 'origin/main')
+  })
+
+  test('getDefaultBranch falls back to a local main branch', async () => {
+    assert.strictEqual(await getDefaultBranch(originDir), 'main')
+  })
+
+  test('getUpstreamStatus counts ahead and behind', async () => {
+    writeFileSync(join(localDir, 'local.txt'), 'local')
+    execSync('git add . && git commit -m "Local"', { cwd: localDir })
+    writeFileSync(join(originDir, 'remote.txt'), 'remote')
+    execSync('git add . && git commit -m "Remote"', { cwd: originDir })
+    execSync('git fetch', { cwd: localDir })
+    
+    const status = await getUpstreamStatus(localDir)
+    assert.deepStrictEqual(status, { upstream: 'origin/main', ahead: 1, behind: 1 })
+  })
+
+  test('getUpstreamStatus reports missing upstream', async () => {
+    execSync('git checkout -b feature', { cwd: localDir })
+    
+    const status = await getUpstreamStatus(localDir)
+    assert.deepStrictEqual(status, { upstream: null, ahead: 0, behind: 0 })
+  })
+
+  test('isMergedInto checks whether HEAD is contained in a ref', async () => {
+    execSync('git checkout -b feature', { cwd: localDir })
+    writeFileSync(join(localDir, 'feature.txt'), 'feature')
+    execSync('git add . && git commit -m "Feature"', { cwd: localDir })
+    assert.strictEqual(await isMergedInto(localDir, 'origin/main'), false)
+    
+    // Merge the feature into main on the remote
+    execSync(`git pull --ff-only ${localDir} feature`, { cwd: originDir })
+    execSync('git fetch', { cwd: localDir })
+    assert.strictEqual(await isMergedInto(localDir, 'origin/main'), true)
+  })
+
+  test('isMergedInto with since requires commits beyond the start point', async () => {
+    execSync('git checkout -b feature', { cwd: localDir })
+    const since = await getBranchStartPoint(localDir, 'feature')
+    assert.strictEqual(since, execSync('git rev-parse HEAD', { cwd: localDir, encoding: 'utf-8' }).trim())
+    assert.strictEqual(await isMergedInto(localDir, 'origin/main'), true)
+    assert.strictEqual(await isMergedInto(localDir, 'origin/main', { since }), false)
+    
+    writeFileSync(join(localDir, 'feature.txt'), 'feature')
+    execSync('git add . && git commit -m "Feature"', { cwd: localDir })
+    execSync(`git pull --ff-only ${localDir} feature`, { cwd: originDir })
+    execSync('git fetch', { cwd: localDir })
+    assert.strictEqual(await isMergedInto(localDir, 'origin/main', { since }), true)
+  })
+
+  test('isUpstreamGone detects a deleted remote branch', async () => {
+    execSync('git checkout -b feature && git push -u origin feature', { cwd: localDir, stdio: 'ignore' })
+    assert.strictEqual(await isUpstreamGone(localDir, 'feature'), false)
+    
+    execSync('git branch -D feature', { cwd: originDir })
+    execSync('git fetch --prune', { cwd: localDir, stdio: 'ignore' })
+    assert.strictEqual(await isUpstreamGone(localDir, 'feature'), true)
+    assert.strictEqual(await isUpstreamGone(localDir, 'main'), false)
+  })
+
+  test('getLastActivityTime reads the newest reflog entry', async () => {
+    execSync('git checkout -q -b feature', {
+      cwd: localDir,
+      env: { ...process.env, GIT_COMMITTER_DATE: '2026-01-02T03:04:05Z' },
+    })
+    
+    assert.deepStrictEqual(await getLastActivityTime(localDir), new Date('2026-01-02T03:04:05Z'))
+  })
+
+  test('getLastActivityTime falls back to the HEAD commit', async () => {
+    rmSync(join(localDir, '.git', 'logs'), { recursive: true, force: true })
+    const commitTime = execSync('git log -1 --format=%ct', { cwd: localDir }).toString().trim()
+    
+    assert.deepStrictEqual(await getLastActivityTime(localDir), new Date(parseInt(commitTime, 10) * 1000))
+    assert.strictEqual(await getLastActivityTime(testDir), null)
+  })
+})
+
+describe('branch bases', () => {
+  const testDir = join(homedir(), '.cache/ocdc-test-base-' + Date.now())
+  const originDir = join(testDir, 'origin')
+  const localDir = join(testDir, 'local')
+  const git = (args, cwd = localDir) => execSync(`git ${args}`, { cwd }).toString().trim()
+
+  beforeEach(() => {
+    mkdirSync(originDir, { recursive: true })
+    execSync('git init -b main', { cwd: originDir })
+    writeFileSync(join(originDir, 'README.md'), '# Test')
+    execSync('git add . && git commit -m "Initial commit"', { cwd: originDir })
+    execSync(`git clone ${originDir} ${localDir}`, { cwd: testDir })
+
+    // Work that only exists on origin: a branch and a pull request head
+    execSync('git checkout -q -b feature-x && git commit -q --allow-empty -m "Feature"', { cwd: originDir })
+    execSync('git checkout -q main && git commit -q --allow-empty -m "PR" && git update-ref refs/pull/7/head HEAD && git reset -q --hard HEAD~1', { cwd: originDir })
+  })
+
+  afterEach(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  test('starts a new branch at a ref without tracking it', async () => {
+    const resolved = await createBranchFrom(localDir, 'fix-123', 'origin/main')
+
+    assert.deepStrictEqual(resolved, {
+      startPoint: 'origin/main',
+      commit: git('rev-parse main', originDir),
+      label: 'origin/main',
+      upstream: null,
+    })
+    assert.strictEqual(git('rev-parse fix-123'), git('rev-parse main', originDir))
+    assert.throws(() => git('rev-parse --abbrev-ref fix-123@{u}'))
+    assert.strictEqual(await getBranchBase(localDir, 'fix-123'), 'origin/main')
+  })
+
+  test('fetches a remote branch and tracks it under the same name', async () => {
+    await createBranchFrom(localDir, 'feature-x', 'origin/feature-x')
+
+    assert.strictEqual(git('rev-parse feature-x'), git('rev-parse feature-x', originDir))
+    assert.strictEqual(git('rev-parse --abbrev-ref feature-x@{u}'), 'origin/feature-x')
+  })
+
+  test('checks out a pull request head', async () => {
+    const resolved = await createBranchFrom(localDir, 'pr-7', '#7')
+
+    assert.strictEqual(resolved.label, '#7')
+    assert.strictEqual(git('rev-parse pr-7'), git('rev-parse refs/pull/7/head', originDir))
+    assert.throws(() => git('config branch.pr-7.merge'))
+    assert.strictEqual(await getBranchBase(localDir, 'pr-7'), '#7')
+  })
+
+  test('resolves a branch that only exists on origin', async () => {
+    execSync('git fetch -q', { cwd: localDir })
+    const resolved = await createBranchFrom(localDir, 'other', 'feature-x')
+
+    assert.strictEqual(resolved.startPoint, 'origin/feature-x')
+  })
+
+  test('rejects unknown bases and existing branches', async () => {
+    await assert.rejects(createBranchFrom(localDir, 'fix', 'nope'), /Unknown base 'nope'/)
+    await assert.rejects(createBranchFrom(localDir, 'main', 'origin/main'), /already exists/)
+
+    execSync('git fetch -q', { cwd: localDir })
+    await assert.rejects(createBranchFrom(localDir, 'feature-x', 'origin/main'), /already exists on origin/)
+    assert.strictEqual(await getBranchBase(localDir, 'main'), null)
+  })
+})
@@ -6,10 +6,12 @@
 
 import { test, describe, beforeEach, afterEach } from 'node:test'
 import assert from 'node:assert'
-import { mkdirSync, writeFileSync, rmSync, existsSync } from 'fs'
+import { mkdirSync, writeFileSync, rmSync, existsSync, readdirSync, readFileSync, unlinkSync } from 'fs'
 import { join } from 'path'
 import { execSync } from 'child_process'
 import { tmpdir } from 'os'
+import { createManifest } from '../../plugin/core/manifest.js'
+import { cleanupWorkspaceSessions } from '../../plugin/core/devcontainer.js'
 
 import {
   withTimeout,
@@ -20,9 +22,21 @@ import {
   HOST_COMMANDS,
   loadSession,
   saveSession,
+  updateSession,
   deleteSession,
+  clearSessionTarget,
+  onSessionChange,
+  withLockSync,
+  writeFileAtomic,
   resolveWorkspace,
   shouldRunOnHost,
+  analyzeCommand,
+  formatCommandAnalysis,
+  compileRoutingRules,
+  compileRoutingPattern,
+  classifyCommand,
+  formatRoutingRules,
+  ROUTE,
   shellQuote,
 } from '../../plugin/helpers.js'
 
@@ -197,6 +211,188 @@ describe('deleteSession', () => {
   })
 })
 
+describe('session cache', () => {
+  test('sees changes written by another process', () => {
+    saveSession('shared', { branch: 'main', workspace: '/a' })
+    assert.strictEqual(loadSession('shared').workspace, '/a')
+
+    // Simulate another opencode instance rewriting the file
+    writeFileSync(join(process.env.OCDC_SESSIONS_DIR, 'shared.json'), JSON.stringify({ branch: 'other', workspace: '/b' }))
+
+    assert.strictEqual(loadSession('shared').workspace, '/b')
+  })
+
+  test('sees files deleted behind its back', () => {
+    saveSession('removed', { branch: 'main', workspace: '/a' })
+    assert.ok(loadSession('removed'))
+
+    unlinkSync(join(process.env.OCDC_SESSIONS_DIR, 'removed.json'))
+
+    assert.strictEqual(loadSession('removed'), null)
+  })
+
+  test('writes atomically without leaving temp or lock files', () => {
+    saveSession('atomic', { branch: 'main' })
+    updateSession('atomic', s => ({ ...s, starting: false }))
+    deleteSession('atomic')
+    saveSession('atomic', { branch: 'main' })
+
+    assert.deepStrictEqual(readdirSync(process.env.OCDC_SESSIONS_DIR), ['atomic.json'])
+  })
+})
+
+describe('updateSession', () => {
+  test('applies the updater to the current session', () => {
+    saveSession('upd', { branch: 'main', workspace: '/a', starting: true })
+    const { activatedAt } = loadSession('upd')
+
+    const result = updateSession('upd', s => ({ ...s, starting: false }))
+
+    assert.strictEqual(result.starting, false)
+    assert.strictEqual(loadSession('upd').starting, false)
+    assert.strictEqual(loadSession('upd').activatedAt, activatedAt)
+  })
+
+  test('deletes the session when the updater returns null', () => {
+    saveSession('upd-del', { branch: 'main' })
+    assert.strictEqual(updateSession('upd-del', () => null), null)
+    assert.strictEqual(loadSession('upd-del'), null)
+  })
+
+  test('does nothing for a missing session left missing', () => {
+    assert.strictEqual(updateSession('upd-none', s => s), null)
+    assert.ok(!existsSync(join(process.env.OCDC_SESSIONS_DIR, 'upd-none.json')))
+  })
+})
+
+describe('session history', () => {
+  test('retargeting pushes the previous target', () => {
+    saveSession('hist', { branch: 'a', workspace: '/a', repoName: 'app' })
+    saveSession('hist', { type: 'worktree', branch: 'b', workspace: '/b', repoName: 'app', mainRepo: '/src' })
+
+    const { history } = loadSession('hist')
+    assert.deepStrictEqual(history.map(e => [e.type, e.workspace]), [['devcontainer', '/a']])
+
+    // Switching back swaps the two
+    saveSession('hist', { branch: 'a', workspace: '/a', repoName: 'app' })
+    assert.deepStrictEqual(loadSession('hist').history.map(e => [e.type, e.workspace, e.mainRepo]), [['worktree', '/b', '/src']])
+  })
+
+  test('clearSessionTarget keeps the history', () => {
+    saveSession('hist-off', { branch: 'a', workspace: '/a', repoName: 'app' })
+
+    assert.strictEqual(clearSessionTarget('hist-off').workspace, '/a')
+
+    const session = loadSession('hist-off')
+    assert.strictEqual(session.workspace, undefined)
+    assert.deepStrictEqual(session.history.map(e => e.workspace), ['/a'])
+    assert.strictEqual(clearSessionTarget('hist-off'), null)
+  })
+})
+
+describe('onSessionChange', () => {
+  test('reports saves, external changes and deletes', () => {
+    const events = []
+    const unsubscribe = onSessionChange(e => events.push(e))
+    try {
+      saveSession('evt', { workspace: '/a' })
+      saveSession('evt', { workspace: '/b' })
+      writeFileSync(join(process.env.OCDC_SESSIONS_DIR, 'evt.json'), JSON.stringify({ workspace: '/c' }))
+      loadSession('evt')
+      deleteSession('evt')
+    } finally {
+      unsubscribe()
+    }
+
+    assert.deepStrictEqual(
+      events.map(e => [e.previous?.workspace ?? null, e.session?.workspace ?? null, e.external]),
+      [
+        [null, '/a', false],
+        ['/a', '/b', false],
+        ['/b', '/c', true],
+        ['/c', null, false],
+      ]
+    )
+    assert.ok(events.every(e => e.sessionID === 'evt'))
+  })
+
+  test('stops reporting after unsubscribe', () => {
+    const events = []
+    onSessionChange(e => events.push(e))()
+    saveSession('evt-off', { workspace: '/a' })
+    assert.deepStrictEqual(events, [])
+  })
+
+  test('reports sessions cleaned up for a removed workspace', () => {
+    saveSession('evt-rm', { workspace: '/gone', history: [{ workspace: '/kept' }] })
+    saveSession('evt-other', { workspace: '/kept' })
+    const events = []
+    const unsubscribe = onSessionChange(e => events.push(e))
+    try {
+      assert.strictEqual(cleanupWorkspaceSessions('/gone'), 1)
+    } finally {
+      unsubscribe()
+    }
+
+    assert.deepStrictEqual(events.map(e => [e.sessionID, e.previous.workspace, e.session.workspace, e.external]), [
+      ['evt-rm', '/gone', undefined, false],
+    ])
+    assert.deepStrictEqual(loadSession('evt-rm'), { history: [{ workspace: '/kept' }] })
+    assert.strictEqual(loadSession('evt-other').workspace, '/kept')
+  })
+
+  test('ignores failing listeners', () => {
+    const unsubscribe = onSessionChange(() => { throw new Error('boom') })
+    try {
+      saveSession('evt-throw', { workspace: '/a' })
+      assert.strictEqual(loadSession('evt-throw').workspace, '/a')
+    } finally {
+      unsubscribe()
+    }
+  })
+})
+
+describe('withLockSync', () => {
+  test('runs fn and releases the lock', () => {
+    const path = join(testDir, 'resource')
+    assert.strictEqual(withLockSync(path, () => 42), 42)
+    assert.ok(!existsSync(path + '.lock'))
+  })
+
+  test('breaks stale locks', () => {
+    const path = join(testDir, 'stale')
+    mkdirSync(path + '.lock')
+    assert.strictEqual(withLockSync(path, () => 'ok', -1), 'ok')
+  })
+
+  test('throws instead of running fn when the lock is held', () => {
+    const path = join(testDir, 'held')
+    mkdirSync(path + '.lock')
+    let ran = false
+    const start = Date.now()
+    assert.throws(() => withLockSync(path, () => { ran = true }), /Timed out waiting for lock/)
+    assert.strictEqual(ran, false)
+    assert.ok(Date.now() - start < 1000)
+    assert.ok(existsSync(path + '.lock'))
+  })
+
+  test('releases the lock when fn throws', () => {
+    const path = join(testDir, 'throws')
+    assert.throws(() => withLockSync(path, () => { throw new Error('fail') }), /fail/)
+    assert.ok(!existsSync(path + '.lock'))
+  })
+})
+
+describe('writeFileAtomic', () => {
+  test('replaces file content', () => {
+    const file = join(testDir, 'data.json')
+    writeFileAtomic(file, 'one')
+    writeFileAtomic(file, 'two')
+    assert.strictEqual(readFileSync(file, 'utf-8'), 'two')
+    assert.deepStrictEqual(readdirSync(testDir).filter(f => f.startsWith('data.json')), ['data.json'])
+  })
+})
+
 // ============ Workspace Resolution Tests ============
 
 describe('resolveWorkspace', () => {
@@ -211,13 +407,43 @@ describe('resolveWorkspace', () => {
   })
 
   test('handles nested branch names with slashes', () => {
-    const clonePath = join(process.env.OCDC_CLONES_DIR, 'myrepo', 'feature/sub/branch')
+    const clonePath = join(process.env.OCDC_CLONES_DIR, 'myrepo', 'feature%2Fsub%2Fbranch')
     mkdirSync(clonePath, { recursive: true })
     
     const result = resolveWorkspace('myrepo/feature/sub/branch')
+    assert.strictEqual(result.workspace, clonePath)
     assert.strictEqual(result.branch, 'feature/sub/branch')
   })
 
+  test('treats a prefix that is not a known repo as part of the branch', () => {
+    const clonePath = join(process.env.OCDC_CLONES_DIR, 'slashrepo', 'bugfix%2Fcrash')
+    mkdirSync(clonePath, { recursive: true })
+    
+    const result = resolveWorkspace('bugfix/crash')
+    assert.strictEqual(result.workspace, clonePath)
+    assert.strictEqual(result.repoName, 'slashrepo')
+    assert.strictEqual(result.branch, 'bugfix/crash')
+  })
+
+  test('looks workspaces up in their manifests', async () => {
+    const clonePath = join(process.env.OCDC_CLONES_DIR, 'myrepo', 'release-dir')
+    mkdirSync(clonePath, { recursive: true })
+    await createManifest({ type: 'clone', workspace: clonePath, repo: 'myrepo', branch: 'release/2.0' })
+    
+    const result = resolveWorkspace('myrepo/release/2.0')
+    assert.deepStrictEqual(result, { workspace: clonePath, repoName: 'myrepo', branch: 'release/2.0' })
+    assert.deepStrictEqual(resolveWorkspace('release/2.0'), result)
+  })
+
+  test('finds legacy nested workspaces', () => {
+    const clonePath = join(process.env.OCDC_CLONES_DIR, 'legacyrepo', 'hotfix', 'old')
+    mkdirSync(join(clonePath, '.git'), { recursive: true })
+    
+    const result = resolveWorkspace('legacyrepo/hotfix/old')
+    assert.strictEqual(result.workspace, clonePath)
+    assert.strictEqual(result.branch, 'hotfix/old')
+  })
+
   test('returns null for non-existent workspace', () => {
     const result = resolveWorkspace('nonexistent-repo/nonexistent-branch')
     assert.strictEqual(result, null)
@@ -272,6 +498,150 @@ describe('shouldRunOnHost', () => {
   })
 })
 
+// ============ analyzeCommand Tests ============
+
+describe('analyzeCommand', () => {
+  test('routes env-var prefixed commands by the command', () => {
+    assert.strictEqual(analyzeCommand('FOO=1 npm test').route, ROUTE.CONTAINER)
+    assert.strictEqual(analyzeCommand('GIT_PAGER=cat git log').route, ROUTE.HOST)
+  })
+
+  test('lets neutral commands follow the rest of the line', () => {
+    assert.strictEqual(analyzeCommand('cd app && bundle exec rspec').route, ROUTE.CONTAINER)
+    assert.strictEqual(analyzeCommand('npm test 2>&1 | tail -20').route, ROUTE.CONTAINER)
+    assert.strictEqual(analyzeCommand('cd app && git status').route, ROUTE.HOST)
+    assert.strictEqual(analyzeCommand('cat a | grep x | wc -l').route, ROUTE.HOST)
+  })
+
+  test('lets shell builtins and conditions follow the rest of the line', () => {
+    assert.strictEqual(analyzeCommand('[[ -f x ]] && git status').route, ROUTE.HOST)
+    assert.strictEqual(analyzeCommand('git status; exit 0').route, ROUTE.HOST)
+    assert.strictEqual(analyzeCommand('gh pr view 1 --json title | jq .title').route, ROUTE.HOST)
+    assert.strictEqual(analyzeCommand('[[ -d node_modules ]] || npm ci').route, ROUTE.CONTAINER)
+  })
+
+  test('looks inside subshells and wrappers', () => {
+    assert.strictEqual(analyzeCommand('(make test)').route, ROUTE.CONTAINER)
+    assert.strictEqual(analyzeCommand('sudo -E apt-get install -y jq').route, ROUTE.HOST)
+    assert.strictEqual(analyzeCommand('time nice -n 5 cargo build').route, ROUTE.CONTAINER)
+  })
+
+  test('rejects lines that need both host and container', () => {
+    const analysis = analyzeCommand('git status | grep x && npm run lint')
+    assert.strictEqual(analysis.route, ROUTE.MIXED)
+    assert.deepStrictEqual(analysis.commands.map(c => [c.name, c.route]), [
+      ['git', ROUTE.HOST],
+      ['grep', ROUTE.NEUTRAL],
+      ['npm', ROUTE.CONTAINER],
+    ])
+    assert.match(analysis.reason, /git must run on the host but npm must run in the container/)
+  })
+
+  test('considers commands in substitutions', () => {
+    assert.strictEqual(analyzeCommand('echo $(git rev-parse HEAD) && npm test').route, ROUTE.MIXED)
+  })
+
+  test('does not split on quoted operators', () => {
+    assert.strictEqual(analyzeCommand('git commit -m "fix && npm test"').route, ROUTE.HOST)
+  })
+
+  test('returns escape for HOST: prefix', () => {
+    assert.strictEqual(analyzeCommand('HOST: git status && npm test').route, ROUTE.ESCAPE)
+  })
+
+  test('shouldRunOnHost is false for mixed lines', () => {
+    assert.strictEqual(shouldRunOnHost('git pull && npm install'), false)
+  })
+})
+
+describe('formatCommandAnalysis', () => {
+  test('explains each command and how to fix mixed lines', () => {
+    const text = formatCommandAnalysis('sudo git pull && npm ci')
+    assert.ok(text.includes('Route: mixed'))
+    assert.ok(text.includes('git -> host (via sudo)'))
+    assert.ok(text.includes('npm -> container'))
+    assert.ok(text.includes('HOST:'))
+  })
+
+  test('marks neutral commands', () => {
+    const text = formatCommandAnalysis('cd app && make')
+    assert.ok(text.includes('cd -> host or container'))
+    assert.ok(text.includes('Route: container'))
+  })
+})
+
+// ============ Routing Rules Tests ============
+
+describe('compileRoutingPattern', () => {
+  test('matches plain names and globs against the command name', () => {
+    assert.ok(compileRoutingPattern('make').test({ name: 'make', args: ['test'] }))
+    assert.ok(!compileRoutingPattern('make').test({ name: 'cmake', args: [] }))
+    assert.ok(compileRoutingPattern('terraform*').test({ name: 'terraform-docs', args: [] }))
+    assert.ok(compileRoutingPattern('ju?t').test({ name: 'just', args: [] }))
+  })
+
+  test('matches globs with spaces and regexes against the whole command', () => {
+    const glob = compileRoutingPattern('npm run lint*')
+    assert.ok(glob.test({ name: 'npm', args: ['run', 'lint:fix'] }))
+    assert.ok(!glob.test({ name: 'npm', args: ['test'] }))
+
+    const regex = compileRoutingPattern('/^docker (compose|buildx)\\b/')
+    assert.ok(regex.test({ name: 'docker', args: ['compose', 'up'] }))
+    assert.ok(!regex.test({ name: 'docker', args: ['ps'] }))
+  })
+
+  test('throws on invalid regexes', () => {
+    assert.throws(() => compileRoutingPattern('/([/'), SyntaxError)
+  })
+})
+
+describe('routing rules', () => {
+  const rules = compileRoutingRules([
+    { source: 'user', allow: ['make', 'just'], deny: ['git', '/([/'] },
+    { source: 'repo', allow: ['git', 'terraform'], deny: ['just', 'make'] },
+  ])
+
+  test('allow runs on the host, deny never does', () => {
+    assert.strictEqual(classifyCommand('make', rules), ROUTE.HOST)
+    assert.strictEqual(classifyCommand('terraform', rules), ROUTE.HOST)
+    assert.strictEqual(classifyCommand('npm', rules), ROUTE.CONTAINER)
+    assert.strictEqual(classifyCommand('cd', rules), ROUTE.NEUTRAL)
+  })
+
+  test('user rules override repo rules', () => {
+    assert.strictEqual(classifyCommand('git', rules), ROUTE.CONTAINER)
+    assert.strictEqual(classifyCommand('just', rules), ROUTE.HOST)
+  })
+
+  test('applies to whole command lines', () => {
+    assert.strictEqual(analyzeCommand('cd app && git commit -m x', { rules }).route, ROUTE.CONTAINER)
+    assert.strictEqual(analyzeCommand('make test', { rules }).route, ROUTE.HOST)
+    assert.strictEqual(analyzeCommand('make && npm test', { rules }).route, ROUTE.MIXED)
+  })
+
+  test('collects invalid patterns', () => {
+    assert.deepStrictEqual(rules.errors.map(e => e.pattern), ['/([/'])
+  })
+
+  test('formats effective rules', () => {
+    const lines = formatRoutingRules(rules).split('\n')
+    assert.strictEqual(lines[1], '  user: host: make, just; never host: git')
+    assert.strictEqual(lines[2], '  repo: host: git, terraform; never host: just, make')
+    assert.ok(lines[3].startsWith('  built-in: host: tree, less'))
+    assert.ok(lines[3].includes('; host or container: cd, pushd'))
+    assert.ok(lines[4].startsWith('  ignored invalid user pattern /([/'))
+
+    const defaults = formatRoutingRules(compileRoutingRules([])).split('\n')
+    assert.strictEqual(defaults.length, 2)
+    assert.ok(defaults[1].includes('host: tree, less, more, rg, ed, git, gh,'))
+  })
+
+  test('explanation names the rule', () => {
+    const text = formatCommandAnalysis('git status', analyzeCommand('git status', { rules }))
+    assert.ok(text.includes('git -> container (user deny rule git)'))
+  })
+})
+
 // ============ shellQuote Tests ============
 
 describe('shellQuote', () => {
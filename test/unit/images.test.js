@@ -0,0 +1,128 @@
+/**
+ * Tests for plugin/core/images.js
+ *
+ * Run with: node --test test/unit/images.test.js
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { mkdirSync, rmSync, writeFileSync } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import { createManifest, updateManifest } from '../../plugin/core/manifest.js'
+
+// Module under test
+import {
+  needsImageBuild,
+  listImageInputs,
+  hashImageInputs,
+  getSharedImageTag,
+  resolveSharedImage,
+  findImageUsers,
+} from '../../plugin/core/images.js'
+
+describe('shared images', () => {
+  let testDir
+  let first
+  let second
+
+  // A clone with a Dockerfile config, a local feature and a Dockerfile outside .devcontainer
+  const createClone = (workspace) => {
+    mkdirSync(join(workspace, '.devcontainer', 'local-feature'), { recursive: true })
+    writeFileSync(join(workspace, '.devcontainer', 'devcontainer.json'), JSON.stringify({
+      build: { dockerfile: '../docker/Dockerfile' },
+      features: { './local-feature': {} },
+    }))
+    writeFileSync(join(workspace, '.devcontainer', 'local-feature', 'install.sh'), 'echo install')
+    mkdirSync(join(workspace, 'docker'))
+    writeFileSync(join(workspace, 'docker', 'Dockerfile'), 'FROM node:20')
+    writeFileSync(join(workspace, 'README.md'), workspace)
+  }
+
+  beforeEach(() => {
+    testDir = join(tmpdir(), `ocdc-images-test-${Date.now()}`)
+    first = join(testDir, 'clones', 'app', 'main')
+    second = join(testDir, 'clones', 'app', 'feature')
+    createClone(first)
+    createClone(second)
+    process.env.OCDC_CACHE_DIR = join(testDir, 'cache')
+    process.env.OCDC_CLONES_DIR = join(testDir, 'clones')
+  })
+
+  afterEach(() => {
+    delete process.env.OCDC_CACHE_DIR
+    delete process.env.OCDC_CLONES_DIR
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  test('only Dockerfile configs and configs with features build an image', () => {
+    assert.strictEqual(needsImageBuild({ image: 'node:20' }), false)
+    assert.strictEqual(needsImageBuild({ image: 'node:20', features: { 'ghcr.io/devcontainers/features/go:1': {} } }), true)
+    assert.strictEqual(needsImageBuild({ build: { dockerfile: 'Dockerfile' } }), true)
+    assert.strictEqual(needsImageBuild({ dockerFile: 'Dockerfile' }), true)
+    assert.strictEqual(needsImageBuild({ dockerComposeFile: 'compose.yml', service: 'app', features: { x: {} } }), false)
+    assert.strictEqual(needsImageBuild(null), false)
+  })
+
+  test('lists the .devcontainer files and the referenced Dockerfile', async () => {
+    assert.deepStrictEqual(await listImageInputs(first), [
+      join(first, '.devcontainer', 'devcontainer.json'),
+      join(first, '.devcontainer', 'local-feature', 'install.sh'),
+      join(first, 'docker', 'Dockerfile'),
+    ])
+    assert.deepStrictEqual(await listImageInputs(testDir), [])
+  })
+
+  test('clones with the same inputs share an image', async () => {
+    assert.strictEqual(await hashImageInputs(first), await hashImageInputs(second))
+    assert.strictEqual(await resolveSharedImage(first, 'app'), await resolveSharedImage(second, 'app'))
+
+    writeFileSync(join(second, '.devcontainer', 'local-feature', 'install.sh'), 'echo changed')
+    assert.notStrictEqual(await hashImageInputs(first), await hashImageInputs(second))
+
+    writeFileSync(join(second, '.devcontainer', 'devcontainer.json'), JSON.stringify({ image: 'node:20' }))
+    assert.strictEqual(await resolveSharedImage(second, 'app'), null)
+  })
+
+  test('does not share images built from a context outside .devcontainer', async () => {
+    for (const workspace of [first, second]) {
+      writeFileSync(join(workspace, '.devcontainer', 'devcontainer.json'), JSON.stringify({
+        build: { dockerfile: 'Dockerfile', context: '..' },
+      }))
+      writeFileSync(join(workspace, '.devcontainer', 'Dockerfile'), 'FROM node:20\nCOPY README.md /')
+    }
+    // README.md differs between the clones but isn't hashed
+    assert.strictEqual(await hashImageInputs(first), await hashImageInputs(second))
+    assert.strictEqual(await resolveSharedImage(first, 'app'), null)
+    assert.strictEqual(await resolveSharedImage(second, 'app'), null)
+
+    // With the default context, a differing context file changes the tag
+    for (const workspace of [first, second]) {
+      writeFileSync(join(workspace, '.devcontainer', 'devcontainer.json'), JSON.stringify({ build: { dockerfile: 'Dockerfile' } }))
+      writeFileSync(join(workspace, '.devcontainer', 'Dockerfile'), 'FROM node:20\nCOPY setup.sh /')
+      writeFileSync(join(workspace, '.devcontainer', 'setup.sh'), workspace)
+    }
+    assert.ok(await resolveSharedImage(first, 'app'))
+    assert.notStrictEqual(await resolveSharedImage(first, 'app'), await resolveSharedImage(second, 'app'))
+  })
+
+  test('tags images by repo and input hash', () => {
+    const hash = 'a'.repeat(64)
+    assert.strictEqual(getSharedImageTag('app', hash), 'ocdc-app:aaaaaaaaaaaa')
+    assert.strictEqual(getSharedImageTag('My App!', hash), 'ocdc-my-app-:aaaaaaaaaaaa')
+    assert.strictEqual(getSharedImageTag('_', hash), 'ocdc-workspace:aaaaaaaaaaaa')
+  })
+
+  test('finds the existing workspaces using an image', async () => {
+    for (const [workspace, branch] of [[first, 'main'], [second, 'feature']]) {
+      await createManifest({ type: 'clone', workspace, repo: 'app', branch })
+      await updateManifest(workspace, { image: 'ocdc-app:aaaaaaaaaaaa' })
+    }
+    await createManifest({ type: 'clone', workspace: join(testDir, 'clones', 'app', 'gone'), repo: 'app', branch: 'gone' })
+    await updateManifest(join(testDir, 'clones', 'app', 'gone'), { image: 'ocdc-app:aaaaaaaaaaaa' })
+
+    assert.deepStrictEqual((await findImageUsers('ocdc-app:aaaaaaaaaaaa')).map(m => m.workspace).sort(), [second, first])
+    assert.deepStrictEqual((await findImageUsers('ocdc-app:aaaaaaaaaaaa', { exclude: first })).map(m => m.workspace), [second])
+    assert.deepStrictEqual(await findImageUsers('ocdc-app:bbbbbbbbbbbb'), [])
+  })
+})
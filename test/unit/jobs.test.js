@@ -7,8 +7,9 @@
 import { test, describe, beforeEach, afterEach } from 'node:test'
 import assert from 'node:assert'
 import { join } from 'path'
-import { homedir } from 'os'
+import { homedir, hostname } from 'os'
 import { mkdirSync, rmSync, writeFileSync, readFileSync, existsSync } from 'fs'
+import { spawnSync } from 'child_process'
 
 // Module under test
 import { 
@@ -17,8 +18,17 @@ import {
   startJob,
   updateJob,
   getJob,
+  heartbeatJob,
+  isJobOrphaned,
+  findOrphanedJobs,
+  removeJob,
   cleanupJobs,
+  getJobLogPath,
+  createJobLog,
+  readJobLog,
+  detectJobPhase,
   JOB_STATUS,
+  JOB_PHASE,
 } from '../../plugin/core/jobs.js'
 
 describe('readJobs / writeJobs', () => {
@@ -100,6 +110,14 @@ describe('startJob', () => {
     assert.ok(job.startedAt)
   })
 
+  test('records the owning process and a heartbeat', async () => {
+    const job = await startJob('/workspace/test', 'test-repo', 'main')
+    
+    assert.strictEqual(job.pid, process.pid)
+    assert.strictEqual(job.host, hostname())
+    assert.strictEqual(job.heartbeatAt, job.startedAt)
+  })
+
   test('job is persisted to file', async () => {
     await startJob('/workspace/test', 'repo', 'main')
     
@@ -206,6 +224,129 @@ describe('getJob', () => {
   })
 })
 
+describe('heartbeatJob', () => {
+  const testDir = join(homedir(), '.cache/ocdc-test-heartbeat-' + Date.now())
+  
+  beforeEach(() => {
+    process.env.OCDC_CACHE_DIR = testDir
+    mkdirSync(testDir, { recursive: true })
+  })
+
+  afterEach(() => {
+    delete process.env.OCDC_CACHE_DIR
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  test('refreshes heartbeat of an active job', async () => {
+    const old = new Date(Date.now() - 60 * 1000).toISOString()
+    await writeJobs({
+      '/workspace/test': { status: JOB_STATUS.RUNNING, startedAt: old, heartbeatAt: old },
+    })
+    
+    assert.strictEqual(await heartbeatJob('/workspace/test'), true)
+    
+    const job = await getJob('/workspace/test')
+    assert.ok(new Date(job.heartbeatAt) > new Date(old))
+  })
+
+  test('ignores finished and missing jobs', async () => {
+    await writeJobs({ '/workspace/done': { status: JOB_STATUS.COMPLETED } })
+    
+    assert.strictEqual(await heartbeatJob('/workspace/done'), false)
+    assert.strictEqual(await heartbeatJob('/workspace/missing'), false)
+  })
+
+  test('never writes back a job that finished meanwhile', async () => {
+    await startJob('/workspace/test', 'repo', 'main')
+    
+    await Promise.all([
+      ...Array.from({ length: 5 }, () => heartbeatJob('/workspace/test')),
+      updateJob('/workspace/test', JOB_STATUS.COMPLETED),
+      ...Array.from({ length: 5 }, () => heartbeatJob('/workspace/test')),
+    ])
+    
+    assert.strictEqual((await getJob('/workspace/test')).status, JOB_STATUS.COMPLETED)
+    assert.strictEqual(existsSync(join(testDir, 'jobs.json.lock')), false)
+  })
+})
+
+describe('isJobOrphaned', () => {
+  // PID of a process that has already exited
+  const deadPid = spawnSync('true').pid
+  const now = Date.now()
+  const recent = new Date(now - 10 * 1000).toISOString()
+  const stale = new Date(now - 10 * 60 * 1000).toISOString()
+
+  test('active job with a live owner and fresh heartbeat is not orphaned', () => {
+    const job = { status: JOB_STATUS.RUNNING, pid: process.pid, heartbeatAt: recent }
+    assert.strictEqual(isJobOrphaned(job, { now }), false)
+  })
+
+  test('job whose owner exited is orphaned', () => {
+    const job = { status: JOB_STATUS.RUNNING, pid: deadPid, heartbeatAt: recent }
+    assert.strictEqual(isJobOrphaned(job, { now }), true)
+  })
+
+  test('job with a live owner on this host is not orphaned by a stale heartbeat', () => {
+    const job = { status: JOB_STATUS.RUNNING, pid: process.pid, host: hostname(), heartbeatAt: stale }
+    assert.strictEqual(isJobOrphaned(job, { now }), false)
+  })
+
+  test('job whose owner on this host exited is orphaned', () => {
+    const job = { status: JOB_STATUS.RUNNING, pid: deadPid, host: hostname(), heartbeatAt: recent }
+    assert.strictEqual(isJobOrphaned(job, { now }), true)
+  })
+
+  test('job owned by another host goes by its heartbeat', () => {
+    const job = { status: JOB_STATUS.RUNNING, pid: deadPid, host: 'other-host', heartbeatAt: recent }
+    assert.strictEqual(isJobOrphaned(job, { now }), false)
+    assert.strictEqual(isJobOrphaned({ ...job, heartbeatAt: stale }, { now }), true)
+  })
+
+  test('job without a recorded host and a stale heartbeat is orphaned', () => {
+    const job = { status: JOB_STATUS.PENDING, pid: process.pid, heartbeatAt: stale }
+    assert.strictEqual(isJobOrphaned(job, { now }), true)
+  })
+
+  test('legacy job without owner falls back to start time', () => {
+    assert.strictEqual(isJobOrphaned({ status: JOB_STATUS.RUNNING, startedAt: recent }, { now }), false)
+    assert.strictEqual(isJobOrphaned({ status: JOB_STATUS.RUNNING, startedAt: stale }, { now }), true)
+  })
+
+  test('finished jobs are never orphaned', () => {
+    const job = { status: JOB_STATUS.FAILED, pid: deadPid, heartbeatAt: stale }
+    assert.strictEqual(isJobOrphaned(job, { now }), false)
+  })
+})
+
+describe('findOrphanedJobs', () => {
+  const testDir = join(homedir(), '.cache/ocdc-test-orphans-' + Date.now())
+  
+  beforeEach(() => {
+    process.env.OCDC_CACHE_DIR = testDir
+    mkdirSync(testDir, { recursive: true })
+  })
+
+  afterEach(() => {
+    delete process.env.OCDC_CACHE_DIR
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  test('returns orphaned jobs with their workspace', async () => {
+    const deadPid = spawnSync('true').pid
+    await startJob('/workspace/alive', 'repo', 'alive')
+    await writeJobs({
+      ...(await readJobs()),
+      '/workspace/orphan': { status: JOB_STATUS.RUNNING, pid: deadPid, heartbeatAt: new Date().toISOString() },
+    })
+    
+    const orphans = await findOrphanedJobs()
+    
+    assert.strictEqual(orphans.length, 1)
+    assert.strictEqual(orphans[0].workspace, '/workspace/orphan')
+  })
+})
+
 describe('cleanupJobs', () => {
   const testDir = join(homedir(), '.cache/ocdc-test-cleanup-' + Date.now())
   
@@ -278,6 +419,24 @@ describe('cleanupJobs', () => {
     assert.ok(remaining['/workspace/recent-failed'])
   })
 
+  test('removes cancelled jobs older than the completed maxAge', async () => {
+    const oldTime = new Date(Date.now() - 2 * 60 * 60 * 1000).toISOString() // 2 hours ago
+    await writeJobs({
+      '/workspace/cancelled': {
+        status: JOB_STATUS.CANCELLED,
+        repo: 'repo',
+        branch: 'main',
+        startedAt: oldTime,
+        completedAt: oldTime,
+      }
+    })
+    
+    await cleanupJobs({ completedMaxAgeMs: 60 * 60 * 1000 })
+    
+    const remaining = await readJobs()
+    assert.strictEqual(remaining['/workspace/cancelled'], undefined)
+  })
+
   test('does not remove pending or running jobs', async () => {
     const oldTime = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString()
     const jobs = {
@@ -314,11 +473,111 @@ describe('cleanupJobs', () => {
   })
 })
 
+describe('job logs', () => {
+  const testDir = join(homedir(), '.cache/ocdc-test-job-logs-' + Date.now())
+  
+  beforeEach(() => {
+    process.env.OCDC_CACHE_DIR = testDir
+    mkdirSync(testDir, { recursive: true })
+  })
+
+  afterEach(() => {
+    delete process.env.OCDC_CACHE_DIR
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  test('writes chunks in order under the cache dir', async () => {
+    const log = await createJobLog('/workspace/test')
+    log.write('first\n')
+    log.write(Buffer.from('second\n'))
+    await log.flush()
+    
+    assert.strictEqual(log.path, getJobLogPath('/workspace/test'))
+    assert.ok(log.path.startsWith(join(testDir, 'logs')))
+    assert.strictEqual(readFileSync(log.path, 'utf-8'), 'first\nsecond\n')
+  })
+
+  test('drops the oldest output past maxBytes', async () => {
+    const log = await createJobLog('/workspace/test', { maxBytes: 100 })
+    for (let i = 0; i < 50; i++) log.write(`line ${i}\n`)
+    await log.flush()
+    
+    const content = readFileSync(log.path, 'utf-8')
+    assert.ok(content.length <= 100)
+    assert.ok(content.endsWith('line 49\n'))
+    assert.ok(!content.includes('line 0\n'))
+    assert.match(content, /^line \d+\n/)
+  })
+
+  test('readJobLog returns the last lines without ANSI escapes', async () => {
+    const log = await createJobLog('/workspace/test')
+    log.write('one\n\x1b[32mtwo\x1b[0m\r\n\nthree\n')
+    await log.flush()
+    
+    assert.strictEqual(await readJobLog('/workspace/test', { lines: 2 }), 'two\nthree')
+    assert.strictEqual(await readJobLog('/workspace/test'), 'one\ntwo\n\nthree\n')
+  })
+
+  test('readJobLog returns null without a log', async () => {
+    assert.strictEqual(await readJobLog('/workspace/none'), null)
+  })
+
+  test('startJob clears the previous log and removeJob deletes it', async () => {
+    const log = await createJobLog('/workspace/test')
+    await log.write('old output\n')
+    
+    await startJob('/workspace/test', 'repo', 'main')
+    assert.strictEqual(existsSync(log.path), false)
+    
+    const next = await createJobLog('/workspace/test')
+    await next.write('new output\n')
+    await removeJob('/workspace/test')
+    assert.strictEqual(existsSync(log.path), false)
+  })
+})
+
+describe('detectJobPhase', () => {
+  test('detects phases from devcontainer CLI output', () => {
+    assert.strictEqual(
+      detectJobPhase('[120 ms] Start: Run: docker pull mcr.microsoft.com/devcontainers/base'),
+      JOB_PHASE.PULLING
+    )
+    assert.strictEqual(
+      detectJobPhase('[2 ms] Start: Run: docker buildx build --load -f Dockerfile .\n#5 [2/7] RUN apt-get update'),
+      JOB_PHASE.BUILDING
+    )
+    assert.strictEqual(
+      detectJobPhase('[900 ms] Start: Run: docker run --sig-proxy=false -a STDOUT'),
+      JOB_PHASE.STARTING
+    )
+    assert.strictEqual(
+      detectJobPhase('Running the postCreateCommand from devcontainer.json...\n\nadded 120 packages'),
+      JOB_PHASE.LIFECYCLE
+    )
+  })
+
+  test('uses the most recent recognized line', () => {
+    const log = [
+      '[1 ms] Start: Run: docker buildx build .',
+      '#8 DONE 12.3s',
+      '[5 ms] Start: Run: docker run -d',
+      'some unrelated output',
+    ].join('\n')
+    assert.strictEqual(detectJobPhase(log), JOB_PHASE.STARTING)
+  })
+
+  test('returns null when nothing is recognized', () => {
+    assert.strictEqual(detectJobPhase('hello'), null)
+    assert.strictEqual(detectJobPhase(null), null)
+  })
+})
+
 describe('JOB_STATUS constants', () => {
   test('has all expected status values', () => {
     assert.strictEqual(JOB_STATUS.PENDING, 'pending')
     assert.strictEqual(JOB_STATUS.RUNNING, 'running')
     assert.strictEqual(JOB_STATUS.COMPLETED, 'completed')
     assert.strictEqual(JOB_STATUS.FAILED, 'failed')
+    assert.strictEqual(JOB_STATUS.CANCELLED, 'cancelled')
   })
 })
@@ -0,0 +1,105 @@
+/**
+ * Tests for plugin/core/manifest.js
+ *
+ * Run with: node --test test/unit/manifest.test.js
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { mkdirSync, rmSync, writeFileSync, readdirSync } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+
+// Module under test
+import {
+  MANIFEST_VERSION,
+  getManifestPath,
+  readManifest,
+  createManifest,
+  updateManifest,
+  deleteManifest,
+  listManifests,
+  listManifestsSync,
+} from '../../plugin/core/manifest.js'
+
+describe('workspace manifests', () => {
+  let testDir
+  let workspace
+
+  beforeEach(() => {
+    testDir = join(tmpdir(), `ocdc-manifest-test-${Date.now()}`)
+    workspace = join(testDir, 'clones', 'app', 'feature%2Flogin')
+    mkdirSync(workspace, { recursive: true })
+    process.env.OCDC_CACHE_DIR = join(testDir, 'cache')
+    process.env.OCDC_CLONES_DIR = join(testDir, 'clones')
+    process.env.OCDC_WORKTREES_DIR = join(testDir, 'worktrees')
+  })
+
+  afterEach(() => {
+    delete process.env.OCDC_CACHE_DIR
+    delete process.env.OCDC_CLONES_DIR
+    delete process.env.OCDC_WORKTREES_DIR
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  test('creates and reads a manifest', async () => {
+    const createdAt = new Date('2026-03-01T09:00:00.000Z')
+    await createManifest({
+      type: 'clone',
+      workspace,
+      repo: 'app',
+      branch: 'feature/login',
+      mainRepo: '/src/app',
+      base: 'origin/main',
+      createdBy: 'ses_1',
+      createdAt,
+    })
+
+    assert.deepStrictEqual(await readManifest(workspace), {
+      version: MANIFEST_VERSION,
+      type: 'clone',
+      workspace,
+      repo: 'app',
+      branch: 'feature/login',
+      mainRepo: '/src/app',
+      base: 'origin/main',
+      createdAt: createdAt.toISOString(),
+      createdBy: 'ses_1',
+      port: null,
+      override: null,
+      composeOverride: null,
+      image: null,
+    })
+    assert.deepStrictEqual(readdirSync(join(testDir, 'cache', 'workspaces')), [getManifestPath(workspace).split('/').pop()])
+  })
+
+  test('updates existing manifests only', async () => {
+    assert.strictEqual(await updateManifest(workspace, { port: 13000 }), null)
+    assert.strictEqual(await readManifest(workspace), null)
+
+    await createManifest({ type: 'clone', workspace, repo: 'app', branch: 'feature/login' })
+    const updated = await updateManifest(workspace, { port: 13000, override: '/cache/overrides/x.json' })
+    assert.strictEqual(updated.port, 13000)
+    assert.strictEqual((await readManifest(workspace)).override, '/cache/overrides/x.json')
+  })
+
+  test('deletes manifests', async () => {
+    await createManifest({ type: 'clone', workspace, repo: 'app', branch: 'feature/login' })
+    assert.strictEqual(await deleteManifest(workspace), true)
+    assert.strictEqual(await readManifest(workspace), null)
+    assert.strictEqual(await deleteManifest(workspace), false)
+  })
+
+  test('lists manifests in the current workspace roots', async () => {
+    const worktree = join(testDir, 'worktrees', 'app', 'fix')
+    await createManifest({ type: 'clone', workspace, repo: 'app', branch: 'feature/login' })
+    await createManifest({ type: 'worktree', workspace: worktree, repo: 'app', branch: 'fix' })
+    await createManifest({ type: 'clone', workspace: '/elsewhere/app/main', repo: 'app', branch: 'main' })
+    writeFileSync(join(testDir, 'cache', 'workspaces', 'broken.json'), '{')
+
+    const all = (await listManifests()).map(m => m.workspace).sort()
+    assert.deepStrictEqual(all, [workspace, worktree].sort())
+    assert.deepStrictEqual((await listManifests({ type: 'worktree' })).map(m => m.workspace), [worktree])
+    assert.deepStrictEqual(listManifestsSync({ type: 'clone' }).map(m => m.workspace), [workspace])
+  })
+})
@@ -0,0 +1,91 @@
+/**
+ * Tests for plugin/core/output.js
+ *
+ * Run with: node --test test/unit/output.test.js
+ */
+
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+
+// Module under test
+import {
+  DEFAULT_MAX_OUTPUT_BYTES,
+  createOutputBuffer,
+  truncateMiddle,
+} from '../../plugin/core/output.js'
+
+describe('createOutputBuffer', () => {
+  test('keeps all output under the limit', () => {
+    const buffer = createOutputBuffer(100)
+    buffer.append('hello ')
+    buffer.append(Buffer.from('world'))
+
+    assert.strictEqual(buffer.toString(), 'hello world')
+    assert.strictEqual(buffer.totalBytes, 11)
+    assert.strictEqual(buffer.truncatedBytes, 0)
+  })
+
+  test('keeps head and tail and drops the middle', () => {
+    const buffer = createOutputBuffer(10)
+    buffer.append('AAAAA')
+    buffer.append('middle-that-is-dropped')
+    buffer.append('ZZZZZ')
+
+    const text = buffer.toString()
+    assert.ok(text.startsWith('AAAAA'))
+    assert.ok(text.endsWith('ZZZZZ'))
+    assert.ok(!text.includes('middle'))
+    assert.strictEqual(buffer.truncatedBytes, 22)
+    assert.ok(text.includes('[22 bytes truncated]'))
+  })
+
+  test('keeps a character split between head and tail whole', () => {
+    const buffer = createOutputBuffer(4)
+    buffer.append('a')
+    buffer.append('é')
+    buffer.append('z')
+
+    assert.strictEqual(buffer.toString(), 'aéz')
+    assert.strictEqual(buffer.truncatedBytes, 0)
+  })
+
+  test('does not split multi-byte characters when truncating', () => {
+    const buffer = createOutputBuffer(10)
+    buffer.append('€'.repeat(20))
+
+    const text = buffer.toString()
+    assert.ok(!text.includes('\ufffd'))
+    assert.ok(text.startsWith('€\n'))
+    assert.ok(text.endsWith('\n€'))
+    assert.strictEqual(buffer.truncatedBytes, 54)
+    assert.ok(text.includes('[54 bytes truncated]'))
+  })
+
+  test('bounds memory for many chunks', () => {
+    const buffer = createOutputBuffer(1000)
+    const line = 'x'.repeat(99) + '\n'
+    for (let i = 0; i < 10000; i++) buffer.append(line)
+
+    assert.strictEqual(buffer.totalBytes, 1000000)
+    assert.strictEqual(buffer.truncatedBytes, 999000)
+  })
+
+  test('defaults to 1MB', () => {
+    assert.strictEqual(DEFAULT_MAX_OUTPUT_BYTES, 1024 * 1024)
+  })
+})
+
+describe('truncateMiddle', () => {
+  test('returns short text unchanged', () => {
+    assert.strictEqual(truncateMiddle('short', 100), 'short')
+  })
+
+  test('truncates the middle of long text', () => {
+    const text = 'start-' + 'x'.repeat(1000) + '-end'
+    const result = truncateMiddle(text, 20)
+
+    assert.ok(result.startsWith('start-'))
+    assert.ok(result.endsWith('-end'))
+    assert.ok(result.includes('bytes truncated'))
+  })
+})
@@ -11,7 +11,10 @@ import { homedir } from 'os'
 import { mkdirSync, rmSync, existsSync } from 'fs'
 
 // Module under test - will fail until implemented
-import { PATHS, pathId, ensureDirs, resolvePath } from '../../plugin/core/paths.js'
+import {
+  PATHS, pathId, ensureDirs, resolvePath, toContainerPath,
+  encodeBranchDir, decodeBranchDir, resolveBranchDir, listBranchDirs,
+} from '../../plugin/core/paths.js'
 
 describe('PATHS', () => {
   const originalEnv = process.env
@@ -103,6 +106,54 @@ describe('resolvePath', () => {
   })
 })
 
+describe('toContainerPath', () => {
+  test('maps paths inside the workspace under workspaceFolder', () => {
+    assert.strictEqual(toContainerPath('/clone/app/main', '/clone/app/main', '/workspaces/main'), '/workspaces/main')
+    assert.strictEqual(
+      toContainerPath('/clone/app/main/services/api', '/clone/app/main', '/workspaces/main'),
+      '/workspaces/main/services/api'
+    )
+  })
+
+  test('returns null for paths outside the workspace', () => {
+    assert.strictEqual(toContainerPath('/clone/app/main-2', '/clone/app/main', '/workspaces/main'), null)
+    assert.strictEqual(toContainerPath('/tmp', '/clone/app/main', '/workspaces/main'), null)
+  })
+})
+
+describe('branch directories', () => {
+  const testDir = join(homedir(), '.cache/ocdc-test-branchdirs-' + Date.now())
+  const repoDir = join(testDir, 'app')
+
+  afterEach(() => {
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  test('encodes slash branches as one reversible directory name', () => {
+    assert.strictEqual(encodeBranchDir('main'), 'main')
+    assert.strictEqual(encodeBranchDir('feature/login'), 'feature%2Flogin')
+    assert.strictEqual(encodeBranchDir('fix/100%2Fdone'), 'fix%2F100%252Fdone')
+    for (const branch of ['feature/a/b', 'fix/100%2Fdone', '50%']) {
+      assert.strictEqual(decodeBranchDir(encodeBranchDir(branch)), branch)
+    }
+  })
+
+  test('lists encoded and legacy nested workspaces', async () => {
+    mkdirSync(join(repoDir, 'main', '.git'), { recursive: true })
+    mkdirSync(join(repoDir, 'feature%2Flogin', '.git'), { recursive: true })
+    mkdirSync(join(repoDir, 'fix', 'old', '.git'), { recursive: true })
+
+    const dirs = (await listBranchDirs(repoDir)).sort((a, b) => a.branch.localeCompare(b.branch))
+    assert.deepStrictEqual(dirs, [
+      { workspace: join(repoDir, 'feature%2Flogin'), branch: 'feature/login' },
+      { workspace: join(repoDir, 'fix', 'old'), branch: 'fix/old' },
+      { workspace: join(repoDir, 'main'), branch: 'main' },
+    ])
+    assert.strictEqual(resolveBranchDir(repoDir, 'fix/old'), join(repoDir, 'fix', 'old'))
+    assert.strictEqual(resolveBranchDir(repoDir, 'fix/new'), join(repoDir, 'fix%2Fnew'))
+  })
+})
+
 describe('ensureDirs', () => {
   const testDir = join(homedir(), '.cache/ocdc-test-' + Date.now())
 
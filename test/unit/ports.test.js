@@ -20,7 +20,9 @@ import {
   releasePort,
   isPortFree,
   withLock,
+  getAllocatedPorts,
   getContainerPort,
+  getContainerPorts,
   updatePortAllocation,
 } from '../../plugin/core/ports.js'
 
@@ -239,6 +241,47 @@ describe('allocatePort', () => {
     )
   })
 
+  test('allocates a block of ports for multiple internal ports', async () => {
+    const result = await allocatePort('/workspace/multi', 'repo', 'main', [3000, 9229, 6006])
+
+    assert.deepStrictEqual(result.portMap, {
+      3000: result.port,
+      9229: result.port + 1,
+      6006: result.port + 2,
+    })
+
+    const ports = await readPorts()
+    assert.deepStrictEqual(ports['/workspace/multi'].portMap, result.portMap)
+  })
+
+  test('does not overlap blocks of different workspaces', async () => {
+    const result1 = await allocatePort('/workspace/one', 'repo', 'main', [3000, 9229])
+    const result2 = await allocatePort('/workspace/two', 'repo', 'main', [3000, 9229])
+
+    const hostPorts1 = Object.values(result1.portMap)
+    const hostPorts2 = Object.values(result2.portMap)
+    assert.ok(hostPorts2.every(p => !hostPorts1.includes(p)))
+  })
+
+  test('reallocates when internal ports change', async () => {
+    await allocatePort('/workspace/test', 'repo', 'main', [3000])
+    const result = await allocatePort('/workspace/test', 'repo', 'main', [3000, 9229])
+
+    assert.deepStrictEqual(Object.keys(result.portMap).sort(), ['3000', '9229'])
+  })
+
+  test('throws when no block of ports is available', async () => {
+    writeFileSync(join(testDir, 'config', 'config.json'), JSON.stringify({
+      portRangeStart: 19000,
+      portRangeEnd: 19001
+    }))
+
+    await assert.rejects(
+      () => allocatePort('/workspace/test', 'repo', 'main', [3000, 9229, 6006]),
+      /No available ports in range 19000-19001 for 3 ports/
+    )
+  })
+
   test('concurrent allocations get unique ports', async () => {
     // Spawn multiple concurrent allocations
     const results = await Promise.all([
@@ -313,6 +356,17 @@ describe('getContainerPort', () => {
   })
 })
 
+describe('getAllocatedPorts', () => {
+  test('returns primary port for single-port allocations', () => {
+    assert.deepStrictEqual(getAllocatedPorts({ port: 13000 }), [13000])
+  })
+
+  test('returns every host port in the port map', () => {
+    const allocation = { port: 13000, portMap: { 3000: 13000, 9229: 13001 } }
+    assert.deepStrictEqual(getAllocatedPorts(allocation).sort(), [13000, 13001])
+  })
+})
+
 describe('getContainerPort with a configured runtime', () => {
   const testDir = join(homedir(), '.cache/ocdc-test-runtime-port-' + Date.now())
 
@@ -361,6 +415,31 @@ describe('getContainerPort with a configured runtime', () => {
       ['/usr/bin/podman', '/usr/bin/podman']
     )
   })
+
+  test('returns every published port mapping', async (t) => {
+    t.mock.method(childProcess, 'spawn', (command, args) => {
+      const child = new EventEmitter()
+      child.stdout = new EventEmitter()
+      child.stderr = new EventEmitter()
+      process.nextTick(() => {
+        if (args[0] === 'ps') {
+          child.stdout.emit('data', 'container-id\n')
+        } else {
+          child.stdout.emit('data', JSON.stringify({
+            '3000/tcp': [{ HostPort: '13042' }],
+            '9229/tcp': [{ HostPort: '13043' }],
+            '5432/tcp': null,
+          }))
+        }
+        child.emit('close', 0)
+      })
+      return child
+    })
+
+    const portMap = await getContainerPorts('/workspace/test')
+
+    assert.deepStrictEqual(portMap, { 3000: 13042, 9229: 13043 })
+  })
 })
 
 describe('updatePortAllocation', () => {
@@ -0,0 +1,121 @@
+/**
+ * Tests for plugin/core/secrets.js
+ *
+ * Run with: node --test test/unit/secrets.test.js
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { mkdirSync, rmSync, writeFileSync, readFileSync, utimesSync, realpathSync } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+import { execSync } from 'child_process'
+
+// Module under test
+import {
+  SECRET_STATUS,
+  getMainRepo,
+  listSecretFiles,
+  listRepoWorkspaces,
+  diffSecrets,
+  findSecretDrift,
+  syncSecrets,
+} from '../../plugin/core/secrets.js'
+
+describe('secret sync', () => {
+  let testDir
+  let mainRepo
+  let clone
+  let worktree
+
+  // Make a file older than now, so edits made by the test are clearly newer
+  const backdate = (path, minutes) => {
+    const time = new Date(Date.now() - minutes * 60 * 1000)
+    utimesSync(path, time, time)
+  }
+
+  beforeEach(() => {
+    testDir = join(realpathSync(tmpdir()), `ocdc-secrets-test-${Date.now()}`)
+    mainRepo = join(testDir, 'src', 'app')
+    clone = join(testDir, 'clones', 'app', 'feature')
+    worktree = join(testDir, 'worktrees', 'app', 'fix')
+    process.env.OCDC_CLONES_DIR = join(testDir, 'clones')
+    process.env.OCDC_WORKTREES_DIR = join(testDir, 'worktrees')
+    process.env.OCDC_CACHE_DIR = join(testDir, 'cache')
+
+    mkdirSync(mainRepo, { recursive: true })
+    execSync('git init -b main', { cwd: mainRepo })
+    writeFileSync(join(mainRepo, '.gitignore'), '.env\nconfig/master.key\n')
+    execSync('git add . && git commit -m "Initial"', { cwd: mainRepo })
+    writeFileSync(join(mainRepo, '.env'), 'API_KEY=new')
+    mkdirSync(join(mainRepo, 'config'))
+    writeFileSync(join(mainRepo, 'config', 'master.key'), 'key')
+
+    mkdirSync(join(testDir, 'clones', 'app'), { recursive: true })
+    execSync(`git clone -q ${mainRepo} ${clone}`)
+    mkdirSync(join(testDir, 'worktrees', 'app'), { recursive: true })
+    execSync(`git worktree add -q -b fix ${worktree}`, { cwd: mainRepo })
+  })
+
+  afterEach(() => {
+    delete process.env.OCDC_CLONES_DIR
+    delete process.env.OCDC_WORKTREES_DIR
+    delete process.env.OCDC_CACHE_DIR
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  test('finds the main repo from a worktree', async () => {
+    assert.strictEqual(await getMainRepo(mainRepo), mainRepo)
+    assert.strictEqual(await getMainRepo(worktree), mainRepo)
+  })
+
+  test('lists the files copied into workspaces and the repo workspaces', async () => {
+    assert.deepStrictEqual((await listSecretFiles(mainRepo)).sort(), ['.env', 'config/master.key'])
+    assert.deepStrictEqual((await listRepoWorkspaces(mainRepo)).map(ws => ws.workspace).sort(), [clone, worktree])
+  })
+
+  test('tells missing, outdated and diverged files apart', async () => {
+    writeFileSync(join(clone, '.env'), 'API_KEY=old')
+    backdate(join(clone, '.env'), 10)
+    writeFileSync(join(worktree, '.env'), 'API_KEY=local')
+    mkdirSync(join(worktree, 'config'))
+    writeFileSync(join(worktree, 'config', 'master.key'), 'key')
+    backdate(join(mainRepo, '.env'), 5)
+
+    assert.deepStrictEqual(await diffSecrets(mainRepo, clone), {
+      changes: [
+        { path: '.env', status: SECRET_STATUS.OUTDATED },
+        { path: 'config/master.key', status: SECRET_STATUS.MISSING },
+      ],
+      upToDate: 0,
+    })
+    assert.deepStrictEqual(await diffSecrets(mainRepo, worktree), {
+      changes: [{ path: '.env', status: SECRET_STATUS.DIVERGED }],
+      upToDate: 1,
+    })
+
+    const drift = await findSecretDrift(mainRepo)
+    assert.strictEqual(drift.length, 2)
+    assert.ok(drift.every(ws => ws.changes.length > 0))
+  })
+
+  test('updates missing and outdated files and keeps diverged ones', async () => {
+    writeFileSync(join(clone, '.env'), 'API_KEY=old')
+    backdate(join(clone, '.env'), 10)
+    writeFileSync(join(worktree, '.env'), 'API_KEY=local')
+    backdate(join(mainRepo, '.env'), 5)
+
+    const cloneResult = await syncSecrets(mainRepo, clone)
+    assert.deepStrictEqual(cloneResult.updated.map(c => c.path), ['.env', 'config/master.key'])
+    assert.strictEqual(readFileSync(join(clone, '.env'), 'utf-8'), 'API_KEY=new')
+    assert.strictEqual(readFileSync(join(clone, 'config', 'master.key'), 'utf-8'), 'key')
+    assert.deepStrictEqual((await diffSecrets(mainRepo, clone)).changes, [])
+
+    const worktreeResult = await syncSecrets(mainRepo, worktree)
+    assert.deepStrictEqual(worktreeResult.kept.map(c => c.path), ['.env'])
+    assert.strictEqual(readFileSync(join(worktree, '.env'), 'utf-8'), 'API_KEY=local')
+
+    await syncSecrets(mainRepo, worktree, { overwrite: true })
+    assert.strictEqual(readFileSync(join(worktree, '.env'), 'utf-8'), 'API_KEY=new')
+  })
+})
@@ -0,0 +1,150 @@
+/**
+ * Tests for plugin/core/sessions.js
+ *
+ * Run with: node --test test/unit/sessions.test.js
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { mkdirSync, writeFileSync, rmSync } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+
+// Module under test
+import {
+  SESSION_HISTORY_LIMIT,
+  toHistoryEntry,
+  pushSessionHistory,
+  forgetWorkspace,
+  retireSession,
+  readSessions,
+  listRecentWorkspaces,
+  getWorkspaceLastUsed,
+} from '../../plugin/core/sessions.js'
+
+const clone = { workspace: '/clones/app/a', repoName: 'app', branch: 'a' }
+const worktree = { type: 'worktree', workspace: '/worktrees/app/b', repoName: 'app', branch: 'b', mainRepo: '/src/app' }
+const entry = (workspace, usedAt) => ({ type: 'devcontainer', workspace, repoName: 'app', branch: workspace.split('/').pop(), usedAt })
+
+describe('toHistoryEntry', () => {
+  test('describes devcontainer and worktree targets', () => {
+    assert.deepStrictEqual(toHistoryEntry(clone, '2026-01-01T00:00:00.000Z'), {
+      type: 'devcontainer', workspace: '/clones/app/a', repoName: 'app', branch: 'a', usedAt: '2026-01-01T00:00:00.000Z',
+    })
+    const wt = toHistoryEntry(worktree, '2026-01-01T00:00:00.000Z')
+    assert.strictEqual(wt.type, 'worktree')
+    assert.strictEqual(wt.mainRepo, '/src/app')
+  })
+
+  test('returns null without a target', () => {
+    assert.strictEqual(toHistoryEntry(null), null)
+    assert.strictEqual(toHistoryEntry({ history: [] }), null)
+  })
+})
+
+describe('pushSessionHistory', () => {
+  test('puts the current target on top', () => {
+    const history = pushSessionHistory({ ...clone, history: [entry('/x', '2026-01-01T00:00:00.000Z')] }, '/y')
+    assert.deepStrictEqual(history.map(e => e.workspace), ['/clones/app/a', '/x'])
+  })
+
+  test('leaves out the next target and duplicates', () => {
+    const session = { ...clone, history: [entry('/y', '2026-01-02T00:00:00.000Z'), entry('/clones/app/a', '2026-01-01T00:00:00.000Z')] }
+    assert.deepStrictEqual(pushSessionHistory(session, '/y').map(e => e.workspace), ['/clones/app/a'])
+  })
+
+  test('keeps the history when retargeting the same workspace', () => {
+    const session = { ...clone, history: [entry('/x', '2026-01-01T00:00:00.000Z')] }
+    assert.deepStrictEqual(pushSessionHistory(session, clone.workspace).map(e => e.workspace), ['/x'])
+  })
+
+  test('caps the stack', () => {
+    const history = Array.from({ length: 20 }, (_, i) => entry(`/w${i}`, '2026-01-01T00:00:00.000Z'))
+    assert.strictEqual(pushSessionHistory({ ...clone, history }, null).length, SESSION_HISTORY_LIMIT)
+  })
+})
+
+describe('forgetWorkspace', () => {
+  test('drops the workspace from the target and history', () => {
+    const session = { ...worktree, history: [entry('/clones/app/a', '2026-01-01T00:00:00.000Z')] }
+    assert.deepStrictEqual(forgetWorkspace(session, '/clones/app/a'), { ...worktree, history: [] })
+    assert.deepStrictEqual(forgetWorkspace(session, worktree.workspace), { history: session.history })
+  })
+
+  test('returns the same session when the workspace is unknown', () => {
+    const session = { ...clone }
+    assert.strictEqual(forgetWorkspace(session, '/other'), session)
+  })
+
+  test('returns null when nothing is left', () => {
+    assert.strictEqual(forgetWorkspace({ ...clone }, clone.workspace), null)
+    assert.strictEqual(forgetWorkspace({ history: [entry('/x', '2026-01-01T00:00:00.000Z')] }, '/x'), null)
+  })
+})
+
+describe('retireSession', () => {
+  const now = new Date('2026-03-01T00:00:00.000Z')
+
+  test('moves the target onto the history as used at activation', () => {
+    const retired = retireSession({ ...clone, activatedAt: '2026-02-28T00:00:00.000Z' }, { now })
+    assert.deepStrictEqual(retired.history.map(e => [e.workspace, e.usedAt]), [['/clones/app/a', '2026-02-28T00:00:00.000Z']])
+    assert.strictEqual(retired.workspace, undefined)
+  })
+
+  test('drops entries past the retention period', () => {
+    const session = { history: [entry('/old', '2025-12-01T00:00:00.000Z')] }
+    assert.strictEqual(retireSession(session, { now }), null)
+  })
+})
+
+describe('listRecentWorkspaces', () => {
+  let testDir
+
+  beforeEach(() => {
+    testDir = join(tmpdir(), `ocdc-sessions-test-${Date.now()}`)
+    process.env.OCDC_SESSIONS_DIR = testDir
+    mkdirSync(testDir, { recursive: true })
+
+    writeFileSync(join(testDir, 'ses_a.json'), JSON.stringify({
+      ...clone,
+      activatedAt: '2026-01-03T00:00:00.000Z',
+      history: [entry('/clones/app/c', '2026-01-02T00:00:00.000Z')],
+    }))
+    writeFileSync(join(testDir, 'ses_b.json'), JSON.stringify({
+      history: [
+        toHistoryEntry(worktree, '2026-01-04T00:00:00.000Z'),
+        entry('/clones/app/c', '2026-01-01T00:00:00.000Z'),
+      ],
+    }))
+    writeFileSync(join(testDir, 'broken.json'), '{')
+  })
+
+  afterEach(() => {
+    delete process.env.OCDC_SESSIONS_DIR
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  test('reads readable session files', () => {
+    assert.deepStrictEqual(readSessions().map(s => s.sessionID).sort(), ['ses_a', 'ses_b'])
+  })
+
+  test('merges sessions, newest first', () => {
+    const recent = listRecentWorkspaces()
+
+    assert.deepStrictEqual(recent.map(r => r.workspace), ['/worktrees/app/b', '/clones/app/a', '/clones/app/c'])
+    assert.strictEqual(recent[0].type, 'worktree')
+    assert.deepStrictEqual(recent[1].activeIn, ['ses_a'])
+    assert.deepStrictEqual(recent[2].sessions.sort(), ['ses_a', 'ses_b'])
+    assert.deepStrictEqual(recent[2].lastUsed, new Date('2026-01-02T00:00:00.000Z'))
+  })
+
+  test('honors the limit', () => {
+    assert.strictEqual(listRecentWorkspaces({ limit: 1 }).length, 1)
+  })
+
+  test('maps workspaces to their last use', () => {
+    const lastUsed = getWorkspaceLastUsed()
+    assert.deepStrictEqual(lastUsed.get('/clones/app/a'), new Date('2026-01-03T00:00:00.000Z'))
+    assert.strictEqual(lastUsed.get('/missing'), undefined)
+  })
+})
@@ -0,0 +1,165 @@
+/**
+ * Tests for plugin/core/shell.js
+ *
+ * Run with: node --test test/unit/shell.test.js
+ */
+
+import { test, describe } from 'node:test'
+import assert from 'node:assert'
+
+// Module under test
+import {
+  shellQuote,
+  translateHostPaths,
+  withWorkdir,
+  tokenizeShell,
+  resolveSimpleCommand,
+  parseShellCommand,
+} from '../../plugin/core/shell.js'
+
+const names = command => parseShellCommand(command).map(c => c.name)
+
+describe('tokenizeShell', () => {
+  test('splits words and operators', () => {
+    const tokens = tokenizeShell('a b&&c|d')
+    assert.deepStrictEqual(tokens.map(t => t.value), ['a', 'b', '&&', 'c', '|', 'd'])
+    assert.deepStrictEqual(tokens.map(t => t.type), ['word', 'word', 'op', 'word', 'op', 'word'])
+  })
+
+  test('keeps quoted operators inside words', () => {
+    const tokens = tokenizeShell(`echo 'a && b' "c | d" e\\;f`)
+    assert.deepStrictEqual(tokens.map(t => t.value), ['echo', 'a && b', 'c | d', 'e;f'])
+  })
+
+  test('records command substitutions', () => {
+    const [, word] = tokenizeShell('echo "$(npm bin)/x" `node -v`')
+    assert.deepStrictEqual(word.substitutions, ['npm bin'])
+    const [, , backtick] = tokenizeShell('echo "$(npm bin)/x" `node -v`')
+    assert.deepStrictEqual(backtick.substitutions, ['node -v'])
+  })
+
+  test('drops file descriptors of redirections', () => {
+    const tokens = tokenizeShell('npm test 2>&1')
+    assert.deepStrictEqual(tokens.map(t => t.value), ['npm', 'test', '>&', '1'])
+  })
+
+  test('keeps a [[ ... ]] condition as one keyword', () => {
+    const tokens = tokenizeShell('[[ $(node -v) > v1 && -n "a ]]" ]] && ls')
+    assert.deepStrictEqual(tokens.map(t => t.value), ['[[', '&&', 'ls'])
+    assert.deepStrictEqual(tokens[0].substitutions, ['node -v'])
+  })
+
+  test('skips comments and here-document bodies', () => {
+    const tokens = tokenizeShell('cat <<EOF\nrm -rf /\nEOF\nls # npm test')
+    assert.deepStrictEqual(tokens.map(t => t.value), ['cat', '<<', 'EOF', '\n', 'ls'])
+  })
+})
+
+describe('resolveSimpleCommand', () => {
+  test('skips env-var prefixes', () => {
+    const resolved = resolveSimpleCommand(['FOO=1', 'BAR=a=b', 'npm', 'test'])
+    assert.strictEqual(resolved.name, 'npm')
+    assert.deepStrictEqual(resolved.args, ['test'])
+    assert.deepStrictEqual(resolved.assignments, ['FOO=1', 'BAR=a=b'])
+  })
+
+  test('unwraps sudo, time, nice, env and timeout', () => {
+    assert.strictEqual(resolveSimpleCommand(['sudo', '-u', 'app', '-E', 'bundle', 'install']).name, 'bundle')
+    assert.strictEqual(resolveSimpleCommand(['time', '-p', 'make']).name, 'make')
+    assert.strictEqual(resolveSimpleCommand(['nice', '-n', '10', 'cargo', 'build']).name, 'cargo')
+    assert.strictEqual(resolveSimpleCommand(['nice', '-5', 'cargo']).name, 'cargo')
+    assert.strictEqual(resolveSimpleCommand(['env', '-i', 'A=1', 'node', 'x.js']).name, 'node')
+    assert.strictEqual(resolveSimpleCommand(['timeout', '30', 'npm', 'test']).name, 'npm')
+    assert.strictEqual(resolveSimpleCommand(['sudo', 'time', 'nice', 'npm']).name, 'npm')
+
+    const { wrappers } = resolveSimpleCommand(['sudo', 'time', 'nice', 'npm'])
+    assert.deepStrictEqual(wrappers, ['sudo', 'time', 'nice'])
+  })
+
+  test('treats a wrapper used alone as the command', () => {
+    assert.strictEqual(resolveSimpleCommand(['env']).name, 'env')
+    assert.strictEqual(resolveSimpleCommand(['env', 'FOO=1']).name, 'env')
+  })
+
+  test('uses the basename of paths', () => {
+    assert.strictEqual(resolveSimpleCommand(['/usr/bin/git', 'status']).name, 'git')
+    assert.strictEqual(resolveSimpleCommand(['./node_modules/.bin/jest']).name, 'jest')
+  })
+
+  test('returns null for bare assignments and compound headers', () => {
+    assert.strictEqual(resolveSimpleCommand(['FOO=1']), null)
+    assert.strictEqual(resolveSimpleCommand(['for', 'f', 'in', 'a', 'b']), null)
+  })
+})
+
+describe('parseShellCommand', () => {
+  test('splits chains and pipelines', () => {
+    assert.deepStrictEqual(names('git status | grep x && npm run lint'), ['git', 'grep', 'npm'])
+    assert.deepStrictEqual(names('a; b || c & d'), ['a', 'b', 'c', 'd'])
+    assert.deepStrictEqual(names('a\nb'), ['a', 'b'])
+  })
+
+  test('looks inside subshells and groups', () => {
+    assert.deepStrictEqual(names('(make test)'), ['make'])
+    assert.deepStrictEqual(names('{ cd app; rake; }'), ['cd', 'rake'])
+  })
+
+  test('understands compound commands', () => {
+    assert.deepStrictEqual(names('if true; then npm test; fi'), ['true', 'npm'])
+    assert.deepStrictEqual(names('for f in a b; do node $f; done'), ['node'])
+    assert.deepStrictEqual(names('case $x in a) npm test;; b|c) make;; esac'), ['npm', 'make'])
+    assert.deepStrictEqual(names('if [[ -z $CI ]]; then make; fi'), ['make'])
+  })
+
+  test('includes commands from substitutions', () => {
+    const commands = parseShellCommand('echo $(node -v) > "$(git rev-parse --show-toplevel)/v"')
+    assert.deepStrictEqual(commands.map(c => c.name), ['echo', 'git', 'node'])
+    assert.deepStrictEqual(commands.map(c => c.substitution), [false, true, true])
+  })
+
+  test('ignores redirection targets', () => {
+    assert.deepStrictEqual(names('npm test > out.log 2>&1 < /dev/null'), ['npm'])
+  })
+
+  test('returns nothing for empty input', () => {
+    assert.deepStrictEqual(parseShellCommand(''), [])
+    assert.deepStrictEqual(parseShellCommand(null), [])
+  })
+})
+
+describe('translateHostPaths', () => {
+  const workspace = '/home/me/clone/app/feature-x'
+  const folder = '/workspaces/feature-x'
+
+  test('rewrites absolute paths inside the workspace', () => {
+    assert.strictEqual(
+      translateHostPaths(`cat ${workspace}/config/app.yml`, workspace, folder),
+      'cat /workspaces/feature-x/config/app.yml'
+    )
+    assert.strictEqual(
+      translateHostPaths(`cd ${workspace} && CONFIG="${workspace}/a" rspec --out=${workspace}/b > ${workspace}/log`, workspace, folder),
+      'cd /workspaces/feature-x && CONFIG="/workspaces/feature-x/a" rspec --out=/workspaces/feature-x/b > /workspaces/feature-x/log'
+    )
+  })
+
+  test('leaves sibling and unrelated paths alone', () => {
+    const command = `ls ${workspace}-2 /tmp/x foo${workspace}`
+    assert.strictEqual(translateHostPaths(command, workspace, folder), command)
+  })
+
+  test('does nothing when a path would need quoting', () => {
+    const command = 'ls "/home/me/my clone/a"'
+    assert.strictEqual(translateHostPaths(command, '/home/me/my clone', folder), command)
+  })
+})
+
+describe('withWorkdir', () => {
+  test('changes directory before running the command', () => {
+    assert.strictEqual(withWorkdir('npm test', '/workspaces/app/api'), 'cd -- /workspaces/app/api || exit 1; npm test')
+    assert.strictEqual(withWorkdir('npm test', "/w/it's"), `cd -- ${shellQuote("/w/it's")} || exit 1; npm test`)
+  })
+
+  test('returns the command unchanged without a workdir', () => {
+    assert.strictEqual(withWorkdir('npm test'), 'npm test')
+  })
+})
@@ -0,0 +1,83 @@
+/**
+ * Tests for plugin/core/usage.js
+ *
+ * Run with: node --test test/unit/usage.test.js
+ */
+
+import { test, describe, beforeEach, afterEach } from 'node:test'
+import assert from 'node:assert'
+import { mkdirSync, rmSync, readdirSync } from 'fs'
+import { join } from 'path'
+import { tmpdir } from 'os'
+
+// Module under test
+import {
+  USAGE_SOURCE,
+  readUsage,
+  recordUsage,
+  forgetUsage,
+  getLastUsed,
+} from '../../plugin/core/usage.js'
+
+describe('usage ledger', () => {
+  let testDir
+  let workspace
+
+  beforeEach(() => {
+    testDir = join(tmpdir(), `ocdc-usage-test-${Date.now()}`)
+    workspace = join(testDir, 'clones', 'app', 'feature')
+    mkdirSync(workspace, { recursive: true })
+    process.env.OCDC_CACHE_DIR = join(testDir, 'cache')
+  })
+
+  afterEach(() => {
+    delete process.env.OCDC_CACHE_DIR
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  test('records and reads the last use', async () => {
+    const now = new Date('2026-02-01T10:00:00.000Z')
+    assert.strictEqual(await recordUsage(workspace, USAGE_SOURCE.EXEC, { force: true, now }), true)
+
+    assert.deepStrictEqual(await readUsage(), { [workspace]: { lastUsed: now.toISOString(), source: 'exec' } })
+    assert.deepStrictEqual(await getLastUsed(workspace), now)
+    assert.strictEqual(await getLastUsed(join(testDir, 'other')), null)
+    assert.deepStrictEqual(readdirSync(join(testDir, 'cache')), ['usage.json'])
+  })
+
+  test('skips repeated uses within the interval unless forced', async () => {
+    const now = new Date('2026-02-01T10:00:00.000Z')
+    await recordUsage(workspace, USAGE_SOURCE.COMMAND, { force: true, now })
+
+    const soon = new Date(now.getTime() + 1000)
+    assert.strictEqual(await recordUsage(workspace, USAGE_SOURCE.COMMAND, { now: soon }), false)
+    assert.strictEqual(await recordUsage(workspace, USAGE_SOURCE.TARGET, { force: true, now: soon }), true)
+    assert.deepStrictEqual(await getLastUsed(workspace), soon)
+  })
+
+  test('never moves the last use back in time', async () => {
+    const now = new Date('2026-02-01T10:00:00.000Z')
+    await recordUsage(workspace, USAGE_SOURCE.COMMAND, { force: true, now })
+    await recordUsage(workspace, USAGE_SOURCE.COMMAND, { force: true, now: new Date('2026-01-01T00:00:00.000Z') })
+
+    assert.deepStrictEqual(await getLastUsed(workspace), now)
+  })
+
+  test('drops workspaces that no longer exist', async () => {
+    const gone = join(testDir, 'clones', 'app', 'gone')
+    mkdirSync(gone)
+    await recordUsage(gone, USAGE_SOURCE.COMMAND, { force: true })
+    rmSync(gone, { recursive: true })
+
+    await recordUsage(workspace, USAGE_SOURCE.COMMAND, { force: true })
+
+    assert.deepStrictEqual(Object.keys(await readUsage()), [workspace])
+  })
+
+  test('forgets removed workspaces', async () => {
+    await recordUsage(workspace, USAGE_SOURCE.COMMAND, { force: true })
+    await forgetUsage(workspace)
+
+    assert.deepStrictEqual(await readUsage(), {})
+  })
+})
@@ -16,7 +16,12 @@ import {
   listAllWorkspaces,
   getWorkspaceStatus,
   findStaleWorkspaces,
+  cleanupWorkspaces,
+  describeUnsavedWork,
+  formatWorkspace,
 } from '../../plugin/core/workspaces.js'
+import { recordUsage } from '../../plugin/core/usage.js'
+import { createManifest, listManifests } from '../../plugin/core/manifest.js'
 
 describe('listAllWorkspaces', () => {
   const testDir = join(homedir(), '.cache/ocw-test-listall-' + Date.now())
@@ -24,6 +29,7 @@ describe('listAllWorkspaces', () => {
   beforeEach(() => {
     process.env.OCDC_CLONES_DIR = join(testDir, 'clones')
     process.env.OCDC_WORKTREES_DIR = join(testDir, 'worktrees')
+    process.env.OCDC_CACHE_DIR = join(testDir, 'cache')
     
     // Create some clone directories
     mkdirSync(join(testDir, 'clones', 'repo-a', 'main'), { recursive: true })
@@ -46,6 +52,7 @@ describe('listAllWorkspaces', () => {
   afterEach(() => {
     delete process.env.OCDC_CLONES_DIR
     delete process.env.OCDC_WORKTREES_DIR
+    delete process.env.OCDC_CACHE_DIR
     rmSync(testDir, { recursive: true, force: true })
   })
 
@@ -84,6 +91,28 @@ describe('listAllWorkspaces', () => {
     const workspaces = await listAllWorkspaces()
     assert.deepStrictEqual(workspaces, [])
   })
+
+  test('creates manifests for workspaces that have none', async () => {
+    await listAllWorkspaces()
+    
+    const manifests = await listManifests()
+    assert.strictEqual(manifests.length, 3)
+    assert.ok(manifests.every(m => m.migratedAt && m.createdBy === null))
+    
+    // Running again only picks up new workspaces
+    await listAllWorkspaces()
+    assert.strictEqual((await listManifests()).length, 3)
+  })
+
+  test('takes repo and branch from the manifest', async () => {
+    const workspace = join(testDir, 'clones', 'repo-a', 'feature')
+    await createManifest({ type: 'clone', workspace, repo: 'repo-a', branch: 'feature/login', mainRepo: '/src/repo-a' })
+    await createManifest({ type: 'clone', workspace: join(testDir, 'clones', 'repo-a', 'gone'), repo: 'repo-a', branch: 'gone' })
+    
+    const clones = await listAllWorkspaces({ type: 'clone' })
+    assert.deepStrictEqual(clones.map(c => c.branch), ['feature/login', 'main'])
+    assert.strictEqual(clones[0].mainRepo, '/src/repo-a')
+  })
 })
 
 describe('getWorkspaceStatus', () => {
@@ -128,6 +157,93 @@ describe('getWorkspaceStatus', () => {
     assert.ok(Date.now() - status.lastAccess.getTime() < 60000)
   })
 
+  test('prefers recorded usage over git activity', async () => {
+    process.env.OCDC_CACHE_DIR = join(testDir, 'cache')
+    try {
+      assert.strictEqual((await getWorkspaceStatus(mainRepo)).lastAccessSource, 'git')
+      
+      const used = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000)
+      await recordUsage(mainRepo, 'exec', { force: true, now: used })
+      const status = await getWorkspaceStatus(mainRepo)
+      
+      assert.strictEqual(status.lastAccessSource, 'usage')
+      assert.deepStrictEqual(status.lastAccess, used)
+    } finally {
+      delete process.env.OCDC_CACHE_DIR
+    }
+  })
+
+  test('counts commits that are not on any remote', async () => {
+    const clonePath = join(testDir, 'clone')
+    execSync(`git clone -q "${mainRepo}" "${clonePath}"`)
+    
+    assert.strictEqual((await getWorkspaceStatus(clonePath)).hasUnpushed, false)
+    
+    writeFileSync(join(clonePath, 'local.txt'), 'local')
+    execSync('git add . && git commit -q -m "Local"', { cwd: clonePath })
+    
+    const status = await getWorkspaceStatus(clonePath)
+    assert.strictEqual(status.hasUnpushed, true)
+    assert.strictEqual(status.unpushedCount, 1)
+  })
+
+  test('reports ahead/behind versus upstream', async () => {
+    const clonePath = join(testDir, 'clone')
+    execSync(`git clone -q "${mainRepo}" "${clonePath}"`)
+    writeFileSync(join(clonePath, 'local.txt'), 'local')
+    execSync('git add . && git commit -q -m "Local"', { cwd: clonePath })
+    
+    const status = await getWorkspaceStatus(clonePath)
+    
+    assert.strictEqual(status.upstream, 'origin/main')
+    assert.strictEqual(status.noUpstream, false)
+    assert.strictEqual(status.ahead, 1)
+    assert.strictEqual(status.behind, 0)
+    assert.strictEqual(status.isMerged, false)
+  })
+
+  test('reports branches without upstream and merged branches', async () => {
+    const clonePath = join(testDir, 'clone')
+    execSync(`git clone -q "${mainRepo}" "${clonePath}"`)
+    execSync('git checkout -q -b feature', { cwd: clonePath })
+    writeFileSync(join(clonePath, 'feature.txt'), 'feature')
+    execSync('git add . && git commit -q -m "Feature"', { cwd: clonePath })
+    
+    let status = await getWorkspaceStatus(clonePath)
+    assert.strictEqual(status.noUpstream, true)
+    assert.strictEqual(status.unpushedCount, 1)
+    assert.strictEqual(status.isMerged, false)
+    
+    // Merge the feature into the default branch upstream
+    execSync(`git pull -q --ff-only "${clonePath}" feature`, { cwd: mainRepo })
+    execSync('git fetch -q', { cwd: clonePath })
+    
+    status = await getWorkspaceStatus(clonePath)
+    assert.strictEqual(status.defaultBranch, 'origin/main')
+    assert.strictEqual(status.isMerged, true)
+    assert.strictEqual(status.hasUnpushed, false)
+  })
+
+  test('does not report a branch without commits of its own as merged', async () => {
+    const clonePath = join(testDir, 'clone')
+    execSync(`git clone -q "${mainRepo}" "${clonePath}"`)
+    execSync('git checkout -q -b feature', { cwd: clonePath })
+    
+    assert.strictEqual((await getWorkspaceStatus(clonePath)).isMerged, false)
+    
+    // Pushed, then deleted on the remote after its pull request was merged
+    execSync('git push -q -u origin feature', { cwd: clonePath, stdio: 'ignore' })
+    execSync('git branch -q -D feature', { cwd: mainRepo })
+    execSync('git fetch -q --prune', { cwd: clonePath })
+    assert.strictEqual((await getWorkspaceStatus(clonePath)).isMerged, true)
+  })
+
+  test('never reports the default branch itself as merged', async () => {
+    const status = await getWorkspaceStatus(mainRepo)
+    assert.strictEqual(status.defaultBranch, 'main')
+    assert.strictEqual(status.isMerged, false)
+  })
+
   test('handles non-git directories gracefully', async () => {
     const nonGitDir = join(testDir, 'nongit')
     mkdirSync(nonGitDir, { recursive: true })
@@ -145,6 +261,7 @@ describe('findStaleWorkspaces', () => {
   beforeEach(() => {
     process.env.OCDC_CLONES_DIR = join(testDir, 'clones')
     process.env.OCDC_WORKTREES_DIR = join(testDir, 'worktrees')
+    process.env.OCDC_CACHE_DIR = join(testDir, 'cache')
     
     // Create a "fresh" clone (recent mtime)
     mkdirSync(join(testDir, 'clones', 'repo-a', 'fresh'), { recursive: true })
@@ -158,6 +275,7 @@ describe('findStaleWorkspaces', () => {
   afterEach(() => {
     delete process.env.OCDC_CLONES_DIR
     delete process.env.OCDC_WORKTREES_DIR
+    delete process.env.OCDC_CACHE_DIR
     rmSync(testDir, { recursive: true, force: true })
   })
 
@@ -184,4 +302,189 @@ describe('findStaleWorkspaces', () => {
     const stale = await findStaleWorkspaces({ maxAgeDays: 7 })
     assert.strictEqual(stale.length, 0)
   })
+
+  test('treats merged branches as stale sooner', async () => {
+    const origin = join(testDir, 'origin')
+    const merged = join(testDir, 'clones', 'repo-b', 'merged')
+    mkdirSync(origin, { recursive: true })
+    execSync('git init -q -b main', { cwd: origin })
+    writeFileSync(join(origin, 'README.md'), '# Test')
+    execSync('git add . && git commit -q -m "Initial"', { cwd: origin })
+    execSync(`git clone -q "${origin}" "${merged}"`)
+    execSync('git checkout -q -b merged', { cwd: merged })
+    writeFileSync(join(merged, 'merged.txt'), 'merged')
+    execSync('git add . && git commit -q -m "Merged"', { cwd: merged })
+    execSync(`git pull -q --ff-only "${merged}" merged`, { cwd: origin })
+    execSync('git fetch -q', { cwd: merged })
+    
+    const twoDaysAgo = new Date(Date.now() - 2 * 24 * 60 * 60 * 1000)
+    await recordUsage(merged, 'command', { force: true, now: twoDaysAgo })
+    
+    const stale = await findStaleWorkspaces({ maxAgeDays: 7 })
+    
+    assert.strictEqual(stale.length, 1)
+    assert.strictEqual(stale[0].branch, 'merged')
+    assert.strictEqual(stale[0].staleReason, 'merged')
+    assert.deepStrictEqual(await findStaleWorkspaces({ maxAgeDays: 7, mergedMaxAgeDays: 3 }), [])
+  })
+})
+
+describe('describeUnsavedWork', () => {
+  test('lists uncommitted changes and commits ahead of upstream', () => {
+    const reasons = describeUnsavedWork({
+      hasUncommitted: true, uncommittedCount: 2,
+      ahead: 3, upstream: 'origin/feature', hasUnpushed: true, unpushedCount: 3,
+    })
+    assert.deepStrictEqual(reasons, ['2 uncommitted change(s)', '3 commit(s) not pushed to origin/feature'])
+  })
+
+  test('flags commits on branches without upstream', () => {
+    const reasons = describeUnsavedWork({ ahead: 0, noUpstream: true, hasUnpushed: true, unpushedCount: 1 })
+    assert.deepStrictEqual(reasons, ['1 unpushed commit(s) (no upstream)'])
+  })
+
+  test('can ignore commits', () => {
+    assert.deepStrictEqual(describeUnsavedWork({ hasUnpushed: true, unpushedCount: 1 }, { commits: false }), [])
+  })
+})
+
+describe('formatWorkspace', () => {
+  const ws = { type: 'clone', repo: 'app', branch: 'feature' }
+  const base = { lastAccess: new Date(), hasUncommitted: false, ahead: 0, behind: 0 }
+
+  test('shows ahead/behind counts', () => {
+    const str = formatWorkspace(ws, { ...base, ahead: 2, behind: 1 })
+    assert.strictEqual(str, '[clone] app/feature (0d ago) [2 ahead, 1 behind]')
+  })
+
+  test('shows missing upstream and merged state', () => {
+    assert.ok(formatWorkspace(ws, { ...base, noUpstream: true, hasUnpushed: true, unpushedCount: 4 })
+      .endsWith('[no upstream, 4 unpushed]'))
+    assert.ok(formatWorkspace(ws, { ...base, isMerged: true }).endsWith('[merged]'))
+  })
+})
+
+describe('cleanupWorkspaces', () => {
+  const testDir = join(homedir(), '.cache/ocw-test-cleanup-' + Date.now())
+  const origin = join(testDir, 'origin')
+  const clonesDir = join(testDir, 'clones')
+  const oldTime = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) // 30 days ago
+
+  const backdate = path => recordUsage(path, 'command', { force: true, now: oldTime })
+
+  beforeEach(async () => {
+    process.env.OCDC_CLONES_DIR = clonesDir
+    process.env.OCDC_WORKTREES_DIR = join(testDir, 'worktrees')
+    process.env.OCDC_CACHE_DIR = join(testDir, 'cache')
+    process.env.OCDC_CONFIG_DIR = join(testDir, 'config')
+    mkdirSync(join(testDir, 'cache'), { recursive: true })
+    
+    mkdirSync(origin, { recursive: true })
+    execSync('git init -q -b main', { cwd: origin })
+    writeFileSync(join(origin, 'README.md'), '# Test')
+    execSync('git add . && git commit -q -m "Initial"', { cwd: origin })
+    
+    for (const branch of ['clean', 'dirty', 'unpushed']) {
+      execSync(`git clone -q "${origin}" "${join(clonesDir, 'repo', branch)}"`)
+    }
+    writeFileSync(join(clonesDir, 'repo', 'dirty', 'wip.txt'), 'wip')
+    writeFileSync(join(clonesDir, 'repo', 'unpushed', 'done.txt'), 'done')
+    execSync('git add . && git commit -q -m "Local"', { cwd: join(clonesDir, 'repo', 'unpushed') })
+    
+    for (const branch of ['clean', 'dirty', 'unpushed']) {
+      await backdate(join(clonesDir, 'repo', branch))
+    }
+  })
+
+  afterEach(() => {
+    delete process.env.OCDC_CLONES_DIR
+    delete process.env.OCDC_WORKTREES_DIR
+    delete process.env.OCDC_CACHE_DIR
+    delete process.env.OCDC_CONFIG_DIR
+    rmSync(testDir, { recursive: true, force: true })
+  })
+
+  test('dry run reports without removing anything', async () => {
+    const result = await cleanupWorkspaces({ maxAgeDays: 7, dryRun: true })
+    
+    assert.strictEqual(result.dryRun, true)
+    assert.deepStrictEqual(result.removed.map(w => w.branch), ['clean'])
+    assert.deepStrictEqual(result.skipped.map(w => w.branch).sort(), ['dirty', 'unpushed'])
+    assert.ok(result.skipped.every(w => w.needsConfirmation))
+    assert.ok(existsSync(join(clonesDir, 'repo', 'clean')))
+  })
+
+  test('removes clean clones and keeps ones with unsaved work', async () => {
+    const result = await cleanupWorkspaces({ maxAgeDays: 7 })
+    
+    assert.deepStrictEqual(result.removed.map(w => w.branch), ['clean'])
+    assert.deepStrictEqual(result.failed, [])
+    assert.strictEqual(existsSync(join(clonesDir, 'repo', 'clean')), false)
+    assert.ok(existsSync(join(clonesDir, 'repo', 'dirty')))
+    assert.ok(existsSync(join(clonesDir, 'repo', 'unpushed')))
+    
+    const unpushed = result.skipped.find(w => w.branch === 'unpushed')
+    assert.deepStrictEqual(unpushed.reasons, ['1 commit(s) not pushed to origin/main'])
+  })
+
+  test('removes workspaces with unsaved work when confirmed', async () => {
+    const result = await cleanupWorkspaces({ maxAgeDays: 7, confirmed: true })
+    
+    assert.strictEqual(result.removed.length, 3)
+    assert.strictEqual(existsSync(join(clonesDir, 'repo', 'dirty')), false)
+  })
+
+  test('only considers the given workspaces', async () => {
+    const dirty = join(clonesDir, 'repo', 'dirty')
+    const result = await cleanupWorkspaces({ maxAgeDays: 7, confirmed: true, workspaces: [dirty] })
+    
+    assert.deepStrictEqual(result.removed.map(w => w.branch), ['dirty'])
+    assert.ok(existsSync(join(clonesDir, 'repo', 'clean')))
+    assert.ok(existsSync(join(clonesDir, 'repo', 'unpushed')))
+  })
+
+  test('keeps workspaces other sessions are targeting', async () => {
+    const clean = join(clonesDir, 'repo', 'clean')
+    const sessionsDir = join(testDir, 'cache', 'opencode-sessions')
+    mkdirSync(sessionsDir, { recursive: true })
+    writeFileSync(join(sessionsDir, 'ses_other.json'), JSON.stringify({
+      type: 'devcontainer', workspace: clean, repoName: 'repo', branch: 'clean', activatedAt: oldTime.toISOString(),
+    }))
+    
+    let result = await cleanupWorkspaces({ maxAgeDays: 7, dryRun: true })
+    assert.deepStrictEqual(result.removed, [])
+    assert.deepStrictEqual(result.skipped.find(w => w.branch === 'clean').reasons, ['targeted by 1 other session(s)'])
+    
+    result = await cleanupWorkspaces({ maxAgeDays: 7, dryRun: true, sessionID: 'ses_other' })
+    assert.deepStrictEqual(result.removed.map(w => w.branch), ['clean'])
+  })
+
+  test('ignores workspaces used within maxAgeDays', async () => {
+    const result = await cleanupWorkspaces({ maxAgeDays: 60 })
+    assert.deepStrictEqual(result, { dryRun: false, removed: [], skipped: [], failed: [] })
+  })
+
+  test('counts recent session use as activity', async () => {
+    const sessionsDir = join(testDir, 'cache', 'opencode-sessions')
+    mkdirSync(sessionsDir, { recursive: true })
+    writeFileSync(join(sessionsDir, 'ses_1.json'), JSON.stringify({
+      history: [{ type: 'devcontainer', workspace: join(clonesDir, 'repo', 'clean'), repoName: 'repo', branch: 'clean', usedAt: new Date().toISOString() }],
+    }))
+    
+    const result = await cleanupWorkspaces({ maxAgeDays: 7, dryRun: true })
+    
+    assert.deepStrictEqual(result.removed, [])
+  })
+
+  test('removes stale worktrees from their main repo', async () => {
+    const worktree = join(testDir, 'worktrees', 'origin', 'old-branch')
+    execSync(`git worktree add -q -b old-branch "${worktree}"`, { cwd: origin })
+    await backdate(worktree)
+    
+    const result = await cleanupWorkspaces({ maxAgeDays: 7 })
+    
+    assert.ok(result.removed.some(w => w.type === 'worktree' && w.branch === 'old-branch'))
+    assert.strictEqual(existsSync(worktree), false)
+    assert.ok(!execSync('git worktree list', { cwd: origin }).toString().includes('old-branch'))
+  })
 })
@@ -19,6 +19,7 @@ import {
   removeWorktreeWorkspace,
 } from '../../plugin/core/worktree.js'
 import { PATHS } from '../../plugin/core/paths.js'
+import { readManifest } from '../../plugin/core/manifest.js'
 
 describe('getWorktreePath', () => {
   test('returns path under worktrees directory', () => {
@@ -28,7 +29,7 @@ describe('getWorktreePath', () => {
 
   test('handles branches with slashes', () => {
     const path = getWorktreePath('my-repo', 'feature/nested/branch')
-    assert.strictEqual(path, join(PATHS.worktrees, 'my-repo', 'feature/nested/branch'))
+    assert.strictEqual(path, join(PATHS.worktrees, 'my-repo', 'feature%2Fnested%2Fbranch'))
   })
 })
 
@@ -38,6 +39,7 @@ describe('createWorktreeWorkspace', () => {
 
   beforeEach(() => {
     process.env.OCDC_WORKTREES_DIR = join(testDir, 'worktrees')
+    process.env.OCDC_CACHE_DIR = join(testDir, 'cache')
     
     mkdirSync(mainRepo, { recursive: true })
     
@@ -55,6 +57,7 @@ describe('createWorktreeWorkspace', () => {
 
   afterEach(() => {
     delete process.env.OCDC_WORKTREES_DIR
+    delete process.env.OCDC_CACHE_DIR
     rmSync(testDir, { recursive: true, force: true })
   })
 
@@ -73,6 +76,29 @@ describe('createWorktreeWorkspace', () => {
     assert.ok(existsSync(result.workspace))
   })
 
+  test('starts the branch at a base and records it', async () => {
+    execSync('git commit --allow-empty -m "Second"', { cwd: mainRepo })
+    const result = await createWorktreeWorkspace({
+      repoRoot: mainRepo,
+      branch: 'from-base',
+      base: 'HEAD~1',
+    })
+    
+    assert.strictEqual(result.base, 'HEAD~1')
+    assert.strictEqual(
+      execSync('git rev-parse HEAD', { cwd: result.workspace }).toString(),
+      execSync('git rev-parse HEAD~1', { cwd: mainRepo }).toString()
+    )
+  })
+
+  test('leaves no branch behind when the base is unknown', async () => {
+    await assert.rejects(
+      createWorktreeWorkspace({ repoRoot: mainRepo, branch: 'bad-base', base: 'nope' }),
+      /Unknown base/
+    )
+    assert.strictEqual(execSync('git branch --list bad-base', { cwd: mainRepo }).toString(), '')
+  })
+
   test('copies gitignored files to worktree', async () => {
     const result = await createWorktreeWorkspace({
       repoRoot: mainRepo,
@@ -188,6 +214,7 @@ describe('removeWorktreeWorkspace', () => {
 
   beforeEach(() => {
     process.env.OCDC_WORKTREES_DIR = join(testDir, 'worktrees')
+    process.env.OCDC_CACHE_DIR = join(testDir, 'cache')
     
     mkdirSync(mainRepo, { recursive: true })
     
@@ -199,6 +226,7 @@ describe('removeWorktreeWorkspace', () => {
 
   afterEach(() => {
     delete process.env.OCDC_WORKTREES_DIR
+    delete process.env.OCDC_CACHE_DIR
     rmSync(testDir, { recursive: true, force: true })
   })
 
@@ -229,6 +257,24 @@ describe('removeWorktreeWorkspace', () => {
     assert.ok(!existsSync(result.workspace))
   })
 
+  test('round-trips branches with slashes', async () => {
+    const result = await createWorktreeWorkspace({
+      repoRoot: mainRepo,
+      branch: 'feature/login',
+    })
+    
+    assert.strictEqual(result.workspace, join(testDir, 'worktrees', 'main', 'feature%2Flogin'))
+    assert.strictEqual((await readManifest(result.workspace)).branch, 'feature/login')
+    assert.deepStrictEqual(await listWorktreeWorkspaces(), [
+      { workspace: result.workspace, repo: 'main', branch: 'feature/login' },
+    ])
+    
+    await removeWorktreeWorkspace(result.workspace, mainRepo)
+    
+    assert.deepStrictEqual(await listWorktreeWorkspaces(), [])
+    assert.strictEqual(await readManifest(result.workspace), null)
+  })
+
   test('returns false for non-existent workspace', async () => {
     const removed = await removeWorktreeWorkspace('/nonexistent/path', mainRepo)
     assert.strictEqual(removed, false)